@@ -14,6 +14,8 @@ const { getRPCManager } = require('./services/rpcManager');
 const { getRealTradingExecutor } = require('./services/realTradingExecutor');
 const { getAdvancedCopyTradingEngine } = require('./services/advancedCopyTradingEngine');
 const { initializeManualTrading } = require('./services/manualTrading');
+const { getTransactionTracker } = require('./services/transactionTracker');
+const { getLimitOrderEngine } = require('./services/limitOrderEngine');
 
 // Middleware
 bot.use(session());
@@ -70,6 +72,16 @@ async function initializeBot() {
     // Register all command handlers
     registerBotCommands(bot);
     
+    // Resume tracking submitted transactions and send their follow-ups
+    const transactionTracker = getTransactionTracker();
+    transactionTracker.setBotInstance(bot);
+    await transactionTracker.start();
+    
+    // Resume watching open limit orders
+    const limitOrderEngine = getLimitOrderEngine();
+    limitOrderEngine.setBotInstance(bot);
+    await limitOrderEngine.start();
+    
     // Set bot instance for wallet monitoring
     walletMonitor.setBotInstance(bot);
     
@@ -1,6 +1,20 @@
 // services/adminService.js - Advanced Admin Management
 const userService = require('../users/userService');
 const { getAdvancedEngine } = require('./advancedTradingEngine');
+const { getRealTradingExecutor } = require('./realTradingExecutor');
+const { getRPCManager } = require('./rpcManager');
+const { getAccountKeys } = require('./solanaSwapDecoder');
+const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { formatEther } = require('ethers');
+
+const NATIVE_SYMBOLS = {
+  solana: 'SOL',
+  ethereum: 'ETH',
+  bsc: 'BNB',
+  polygon: 'MATIC',
+  arbitrum: 'ETH',
+  base: 'ETH'
+};
 
 class AdminService {
   constructor() {
@@ -363,6 +377,147 @@ class AdminService {
     }
   }
 
+  // Compare the dev fees in the ledger with what actually reached the treasuries on-chain
+  async reconcileDevFees(days = 7) {
+    const since = Date.now() - days * 24 * 60 * 60 * 1000;
+    const entries = await userService.getFeeLedger(since);
+    const chains = {};
+    const issues = [];
+
+    // Stablecoin fees are totalled apart from the chain's native fees
+    for (const entry of entries) {
+      const stablecoin = entry.asset && entry.asset !== 'native' ? entry.asset : null;
+      const key = stablecoin ? `${entry.chain}:${stablecoin}` : entry.chain;
+      const totals = chains[key] = chains[key] || {
+        chain: entry.chain,
+        symbol: stablecoin || NATIVE_SYMBOLS[entry.chain] || entry.chain.toUpperCase(),
+        entries: 0,
+        recorded: 0,
+        received: 0,
+        owed: 0
+      };
+      totals.entries++;
+
+      // Fees that never reached the chain are owed, not recorded
+      if (!['confirmed', 'submitted'].includes(entry.status)) {
+        totals.owed += entry.amount;
+        issues.push({ entry, reason: entry.error || `Fee ${entry.status}` });
+        continue;
+      }
+
+      totals.recorded += entry.amount;
+
+      let received = null;
+      try {
+        received = await this.getTreasuryInflow(entry);
+      } catch (err) {
+        console.error(`Fee reconciliation lookup failed for ${entry.txHash}:`, err.message);
+      }
+
+      if (received === null) {
+        issues.push({ entry, reason: entry.status === 'submitted' ? 'Fee transfer still unconfirmed' : 'Fee transaction not found on-chain' });
+        continue;
+      }
+
+      totals.received += received;
+
+      if (Math.abs(received - entry.amount) > Math.max(entry.amount * 0.001, 1e-9)) {
+        issues.push({ entry, reason: `Treasury received ${received.toFixed(6)} of ${entry.amount.toFixed(6)}` });
+      } else if (entry.status === 'submitted') {
+        await userService.saveFeeLedgerEntry({ ...entry, status: 'confirmed' });
+      }
+    }
+
+    return { days, since, total: entries.length, chains, issues };
+  }
+
+  // Amount a fee transaction moved into the treasury, in the fee's native coin or stablecoin;
+  // null when it isn't confirmed
+  async getTreasuryInflow(entry) {
+    if (!entry.txHash || !entry.treasury) return null;
+    const token = entry.asset && entry.asset !== 'native' ? entry.tokenAddress : null;
+
+    if (entry.chain === 'solana') {
+      const connection = await getRPCManager().getSolanaConnection();
+      const tx = await connection.getTransaction(entry.txHash, {
+        commitment: 'confirmed',
+        maxSupportedTransactionVersion: 0
+      });
+      if (!tx?.meta || tx.meta.err) return null;
+
+      if (token) {
+        const treasuryBalance = (balances = []) => balances
+          .filter(b => b.owner === entry.treasury && b.mint === token)
+          .reduce((total, b) => total + BigInt(b.uiTokenAmount.amount), 0n);
+        const delta = treasuryBalance(tx.meta.postTokenBalances) - treasuryBalance(tx.meta.preTokenBalances);
+        return Number(delta) / Math.pow(10, entry.decimals);
+      }
+
+      const index = getAccountKeys(tx).indexOf(entry.treasury);
+      if (index === -1) return 0;
+      return (tx.meta.postBalances[index] - tx.meta.preBalances[index]) / LAMPORTS_PER_SOL;
+    }
+
+    const provider = await getRealTradingExecutor().getEVMProvider(entry.chain);
+    const [tx, receipt] = await Promise.all([
+      provider.getTransaction(entry.txHash),
+      provider.getTransactionReceipt(entry.txHash)
+    ]);
+    if (!tx || !receipt || receipt.status !== 1) return null;
+
+    if (token) {
+      const received = getRealTradingExecutor().sumTokenTransfers(receipt, token, { to: entry.treasury });
+      return Number(received) / Math.pow(10, entry.decimals);
+    }
+
+    return tx.to?.toLowerCase() === entry.treasury.toLowerCase()
+      ? parseFloat(formatEther(tx.value))
+      : 0;
+  }
+
+  // Format the dev fee reconciliation report
+  formatFeeReconciliation(report) {
+    let message = `🧾 **Dev Fee Reconciliation** (last ${report.days}d)\n\n`;
+
+    if (report.total === 0) {
+      return message + 'No dev fees recorded in this period.';
+    }
+
+    for (const totals of Object.values(report.chains)) {
+      const { chain, symbol } = totals;
+      const label = symbol === NATIVE_SYMBOLS[chain] ? chain.toUpperCase() : `${chain.toUpperCase()} ${symbol}`;
+      const difference = totals.received - totals.recorded;
+      const matched = Math.abs(difference) <= Math.max(totals.recorded * 0.001, 1e-9);
+
+      message += `${matched && totals.owed === 0 ? '✅' : '⚠️'} **${label}** (${totals.entries} fee${totals.entries === 1 ? '' : 's'})\n`;
+      message += `• Recorded: ${totals.recorded.toFixed(6)} ${symbol}\n`;
+      message += `• Treasury Received: ${totals.received.toFixed(6)} ${symbol}\n`;
+      if (!matched) {
+        message += `• Difference: ${difference >= 0 ? '+' : ''}${difference.toFixed(6)} ${symbol}\n`;
+      }
+      if (totals.owed > 0) {
+        message += `• Not Collected: ${totals.owed.toFixed(6)} ${symbol}\n`;
+      }
+      message += '\n';
+    }
+
+    if (report.issues.length > 0) {
+      message += `⚠️ **Issues (${report.issues.length}):**\n`;
+      for (const { entry, reason } of report.issues.slice(0, 10)) {
+        const tx = entry.txHash ? ` \`${entry.txHash.slice(0, 10)}...\`` : '';
+        const symbol = entry.asset && entry.asset !== 'native' ? ` ${entry.asset}` : '';
+        message += `• ${entry.chain.toUpperCase()} ${entry.action} ${entry.amount.toFixed(6)}${symbol} - ${reason.replace(/[_*`[\]]/g, '')}${tx}\n`;
+      }
+      if (report.issues.length > 10) {
+        message += `• ...and ${report.issues.length - 10} more\n`;
+      }
+    } else {
+      message += '✅ Every recorded fee matches a treasury inflow.';
+    }
+
+    return message;
+  }
+
   // Format TX fee display (e.g., "TX fee - 0003" for 3%)
   formatTxFee(feePercent) {
     const feeString = String(Math.round(feePercent * 100)).padStart(4, '0');
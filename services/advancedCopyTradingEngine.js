@@ -4,16 +4,20 @@ const { getRealTradingExecutor } = require('./realTradingExecutor');
 const userService = require('../users/userService');
 const walletService = require('./walletService');
 const tokenDataService = require('./tokenDataService');
+const { getTradeEventBus } = require('./tradeEventBus');
 
 class AdvancedCopyTradingEngine {
   constructor() {
     this.initialized = false;
     this.rpcManager = getRPCManager();
     this.tradingExecutor = getRealTradingExecutor();
-    this.monitoredWallets = new Map();
+    this.monitoredWallets = new Map(); // wallet key -> { wallet, subscribers: Map(userId -> subscription) }
     this.copyTradeSettings = new Map();
     this.botInstance = null;
     
+    // Consume trades detected by the wallet monitor
+    this.unsubscribeTrades = getTradeEventBus().onDetectedTrade(event => this.handleDetectedTrade(event));
+    
     // Global settings
     this.globalSettings = {
       maxConcurrentTrades: 50,
@@ -49,6 +53,11 @@ class AdvancedCopyTradingEngine {
       await this.loadCopyTradeSettings();
       await this.loadMonitoredWallets();
       
+      // Pick up wallets added or removed outside the engine
+      if (!this.walletIndexInterval) {
+        this.walletIndexInterval = setInterval(() => this.loadMonitoredWallets(), 60000);
+      }
+      
       this.initialized = true;
       console.log('✅ Advanced Copy Trading Engine initialized successfully');
       console.log('🎯 Features enabled: Blind Follow, Frontrun, Smart Slippage, Multi Buy, Auto Checks');
@@ -86,35 +95,71 @@ class AdvancedCopyTradingEngine {
     }
   }
 
-  // Load monitored wallets
+  // Load monitored wallets into the wallet -> subscribers index
   async loadMonitoredWallets() {
     try {
       const allUsers = await userService.getAllUsersWithWallets();
+      const previous = this.monitoredWallets;
+      this.monitoredWallets = new Map();
       
       for (const [userId, userData] of Object.entries(allUsers)) {
-        if (userData.wallets && userData.wallets.length > 0) {
-          for (const wallet of userData.wallets) {
-            this.monitoredWallets.set(wallet.toLowerCase(), {
-              userId,
-              wallet,
-              settings: this.copyTradeSettings.get(userId) || this.getDefaultCopySettings(),
-              lastActivity: 0,
-              stats: {
-                totalTrades: 0,
-                successfulTrades: 0,
-                failedTrades: 0
-              }
-            });
-          }
+        for (const wallet of userData.wallets || []) {
+          // Keep activity and stats for subscriptions that already existed
+          const existing = previous.get(this.getWalletKey(wallet))?.subscribers.get(String(userId));
+          this.addSubscriber(userId, wallet, existing);
         }
       }
       
-      console.log(`👀 Monitoring ${this.monitoredWallets.size} wallets`);
+      const subscriptions = [...this.monitoredWallets.values()]
+        .reduce((total, entry) => total + entry.subscribers.size, 0);
+      console.log(`👀 Monitoring ${this.monitoredWallets.size} wallets (${subscriptions} subscriptions)`);
     } catch (error) {
       console.warn('Failed to load monitored wallets:', error.message);
     }
   }
 
+  // Index key for a wallet: EVM addresses are case-insensitive, base58 (Solana) is not
+  getWalletKey(walletAddress) {
+    if (/^0x[a-fA-F0-9]{40}$/.test(walletAddress || '')) {
+      return walletAddress.toLowerCase();
+    }
+    return walletAddress;
+  }
+
+  // Add a user's subscription to a wallet in the index
+  addSubscriber(userId, walletAddress, existing = null) {
+    const key = this.getWalletKey(walletAddress);
+    userId = String(userId);
+    
+    if (!this.monitoredWallets.has(key)) {
+      this.monitoredWallets.set(key, {
+        wallet: walletAddress,
+        subscribers: new Map()
+      });
+    }
+    
+    const entry = this.monitoredWallets.get(key);
+    entry.subscribers.set(userId, {
+      userId,
+      wallet: walletAddress, // As this user entered it
+      settings: this.copyTradeSettings.get(userId) || this.getDefaultCopySettings(),
+      lastActivity: existing?.lastActivity || 0,
+      stats: existing?.stats || {
+        totalTrades: 0,
+        successfulTrades: 0,
+        failedTrades: 0
+      }
+    });
+    
+    return entry.subscribers.get(userId);
+  }
+
+  // Everyone copying a wallet
+  getWalletSubscribers(walletAddress) {
+    const entry = this.monitoredWallets.get(this.getWalletKey(walletAddress));
+    return entry ? [...entry.subscribers.values()] : [];
+  }
+
   // Get default copy trade settings
   getDefaultCopySettings() {
     return {
@@ -126,10 +171,9 @@ class AdvancedCopyTradingEngine {
       smartSlippage: true,
       trackOnly: false,
       
-      // Multi buy settings
+      // Multi buy settings - buys fan out to the wallets selected in /wallets
       multiBuy: {
-        enabled: false,
-        selectedWallets: []
+        enabled: false
       },
       
       // Gas settings
@@ -193,26 +237,72 @@ class AdvancedCopyTradingEngine {
 
   // Update settings for all monitored wallets of a user
   updateMonitoredWalletSettings(userId, settings) {
-    for (const [wallet, walletData] of this.monitoredWallets.entries()) {
-      if (walletData.userId === userId) {
-        walletData.settings = settings;
+    for (const entry of this.monitoredWallets.values()) {
+      const subscription = entry.subscribers.get(String(userId));
+      if (subscription) {
+        subscription.settings = settings;
       }
     }
   }
 
-  // Process detected trade from wallet monitor
+  // Handle a detected-trade event from the trade event bus
+  async handleDetectedTrade(event) {
+    return this.processDetectedTrade(event.walletAddress, event);
+  }
+
+  // Fan one detected trade out to every subscriber of the wallet
   async processDetectedTrade(walletAddress, tradeData) {
-    try {
-      if (!this.initialized || this.globalSettings.emergencyStop) {
-        return { success: false, reason: 'Service not available' };
+    if (!this.initialized || this.globalSettings.emergencyStop) {
+      return [{ success: false, reason: 'Service not available' }];
+    }
+    
+    const subscribers = this.getWalletSubscribers(walletAddress);
+    if (subscribers.length === 0) {
+      return [{ success: false, reason: 'Wallet not monitored' }];
+    }
+    
+    // Fill in the symbol for notifications
+    if (!tradeData.tokenSymbol && tradeData.tokenAddress) {
+      const tokenInfo = await tokenDataService.getTokenInfo(tradeData.tokenAddress, tradeData.chain);
+      tradeData = { ...tradeData, tokenSymbol: tokenInfo?.symbol };
+    }
+    
+    const tradeId = tradeData.id || `${tradeData.chain}:${tradeData.txHash}`;
+    
+    // Subscribers are independent - one user's failure must not block the others
+    const results = await Promise.allSettled(subscribers.map(async (subscription) => {
+      // Exactly one copy per source trade per user, even if the trade is seen twice
+      if (!await userService.claimProcessedTrade(`${tradeId}:${subscription.userId}`)) {
+        return { userId: subscription.userId, success: false, reason: 'Already processed' };
       }
+      
+      const result = await this.processTradeForSubscriber(subscription, tradeData);
+      return { userId: subscription.userId, ...result };
+    }));
+    
+    return results.map(result => result.status === 'fulfilled'
+      ? result.value
+      : { success: false, error: result.reason?.message });
+  }
 
-      const monitoredWallet = this.monitoredWallets.get(walletAddress.toLowerCase());
-      if (!monitoredWallet) {
-        return { success: false, reason: 'Wallet not monitored' };
+  // Process a detected trade for one subscriber with their own settings
+  async processTradeForSubscriber(subscription, tradeData) {
+    try {
+      const { userId, wallet: walletAddress, settings } = subscription;
+      
+      const userData = await userService.getUserSettings(userId);
+      if (!userService.getWalletChains(userData, walletAddress).includes(tradeData.chain.toLowerCase())) {
+        return { success: false, reason: `Wallet not tracked on ${tradeData.chain}` };
       }
-
-      const { userId, settings } = monitoredWallet;
+      
+      // Respect /pause and /stop for this wallet
+      const walletStatus = userData.walletStatus?.[walletAddress];
+      if (walletStatus === 'pause' || walletStatus === 'stopped') {
+        return { success: false, reason: `Wallet ${walletStatus === 'pause' ? 'paused' : 'stopped'}` };
+      }
+      
+      subscription.lastActivity = Date.now();
+      subscription.stats.totalTrades++;
       
       // Check if copy trading is enabled
       if (!settings.enabled) {
@@ -277,18 +367,21 @@ class AdvancedCopyTradingEngine {
         slippage: this.calculateSlippage(settings, tokenInfo),
         sourceWallet: walletAddress,
         sourceTxHash: txHash,
-        copyTrade: true
+        copyTrade: true,
+        // EVM gas follows the copy gas mode (auto/delta/fixed) relative to the source trade
+        gasSettings: settings.gasSettings,
+        sourceGasPrice: gasPrice
       };
 
       // Handle frontrun for ETH/BSC
-      if (settings.frontrun && (chain === 'ethereum' || chain === 'bsc')) {
+      if (settings.frontrun && gasPrice && (chain === 'ethereum' || chain === 'bsc')) {
         tradeParams.gasPrice = this.calculateFrontrunGas(gasPrice, settings);
         tradeParams.frontrun = true;
       }
 
       // Execute multi buy if enabled
-      if (settings.multiBuy.enabled && settings.multiBuy.selectedWallets.length > 0) {
-        return await this.executeMultiBuy(userId, tradeParams, settings);
+      if (settings.multiBuy?.enabled) {
+        return await this.executeMultiBuy(userId, walletAddress, tradeData, tradeParams);
       } else {
         // Single wallet buy
         const result = await this.tradingExecutor.executeBuyOrder(userId, tradeParams);
@@ -298,6 +391,8 @@ class AdvancedCopyTradingEngine {
           this.metrics.totalVolume += buyAmount;
           
           await this.sendTradeNotification(userId, walletAddress, tradeData, 'executed', null, result);
+        } else if (result.pending) {
+          await this.sendTradeNotification(userId, walletAddress, tradeData, 'pending', result.error, result);
         } else {
           this.metrics.failedCopies++;
           await this.sendTradeNotification(userId, walletAddress, tradeData, 'failed', result.error);
@@ -318,7 +413,7 @@ class AdvancedCopyTradingEngine {
   // Process sell trade
   async processSellTrade(userId, walletAddress, tradeData, settings) {
     try {
-      const { tokenAddress, percentage, chain } = tradeData;
+      const { tokenAddress, percentage, chain, gasPrice } = tradeData;
       
       // Check if user has position in this token
       const positions = await userService.getUserPositions(userId);
@@ -331,14 +426,23 @@ class AdvancedCopyTradingEngine {
         return { success: false, reason: 'No position found to sell' };
       }
 
+      // Copy the share the source wallet sold; without it a partial sell would liquidate the position
+      if (!percentage) {
+        const reason = 'Could not measure how much of its holding the source wallet sold';
+        await this.sendTradeNotification(userId, walletAddress, tradeData, 'rejected', reason);
+        return { success: false, reason };
+      }
+
       // Execute sell
       const tradeParams = {
         tokenAddress,
-        percentage: percentage || 100,
+        percentage,
         chain,
         slippage: settings.slippage,
         sourceWallet: walletAddress,
-        copyTrade: true
+        copyTrade: true,
+        gasSettings: settings.gasSettings,
+        sourceGasPrice: gasPrice
       };
 
       const result = await this.tradingExecutor.executeSellOrder(userId, tradeParams);
@@ -348,6 +452,8 @@ class AdvancedCopyTradingEngine {
         this.metrics.profitLoss += result.pnl || 0;
         
         await this.sendTradeNotification(userId, walletAddress, tradeData, 'executed', null, result);
+      } else if (result.pending) {
+        await this.sendTradeNotification(userId, walletAddress, tradeData, 'pending', result.error, result);
       } else {
         this.metrics.failedCopies++;
         await this.sendTradeNotification(userId, walletAddress, tradeData, 'failed', result.error);
@@ -475,57 +581,46 @@ class AdvancedCopyTradingEngine {
     }
   }
 
-  // Execute multi buy across selected wallets
-  async executeMultiBuy(userId, tradeParams, settings) {
+  // Execute multi buy: one buy of the full amount per wallet selected on the chain, in parallel.
+  // Each fill lands in that wallet's share of the position
+  async executeMultiBuy(userId, sourceWallet, tradeData, tradeParams) {
     try {
-      const selectedWallets = settings.multiBuy.selectedWallets;
+      const selectedWallets = await walletService.getSelectedWallets(userId, tradeParams.chain);
       const results = [];
       
       console.log(`🔥 Executing multi buy across ${selectedWallets.length} wallets`);
       
       // Execute trades in parallel for speed
-      const promises = selectedWallets.map(async (walletId) => {
-        try {
-          // Modify user ID to target specific wallet if needed
-          const result = await this.tradingExecutor.executeBuyOrder(userId, {
-            ...tradeParams,
-            targetWallet: walletId
-          });
-          
-          return { walletId, result };
-        } catch (error) {
-          return { walletId, error: error.message };
-        }
-      });
-      
-      const responses = await Promise.allSettled(promises);
+      const responses = await Promise.allSettled(selectedWallets.map(wallet =>
+        this.tradingExecutor.executeBuyOrder(userId, {
+          ...tradeParams,
+          walletId: wallet.id
+        })
+      ));
       
       let successCount = 0;
       let totalVolume = 0;
       
-      for (const response of responses) {
-        if (response.status === 'fulfilled') {
-          const { walletId, result, error } = response.value;
-          
-          if (result && result.success) {
-            successCount++;
-            totalVolume += tradeParams.amount;
-            results.push({ walletId, success: true, txHash: result.txHash });
-          } else {
-            results.push({ walletId, success: false, error: error || result?.error });
-          }
-        } else {
-          results.push({ walletId: 'unknown', success: false, error: response.reason });
+      responses.forEach((response, index) => {
+        const wallet = selectedWallets[index];
+        const result = response.status === 'fulfilled'
+          ? response.value
+          : { success: false, error: response.reason?.message || String(response.reason) };
+        
+        if (result.success) {
+          successCount++;
+          totalVolume += tradeParams.amount;
         }
-      }
+        results.push({ walletId: wallet.id, walletName: wallet.name, ...result });
+      });
       
       // Update metrics
       this.metrics.successfulCopies += successCount;
-      this.metrics.failedCopies += (selectedWallets.length - successCount);
+      this.metrics.failedCopies += results.filter(result => !result.success && !result.pending).length;
       this.metrics.totalVolume += totalVolume;
       this.metrics.totalCopies += selectedWallets.length;
       
-      return {
+      const summary = {
         success: successCount > 0,
         multiBuy: true,
         successCount,
@@ -534,6 +629,17 @@ class AdvancedCopyTradingEngine {
         totalVolume
       };
       
+      await this.sendTradeNotification(
+        userId,
+        sourceWallet,
+        tradeData,
+        successCount > 0 ? 'executed' : results.some(result => result.pending) ? 'pending' : 'failed',
+        null,
+        summary
+      );
+      
+      return summary;
+      
     } catch (error) {
       console.error('Multi buy execution error:', error);
       return { success: false, error: error.message };
@@ -549,6 +655,7 @@ class AdvancedCopyTradingEngine {
         track_only: '👀',
         rejected: '❌',
         failed: '💥',
+        pending: '⏳',
         executed: tradeData.type === 'buy' ? '🟢' : '🔴'
       };
       
@@ -561,7 +668,16 @@ class AdvancedCopyTradingEngine {
       message += `💰 **Type:** ${tradeData.type.toUpperCase()}\n`;
       message += `🌐 **Chain:** ${tradeData.chain.toUpperCase()}\n\n`;
       
-      if (status === 'executed' && result) {
+      if (result?.multiBuy) {
+        message += `👛 **Multi Buy:** ${result.successCount}/${result.totalAttempts} wallets filled\n`;
+        for (const walletResult of result.results) {
+          const walletStatus = walletResult.success ? '✅' : walletResult.pending ? '⏳' : '❌';
+          message += `${walletStatus} ${walletResult.walletName}: `;
+          message += walletResult.success
+            ? `${walletResult.tokensReceived?.toFixed(4)} tokens - \`${walletResult.txHash}\`\n`
+            : walletResult.pending ? `\`${walletResult.txHash}\`\n` : `${walletResult.error}\n`;
+        }
+      } else if (status === 'executed' && result) {
         if (tradeData.type === 'buy') {
           message += `🪙 **Tokens Received:** ${result.tokensReceived?.toFixed(4) || 'Unknown'}\n`;
           message += `💵 **Price:** $${result.executedPrice?.toFixed(8) || 'Unknown'}\n`;
@@ -576,6 +692,10 @@ class AdvancedCopyTradingEngine {
         }
       }
       
+      if (status === 'pending' && result && !result.multiBuy) {
+        message += `📝 **TX:** \`${result.txHash}\`\n`;
+      }
+      
       if (reason) {
         message += `\n📝 **Reason:** ${reason}`;
       }
@@ -592,25 +712,14 @@ class AdvancedCopyTradingEngine {
   // Add wallet to monitoring
   async addMonitoredWallet(userId, walletAddress) {
     try {
-      const wallet = walletAddress.toLowerCase();
+      const alreadySubscribed = this.getWalletSubscribers(walletAddress)
+        .some(subscription => subscription.userId === String(userId));
       
-      if (this.monitoredWallets.has(wallet)) {
+      if (alreadySubscribed) {
         return { success: false, reason: 'Wallet already monitored' };
       }
       
-      const settings = this.copyTradeSettings.get(userId) || this.getDefaultCopySettings();
-      
-      this.monitoredWallets.set(wallet, {
-        userId,
-        wallet: walletAddress,
-        settings,
-        lastActivity: 0,
-        stats: {
-          totalTrades: 0,
-          successfulTrades: 0,
-          failedTrades: 0
-        }
-      });
+      this.addSubscriber(userId, walletAddress);
       
       console.log(`👀 Added wallet ${walletAddress} to monitoring for user ${userId}`);
       return { success: true };
@@ -621,13 +730,22 @@ class AdvancedCopyTradingEngine {
     }
   }
 
-  // Remove wallet from monitoring
-  removeMonitoredWallet(walletAddress) {
-    const wallet = walletAddress.toLowerCase();
-    const removed = this.monitoredWallets.delete(wallet);
+  // Remove a user's subscription to a wallet (or every subscription when no user is given)
+  removeMonitoredWallet(walletAddress, userId = null) {
+    const key = this.getWalletKey(walletAddress);
+    const entry = this.monitoredWallets.get(key);
+    if (!entry) return false;
+    
+    const removed = userId === null
+      ? entry.subscribers.size > 0
+      : entry.subscribers.delete(String(userId));
+    
+    if (userId === null || entry.subscribers.size === 0) {
+      this.monitoredWallets.delete(key);
+    }
     
     if (removed) {
-      console.log(`🗑️ Removed wallet ${walletAddress} from monitoring`);
+      console.log(`🗑️ Removed wallet ${walletAddress} from monitoring${userId ? ` for user ${userId}` : ''}`);
     }
     
     return removed;
@@ -643,6 +761,8 @@ class AdvancedCopyTradingEngine {
     return {
       initialized: this.initialized,
       monitoredWallets: this.monitoredWallets.size,
+      subscriptions: [...this.monitoredWallets.values()]
+        .reduce((total, entry) => total + entry.subscribers.size, 0),
       usersWithSettings: this.copyTradeSettings.size,
       metrics: this.metrics,
       globalSettings: this.globalSettings,
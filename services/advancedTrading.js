@@ -1,6 +1,8 @@
-const { Connection, PublicKey, Transaction, VersionedTransaction } = require('@solana/web3.js');
+const { Connection, PublicKey, Transaction, VersionedTransaction, LAMPORTS_PER_SOL } = require('@solana/web3.js');
 const { JsonRpcProvider } = require("ethers");
 const axios = require('axios');
+const { getRPCManager } = require('./rpcManager');
+const { getRealTradingExecutor, SOLANA_FEE_LEVELS } = require('./realTradingExecutor');
 
 // Anti-MEV RPC endpoints (premium endpoints that protect against MEV attacks)
 const ANTI_MEV_RPCS = {
@@ -183,7 +185,7 @@ class PriceMonitor {
     // Try multiple price sources
     try {
       // DexScreener
-      const dexResponse = await axios.get(`https://api.dexscreener.com/latest/dex/tokens/${tokenAddress}`);
+      const dexResponse = await axios.get(`https://api.dexscreener.com/latest/dex/tokens/${tokenAddress}`, { timeout: 5000 });
       if (dexResponse.data?.pairs?.[0]?.priceUsd) {
         prices.push(parseFloat(dexResponse.data.pairs[0].priceUsd));
       }
@@ -194,7 +196,7 @@ class PriceMonitor {
     try {
       // Jupiter (Solana only)
       if (chain === 'solana') {
-        const jupResponse = await axios.get(`https://price.jup.ag/v4/price?ids=${tokenAddress}`);
+        const jupResponse = await axios.get(`https://price.jup.ag/v4/price?ids=${tokenAddress}`, { timeout: 5000 });
         if (jupResponse.data?.data?.[tokenAddress]?.price) {
           prices.push(parseFloat(jupResponse.data.data[tokenAddress].price));
         }
@@ -314,8 +316,10 @@ class AntiMEVTransactionBuilder {
   }
 
   async buildSolanaTransaction(params) {
-    // Use Jito bundles for MEV protection on Solana
-    const jitoTip = 0.0001; // 0.0001 SOL tip for priority
+    // Priority fee and Jito tip follow the executor's fee levels; sign the result and
+    // land it with getRealTradingExecutor().landSolanaTransaction to send it as a Jito bundle
+    const feeLevel = SOLANA_FEE_LEVELS[params.feeLevel] ? params.feeLevel : 'fast';
+    const jitoTip = SOLANA_FEE_LEVELS[feeLevel].jitoTipLamports / LAMPORTS_PER_SOL;
     
     // Build transaction with Jupiter API
     const quoteResponse = await axios.get('https://quote-api.jup.ag/v6/quote', {
@@ -327,30 +331,37 @@ class AntiMEVTransactionBuilder {
       }
     });
 
-    const { swapTransaction } = await axios.post('https://quote-api.jup.ag/v6/swap', {
+    const connection = await getRPCManager().getSolanaConnection();
+    const computeUnitPrice = await getRealTradingExecutor().getSolanaPriorityFee(connection, quoteResponse.data, feeLevel);
+
+    const { swapTransaction, lastValidBlockHeight } = await axios.post('https://quote-api.jup.ag/v6/swap', {
       quoteResponse: quoteResponse.data,
       userPublicKey: params.userAddress,
-      priorityFee: params.priorityFee
+      wrapAndUnwrapSol: true,
+      dynamicComputeUnitLimit: true,
+      computeUnitPriceMicroLamports: computeUnitPrice
     }).then(res => res.data);
 
     return {
       transaction: swapTransaction,
+      lastValidBlockHeight,
       slippage: params.slippage,
+      computeUnitPrice,
       jitoTip,
       expectedOutput: quoteResponse.data.outAmount
     };
   }
 
   async buildEVMTransaction(params) {
-    // Use Flashbots for MEV protection on Ethereum
-    // This is a simplified example
+    // Send the request with getRealTradingExecutor().sendEVMTransaction(..., { privateRelay: true })
+    // to keep it out of the public mempool on Ethereum
     return {
       to: params.routerAddress,
       data: params.swapData,
       value: params.value,
       maxPriorityFeePerGas: params.priorityFee,
       type: 2, // EIP-1559
-      flashbots: true
+      privateRelay: params.chain === 'ethereum'
     };
   }
 }
@@ -4,6 +4,7 @@ const { ethers } = require('ethers');
 const axios = require('axios');
 const userService = require('../users/userService');
 const tokenDataService = require('./tokenDataService');
+const { getRealTradingExecutor } = require('./realTradingExecutor');
 
 class AdvancedTradingEngine {
   constructor() {
@@ -52,20 +53,21 @@ class AdvancedTradingEngine {
     return userData.tradingSettings;
   }
 
-  // Simulate trade before execution
-  async simulateTrade(tokenAddress, amount, action, chain, slippage = 5) {
-    try {
-      let simulation = {
-        success: false,
-        priceImpact: 0,
-        expectedOutput: 0,
-        minOutput: 0,
-        route: null,
-        fees: 0,
-        warnings: [],
-        errors: []
-      };
+  // Simulate trade before execution: an on-chain pre-flight of the swap from the user's wallet
+  async simulateTrade(userId, tokenAddress, amount, action, chain, slippage = 5) {
+    const simulation = {
+      success: false,
+      priceImpact: 0,
+      expectedOutput: 0,
+      minOutput: 0,
+      route: null,
+      fees: 0,
+      networkFee: null,
+      warnings: [],
+      errors: []
+    };
 
+    try {
       // Get token data
       const tokenData = await tokenDataService.getTokenData(tokenAddress, chain);
       
@@ -79,55 +81,52 @@ class AdvancedTradingEngine {
         simulation.warnings.push('⚠️ Very low liquidity - high slippage risk');
       }
 
-      // Calculate price impact
-      const liquidityUSD = tokenData.liquidity || 0;
-      const tradeUSD = amount * (chain === 'solana' ? tokenData.priceUsd : 
-                                chain === 'ethereum' ? 3000 : 400); // Rough price estimates
-      
-      simulation.priceImpact = liquidityUSD > 0 ? (tradeUSD / liquidityUSD) * 100 : 100;
-      
-      if (simulation.priceImpact > 25) {
-        simulation.warnings.push(`⚠️ High price impact: ${simulation.priceImpact.toFixed(2)}%`);
-      }
+      const result = await getRealTradingExecutor().simulateTrade({
+        userId,
+        tokenAddress,
+        amount,
+        chain,
+        tradeType: action,
+        slippage
+      });
 
-      // Estimate output based on AMM formula
-      const slippageMultiplier = 1 - (slippage / 100);
-      
-      if (action === 'buy') {
-        simulation.expectedOutput = amount / tokenData.priceUsd;
-        simulation.minOutput = simulation.expectedOutput * slippageMultiplier;
-      } else {
-        simulation.expectedOutput = amount * tokenData.priceUsd;
-        simulation.minOutput = simulation.expectedOutput * slippageMultiplier;
+      if (!result.success) {
+        simulation.errors.push(`Simulation failed: ${result.error}`);
+        return simulation;
       }
 
-      // Check for trading route (simplified)
-      if (chain === 'solana' && tokenData.marketCap > 1000) {
-        simulation.route = 'Jupiter';
-      } else if ((chain === 'ethereum' || chain === 'bsc') && tokenData.liquidity > 1000) {
-        simulation.route = 'Uniswap V3';
-      } else {
-        simulation.errors.push('Could not find trading route');
+      const preflight = result.simulation;
+      simulation.priceImpact = preflight.priceImpact ?? 0;
+      simulation.expectedOutput = preflight.expectedOutput;
+      simulation.minOutput = preflight.minOutput;
+      simulation.route = preflight.route;
+      simulation.networkFee = preflight.networkFee;
+
+      if (preflight.revertReason) {
+        simulation.errors.push(`Trade would revert: ${preflight.revertReason}`);
         return simulation;
       }
 
-      // Calculate fees
+      if (simulation.priceImpact > 25) {
+        simulation.warnings.push(`⚠️ High price impact: ${simulation.priceImpact.toFixed(2)}%`);
+      }
+
+      if (preflight.note) {
+        simulation.warnings.push(`⚠️ ${preflight.note}`);
+      }
+
+      // Dev fee: taken from the input on buys and from the proceeds on sells
       const devFeePercent = parseFloat(process.env.DEV_FEE_PERCENT || '3');
-      simulation.fees = simulation.expectedOutput * (devFeePercent / 100);
+      simulation.fees = (action === 'buy' ? amount : simulation.expectedOutput) * (devFeePercent / 100);
 
-      simulation.success = simulation.errors.length === 0;
+      simulation.success = true;
       return simulation;
 
     } catch (err) {
       return {
+        ...simulation,
         success: false,
-        errors: [`Simulation failed: ${err.message}`],
-        warnings: [],
-        priceImpact: 0,
-        expectedOutput: 0,
-        minOutput: 0,
-        route: null,
-        fees: 0
+        errors: [`Simulation failed: ${err.message}`]
       };
     }
   }
@@ -288,6 +287,9 @@ class AdvancedTradingEngine {
       message += `📉 **Min Output:** ${simulation.minOutput.toFixed(4)}\n`;
       message += `🛣️ **Route:** ${simulation.route}\n`;
       message += `💸 **TX Fee:** ${simulation.fees.toFixed(4)}\n`;
+      if (simulation.networkFee !== null) {
+        message += `⛽ **Network Fee:** ~${simulation.networkFee.toFixed(6)}\n`;
+      }
     } else {
       message += `❌ **Simulation Failed**\n`;
     }
@@ -1,31 +1,28 @@
 // services/copyTradingEngine.js - Advanced Copy Trading Engine
-const { Connection, PublicKey, Transaction, SystemProgram } = require('@solana/web3.js');
-const { JsonRpcProvider, Wallet } = require('ethers');
+const { Keypair, VersionedTransaction, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { Wallet } = require('ethers');
 const userService = require('../users/userService');
 const walletService = require('./walletService');
 const tokenDataService = require('./tokenDataService');
+const { getRPCManager } = require('./rpcManager');
+const { getRealTradingExecutor, COMMON_TOKENS } = require('./realTradingExecutor');
 const axios = require('axios');
 
 // Trade execution status for each wallet
 const walletTradingStatus = new Map();
 
-// RPC connections with better endpoints
-const connections = {
-  solana: new Connection(
-    process.env.SOLANA_RPC || 'https://api.mainnet-beta.solana.com',
-    { commitment: 'confirmed' }
-  ),
-  ethereum: new JsonRpcProvider(
-    process.env.ETH_RPC || 'https://mainnet.infura.io/v3/YOUR_KEY'
-  ),
-  bsc: new JsonRpcProvider(
-    process.env.BSC_RPC || 'https://bsc-dataseed.binance.org/'
-  )
-};
-
 // Jupiter API for Solana swaps
 const JUPITER_API = 'https://quote-api.jup.ag/v6';
 
+const NATIVE_SYMBOLS = {
+  solana: 'SOL',
+  ethereum: 'ETH',
+  bsc: 'BNB',
+  polygon: 'MATIC',
+  arbitrum: 'ETH',
+  base: 'ETH'
+};
+
 class CopyTradingEngine {
   constructor(bot) {
     this.bot = bot;
@@ -117,8 +114,14 @@ class CopyTradingEngine {
         ? await tokenDataService.getTokenData(trade.tokenAddress, chain)
         : null;
 
-      // Calculate amounts with dev fee
       const devFeePercent = parseFloat(process.env.DEV_FEE_PERCENT || '3') / 100;
+      
+      if (trade.action === 'sell') {
+        await this.processCopySell(userId, trackedWallet, trade, chain, userData, tokenData, devFeePercent);
+        return;
+      }
+      
+      // Calculate amounts with dev fee
       const devFee = trade.amount * devFeePercent;
       const netAmount = trade.amount - devFee;
 
@@ -128,7 +131,7 @@ class CopyTradingEngine {
         await this.sendTradeNotification(userId, {
           ...trade,
           status: 'failed',
-          reason: 'Insufficient balance',
+          reason: `Insufficient balance (${userBalance.toFixed(4)} ${NATIVE_SYMBOLS[chain] || ''})`,
           walletName: this.getWalletDisplayName(userId, trackedWallet),
           tokenData
         }, chain);
@@ -162,7 +165,7 @@ class CopyTradingEngine {
         amount: netAmount,
         devFee,
         tokenData
-      }, chain);
+      }, chain, userData.slippage);
 
       // Send notification
       await this.sendTradeNotification(userId, {
@@ -184,12 +187,14 @@ class CopyTradingEngine {
         });
 
         // Process dev fee collection
-        await this.collectDevFee(userId, devFee, chain, trade.action);
+        await this.collectDevFee(userId, devFee, chain, trade.action, result);
         
         // Track position for PnL
-        if (trade.action === 'buy') {
-          await userService.addPosition(userId, trade.tokenAddress, netAmount, tokenData?.priceUsd || 0, trackedWallet);
-        }
+        // Positions are priced in the native asset spent
+        await userService.addPosition(userId, trade.tokenAddress, result.tokensReceived, netAmount / result.tokensReceived, trackedWallet, {
+          chain,
+          walletId: 'main'
+        });
       }
 
     } catch (err) {
@@ -203,13 +208,72 @@ class CopyTradingEngine {
     }
   }
 
-  // Execute actual trade
-  async executeTrade(userId, trade, chain) {
+  // Copy a sell: sell the same share of the user's own position
+  async processCopySell(userId, trackedWallet, trade, chain, userData, tokenData, devFeePercent) {
+    const position = userData.positions?.[trade.tokenAddress];
+    const walletName = this.getWalletDisplayName(userId, trackedWallet);
+    
+    // Trades here are signed by the main wallet, so the sell comes out of its holding
+    const holding = position ? userService.getPositionWallets(position).main : null;
+    
+    if (!holding || holding.amount <= 0) {
+      await this.sendTradeNotification(userId, {
+        ...trade,
+        status: 'failed',
+        reason: 'No position to sell',
+        walletName,
+        tokenData
+      }, chain);
+      return;
+    }
+    
+    const sellPercentage = trade.percentage || 100;
+    const tokenAmount = holding.amount * sellPercentage / 100;
+    
+    const result = await this.executeTrade(userId, {
+      ...trade,
+      amount: tokenAmount,
+      devFeePercent,
+      tokenData
+    }, chain, userData.slippage);
+    
+    // Dev fee comes out of the native proceeds; on Solana it already left with the swap
+    const devFee = result.feeTransfer
+      ? result.feeTransfer.amount
+      : (result.nativeReceived || 0) * devFeePercent;
+    
+    await this.sendTradeNotification(userId, {
+      ...trade,
+      ...result,
+      amount: result.nativeReceived || trade.amount,
+      walletName,
+      devFee,
+      netAmount: result.nativeReceived ? result.nativeReceived - devFee : null,
+      tokenData
+    }, chain);
+    
+    if (result.status === 'success') {
+      const tokensSold = result.tokensSold ?? tokenAmount;
+      const sale = await userService.sellPosition(userId, trade.tokenAddress, sellPercentage, (result.nativeReceived || 0) / tokensSold, tokensSold, 'main');
+      
+      await userService.updateStats(userId, {
+        amount: result.nativeReceived,
+        devFee,
+        pnl: sale.pnl || 0,
+        action: 'sell'
+      });
+      
+      await this.collectDevFee(userId, devFee, chain, 'sell', result);
+    }
+  }
+
+  // Execute actual trade (amount is native for buys, tokens for sells)
+  async executeTrade(userId, trade, chain, slippage = 5) {
     try {
       if (chain === 'solana') {
-        return await this.executeSolanaTrade(userId, trade);
-      } else if (chain === 'ethereum' || chain === 'bsc') {
-        return await this.executeEVMTrade(userId, trade, chain);
+        return await this.executeSolanaTrade(userId, trade, slippage);
+      } else if (userService.EVM_CHAINS.includes(chain)) {
+        return await this.executeEVMTrade(userId, trade, chain, slippage);
       }
       
       throw new Error('Unsupported chain');
@@ -223,57 +287,126 @@ class CopyTradingEngine {
   }
 
   // Execute Solana trade using Jupiter
-  async executeSolanaTrade(userId, trade) {
+  async executeSolanaTrade(userId, trade, slippage) {
     try {
       // Get user's keypair
       const userWallet = await this.getUserKeypair(userId, 'solana');
       
       // Get Jupiter quote
-      const quote = await this.getJupiterQuote(trade);
+      const quote = await this.getJupiterQuote(trade, slippage);
       if (!quote) {
         throw new Error('Failed to get swap quote');
       }
 
+      // Price the swap at the user's fee level
+      const executor = getRealTradingExecutor();
+      const connection = await getRPCManager().getSolanaConnection();
+      const sendOptions = executor.getSolanaSendOptions({}, await userService.getUserSettings(userId));
+      const computeUnitPrice = await executor.getSolanaPriorityFee(connection, quote, sendOptions.priorityFee);
+
       // Build transaction
-      const swapTransaction = await this.buildJupiterSwap(quote, userWallet.publicKey);
+      const { transaction, lastValidBlockHeight } = await this.buildJupiterSwap(quote, userWallet.publicKey, computeUnitPrice);
       
-      // Sign and send
-      swapTransaction.sign(userWallet);
-      const txHash = await connections.solana.sendTransaction(swapTransaction);
+      // Carry the dev fee in the swap: the fee itself on buys, a share of the quoted SOL on sells
+      const devFeeLamports = await executor.appendSolanaFeeTransfer(connection, transaction, userWallet.publicKey,
+        trade.action === 'buy'
+          ? Math.floor((trade.devFee || 0) * LAMPORTS_PER_SOL)
+          : Math.floor(parseInt(quote.outAmount) * (trade.devFeePercent || 0)));
       
-      // Wait for confirmation
-      await connections.solana.confirmTransaction(txHash);
+      // Sign and land it, through a Jito bundle when the user has MEV protection on
+      transaction.sign([userWallet]);
+      const txHash = await executor.landSolanaTransaction(connection, transaction, userWallet, lastValidBlockHeight, sendOptions);
       
-      return {
+      const result = {
         status: 'success',
         txHash,
-        executedPrice: quote.outAmount / quote.inAmount
+        executedPrice: quote.outAmount / quote.inAmount,
+        feeTransfer: devFeeLamports > 0 ? { amount: devFeeLamports / LAMPORTS_PER_SOL, txHash } : null
       };
       
+      // Prefer the confirmed balance changes over the quoted amounts
+      const fill = await executor.getSolanaSwapFill(connection, txHash, userWallet.publicKey, trade.tokenAddress);
+      
+      if (trade.action === 'buy') {
+        const decimals = await tokenDataService.getTokenDecimals(trade.tokenAddress, 'solana');
+        result.tokensReceived = fill && fill.tokenDelta > 0
+          ? fill.tokenDelta
+          : parseInt(quote.outAmount) / Math.pow(10, decimals);
+      } else {
+        result.tokensSold = fill && fill.tokenDelta < 0 ? -fill.tokenDelta : trade.amount;
+        const devFee = devFeeLamports / LAMPORTS_PER_SOL;
+        result.nativeReceived = fill && fill.nativeDelta + devFee > 0
+          ? fill.nativeDelta + devFee
+          : parseInt(quote.outAmount) / LAMPORTS_PER_SOL;
+      }
+      
+      return result;
+      
     } catch (err) {
       console.error('Solana trade error:', err);
       throw err;
     }
   }
 
-  // Get Jupiter quote
-  async getJupiterQuote(trade) {
+  // Get Jupiter quote using the user's slippage (percent)
+  async getJupiterQuote(trade, slippage) {
     try {
+      const decimals = trade.action === 'buy'
+        ? 9 // Spending SOL
+        : await tokenDataService.getTokenDecimals(trade.tokenAddress, 'solana');
+      
       const params = {
-        inputMint: trade.action === 'buy' ? 'So11111111111111111111111111111111111111112' : trade.tokenAddress,
-        outputMint: trade.action === 'buy' ? trade.tokenAddress : 'So11111111111111111111111111111111111111112',
-        amount: Math.floor(trade.amount * 1e9), // Convert to lamports
-        slippageBps: 100 // 1% slippage
+        inputMint: trade.action === 'buy' ? COMMON_TOKENS.solana.SOL : trade.tokenAddress,
+        outputMint: trade.action === 'buy' ? trade.tokenAddress : COMMON_TOKENS.solana.SOL,
+        amount: Math.floor(trade.amount * Math.pow(10, decimals)),
+        slippageBps: Math.round(slippage * 100)
       };
       
-      const response = await axios.get(`${JUPITER_API}/quote`, { params });
+      const response = await axios.get(`${JUPITER_API}/quote`, { params, timeout: 10000 });
       return response.data;
     } catch (err) {
-      console.error('Jupiter quote error:', err);
+      console.error('Jupiter quote error:', err.message);
       return null;
     }
   }
 
+  // Build the swap transaction for a quote
+  async buildJupiterSwap(quote, userPublicKey, computeUnitPrice) {
+    const response = await axios.post(`${JUPITER_API}/swap`, {
+      quoteResponse: quote,
+      userPublicKey: userPublicKey.toString(),
+      wrapAndUnwrapSol: true,
+      dynamicComputeUnitLimit: true,
+      computeUnitPriceMicroLamports: computeUnitPrice
+    }, { timeout: 10000 });
+    
+    if (!response.data?.swapTransaction) {
+      throw new Error('No swap transaction received');
+    }
+    
+    return {
+      transaction: VersionedTransaction.deserialize(Buffer.from(response.data.swapTransaction, 'base64')),
+      lastValidBlockHeight: response.data.lastValidBlockHeight
+    };
+  }
+
+  // Execute EVM trade through the shared router integration
+  async executeEVMTrade(userId, trade, chain, slippage) {
+    const privateKey = await walletService.getWalletPrivateKeyForTrading(userId, chain);
+    const executor = getRealTradingExecutor();
+    const userData = await userService.getUserSettings(userId);
+    const gasOptions = executor.getGasOptions({ sourceGasPrice: trade.gasPrice }, userData, chain);
+    
+    const result = trade.action === 'buy'
+      ? await executor.executeEVMBuy(privateKey, trade.tokenAddress, trade.amount, slippage, chain, gasOptions)
+      : await executor.executeEVMSell(privateKey, trade.tokenAddress, trade.amount, slippage, chain, gasOptions);
+    
+    return {
+      status: 'success',
+      ...result
+    };
+  }
+
   // Send enhanced trade notification
   async sendTradeNotification(userId, trade, chain) {
     const actionEmoji = trade.action === 'buy' ? '🟢' : '🔴';
@@ -289,7 +422,7 @@ class CopyTradingEngine {
       
       message += `🎯 **${td.name}** (${td.symbol})\n`;
       message += `**Action:** ${trade.action.toUpperCase()}\n`;
-      message += `**Amount:** ${trade.originalAmount || trade.amount} ${chain === 'solana' ? 'SOL' : chain === 'ethereum' ? 'ETH' : 'BNB'}\n\n`;
+      message += `**Amount:** ${trade.originalAmount || trade.amount} ${NATIVE_SYMBOLS[chain] || chain.toUpperCase()}\n\n`;
       
       message += `📊 **Token Info:**\n`;
       message += `• **Price:** $${td.priceUsd.toFixed(6)}\n`;
@@ -314,7 +447,7 @@ class CopyTradingEngine {
     } else {
       // Simple format for unknown tokens
       message += `**Action:** ${trade.action.toUpperCase()}\n`;
-      message += `**Amount:** ${trade.amount} ${chain === 'solana' ? 'SOL' : chain === 'ethereum' ? 'ETH' : 'BNB'}\n\n`;
+      message += `**Amount:** ${trade.amount} ${NATIVE_SYMBOLS[chain] || chain.toUpperCase()}\n\n`;
     }
     
     // Add execution details
@@ -346,56 +479,45 @@ class CopyTradingEngine {
     });
   }
 
-  // Get user balance
+  // Get user's on-chain native balance
   async getUserBalance(userId, chain) {
-    // In production, this would check actual on-chain balance
-    // For now, returning mock balance
-    return 10; // Mock balance
+    const userData = await userService.getUserSettings(userId);
+    const address = userData?.custodialWallets?.[chain]?.address;
+    if (!address) return 0;
+    
+    const balanceData = await walletService.getWalletBalance(address, chain);
+    if (balanceData.error && !parseFloat(balanceData.balance)) {
+      throw new Error(`Could not fetch balance: ${balanceData.error}`);
+    }
+    return parseFloat(balanceData.balance) || 0;
   }
 
-  // Get user keypair for signing
+  // Get user keypair (Solana) or wallet (EVM) for signing
   async getUserKeypair(userId, chain) {
-    // This would decrypt the user's private key
-    // For security, this should be handled very carefully
-    throw new Error('Trade execution not implemented yet');
-  }
-
-  // Collect dev fee
-  async collectDevFee(userId, amount, chain, action) {
-    // Get admin wallet for the chain
-    const adminWallet = process.env[`ADMIN_WALLET_${chain.toUpperCase()}`] || process.env.ADMIN_WALLET_ADDRESS;
+    const privateKey = await walletService.getWalletPrivateKeyForTrading(userId, chain);
     
-    if (!adminWallet) {
-      console.error('No admin wallet configured for dev fee collection');
-      return;
+    if (chain === 'solana') {
+      return Keypair.fromSecretKey(new Uint8Array(Buffer.from(privateKey, 'hex')));
     }
     
-    // Log the ACTUAL dev fee collection from user's trade
-    console.log(`💰 Dev fee collected from user ${userId}: ${amount.toFixed(4)} ${chain} (${action})`);
-    
-    // Update REAL admin stats
-    await userService.updateAdminStats({
-      feeCollected: amount,
+    const provider = await getRealTradingExecutor().getEVMProvider(chain);
+    return new Wallet(privateKey, provider);
+  }
+
+  // Collect dev fee on-chain to the treasury; fees that went out with the swap are only recorded
+  async collectDevFee(userId, amount, chain, action, result = {}) {
+    return getRealTradingExecutor().collectDevFee(userId, {
       chain,
       action,
-      fromUser: userId,
-      timestamp: new Date(),
-      type: 'actual_collection' // Mark as real collection
+      amount,
+      tradeTxHash: result.txHash || null,
+      feeTransfer: result.feeTransfer || null
     });
   }
 
   // Get explorer link
   getExplorerLink(txHash, chain) {
-    switch (chain) {
-      case 'solana':
-        return `https://solscan.io/tx/${txHash}`;
-      case 'ethereum':
-        return `https://etherscan.io/tx/${txHash}`;
-      case 'bsc':
-        return `https://bscscan.com/tx/${txHash}`;
-      default:
-        return '#';
-    }
+    return getRealTradingExecutor().getExplorerUrl(txHash, chain);
   }
 }
 
@@ -0,0 +1,176 @@
+// services/gasManager.js - EIP-1559 gas pricing, gas limit estimation and max gas enforcement for EVM sends
+const { ethers, parseUnits, formatUnits } = require('ethers');
+
+// Blocks of fee history used to price the priority fee
+const FEE_HISTORY_BLOCKS = 10;
+
+// Priority fee reward percentile per speed
+const SPEED_PERCENTILES = {
+  slow: 25,
+  standard: 50,
+  fast: 75
+};
+
+// Estimated gas limits get this much headroom
+const GAS_LIMIT_BUFFER_PERCENT = 20;
+
+// The engine's default max gas price is tuned for Ethereum; a max gas price the user
+// sets themselves applies on every EVM chain
+const DEFAULT_MAX_GAS_PRICE_GWEI = {
+  ethereum: 50
+};
+
+function toWei(gwei) {
+  return parseUnits(Number(gwei).toFixed(9), 'gwei');
+}
+
+function toGwei(wei) {
+  return parseFloat(formatUnits(wei, 'gwei')).toFixed(2);
+}
+
+class GasManager {
+  // Next-block base fee and priority fee from eth_feeHistory, or the legacy gas price
+  // on networks without EIP-1559
+  async getNetworkFees(provider, speed = 'standard') {
+    const percentile = SPEED_PERCENTILES[speed] || SPEED_PERCENTILES.standard;
+
+    try {
+      const history = await provider.send('eth_feeHistory', [
+        ethers.toQuantity(FEE_HISTORY_BLOCKS),
+        'latest',
+        [percentile]
+      ]);
+
+      const baseFees = history?.baseFeePerGas || [];
+      if (baseFees.length > 0) {
+        // The last entry is the base fee of the block being built
+        const baseFee = BigInt(baseFees[baseFees.length - 1]);
+
+        const rewards = (history.reward || [])
+          .map(reward => BigInt(reward[0]))
+          .filter(reward => reward > 0n)
+          .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+
+        let priorityFee = rewards.length > 0 ? rewards[Math.floor(rewards.length / 2)] : null;
+        if (priorityFee === null) {
+          priorityFee = (await provider.getFeeData()).maxPriorityFeePerGas || 0n;
+        }
+
+        return { eip1559: true, baseFee, priorityFee };
+      }
+    } catch (error) {
+      console.warn('Fee history unavailable, using legacy gas price:', error.message);
+    }
+
+    const { gasPrice } = await provider.getFeeData();
+    return { eip1559: false, gasPrice };
+  }
+
+  // Fee overrides for a send.
+  // options.gasPrice: explicit gwei price (wins over everything)
+  // options.gasSettings: copy settings { type: 'auto' | 'delta' | 'fixed', delta, fixed } in gwei
+  // options.sourceGasPrice: gwei paid by the copied wallet, used by delta mode
+  // options.maxGasPrice: gwei cap; sends that would pay more are refused
+  async getFeeOverrides(provider, options = {}) {
+    const { gasPrice, gasSettings, sourceGasPrice, maxGasPrice, speed = 'standard' } = options;
+    const fees = await this.getNetworkFees(provider, speed);
+
+    // Delta and fixed modes target an exact gas price
+    let target = null;
+    if (gasPrice) {
+      target = toWei(gasPrice);
+    } else if (gasSettings?.type === 'fixed' && gasSettings.fixed) {
+      target = toWei(gasSettings.fixed);
+    } else if (gasSettings?.type === 'delta' && sourceGasPrice) {
+      target = toWei(sourceGasPrice + (gasSettings.delta || 0));
+    }
+
+    let overrides;
+    if (fees.eip1559) {
+      if (target !== null) {
+        if (target < fees.baseFee) {
+          throw new Error(`Gas price ${toGwei(target)} gwei is below the current base fee of ${toGwei(fees.baseFee)} gwei`);
+        }
+        overrides = {
+          maxFeePerGas: target,
+          maxPriorityFeePerGas: target - fees.baseFee
+        };
+      } else {
+        // Room for the base fee to double before the transaction is priced out
+        overrides = {
+          maxFeePerGas: fees.baseFee * 2n + fees.priorityFee,
+          maxPriorityFeePerGas: fees.priorityFee
+        };
+      }
+    } else {
+      overrides = { gasPrice: target ?? fees.gasPrice };
+    }
+
+    if (maxGasPrice) {
+      const cap = toWei(maxGasPrice);
+      const expected = fees.eip1559
+        ? fees.baseFee + overrides.maxPriorityFeePerGas
+        : overrides.gasPrice;
+
+      if (expected > cap) {
+        throw new Error(`Gas price ${toGwei(expected)} gwei exceeds your max gas price of ${maxGasPrice} gwei`);
+      }
+
+      if (fees.eip1559 && overrides.maxFeePerGas > cap) {
+        overrides.maxFeePerGas = cap;
+      }
+    }
+
+    return overrides;
+  }
+
+  // Estimated gas limit plus buffer; falls back to a fixed limit when estimation fails
+  async estimateGasLimit(provider, txRequest, fallbackLimit = null) {
+    try {
+      const estimate = await provider.estimateGas(txRequest);
+      return estimate * BigInt(100 + GAS_LIMIT_BUFFER_PERCENT) / 100n;
+    } catch (error) {
+      if (fallbackLimit === null) {
+        throw error;
+      }
+      console.warn(`Gas estimation failed, using ${fallbackLimit}:`, error.shortMessage || error.message);
+      return BigInt(fallbackLimit);
+    }
+  }
+
+  // Fee and gas limit overrides for a populated transaction. Pass options.feeOverrides
+  // to reuse fees already priced for this trade
+  async getTransactionOverrides(provider, txRequest, options = {}) {
+    const [fees, gasLimit] = await Promise.all([
+      options.feeOverrides || this.getFeeOverrides(provider, options),
+      this.estimateGasLimit(provider, txRequest, options.fallbackGasLimit ?? null)
+    ]);
+
+    return { ...fees, gasLimit };
+  }
+
+  // Gas price used to compare routes: the most a send with these overrides can pay
+  getQuotedGasPrice(overrides) {
+    return overrides.gasPrice ?? overrides.maxFeePerGas;
+  }
+
+  // The user's max gas price in gwei for a chain, or null when uncapped
+  getMaxGasPrice(userData, chain) {
+    return userData?.tradingSettings?.maxGasPrice || DEFAULT_MAX_GAS_PRICE_GWEI[chain] || null;
+  }
+}
+
+// Singleton instance
+let gasManager = null;
+
+function getGasManager() {
+  if (!gasManager) {
+    gasManager = new GasManager();
+  }
+  return gasManager;
+}
+
+module.exports = {
+  getGasManager,
+  GasManager
+};
@@ -0,0 +1,673 @@
+// services/limitOrderEngine.js - Price-triggered limit orders executed through the trading executor
+const crypto = require('crypto');
+const userService = require('../users/userService');
+const walletService = require('./walletService');
+const tokenDataService = require('./tokenDataService');
+const { PriceMonitor } = require('./advancedTrading');
+const { getRealTradingExecutor } = require('./realTradingExecutor');
+const { getTransactionTracker, FINAL_STATUSES } = require('./transactionTracker');
+const { formatDuration } = require('./walletAnalyticsService');
+
+// open -> partial -> filled | cancelled | expired | failed. Fills whose transaction hasn't
+// confirmed yet sit in pendingFills and only count towards `filled` once the tracker confirms them
+const OPEN_STATUSES = ['open', 'partial'];
+
+const POLL_INTERVAL = 20000;
+
+const DEFAULT_EXPIRY = 7 * 24 * 60 * 60 * 1000;
+const MAX_EXPIRY = 30 * 24 * 60 * 60 * 1000;
+const MAX_OPEN_ORDERS = parseInt(process.env.MAX_LIMIT_ORDERS || '20');
+
+// Closed orders stay in the /orders history this long
+const HISTORY_TTL = 7 * 24 * 60 * 60 * 1000;
+
+// An order whose executions fail this many times in a row is closed
+const MAX_FAILURES = 3;
+
+// A partial fill has to cover at least this share of the order (or all of what is left),
+// so a near-empty wallet doesn't fill an order in dust
+const MIN_FILL_SHARE = 0.05;
+
+// Native balance left for gas when a buy is filled from what the wallet has
+const GAS_RESERVE = { solana: 0.01, ethereum: 0.01 };
+const DEFAULT_GAS_RESERVE = 0.001;
+
+const STATUS_TITLES = {
+  filled: '✅ **Limit Order Filled**',
+  partial: '🟡 **Limit Order Partially Filled**',
+  pending: '⏳ **Limit Order Submitted**',
+  expired: '⌛ **Limit Order Expired**',
+  failed: '❌ **Limit Order Failed**'
+};
+
+const UNITS = { k: 1e3, m: 1e6, b: 1e9 };
+
+// A price lookup that takes longer than this is skipped until the next check
+const PRICE_TIMEOUT = 15000;
+
+function formatAmount(value) {
+  return value.toLocaleString('en-US', { maximumSignificantDigits: 6 });
+}
+
+class LimitOrderEngine {
+  constructor() {
+    this.botInstance = null;
+    this.priceMonitor = new PriceMonitor();
+    this.open = new Map(); // order id -> order still being watched
+    this.queued = new Set(); // ids of triggered orders waiting behind the user's other fills
+    this.filling = new Set(); // ids of orders with an execution in flight
+    this.userFills = new Map(); // userId -> tail of that user's fill queue
+    this.pollTimer = null;
+    this.polling = false;
+  }
+
+  setBotInstance(bot) {
+    this.botInstance = bot;
+  }
+
+  // Resume watching the open orders a previous run left, and drop old history
+  async start() {
+    const orders = await userService.getAllLimitOrders();
+    const now = Date.now();
+
+    for (const order of orders) {
+      if (OPEN_STATUSES.includes(order.status)) {
+        this.open.set(order.id, order);
+      } else if (now - order.closedAt > HISTORY_TTL) {
+        await userService.deleteLimitOrder(order.userId, order.id);
+      }
+    }
+
+    if (!this.pollTimer) {
+      this.pollTimer = setInterval(() => this.poll(), POLL_INTERVAL);
+    }
+
+    console.log(`📒 Limit order engine started with ${this.open.size} open orders`);
+  }
+
+  stop() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  // "0.0012" or "$0.0012" is a USD price, "mc250k" or "mc1.5m" a market cap
+  parseTarget(input) {
+    const mcap = /^mc\$?(\d+(?:\.\d+)?)([kmb]?)$/i.exec(input);
+    if (mcap) {
+      const target = parseFloat(mcap[1]) * (UNITS[mcap[2].toLowerCase()] || 1);
+      return target > 0 ? { trigger: 'mcap', target } : null;
+    }
+
+    const price = /^\$?(\d+(?:\.\d+)?(?:e-?\d+)?)$/i.exec(input);
+    if (price) {
+      const target = parseFloat(price[1]);
+      return target > 0 ? { trigger: 'price', target } : null;
+    }
+
+    return null;
+  }
+
+  // "30m", "12h" or "7d"
+  parseExpiry(input) {
+    const match = /^(\d+(?:\.\d+)?)([mhd])$/i.exec(input);
+    if (!match) return null;
+
+    const ms = parseFloat(match[1]) * { m: 60000, h: 3600000, d: 86400000 }[match[2].toLowerCase()];
+    return ms > 0 && ms <= MAX_EXPIRY ? ms : null;
+  }
+
+  // Current USD price and market cap. The price is read fresh; the market cap scales it by the
+  // supply implied by the (cached) token data
+  async getMarketValues(tokenAddress, chain) {
+    let timer;
+
+    try {
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error('Price lookup timed out')), PRICE_TIMEOUT);
+      });
+      const [tokenData, livePrice] = await Promise.race([
+        Promise.all([
+          tokenDataService.getTokenData(tokenAddress, chain),
+          this.priceMonitor.getTokenPrice(tokenAddress, chain)
+        ]),
+        timeout
+      ]);
+
+      const price = livePrice || tokenData?.priceUsd || 0;
+      const supply = tokenData?.marketCap > 0 && tokenData?.priceUsd > 0
+        ? tokenData.marketCap / tokenData.priceUsd
+        : null;
+
+      return {
+        price,
+        mcap: supply ? price * supply : null,
+        symbol: tokenData?.symbol || 'UNKNOWN'
+      };
+    } catch (error) {
+      console.warn(`Price check for ${tokenAddress} failed:`, error.message);
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Buys trigger at or below the target, sells at or above it
+  isTriggered(order, market) {
+    const value = order.trigger === 'mcap' ? market?.mcap : market?.price;
+    if (!value) return false;
+    return order.side === 'buy' ? value <= order.target : value >= order.target;
+  }
+
+  // Place an order on the user's current chain. Buys spend `amount` of the quote asset; sells
+  // sell `amount` tokens, or `percentage` of the position as it is now
+  async createOrder(userId, { side, tokenAddress, trigger, target, amount, percentage, expiresIn = DEFAULT_EXPIRY }) {
+    try {
+      userId = String(userId);
+      const userData = await userService.getUserSettings(userId);
+      const chain = userData?.chain;
+
+      if (!chain) {
+        throw new Error('Set your chain first with /setchain');
+      }
+      if (!walletService.getCustodialWallet(userData, chain)) {
+        throw new Error(`No ${chain} wallet found - create one with /wallet`);
+      }
+
+      const orders = await userService.getLimitOrders(userId);
+      if (orders.filter(order => OPEN_STATUSES.includes(order.status)).length >= MAX_OPEN_ORDERS) {
+        throw new Error(`You can have at most ${MAX_OPEN_ORDERS} open limit orders`);
+      }
+
+      const market = await this.getMarketValues(tokenAddress, chain);
+      if (!market?.price) {
+        throw new Error('Could not load a price for this token');
+      }
+      if (trigger === 'mcap' && !market.mcap) {
+        throw new Error('Market cap is not available for this token - use a price target');
+      }
+
+      const executor = getRealTradingExecutor();
+      let quoteAsset = null;
+
+      if (side === 'sell') {
+        const positions = await userService.getUserPositions(userId);
+        const position = positions.find(p =>
+          p.tokenAddress.toLowerCase() === tokenAddress.toLowerCase() && p.chain === chain
+        );
+
+        if (!position) {
+          throw new Error('No position found for this token');
+        }
+        // Positions are keyed by the address as first recorded
+        tokenAddress = position.tokenAddress;
+        if (percentage) {
+          amount = position.amount * percentage / 100;
+        }
+        if (amount > position.amount) {
+          throw new Error(`Insufficient token balance. Position: ${formatAmount(position.amount)}`);
+        }
+      } else {
+        quoteAsset = executor.getUserQuoteAsset({}, userData, chain);
+      }
+
+      const now = Date.now();
+      const order = {
+        id: crypto.randomBytes(4).toString('hex'),
+        userId,
+        side,
+        chain,
+        tokenAddress,
+        tokenSymbol: market.symbol,
+        trigger,
+        target,
+        amount,
+        quoteAsset,
+        quoteSymbol: side === 'buy' ? executor.getQuoteToken(chain, quoteAsset).symbol : null,
+        filled: 0,
+        fills: [],
+        pendingFills: [],
+        failures: 0,
+        status: 'open',
+        createdAt: now,
+        expiresAt: now + expiresIn,
+        updatedAt: now
+      };
+
+      await userService.saveLimitOrder(order);
+      this.open.set(order.id, order);
+
+      console.log(`📒 Limit ${side} ${order.id} for user ${userId}: ${formatAmount(amount)} ${tokenAddress} at ${trigger} ${target}`);
+
+      return {
+        success: true,
+        order,
+        currentValue: trigger === 'mcap' ? market.mcap : market.price,
+        triggered: this.isTriggered(order, market)
+      };
+    } catch (error) {
+      console.error('Create limit order error:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async cancelOrder(userId, orderId) {
+    const order = this.open.get(orderId);
+
+    if (!order || order.userId !== String(userId)) {
+      return { success: false, error: 'Order not found or already closed' };
+    }
+    if (this.filling.has(orderId) || order.pendingFills?.length) {
+      return { success: false, error: 'Order is being filled right now' };
+    }
+
+    await this.close(order, 'cancelled');
+    return { success: true, order };
+  }
+
+  // The user's orders, open ones first, newest first within each group
+  async getOrders(userId) {
+    const orders = await userService.getLimitOrders(String(userId));
+    return orders
+      .map(order => this.open.get(order.id) || order)
+      .sort((a, b) => OPEN_STATUSES.includes(b.status) - OPEN_STATUSES.includes(a.status) || b.createdAt - a.createdAt);
+  }
+
+  // Move an open order to a final status; an order that is already closed stays as it is
+  async close(order, status, details = {}) {
+    if (!OPEN_STATUSES.includes(order.status)) return false;
+
+    const now = Date.now();
+    Object.assign(order, details, { status, closedAt: now, updatedAt: now });
+    this.open.delete(order.id);
+    await userService.saveLimitOrder(order);
+    return true;
+  }
+
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      const now = Date.now();
+      const byToken = new Map();
+
+      for (const order of [...this.open.values()]) {
+        // Orders already triggered are left to their fill
+        if (this.queued.has(order.id) || this.filling.has(order.id)) continue;
+
+        // An order with transactions in flight waits for their outcome before it fills more or expires
+        if (order.pendingFills?.length && !(await this.reconcilePendingFills(order))) continue;
+
+        if (order.expiresAt <= now) {
+          if (await this.close(order, 'expired')) {
+            await this.notify(order, STATUS_TITLES.expired, 'The target was not reached before the order expired.');
+          }
+          continue;
+        }
+
+        const key = `${order.chain}:${order.tokenAddress.toLowerCase()}`;
+        byToken.set(key, [...(byToken.get(key) || []), order]);
+      }
+
+      // One price lookup per token, however many orders watch it
+      for (const orders of byToken.values()) {
+        const market = await this.getMarketValues(orders[0].tokenAddress, orders[0].chain);
+
+        for (const order of orders) {
+          if (this.open.has(order.id) && this.isTriggered(order, market)) {
+            this.queueFill(order, market);
+          }
+        }
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // Fills run in the background so a slow trade doesn't hold up the watcher or other users'
+  // orders. One user's fills run one after another, as they draw on the same balances
+  queueFill(order, market) {
+    this.queued.add(order.id);
+
+    const previous = this.userFills.get(order.userId) || Promise.resolve();
+    const next = previous
+      .then(() => {
+        this.queued.delete(order.id);
+        return this.fillOrder(order, market);
+      })
+      .catch(error => console.error(`Limit order ${order.id} execution error:`, error))
+      .finally(() => {
+        if (this.userFills.get(order.userId) === next) this.userFills.delete(order.userId);
+      });
+
+    this.userFills.set(order.userId, next);
+  }
+
+  // How much of the order the user's wallet can fill right now: quote balance for buys
+  // (less a gas reserve when it is the native token), position size for sells
+  async getFillableAmount(order) {
+    if (order.side === 'sell') {
+      const positions = await userService.getUserPositions(order.userId);
+      const position = positions.find(p =>
+        p.tokenAddress.toLowerCase() === order.tokenAddress.toLowerCase() && p.chain === order.chain
+      );
+      return position?.amount || 0;
+    }
+
+    const userData = await userService.getUserSettings(order.userId);
+    const wallet = walletService.getCustodialWallet(userData, order.chain);
+    if (!wallet) return 0;
+
+    const executor = getRealTradingExecutor();
+    const quote = executor.getQuoteToken(order.chain, order.quoteAsset);
+
+    if (!quote.native) {
+      return executor.getTokenBalance(order.chain, wallet.address, quote.address);
+    }
+
+    const balance = parseFloat((await walletService.getWalletBalance(wallet.address, order.chain)).balance);
+    return Math.max(0, balance - (GAS_RESERVE[order.chain] ?? DEFAULT_GAS_RESERVE));
+  }
+
+  // Execute a triggered order for as much as the wallet covers. Whatever is left stays open
+  // until it fills or the order expires
+  async fillOrder(order, market) {
+    // Claim the order before the first await, so a cancel either lands before this or is refused
+    if (!this.open.has(order.id) || this.filling.has(order.id)) return;
+    this.filling.add(order.id);
+
+    try {
+      await this.executeFill(order, market);
+    } finally {
+      this.filling.delete(order.id);
+    }
+  }
+
+  async executeFill(order, market) {
+    const inFlight = (order.pendingFills || []).reduce((sum, pending) => sum + pending.amount, 0);
+    const remaining = order.amount - order.filled - inFlight;
+    const fillable = Math.min(remaining, await this.getFillableAmount(order));
+
+    if (fillable < Math.min(remaining, order.amount * MIN_FILL_SHARE)) {
+      // Tell the user once per shortfall, then keep waiting for funds
+      if (!order.waitingForFunds) {
+        order.waitingForFunds = true;
+        await userService.saveLimitOrder(order);
+        await this.notify(order, '⚠️ **Limit Order Triggered**',
+          `The target was reached but your wallet can't cover the order. It stays open until ${order.side === 'buy' ? 'the wallet is funded' : 'you hold the tokens'} or it expires.`);
+      }
+      return;
+    }
+
+    const userData = await userService.getUserSettings(order.userId);
+    const executor = getRealTradingExecutor();
+    const params = {
+      tokenAddress: order.tokenAddress,
+      amount: fillable,
+      chain: order.chain,
+      slippage: userData?.slippage || 5,
+      sourceWallet: 'limit_order'
+    };
+
+    const result = order.side === 'buy'
+      ? await executor.executeBuyOrder(order.userId, { ...params, quoteAsset: order.quoteAsset })
+      : await executor.executeSellOrder(order.userId, params);
+
+    const triggerValue = order.trigger === 'mcap' ? market.mcap : market.price;
+
+    if (!result.success && !result.pending) {
+      order.failures = (order.failures || 0) + 1;
+      order.lastError = result.error;
+      order.updatedAt = Date.now();
+
+      if (order.failures >= MAX_FAILURES) {
+        if (await this.close(order, 'failed')) {
+          await this.notify(order, STATUS_TITLES.failed, `Execution failed ${order.failures} times: ${result.error}`);
+        }
+      } else {
+        await userService.saveLimitOrder(order);
+      }
+      return;
+    }
+
+    const now = Date.now();
+    const filledAmount = order.side === 'sell' ? this.getSoldAmount(result) : result.success ? fillable : 0;
+    const pendingFills = this.getPendingFills(result, fillable).map(pending => ({ ...pending, triggerValue, at: now }));
+    const pendingAmount = pendingFills.reduce((sum, pending) => sum + pending.amount, 0);
+    const fill = {
+      amount: filledAmount,
+      triggerValue,
+      executedPrice: result.executedPrice || null,
+      tokens: order.side === 'buy' ? result.tokensReceived || null : filledAmount,
+      received: order.side === 'sell' ? result.nativeReceived || null : null,
+      quoteSymbol: result.quoteSymbol || null,
+      txHash: result.txHash || null,
+      at: now
+    };
+
+    if (filledAmount > 0) {
+      order.fills.push(fill);
+      order.filled += filledAmount;
+    }
+    order.pendingFills = [...(order.pendingFills || []), ...pendingFills];
+    order.failures = 0;
+    order.lastError = null;
+    order.waitingForFunds = false;
+
+    if (this.isComplete(order)) {
+      await this.close(order, 'filled');
+    } else {
+      if (order.filled > 0) order.status = 'partial';
+      order.updatedAt = now;
+      await userService.saveLimitOrder(order);
+    }
+
+    const title = filledAmount > 0 ? STATUS_TITLES[order.status] : STATUS_TITLES.pending;
+    await this.notify(order, title, this.formatFill(order, fill, pendingAmount));
+  }
+
+  isComplete(order) {
+    return order.amount - order.filled <= order.amount * 0.001;
+  }
+
+  // Tokens a sell took off the order. Wallets whose sell is still pending count once they confirm
+  getSoldAmount(result) {
+    if (result.walletResults) {
+      return result.walletResults
+        .filter(walletResult => walletResult.success)
+        .reduce((sum, walletResult) => sum + walletResult.tokensSold, 0);
+    }
+    return result.success ? result.tokensSold : 0;
+  }
+
+  // Transactions a fill left unconfirmed, with the share of the order each one carries
+  getPendingFills(result, requested) {
+    if (result.walletResults) {
+      return result.walletResults
+        .filter(walletResult => walletResult.pending)
+        .map(walletResult => ({ txHash: walletResult.txHash, amount: walletResult.requestedAmount }));
+    }
+    return result.pending ? [{ txHash: result.txHash, amount: requested }] : [];
+  }
+
+  // Follow /speedup and /canceltx replacements to the transaction that carries the trade now
+  async getTrackedOutcome(txHash) {
+    const tracker = getTransactionTracker();
+    let record = await tracker.get(txHash);
+    while (record?.status === 'replaced' && record.replacedBy) {
+      record = await tracker.get(record.replacedBy);
+    }
+    return record;
+  }
+
+  // Move pending fills the tracker has settled into the order: confirmed ones count as filled,
+  // failed, dropped or cancelled ones free their amount to be filled again. Returns whether the
+  // order has nothing left in flight
+  async reconcilePendingFills(order) {
+    const confirmed = [];
+    const released = [];
+    const stillPending = [];
+
+    for (const pending of order.pendingFills) {
+      const record = await this.getTrackedOutcome(pending.txHash);
+
+      if (record && !FINAL_STATUSES.includes(record.status)) {
+        stillPending.push(pending);
+      } else if (record?.status === 'confirmed' && !record.cancel) {
+        confirmed.push({ ...pending, txHash: record.hash });
+      } else {
+        released.push({ ...pending, status: record?.cancel ? 'cancelled' : record?.status || 'lost' });
+      }
+    }
+
+    if (confirmed.length === 0 && released.length === 0) return false;
+
+    const now = Date.now();
+    for (const pending of confirmed) {
+      order.fills.push({
+        amount: pending.amount,
+        triggerValue: pending.triggerValue,
+        executedPrice: null,
+        tokens: order.side === 'sell' ? pending.amount : null,
+        received: null,
+        quoteSymbol: null,
+        txHash: pending.txHash,
+        at: pending.at
+      });
+      order.filled += pending.amount;
+    }
+    order.pendingFills = stillPending;
+
+    if (released.length > 0) {
+      order.lastError = `Transaction ${released.map(pending => pending.status).join(', ')}`;
+    }
+
+    if (stillPending.length === 0 && this.isComplete(order)) {
+      await this.close(order, 'filled');
+    } else {
+      if (order.filled > 0) order.status = 'partial';
+      order.updatedAt = now;
+      await userService.saveLimitOrder(order);
+    }
+
+    if (confirmed.length > 0) {
+      const fill = {
+        amount: confirmed.reduce((sum, pending) => sum + pending.amount, 0),
+        triggerValue: confirmed[0].triggerValue,
+        tokens: null,
+        received: null,
+        txHash: confirmed.length === 1 ? confirmed[0].txHash : null
+      };
+      await this.notify(order, STATUS_TITLES[order.status], this.formatFill(order, fill));
+    }
+    if (released.length > 0) {
+      const amount = released.reduce((sum, pending) => sum + pending.amount, 0);
+      await this.notify(order, '⚠️ **Limit Order Fill Not Executed**',
+        `The transaction for ${this.formatOrderAmount(order, amount)} was ${released[0].status}. The order stays open and fills it again while the target holds.`);
+    }
+
+    return stillPending.length === 0;
+  }
+
+  formatTarget(order) {
+    return order.trigger === 'mcap'
+      ? `MC $${tokenDataService.formatNumber(order.target)}`
+      : `$${formatAmount(order.target)}`;
+  }
+
+  formatOrderAmount(order, amount = order.amount) {
+    return order.side === 'buy'
+      ? `${formatAmount(amount)} ${order.quoteSymbol}`
+      : `${formatAmount(amount)} ${order.tokenSymbol}`;
+  }
+
+  // Summary lines for /orders and notifications
+  formatOrder(order) {
+    const sideLabel = order.side === 'buy' ? '🟢 BUY' : '🔴 SELL';
+    let text = `${sideLabel} **${order.tokenSymbol}** ${order.side === 'buy' ? '≤' : '≥'} ${this.formatTarget(order)}\n`;
+    text += `   💰 ${this.formatOrderAmount(order)} • ⛓️ ${order.chain.toUpperCase()} • \`${order.id}\`\n`;
+
+    if (order.filled > 0) {
+      text += `   📊 Filled ${this.formatOrderAmount(order, order.filled)} in ${order.fills.length} fill${order.fills.length === 1 ? '' : 's'}\n`;
+    }
+
+    const pendingAmount = (order.pendingFills || []).reduce((sum, pending) => sum + pending.amount, 0);
+    if (pendingAmount > 0) {
+      text += `   ⏳ Confirming ${this.formatOrderAmount(order, pendingAmount)}\n`;
+    }
+
+    if (OPEN_STATUSES.includes(order.status)) {
+      text += `   ⏱️ Expires in ${formatDuration(Math.max(0, order.expiresAt - Date.now()))}`;
+      if (order.lastError) {
+        text += ` • ⚠️ Last attempt: ${order.lastError}`;
+      }
+      text += `\n`;
+    } else {
+      text += `   📌 ${order.status.charAt(0).toUpperCase() + order.status.slice(1)} ${new Date(order.closedAt).toLocaleString()}\n`;
+    }
+
+    return text;
+  }
+
+  formatFill(order, fill, pendingAmount = 0) {
+    const trigger = order.trigger === 'mcap'
+      ? `MC $${tokenDataService.formatNumber(fill.triggerValue)}`
+      : `$${formatAmount(fill.triggerValue)}`;
+
+    let text = `📈 Triggered at ${trigger}\n`;
+
+    if (fill.amount > 0 && order.side === 'buy') {
+      text += `💰 Spent: ${this.formatOrderAmount(order, fill.amount)}\n`;
+      if (fill.tokens) text += `🪙 Received: ${formatAmount(fill.tokens)} ${order.tokenSymbol}\n`;
+    } else if (fill.amount > 0) {
+      text += `🪙 Sold: ${this.formatOrderAmount(order, fill.amount)}\n`;
+      if (fill.received) text += `💰 Received: ${formatAmount(fill.received)} ${fill.quoteSymbol}\n`;
+    }
+
+    if (pendingAmount > 0) {
+      text += `⏳ Submitted: ${this.formatOrderAmount(order, pendingAmount)} - counts as filled once the transaction confirms\n`;
+    }
+
+    const pendingTotal = (order.pendingFills || []).reduce((sum, pending) => sum + pending.amount, 0);
+    const remaining = order.amount - order.filled - pendingTotal;
+    if (OPEN_STATUSES.includes(order.status) && remaining > order.amount * 0.001) {
+      text += `📊 Remaining: ${this.formatOrderAmount(order, remaining)} - stays open until filled or expired\n`;
+    }
+
+    if (fill.txHash) {
+      text += `\n🔍 [View on Explorer](${getRealTradingExecutor().getExplorerUrl(fill.txHash, order.chain)})`;
+    }
+
+    return text;
+  }
+
+  async notify(order, title, body) {
+    if (!this.botInstance) return;
+
+    try {
+      await this.botInstance.telegram.sendMessage(order.userId, `${title}\n\n${this.formatOrder(order)}\n${body}`, {
+        parse_mode: 'Markdown',
+        disable_web_page_preview: true
+      });
+    } catch (error) {
+      console.warn(`Failed to send limit order update for ${order.id}:`, error.message);
+    }
+  }
+}
+
+// Singleton instance
+let limitOrderEngine = null;
+
+function getLimitOrderEngine() {
+  if (!limitOrderEngine) {
+    limitOrderEngine = new LimitOrderEngine();
+  }
+  return limitOrderEngine;
+}
+
+module.exports = {
+  getLimitOrderEngine,
+  LimitOrderEngine,
+  OPEN_STATUSES,
+  MAX_OPEN_ORDERS
+};
@@ -240,6 +240,7 @@ class ManualTradingService {
         chain: chain.toLowerCase(),
         slippage: slippage || userSettings.slippage || 5,
         wallet: wallet || userSettings.selectedWallet,
+        quoteAsset: params.quoteAsset,
         tradeType: 'buy',
         timestamp: Date.now()
       };
@@ -274,9 +275,10 @@ class ManualTradingService {
           try {
             let message = `🟢 **BUY Order Executed Successfully!**\n\n`;
             message += `🎯 **${tokenInfo.name}** (${tokenInfo.symbol})\n`;
-            message += `💰 **Amount:** ${amount} ${chain.toUpperCase()}\n`;
+            message += `👛 **Wallet:** ${result.walletName}\n`;
+            message += `💰 **Amount:** ${amount} ${result.quoteSymbol}\n`;
             message += `🪙 **Tokens Received:** ${result.tokensReceived.toFixed(4)}\n`;
-            message += `💵 **Price:** $${result.executedPrice.toFixed(8)}\n`;
+            message += `💵 **Price:** ${result.executedPrice.toFixed(8)} ${result.quoteSymbol}\n`;
             message += `⛽ **${result.feeDisplay}**\n\n`;
             message += `📝 **TX Hash:** \`${result.txHash}\`\n`;
             
@@ -375,6 +377,7 @@ class ManualTradingService {
         chain: chain.toLowerCase(),
         slippage: slippage || userSettings.slippage || 5,
         wallet: wallet || userSettings.selectedWallet,
+        quoteAsset: params.quoteAsset,
         tradeType: 'sell',
         position,
         timestamp: Date.now()
@@ -393,12 +396,23 @@ class ManualTradingService {
             const pnlEmoji = result.pnl >= 0 ? '🟢' : '🔴';
             let message = `🔴 **SELL Order Executed Successfully!**\n\n`;
             message += `🎯 **${tokenInfo?.name || position.tokenName}** (${tokenInfo?.symbol || position.tokenSymbol})\n`;
+            message += `👛 **Wallet:** ${result.walletName}\n`;
             message += `🪙 **Tokens Sold:** ${result.tokensSold.toFixed(4)}\n`;
-            message += `💰 **Received:** ${result.nativeReceived.toFixed(6)} ${chain.toUpperCase()}\n`;
-            message += `💵 **Price:** $${result.executedPrice.toFixed(8)}\n`;
-            message += `${pnlEmoji} **PnL:** ${result.pnl >= 0 ? '+' : ''}${result.pnlPercentage.toFixed(2)}% ($${result.pnl.toFixed(2)})\n`;
+            message += `💰 **Received:** ${result.nativeReceived.toFixed(6)} ${result.quoteSymbol}\n`;
+            message += `💵 **Price:** ${result.executedPrice.toFixed(8)} ${result.quoteSymbol}\n`;
+            message += `${pnlEmoji} **PnL:** ${result.pnl >= 0 ? '+' : ''}${result.pnlPercentage.toFixed(2)}% (${result.pnl >= 0 ? '+' : ''}${result.pnl.toFixed(6)} ${result.quoteSymbol})\n`;
             message += `⛽ **${result.feeDisplay}**\n\n`;
-            message += `📝 **TX Hash:** \`${result.txHash}\`\n`;
+            
+            // A position spread over several wallets was sold from each of them
+            if (result.walletResults) {
+              for (const walletResult of result.walletResults) {
+                message += walletResult.success
+                  ? `✅ ${walletResult.walletName}: \`${walletResult.txHash}\`\n`
+                  : `${walletResult.pending ? '⏳' : '❌'} ${walletResult.walletName}: ${walletResult.error}\n`;
+              }
+            } else {
+              message += `📝 **TX Hash:** \`${result.txHash}\`\n`;
+            }
             
             if (result.explorerUrl) {
               message += `🔍 **View on Explorer:** [Click here](${result.explorerUrl})\n\n`;
@@ -429,6 +443,50 @@ class ManualTradingService {
     }
   }
 
+  // Swap between two assets on the user's chain; fromToken/toToken are token addresses or
+  // quote assets ('native', 'USDC', 'USDT')
+  async executeSwapOrder(userId, params) {
+    try {
+      if (!this.initialized) {
+        await this.forceInitialize();
+        if (!this.initialized) {
+          throw new Error('Manual trading service not initialized');
+        }
+      }
+      
+      await userService.updateLastActive(userId);
+      const userSettings = await userService.getUserSettings(userId);
+      
+      const { fromToken, toToken, amount, chain, slippage } = params;
+      
+      if (!fromToken || !toToken || !amount || !chain) {
+        throw new Error('Missing required parameters: fromToken, toToken, amount, chain');
+      }
+      
+      if (!this.config.supportedChains.includes(chain.toLowerCase())) {
+        throw new Error(`Unsupported chain: ${chain}`);
+      }
+      
+      console.log('💎 Executing REAL swap order on blockchain...');
+      return await this.tradingExecutor.executeSwapOrder(userId, {
+        fromToken,
+        toToken,
+        amount,
+        chain: chain.toLowerCase(),
+        slippage: slippage || userSettings.slippage || 5,
+        timestamp: Date.now()
+      });
+      
+    } catch (error) {
+      console.error('Swap order execution error:', error);
+      return {
+        success: false,
+        message: error.message,
+        error: error.name
+      };
+    }
+  }
+
   async getUserPositions(userId) {
     try {
       if (!this.initialized) {
@@ -439,25 +497,44 @@ class ManualTradingService {
       }
       
       const positions = await userService.getUserPositions(userId);
+      const walletsByChain = {};
       
-      // Enhanced position data with current prices and real-time PnL
+      // Enhanced position data with current prices and real-time PnL. Entry prices are in the
+      // position's quote asset, so PnL is measured there; prices and values are shown in USD
       const enhancedPositions = [];
       
       for (const position of positions) {
+        // Which of the user's wallets hold the tokens, by name
+        if (!walletsByChain[position.chain]) {
+          walletsByChain[position.chain] = await walletService.getUserWallets(userId, position.chain);
+        }
+        position.walletHoldings = Object.entries(position.wallets || {}).map(([walletId, holding]) => ({
+          walletId,
+          name: walletsByChain[position.chain].find(wallet => wallet.id === walletId)?.name || walletId,
+          amount: holding.amount,
+          avgBuyPrice: holding.avgPrice
+        }));
+        
         try {
           const tokenInfo = await tokenDataService.getTokenData(position.tokenAddress, position.chain);
-          const currentPrice = tokenInfo?.priceUsd || position.avgBuyPrice;
+          const quote = this.tradingExecutor.getQuoteToken(position.chain, position.quote);
+          const quoteUsd = await this.tradingExecutor.getQuoteUsdPrice(position.chain, quote.asset);
           
+          const currentPriceQuote = tokenInfo?.priceUsd && quoteUsd ? tokenInfo.priceUsd / quoteUsd : position.avgBuyPrice;
+          const currentPrice = currentPriceQuote * quoteUsd;
           const currentValue = currentPrice * position.amount;
           const buyValue = position.avgBuyPrice * position.amount;
-          const pnl = currentValue - buyValue;
-          const pnlPercentage = buyValue > 0 ? ((currentValue - buyValue) / buyValue) * 100 : 0;
+          const pnl = currentPriceQuote * position.amount - buyValue;
+          const pnlPercentage = buyValue > 0 ? (pnl / buyValue) * 100 : 0;
           
           enhancedPositions.push({
             ...position,
+            quoteSymbol: quote.symbol,
             currentPrice,
+            currentPriceQuote,
             currentValue,
             pnl,
+            pnlUsd: pnl * quoteUsd,
             pnlPercentage,
             tokenInfo,
             lastUpdated: Date.now()
@@ -479,7 +556,7 @@ class ManualTradingService {
     }
   }
 
-  async getTokenQuote(tokenAddress, chain, amount, tradeType = 'buy') {
+  async getTokenQuote(userId, tokenAddress, chain, amount, tradeType = 'buy', slippage = 5) {
     try {
       if (!this.initialized) {
         await this.forceInitialize();
@@ -493,12 +570,14 @@ class ManualTradingService {
         throw new Error('Token information not available');
       }
       
-      // Use trading executor for real simulation
+      // Pre-flight the swap on-chain from the user's wallet
       const simulation = await this.tradingExecutor.simulateTrade({
+        userId,
         tokenAddress,
         chain,
         amount,
-        tradeType
+        tradeType,
+        slippage
       });
       
       if (!simulation.success) {
@@ -841,7 +920,12 @@ class ManualTradingService {
       if (trade.tradeType === 'buy') {
         const result = await this.executeBuyOrder(userId, trade);
         
-        if (result.success) {
+        if (result.pending) {
+          return {
+            success: true,
+            message: `⏳ **Buy order submitted**\n\n🎯 **${trade.tokenSymbol || 'Token'}**\n💰 **Amount:** ${trade.amount}\n📝 **TX:** \`${result.txHash}\`\n\nNot confirmed yet - you'll get a message when it settles.`
+          };
+        } else if (result.success) {
           return {
             success: true,
             message: `✅ **Buy order executed!**\n\n🎯 **${trade.tokenSymbol || 'Token'}**\n💰 **Amount:** ${trade.amount}\n📝 **TX:** \`${result.txHash}\`\n⛽ **${result.feeDisplay}**`
@@ -852,10 +936,37 @@ class ManualTradingService {
             message: `❌ Buy order failed: ${result.message || result.error}`
           };
         }
+      } else if (trade.tradeType === 'swap') {
+        const result = await this.executeSwapOrder(userId, trade);
+        const pair = `${trade.fromSymbol || 'Token'} → ${trade.toSymbol || 'Token'}`;
+        
+        if (result.pending) {
+          return {
+            success: true,
+            message: `⏳ **Swap submitted**\n\n🔄 **${pair}**\n💰 **Amount:** ${trade.amount}\n📝 **TX:** \`${result.txHash}\`\n\nNot confirmed yet - you'll get a message when it settles.`
+          };
+        } else if (result.success) {
+          const received = result.tokensReceived ?? result.nativeReceived;
+          return {
+            success: true,
+            message: `✅ **Swap executed!**\n\n🔄 **${pair}**\n💰 **Sold:** ${trade.amount}\n🎯 **Received:** ${received.toFixed(6)}\n📝 **TX:** \`${result.txHash}\`` +
+              (result.feeDisplay ? `\n⛽ **${result.feeDisplay}**` : '')
+          };
+        } else {
+          return {
+            success: false,
+            message: `❌ Swap failed: ${result.message || result.error}`
+          };
+        }
       } else {
         const result = await this.executeSellOrder(userId, trade);
         
-        if (result.success) {
+        if (result.pending) {
+          return {
+            success: true,
+            message: `⏳ **Sell order submitted**\n\n🎯 **${trade.tokenSymbol || 'Token'}**\n📝 **TX:** \`${result.txHash}\`\n\nNot confirmed yet - you'll get a message when it settles.`
+          };
+        } else if (result.success) {
           const pnlEmoji = result.pnl >= 0 ? '🟢' : '🔴';
           return {
             success: true,
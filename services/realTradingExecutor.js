@@ -1,16 +1,57 @@
 // services/realTradingExecutor.js - Enhanced Real Blockchain Trading Execution Engine
-const { Connection, Keypair, PublicKey, Transaction, sendAndConfirmTransaction, LAMPORTS_PER_SOL, SystemProgram } = require('@solana/web3.js');
+const { Connection, Keypair, PublicKey, Transaction, TransactionInstruction, VersionedTransaction, TransactionMessage, sendAndConfirmTransaction, LAMPORTS_PER_SOL, SystemProgram, PACKET_DATA_SIZE } = require('@solana/web3.js');
 const { ethers, parseUnits, formatUnits } = require('ethers');
 const { getRPCManager } = require('./rpcManager');
+const { getGasManager } = require('./gasManager');
+const { getTransactionTracker } = require('./transactionTracker');
 const walletService = require('./walletService');
 const userService = require('../users/userService');
 const tokenDataService = require('./tokenDataService');
+const { getTokenAccountRent } = require('./solanaSwapDecoder');
 const axios = require('axios');
 
 // Jupiter API for Solana swaps
 const JUPITER_API = 'https://quote-api.jup.ag/v6';
 const JUPITER_SWAP_API = 'https://quote-api.jup.ag/v6/swap';
 
+// Solana priority fee levels: percentile of the fees recently paid to write the swap's
+// pools, a floor in micro-lamports per compute unit, and the tip for Jito bundles
+const SOLANA_FEE_LEVELS = {
+  normal: { percentile: 50, minMicroLamports: 10000, jitoTipLamports: 10000 },
+  fast: { percentile: 75, minMicroLamports: 100000, jitoTipLamports: 100000 },
+  turbo: { percentile: 95, minMicroLamports: 1000000, jitoTipLamports: 1000000 }
+};
+const MAX_COMPUTE_UNIT_PRICE = 10000000; // micro-lamports per compute unit
+
+// Jito block engine for MEV-protected Solana sends
+const JITO_BLOCK_ENGINE_URL = process.env.JITO_BLOCK_ENGINE_URL || 'https://mainnet.block-engine.jito.wtf';
+const JITO_TIP_ACCOUNTS = [
+  '96gYZGLnJYVFmbjzopPSU6QiEV5fGqZNyN9nmNhvrZU5',
+  'HFqU5x63VTqvQss8hp11i4wVV8bD44PvwucfZ2bU7gRe',
+  'Cw8CFyM9FkoMi7K7Crf6HNQqf4uEMzpKw6QNghXLvLkY',
+  'ADaUMid9yfUytqMBgopwjb2DTLSokTSzL1zt6iGPaS49',
+  'DfXygSm4jCyNCybVYYK6DwvWqjKee8pbDmJGcLWNDXjh',
+  'ADuUkR4vqLUMWXxW9gh6D6L8pMSawimctcNZ5pGwDcEt',
+  'DttWaMuVvTiduZRnguLF7jNxTgiMBZ1hyAumKUiL2KRL',
+  '3AVi9Tg9Uo68tJfuvoKvqKNWKkC5wPdSSdeBnizKZ6jT'
+];
+
+// Simulation accounts: the wallet's token account comes from the associated token program,
+// and SPL mints (either token program) keep their decimals at a fixed offset
+const ASSOCIATED_TOKEN_PROGRAM_ID = new PublicKey('ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL');
+const TOKEN_PROGRAM_ID = new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA');
+const SPL_TRANSFER_INSTRUCTION = 3;
+const MINT_DECIMALS_OFFSET = 44;
+const TOKEN_ACCOUNT_AMOUNT_OFFSET = 64;
+const SOLANA_BASE_FEE_LAMPORTS = 5000; // per signature
+
+// Amount held by an SPL token account, from fetched (Buffer) or simulated (base64) account data
+function readTokenAmount(account) {
+  if (!account) return 0n;
+  const data = Array.isArray(account.data) ? Buffer.from(account.data[0], 'base64') : account.data;
+  return data.length >= TOKEN_ACCOUNT_AMOUNT_OFFSET + 8 ? data.readBigUInt64LE(TOKEN_ACCOUNT_AMOUNT_OFFSET) : 0n;
+}
+
 // DEX router addresses for EVM chains
 const DEX_ROUTERS = {
   ethereum: {
@@ -25,7 +66,8 @@ const DEX_ROUTERS = {
   },
   polygon: {
     quickswap: '0xa5E0829CaCEd8fFDD4De3c43696c57F7D7A678ff',
-    sushiswap: '0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506'
+    sushiswap: '0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506',
+    uniswapV3: '0xE592427A0AEce92De3Edee1F18E0157C05861564'
   },
   arbitrum: {
     uniswapV3: '0xE592427A0AEce92De3Edee1F18E0157C05861564',
@@ -37,6 +79,105 @@ const DEX_ROUTERS = {
   }
 };
 
+// Quotable venues per chain. V3 venues quote through their QuoterV2 contract;
+// routerVersion picks the exactInputSingle struct (SwapRouter02 has no deadline field)
+const V3_FEE_TIERS = [100, 500, 3000, 10000];
+const DEX_VENUES = {
+  ethereum: [
+    { name: 'Uniswap V2', type: 'v2', router: DEX_ROUTERS.ethereum.uniswapV2 },
+    { name: 'SushiSwap', type: 'v2', router: DEX_ROUTERS.ethereum.sushiswap },
+    { name: 'Uniswap V3', type: 'v3', router: DEX_ROUTERS.ethereum.uniswapV3, routerVersion: 'swapRouter', quoter: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e' }
+  ],
+  bsc: [
+    { name: 'PancakeSwap V2', type: 'v2', router: DEX_ROUTERS.bsc.pancakeswap },
+    { name: 'Biswap', type: 'v2', router: DEX_ROUTERS.bsc.biswap },
+    { name: 'PancakeSwap V3', type: 'v3', router: DEX_ROUTERS.bsc.pancakeswapV3, routerVersion: 'swapRouter', quoter: '0xB048Bbc1Ee6b733FFfCFb9e9CeF7375518e25997', feeTiers: [100, 500, 2500, 10000] }
+  ],
+  polygon: [
+    { name: 'QuickSwap', type: 'v2', router: DEX_ROUTERS.polygon.quickswap },
+    { name: 'SushiSwap', type: 'v2', router: DEX_ROUTERS.polygon.sushiswap },
+    { name: 'Uniswap V3', type: 'v3', router: DEX_ROUTERS.polygon.uniswapV3, routerVersion: 'swapRouter', quoter: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e' }
+  ],
+  arbitrum: [
+    { name: 'Uniswap V3', type: 'v3', router: DEX_ROUTERS.arbitrum.uniswapV3, routerVersion: 'swapRouter', quoter: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e' },
+    { name: 'SushiSwap', type: 'v2', router: DEX_ROUTERS.arbitrum.sushiswap }
+  ],
+  base: [
+    { name: 'Uniswap V3', type: 'v3', router: DEX_ROUTERS.base.uniswapV3, routerVersion: 'swapRouter02', quoter: '0x3d4e44Eb1374240CE5F1B871ab261CD16335B76a' },
+    { name: 'BaseSwap', type: 'v2', router: DEX_ROUTERS.base.baseswap }
+  ]
+};
+
+const V2_ROUTER_ABI = [
+  "function swapExactETHForTokens(uint amountOutMin, address[] calldata path, address to, uint deadline) external payable returns (uint[] memory amounts)",
+  "function swapExactTokensForETH(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)",
+  "function swapExactETHForTokensSupportingFeeOnTransferTokens(uint amountOutMin, address[] calldata path, address to, uint deadline) external payable",
+  "function swapExactTokensForETHSupportingFeeOnTransferTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external",
+  "function swapExactTokensForTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)",
+  "function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external",
+  "function getAmountsOut(uint amountIn, address[] calldata path) external view returns (uint[] memory amounts)"
+];
+
+const V3_QUOTER_ABI = [
+  "function quoteExactInputSingle((address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96) params) external returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)"
+];
+
+const V3_ROUTER_ABIS = {
+  swapRouter: [
+    "function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params) external payable returns (uint256 amountOut)",
+    "function multicall(bytes[] data) external payable returns (bytes[] results)",
+    "function unwrapWETH9(uint256 amountMinimum, address recipient) external payable"
+  ],
+  swapRouter02: [
+    "function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params) external payable returns (uint256 amountOut)",
+    "function multicall(bytes[] data) external payable returns (bytes[] results)",
+    "function unwrapWETH9(uint256 amountMinimum, address recipient) external payable"
+  ]
+};
+
+// SwapRouter02 treats address(2) as "keep the output in the router" for a following unwrap
+const SWAP_ROUTER02_ADDRESS_THIS = '0x0000000000000000000000000000000000000002';
+
+// Gas units used to compare venues net of gas
+const V2_SWAP_GAS = 150000n;
+const V3_SWAP_OVERHEAD_GAS = 60000n;
+
+// Balance, transfer and approval calls on tokens the wallet spends
+const ERC20_TOKEN_ABI = [
+  'function balanceOf(address account) view returns (uint256)',
+  'function transfer(address to, uint256 amount) returns (bool)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)'
+];
+
+// Transfer tax probe: a small simulated buy and sell from a funded throwaway address
+const TAX_PROBE_AMOUNT = '0.01';
+const TAX_PROBE_ADDRESS = '0x7a5c0000000000000000000000000000007a5c01';
+const TAX_CACHE_DURATION = 10 * 60 * 1000; // 10 minutes
+
+// The probe also fails on anti-snipe rules, cooldowns and max-tx limits, so a failed probe
+// blocks buys but sells from the user's own wallet are still attempted
+const HONEYPOT_BUY_ERROR = 'Token failed the sell check - it may be a honeypot, buying is blocked';
+const HONEYPOT_SELL_WARNING = 'Token failed the sell check - it may restrict or block sells';
+
+// Reduce an on-chain amount by a tax given in percent
+function applyTax(amount, taxPercent = 0) {
+  return amount * BigInt(10000 - Math.round(taxPercent * 100)) / 10000n;
+}
+
+// Locally assigned nonces are trusted this long before resyncing from the network
+const NONCE_CACHE_DURATION = 2 * 60 * 1000;
+
+// Fee increase for /speedup and /canceltx replacements
+const REPLACEMENT_FEE_BUMP_PERCENT = 15;
+
+// Private orderflow relay for MEV-protected sends (Flashbots Protect by default). Transactions
+// the relay hasn't landed within PRIVATE_RELAY_FALLBACK_BLOCKS are broadcast publicly
+const PRIVATE_RELAY_URL = process.env.PRIVATE_RELAY_URL || 'https://rpc.flashbots.net/fast';
+const PRIVATE_RELAY_STATUS_URL = process.env.PRIVATE_RELAY_STATUS_URL || 'https://protect.flashbots.net/tx';
+const PRIVATE_RELAY_FALLBACK_BLOCKS = parseInt(process.env.PRIVATE_RELAY_FALLBACK_BLOCKS) || 25;
+const PRIVATE_RELAY_CHAINS = ['ethereum'];
+
 // Common token addresses for each chain
 const COMMON_TOKENS = {
   solana: {
@@ -47,7 +188,7 @@ const COMMON_TOKENS = {
   ethereum: {
     ETH: '0x0000000000000000000000000000000000000000',
     WETH: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
-    USDC: '0xA0b86a33E6417aAb0D765f5c11Bbf8Ff862f2CC9',
+    USDC: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
     USDT: '0xdAC17F958D2ee523a2206206994597C13D831ec7'
   },
   bsc: {
@@ -75,11 +216,57 @@ const COMMON_TOKENS = {
   }
 };
 
+// Stablecoins a user can quote trades in instead of the native coin
+const QUOTE_ASSETS = {
+  solana: {
+    USDC: { address: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', decimals: 6 },
+    USDT: { address: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', decimals: 6 }
+  },
+  ethereum: {
+    USDC: { address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', decimals: 6 },
+    USDT: { address: '0xdAC17F958D2ee523a2206206994597C13D831ec7', decimals: 6 }
+  },
+  bsc: {
+    USDC: { address: '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d', decimals: 18 },
+    USDT: { address: '0x55d398326f99059fF775485246999027B3197955', decimals: 18 }
+  },
+  polygon: {
+    USDC: { address: '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359', decimals: 6 },
+    USDT: { address: '0xc2132D05D31c914a87C6611C10748AEb04B58e8F', decimals: 6 }
+  },
+  arbitrum: {
+    USDC: { address: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831', decimals: 6 },
+    USDT: { address: '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9', decimals: 6 }
+  },
+  base: {
+    USDC: { address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', decimals: 6 },
+    USDT: { address: '0xfde4C96c8593536E31F229EA8f37b2ADa2699bb2', decimals: 6 }
+  }
+};
+
+const NATIVE_SYMBOLS = {
+  solana: 'SOL',
+  ethereum: 'ETH',
+  bsc: 'BNB',
+  polygon: 'MATIC',
+  arbitrum: 'ETH',
+  base: 'ETH'
+};
+
+// Event topics used to read actual fills from EVM receipts
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const WITHDRAWAL_TOPIC = ethers.id('Withdrawal(address,uint256)');
+
 class RealTradingExecutor {
   constructor() {
     this.rpcManager = getRPCManager();
     this.initialized = false;
     this.pendingTransactions = new Map();
+    this.taxCache = new Map();
+    this.nonceLocks = new Map();
+    this.userLocks = new Map();
+    this.nextNonces = new Map();
+    this.jitoTipAccounts = null;
     this.executionStats = {
       totalTrades: 0,
       successfulTrades: 0,
@@ -140,7 +327,7 @@ class RealTradingExecutor {
         }
       }
 
-      const { tokenAddress, amount, chain, slippage = 5, wallet } = params;
+      const { tokenAddress, amount, chain, slippage = 5, walletId = 'main' } = params;
       
       // Validate parameters
       if (!tokenAddress || !amount || !chain) {
@@ -151,57 +338,77 @@ class RealTradingExecutor {
         throw new Error('Invalid amount: must be greater than 0');
       }
 
-      // Get user wallet private key
+      // Get the private key of the wallet buying (the main one unless params.walletId names another)
       const userData = await userService.getUserSettings(userId);
-      if (!userData.custodialWallets || !userData.custodialWallets[chain]) {
+      const wallet = walletService.getCustodialWallet(userData, chain, walletId);
+      if (!wallet) {
         throw new Error(`No ${chain} wallet found for user`);
       }
 
-      const privateKey = await walletService.getWalletPrivateKeyForTrading(userId, chain);
-      const walletAddress = userData.custodialWallets[chain].address;
+      const privateKey = await walletService.getWalletPrivateKeyForTrading(userId, chain, walletId);
+      const walletAddress = wallet.address;
+      const gasOptions = this.getGasOptions(params, userData, chain);
 
-      // Check wallet balance
-      const balanceInfo = await walletService.getWalletBalance(walletAddress, chain);
-      const availableBalance = parseFloat(balanceInfo.balance);
+      // The amount is spent in the quote asset, so that is the balance it has to cover
+      const quote = this.getQuoteToken(chain, this.getUserQuoteAsset(params, userData, chain));
+      const availableBalance = quote.native
+        ? parseFloat((await walletService.getWalletBalance(walletAddress, chain)).balance)
+        : await this.getTokenBalance(chain, walletAddress, quote.address);
 
       if (availableBalance < amount) {
-        throw new Error(`Insufficient balance. Available: ${availableBalance}, Required: ${amount}`);
+        throw new Error(`Insufficient ${quote.symbol} balance. Available: ${availableBalance}, Required: ${amount}`);
       }
 
       // Process dev fee
-      const feeInfo = await walletService.processTransactionWithFee(userId, chain, amount, 'buy');
+      const feeInfo = await this.runForUser(userId, () => walletService.processTransactionWithFee(userId, chain, amount, 'buy', walletId));
+
+      const trade = {
+        chain,
+        tokenAddress,
+        amount,
+        amountSpent: feeInfo.userAmount,
+        devFee: feeInfo.devFee,
+        quote: quote.asset,
+        walletId,
+        sourceWallet: params.sourceWallet || 'manual_buy'
+      };
 
       let result;
       
       // Execute trade based on chain
-      switch (chain.toLowerCase()) {
-        case 'solana':
-          result = await this.executeSolanaBuy(privateKey, tokenAddress, feeInfo.userAmount, slippage);
-          break;
-        case 'ethereum':
-        case 'bsc':
-        case 'polygon':
-        case 'arbitrum':
-        case 'base':
-          result = await this.executeEVMBuy(privateKey, tokenAddress, feeInfo.userAmount, slippage, chain);
-          break;
-        default:
-          throw new Error(`Unsupported chain: ${chain}`);
+      try {
+        switch (chain.toLowerCase()) {
+          case 'solana':
+            result = await this.executeSolanaBuy(privateKey, tokenAddress, feeInfo.userAmount, slippage, {
+              ...this.getSolanaSendOptions(params, userData),
+              devFee: feeInfo.devFee,
+              quote: quote.asset
+            });
+            break;
+          case 'ethereum':
+          case 'bsc':
+          case 'polygon':
+          case 'arbitrum':
+          case 'base':
+            result = await this.executeEVMBuy(privateKey, tokenAddress, feeInfo.userAmount, slippage, chain, gasOptions, quote.asset);
+            break;
+          default:
+            throw new Error(`Unsupported chain: ${chain}`);
+        }
+      } catch (error) {
+        if (!error.pendingTrade) throw error;
+        return this.handOffPendingTrade(userId, tradeId, { side: 'buy', ...trade, ...error.pendingTrade }, {
+          amountSpent: feeInfo.userAmount,
+          devFee: feeInfo.devFee,
+          feeDisplay: feeInfo.feeDisplay,
+          quoteSymbol: quote.symbol,
+          walletId,
+          walletName: wallet.name || 'Main'
+        });
       }
 
-      // Update trade statistics
-      this.updateStats(chain, 'buy', amount, true);
-
-      // Update user statistics and positions
-      await userService.updateStats(userId, {
-        amount: feeInfo.userAmount,
-        pnl: 0, // No PnL on buy
-        executed: true
-      });
-
-      // Add position tracking
-      const tokenInfo = await tokenDataService.getTokenInfo(tokenAddress, chain);
-      await userService.addPosition(userId, tokenAddress, result.tokensReceived, result.executedPrice, 'manual_buy');
+      // Update statistics and positions, and collect the dev fee
+      const feeCollection = await this.runForUser(userId, () => this.applyBuyFill(userId, trade, result));
 
       console.log(`✅ BUY order ${tradeId} executed successfully`);
 
@@ -213,7 +420,11 @@ class RealTradingExecutor {
         tokensReceived: result.tokensReceived,
         amountSpent: feeInfo.userAmount,
         devFee: feeInfo.devFee,
+        devFeeTxHash: feeCollection?.txHash || null,
         feeDisplay: feeInfo.feeDisplay,
+        quoteSymbol: quote.symbol,
+        walletId,
+        walletName: wallet.name || 'Main',
         gasUsed: result.gasUsed,
         timestamp: Date.now(),
         chain,
@@ -266,60 +477,85 @@ class RealTradingExecutor {
         throw new Error('No position found for this token');
       }
 
+      // A position held in several wallets is sold from each of them unless one is named
+      const holders = Object.keys(position.wallets);
+      if (!params.walletId && holders.length > 1) {
+        return this.executeWalletSells(userId, params, position);
+      }
+      const walletId = params.walletId || holders[0] || 'main';
+      const holding = position.wallets[walletId];
+
+      if (!holding) {
+        throw new Error('No position found in this wallet');
+      }
+
       // Calculate sell amount
       let sellAmount;
       if (amount) {
         sellAmount = amount;
       } else {
-        sellAmount = (position.amount * percentage) / 100;
+        sellAmount = (holding.amount * percentage) / 100;
       }
 
-      if (sellAmount > position.amount) {
+      if (sellAmount > holding.amount) {
         throw new Error('Insufficient token balance');
       }
 
       // Get private key
-      const privateKey = await walletService.getWalletPrivateKeyForTrading(userId, chain);
+      const privateKey = await walletService.getWalletPrivateKeyForTrading(userId, chain, walletId);
+      const userData = await userService.getUserSettings(userId);
+      const gasOptions = this.getGasOptions(params, userData, chain);
+      const walletName = walletService.getCustodialWallet(userData, chain, walletId)?.name || 'Main';
+
+      // Sell into the chosen quote asset; PnL is measured against the position's own quote
+      const quote = this.getQuoteToken(chain, this.getUserQuoteAsset(params, userData, chain));
+
+      const trade = {
+        chain,
+        tokenAddress,
+        percentage,
+        avgBuyPrice: holding.avgPrice,
+        quote: quote.asset,
+        positionQuote: position.quote || 'native',
+        walletId
+      };
 
       let result;
       
       // Execute trade based on chain
-      switch (chain.toLowerCase()) {
-        case 'solana':
-          result = await this.executeSolanaSell(privateKey, tokenAddress, sellAmount, slippage);
-          break;
-        case 'ethereum':
-        case 'bsc':
-        case 'polygon':
-        case 'arbitrum':
-        case 'base':
-          result = await this.executeEVMSell(privateKey, tokenAddress, sellAmount, slippage, chain);
-          break;
-        default:
-          throw new Error(`Unsupported chain: ${chain}`);
+      try {
+        switch (chain.toLowerCase()) {
+          case 'solana':
+            result = await this.executeSolanaSell(privateKey, tokenAddress, sellAmount, slippage, {
+              ...this.getSolanaSendOptions(params, userData),
+              devFeePercent: parseFloat(process.env.DEV_FEE_PERCENT || '3'),
+              quote: quote.asset
+            });
+            break;
+          case 'ethereum':
+          case 'bsc':
+          case 'polygon':
+          case 'arbitrum':
+          case 'base':
+            result = await this.executeEVMSell(privateKey, tokenAddress, sellAmount, slippage, chain, gasOptions, quote.asset);
+            break;
+          default:
+            throw new Error(`Unsupported chain: ${chain}`);
+        }
+      } catch (error) {
+        if (!error.pendingTrade) throw error;
+        return this.handOffPendingTrade(userId, tradeId, { side: 'sell', ...trade, ...error.pendingTrade }, {
+          quoteSymbol: quote.symbol,
+          walletId,
+          walletName
+        });
       }
 
-      // Calculate PnL
-      const sellValue = result.nativeReceived;
-      const buyValue = sellAmount * position.avgBuyPrice;
-      const pnl = sellValue - buyValue;
-      const pnlPercentage = ((sellValue - buyValue) / buyValue) * 100;
-
-      // Process dev fee
-      const feeInfo = await walletService.processTransactionWithFee(userId, chain, sellValue, 'sell');
-
-      // Update trade statistics
-      this.updateStats(chain, 'sell', sellValue, true);
-
-      // Update user statistics
-      await userService.updateStats(userId, {
-        amount: sellValue,
-        pnl,
-        executed: true
-      });
-
-      // Update position
-      await userService.sellPosition(userId, tokenAddress, percentage, result.executedPrice);
+      // PnL, dev fee, statistics and position on what was actually sold
+      const tokensSold = result.tokensSold || sellAmount;
+      const { pnl, pnlPercentage, devFee, feeCollection, feeInfo } = await this.runForUser(userId, () =>
+        this.applySellFill(userId, trade, { ...result, tokensSold })
+      );
 
       console.log(`✅ SELL order ${tradeId} executed successfully`);
 
@@ -328,10 +564,14 @@ class RealTradingExecutor {
         tradeId,
         txHash: result.txHash,
         executedPrice: result.executedPrice,
-        tokensSold: sellAmount,
+        tokensSold,
         nativeReceived: result.nativeReceived,
-        devFee: feeInfo.devFee,
+        devFee,
+        devFeeTxHash: feeCollection?.txHash || null,
         feeDisplay: feeInfo.feeDisplay,
+        quoteSymbol: quote.symbol,
+        walletId,
+        walletName,
         pnl,
         pnlPercentage,
         gasUsed: result.gasUsed,
@@ -355,371 +595,1314 @@ class RealTradingExecutor {
     }
   }
 
-  // Enhanced Solana buy via Jupiter with better error handling
-  async executeSolanaBuy(privateKeyHex, tokenAddress, amount, slippage) {
+  // Sell a position held in several wallets from all of them in parallel. A percentage applies to
+  // each wallet's holding, a token amount is split in proportion to the holdings
+  async executeWalletSells(userId, params, position) {
+    const wallets = await walletService.getUserWallets(userId, params.chain);
+    const holdings = Object.entries(position.wallets);
+
+    const results = await Promise.all(holdings.map(async ([walletId, holding]) => {
+      // The proportional share can round a hair above the holding on a full sell
+      const amount = params.amount
+        ? Math.min(holding.amount, params.amount * holding.amount / position.amount)
+        : holding.amount * (params.percentage ?? 100) / 100;
+
+      return {
+        ...await this.executeSellOrder(userId, { ...params, walletId, amount }),
+        walletId,
+        walletName: wallets.find(wallet => wallet.id === walletId)?.name || walletId,
+        requestedAmount: amount
+      };
+    }));
+
+    const filled = results.filter(result => result.success);
+    const pending = results.filter(result => result.pending);
+    const total = key => filled.reduce((sum, result) => sum + (result[key] || 0), 0);
+    const tokensSold = total('tokensSold');
+    const nativeReceived = total('nativeReceived');
+    const pnl = total('pnl');
+    const costBasis = nativeReceived - pnl;
+
+    return {
+      ...(filled[0] || pending[0] || results[0]),
+      success: filled.length > 0,
+      pending: filled.length === 0 && pending.length > 0,
+      tokensSold,
+      nativeReceived,
+      executedPrice: tokensSold > 0 ? nativeReceived / tokensSold : 0,
+      devFee: total('devFee'),
+      pnl,
+      pnlPercentage: costBasis > 0 ? (pnl / costBasis) * 100 : 0,
+      walletName: `${filled.length}/${results.length} wallets`,
+      walletResults: results,
+      ...(filled.length === 0 && pending.length === 0 && {
+        error: results.map(result => `${result.walletName}: ${result.error}`).join('; ')
+      })
+    };
+  }
+
+  // Trades of one user running side by side (multi-wallet buys and sells) read and write the same
+  // user record, so their bookkeeping is applied one at a time
+  async runForUser(userId, task) {
+    const key = String(userId);
+    const previous = this.userLocks.get(key) || Promise.resolve();
+
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const current = previous.then(() => gate);
+    this.userLocks.set(key, current);
+    await previous;
+
     try {
-      const connection = await this.rpcManager.getSolanaConnection();
-      
-      // Convert hex private key to Keypair
-      const secretKey = new Uint8Array(Buffer.from(privateKeyHex, 'hex'));
-      const wallet = Keypair.fromSecretKey(secretKey);
+      return await task();
+    } finally {
+      release();
+      if (this.userLocks.get(key) === current) {
+        this.userLocks.delete(key);
+      }
+    }
+  }
 
-      const amountLamports = Math.floor(amount * LAMPORTS_PER_SOL);
+  // Swap between two assets on one chain. A pair with a quote asset on exactly one side is an
+  // ordinary buy or sell in that quote. Otherwise the input position's cost basis carries over to
+  // the output token, and the dev fee is charged in the native coin on the input's USD value
+  async executeSwapOrder(userId, params) {
+    const tradeId = `swap_${userId}_${Date.now()}`;
 
-      // Get quote from Jupiter with retry logic
-      let quoteData;
-      for (let attempt = 1; attempt <= 3; attempt++) {
-        try {
-          const quoteResponse = await axios.get(
-            `${JUPITER_API}/quote?inputMint=${COMMON_TOKENS.solana.SOL}&outputMint=${tokenAddress}&amount=${amountLamports}&slippageBps=${slippage * 100}`,
-            { timeout: 10000 }
-          );
-          
-          if (!quoteResponse.data) {
-            throw new Error('No quote data received');
-          }
-
-          quoteData = quoteResponse.data;
-          break;
-        } catch (error) {
-          console.warn(`Jupiter quote attempt ${attempt} failed:`, error.message);
-          if (attempt === 3) throw error;
-          await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
-        }
+    try {
+      const { fromToken, toToken, amount, chain, slippage = 5 } = params;
+
+      if (!fromToken || !toToken || !amount || !chain) {
+        throw new Error('Missing required parameters: fromToken, toToken, amount, chain');
+      }
+      if (amount <= 0) {
+        throw new Error('Invalid amount: must be greater than 0');
+      }
+      if (fromToken.toLowerCase() === toToken.toLowerCase()) {
+        throw new Error('Cannot swap a token into itself');
       }
 
-      // Get swap transaction
-      const swapResponse = await axios.post(JUPITER_SWAP_API, {
-        quoteResponse: quoteData,
-        userPublicKey: wallet.publicKey.toString(),
-        wrapAndUnwrapSol: true,
-        dynamicComputeUnitLimit: true,
-        prioritizationFeeLamports: 100000 // 0.0001 SOL priority fee
-      }, { timeout: 10000 });
+      const fromQuote = this.findQuoteAsset(chain, fromToken);
+      const toQuote = this.findQuoteAsset(chain, toToken);
 
-      if (!swapResponse.data?.swapTransaction) {
-        throw new Error('No swap transaction received');
+      if (fromQuote && !toQuote) {
+        return this.executeBuyOrder(userId, { ...params, tokenAddress: toToken, quoteAsset: fromQuote.asset });
+      }
+      if (toQuote && !fromQuote) {
+        return this.executeSellOrder(userId, { ...params, tokenAddress: fromToken, amount, quoteAsset: toQuote.asset });
       }
 
-      const { swapTransaction } = swapResponse.data;
+      console.log(`🔄 Executing SWAP order ${tradeId}:`, { from: fromToken, to: toToken, amount, chain });
 
-      // Deserialize and sign transaction
-      const transactionBuf = Buffer.from(swapTransaction, 'base64');
-      const transaction = Transaction.from(transactionBuf);
-      transaction.sign(wallet);
+      if (!this.initialized) {
+        await this.initialize();
+        if (!this.initialized) {
+          throw new Error('Trading executor failed to initialize');
+        }
+      }
 
-      // Execute transaction with retry
-      let txHash;
-      for (let attempt = 1; attempt <= 3; attempt++) {
-        try {
-          txHash = await connection.sendRawTransaction(transaction.serialize(), {
-            skipPreflight: false,
-            preflightCommitment: 'confirmed',
-            maxRetries: 3
-          });
-          break;
-        } catch (error) {
-          console.warn(`Solana transaction attempt ${attempt} failed:`, error.message);
-          if (attempt === 3) throw error;
-          await new Promise(resolve => setTimeout(resolve, 2000 * attempt));
+      const userData = await userService.getUserSettings(userId);
+
+      // Token inputs come out of a position; swaps between quote assets only need the balance
+      let position = null;
+      let walletId = params.walletId || 'main';
+      let inputUsd;
+      if (fromQuote) {
+        const wallet = walletService.getCustodialWallet(userData, chain, walletId);
+        if (!wallet) {
+          throw new Error(`No ${chain} wallet found for user`);
+        }
+        const available = fromQuote.native
+          ? parseFloat((await walletService.getWalletBalance(wallet.address, chain)).balance)
+          : await this.getTokenBalance(chain, wallet.address, fromQuote.address);
+        if (available < amount) {
+          throw new Error(`Insufficient ${fromQuote.symbol} balance. Available: ${available}, Required: ${amount}`);
+        }
+        inputUsd = amount * await this.getQuoteUsdPrice(chain, fromQuote.asset);
+      } else {
+        const positions = await userService.getUserPositions(userId);
+        position = positions.find(p => p.tokenAddress.toLowerCase() === fromToken.toLowerCase() && p.chain === chain);
+        if (!position) {
+          throw new Error('No position found for this token');
         }
+
+        // Without a named wallet the swap comes out of the main wallet when it holds enough,
+        // otherwise out of the largest holding that does
+        walletId = params.walletId || this.pickWalletHolding(position, amount);
+        const holding = position.wallets[walletId];
+        if (!holding || amount > holding.amount) {
+          throw new Error('Insufficient token balance');
+        }
+
+        // Market value, or the cost basis when the token has no price
+        const { priceUsd } = await tokenDataService.getTokenData(fromToken, chain);
+        inputUsd = priceUsd > 0
+          ? amount * priceUsd
+          : amount * holding.avgPrice * await this.getQuoteUsdPrice(chain, position.quote);
       }
 
-      // Wait for confirmation with timeout
-      const confirmationPromise = connection.confirmTransaction(txHash, 'confirmed');
-      const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Transaction confirmation timeout')), 60000)
-      );
+      const nativeUsd = await this.getQuoteUsdPrice(chain, 'native');
+      if (!nativeUsd) {
+        throw new Error(`No ${chain} price available to value the swap`);
+      }
+      const devFeePercent = parseFloat(process.env.DEV_FEE_PERCENT || '3');
+      const devFee = inputUsd / nativeUsd * devFeePercent / 100;
+
+      const privateKey = await walletService.getWalletPrivateKeyForTrading(userId, chain, walletId);
+      const gasOptions = this.getGasOptions(params, userData, chain);
+      const tokenIn = fromQuote ? fromQuote.address : fromToken;
+      const tokenOut = toQuote ? toQuote.address : toToken;
+      const [decimalsIn, decimalsOut] = await Promise.all([
+        fromQuote ? fromQuote.decimals : tokenDataService.getTokenDecimals(fromToken, chain),
+        toQuote ? toQuote.decimals : tokenDataService.getTokenDecimals(toToken, chain)
+      ]);
+
+      const trade = {
+        chain,
+        fromToken,
+        toToken,
+        amount,
+        devFee,
+        positionToken: position?.tokenAddress || null,
+        valueNative: inputUsd / nativeUsd,
+        avgBuyPrice: position ? position.wallets[walletId].avgPrice : null,
+        positionQuote: position?.quote || 'native',
+        walletId,
+        sourceWallet: params.sourceWallet || 'manual_swap'
+      };
+
+      let result;
+      try {
+        if (chain === 'solana') {
+          result = await this.executeSolanaSwap(privateKey, {
+            side: 'swap',
+            tokenAddress: fromToken,
+            inputMint: tokenIn,
+            outputMint: tokenOut,
+            quoteMint: COMMON_TOKENS.solana.SOL,
+            amountIn: Math.floor(amount * Math.pow(10, decimalsIn))
+          }, slippage, this.getSolanaSendOptions(params, userData));
+        } else if (DEX_VENUES[chain]) {
+          result = await this.executeEVMSwap(privateKey, chain, {
+            side: 'swap',
+            tokenAddress: fromQuote ? tokenOut : fromToken,
+            tokenIn,
+            tokenOut,
+            nativeIn: !!fromQuote?.native,
+            nativeOut: !!toQuote?.native,
+            amount,
+            decimalsIn,
+            decimalsOut
+          }, slippage, gasOptions);
+        } else {
+          throw new Error(`Unsupported chain: ${chain}`);
+        }
+      } catch (error) {
+        if (!error.pendingTrade) throw error;
+        return this.handOffPendingTrade(userId, tradeId, { ...trade, ...error.pendingTrade }, { devFee, walletId });
+      }
 
-      await Promise.race([confirmationPromise, timeoutPromise]);
+      const feeCollection = await this.runForUser(userId, () => this.applySwapFill(userId, trade, result));
 
-      const executedPrice = parseInt(quoteData.inAmount) / parseInt(quoteData.outAmount);
-      const tokensReceived = parseInt(quoteData.outAmount) / Math.pow(10, 9); // Assuming 9 decimals
+      console.log(`✅ SWAP order ${tradeId} executed successfully`);
 
       return {
-        txHash,
-        executedPrice,
-        tokensReceived,
-        gasUsed: 'N/A'
+        success: true,
+        tradeId,
+        txHash: result.txHash,
+        executedPrice: result.executedPrice,
+        tokensSold: result.tokensSold,
+        tokensReceived: result.tokensReceived,
+        devFee,
+        devFeeTxHash: feeCollection?.txHash || null,
+        walletId,
+        gasUsed: result.gasUsed,
+        timestamp: Date.now(),
+        chain,
+        explorerUrl: this.getExplorerUrl(result.txHash, chain)
       };
 
     } catch (error) {
-      console.error('Solana buy execution error:', error);
-      throw new Error(`Solana buy failed: ${error.message}`);
+      console.error(`❌ SWAP order ${tradeId} failed:`, error);
+
+      this.updateStats(params.chain, 'swap', 0, false);
+
+      return {
+        success: false,
+        tradeId,
+        error: error.message,
+        timestamp: Date.now(),
+        chain: params.chain
+      };
     }
   }
 
-  // Enhanced Solana sell via Jupiter
-  async executeSolanaSell(privateKeyHex, tokenAddress, amount, slippage) {
-    try {
-      const connection = await this.rpcManager.getSolanaConnection();
-      
-      const secretKey = new Uint8Array(Buffer.from(privateKeyHex, 'hex'));
-      const wallet = Keypair.fromSecretKey(secretKey);
+  // Statistics, positions and dev fee for a confirmed token-to-token swap. The input's cost
+  // basis moves to the output, so no PnL is realized until the output is sold
+  async applySwapFill(userId, trade, fill) {
+    this.updateStats(trade.chain, 'swap', trade.valueNative, true);
+
+    await userService.updateStats(userId, {
+      amount: trade.valueNative,
+      pnl: 0,
+      executed: true
+    });
+
+    if (trade.avgBuyPrice !== null) {
+      // Positions are keyed by the address they were opened with, which may differ in case from the typed one
+      const sold = await userService.sellPosition(userId, trade.positionToken, 100, trade.avgBuyPrice, fill.tokensSold, trade.walletId || 'main');
+      if (sold.success) {
+        const cost = sold.sellAmount * trade.avgBuyPrice;
+        await userService.addPosition(userId, trade.toToken, fill.tokensReceived, cost / fill.tokensReceived, trade.sourceWallet, {
+          chain: trade.chain,
+          quote: trade.positionQuote,
+          walletId: trade.walletId
+        });
+      } else {
+        console.warn(`⚠️ Swap ${fill.txHash} confirmed but the input position was not reduced, cost basis not moved:`, sold.message);
+      }
+    }
 
-      // Convert amount to proper decimals (assuming 9 for most SPL tokens)
-      const amountAtomic = Math.floor(amount * Math.pow(10, 9));
+    return this.collectDevFee(userId, {
+      chain: trade.chain,
+      action: 'swap',
+      amount: trade.devFee,
+      walletId: trade.walletId,
+      tradeTxHash: fill.txHash
+    });
+  }
 
-      // Get quote with retry logic
-      let quoteData;
-      for (let attempt = 1; attempt <= 3; attempt++) {
-        try {
-          const quoteResponse = await axios.get(
-            `${JUPITER_API}/quote?inputMint=${tokenAddress}&outputMint=${COMMON_TOKENS.solana.SOL}&amount=${amountAtomic}&slippageBps=${slippage * 100}`,
-            { timeout: 10000 }
-          );
-          
-          quoteData = quoteResponse.data;
-          break;
-        } catch (error) {
-          console.warn(`Jupiter sell quote attempt ${attempt} failed:`, error.message);
-          if (attempt === 3) throw error;
-          await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
-        }
-      }
+  // The wallet a token amount is taken from when none is named: the main wallet if its holding
+  // covers the amount, otherwise the largest holding that does
+  pickWalletHolding(position, amount) {
+    const holdings = Object.entries(position.wallets).filter(([, holding]) => holding.amount >= amount);
+    if (holdings.some(([walletId]) => walletId === 'main')) return 'main';
+    holdings.sort(([, a], [, b]) => b.amount - a.amount);
+    return holdings[0]?.[0] || 'main';
+  }
 
-      // Get swap transaction
-      const swapResponse = await axios.post(JUPITER_SWAP_API, {
-        quoteResponse: quoteData,
-        userPublicKey: wallet.publicKey.toString(),
-        wrapAndUnwrapSol: true,
-        dynamicComputeUnitLimit: true,
-        prioritizationFeeLamports: 100000
-      }, { timeout: 10000 });
+  // The quote asset a swap side names ('native', a stablecoin symbol or its address), or null for other tokens
+  findQuoteAsset(chain, token) {
+    const chainKey = chain.toLowerCase();
+    const key = token.toLowerCase();
+    const nativeSymbol = (NATIVE_SYMBOLS[chainKey] || '').toLowerCase();
 
-      const { swapTransaction } = swapResponse.data;
+    if (key === 'native' || key === nativeSymbol || key === this.getQuoteToken(chainKey).address.toLowerCase()) {
+      return this.getQuoteToken(chainKey);
+    }
 
-      // Execute transaction
-      const transactionBuf = Buffer.from(swapTransaction, 'base64');
-      const transaction = Transaction.from(transactionBuf);
-      transaction.sign(wallet);
+    const symbol = Object.keys(QUOTE_ASSETS[chainKey] || {})
+      .find(asset => asset.toLowerCase() === key || QUOTE_ASSETS[chainKey][asset].address.toLowerCase() === key);
+    return symbol ? this.getQuoteToken(chainKey, symbol) : null;
+  }
 
-      const txHash = await connection.sendRawTransaction(transaction.serialize(), {
-        skipPreflight: false,
-        preflightCommitment: 'confirmed'
-      });
+  // Statistics, position and dev fee for a confirmed buy. A position opened in another quote
+  // asset keeps its own, so the fill price is converted into it
+  async applyBuyFill(userId, trade, fill) {
+    const quote = trade.quote || 'native';
+    this.updateStats(trade.chain, 'buy', trade.amount, true);
+
+    await userService.updateStats(userId, {
+      amount: trade.amountSpent,
+      pnl: 0, // No PnL on buy
+      executed: true
+    });
+
+    const positions = await userService.getUserPositions(userId);
+    const existing = positions.find(p => p.tokenAddress.toLowerCase() === trade.tokenAddress.toLowerCase());
+    const positionQuote = existing?.quote || quote;
+    const price = await this.convertQuoteAmount(trade.chain, fill.executedPrice, quote, positionQuote);
+
+    await userService.addPosition(userId, trade.tokenAddress, fill.tokensReceived, price, trade.sourceWallet, {
+      chain: trade.chain,
+      quote: positionQuote,
+      walletId: trade.walletId
+    });
+
+    return this.collectDevFee(userId, {
+      chain: trade.chain,
+      action: 'buy',
+      amount: trade.devFee,
+      asset: quote,
+      walletId: trade.walletId,
+      tradeTxHash: fill.txHash,
+      feeTransfer: fill.feeTransfer
+    });
+  }
 
-      await connection.confirmTransaction(txHash, 'confirmed');
+  // PnL, dev fee, statistics and position for a confirmed sell. PnL is in the quote asset the
+  // token was sold into; the cost basis is converted from the position's quote when they differ
+  async applySellFill(userId, trade, fill) {
+    const quote = trade.quote || 'native';
+    const sellValue = fill.nativeReceived;
+    const avgBuyPrice = await this.convertQuoteAmount(trade.chain, trade.avgBuyPrice, trade.positionQuote || 'native', quote);
+    const buyValue = fill.tokensSold * avgBuyPrice;
+    const pnl = sellValue - buyValue;
+    const pnlPercentage = ((sellValue - buyValue) / buyValue) * 100;
+
+    const feeInfo = await walletService.processTransactionWithFee(userId, trade.chain, sellValue, 'sell', trade.walletId);
+    // A fee appended to the swap was a share of the quote, so it can differ slightly from the split
+    const devFee = fill.feeTransfer ? fill.feeTransfer.amount : feeInfo.devFee;
+
+    this.updateStats(trade.chain, 'sell', sellValue, true);
+
+    await userService.updateStats(userId, {
+      amount: sellValue,
+      pnl,
+      executed: true
+    });
+
+    // The position records its sell price in its own quote
+    const positionPrice = await this.convertQuoteAmount(trade.chain, fill.executedPrice, quote, trade.positionQuote || 'native');
+    await userService.sellPosition(userId, trade.tokenAddress, trade.percentage, positionPrice, fill.tokensSold, trade.walletId || 'main');
+
+    const feeCollection = await this.collectDevFee(userId, {
+      chain: trade.chain,
+      action: 'sell',
+      amount: devFee,
+      asset: quote,
+      walletId: trade.walletId,
+      tradeTxHash: fill.txHash,
+      feeTransfer: fill.feeTransfer
+    });
+
+    return { pnl, pnlPercentage, devFee, feeCollection, feeInfo };
+  }
 
-      const executedPrice = parseInt(quoteData.outAmount) / parseInt(quoteData.inAmount);
-      const nativeReceived = parseInt(quoteData.outAmount) / LAMPORTS_PER_SOL;
+  // Move the dev fee to the chain's treasury and record it in the fee ledger. The fee is in the
+  // trade's quote asset (`asset`, native by default) and leaves from the wallet that traded. A fee
+  // appended to the swap only needs recording; a transfer that fails is recorded as such and never
+  // fails the trade
+  async collectDevFee(userId, { chain, action, amount, asset = 'native', walletId = 'main', tradeTxHash = null, feeTransfer = null }) {
+    if (!(amount > 0)) return null;
+
+    const quote = this.getQuoteToken(chain, asset);
+    const treasury = walletService.getTreasuryAddress(chain);
+    const entry = {
+      userId,
+      chain,
+      action,
+      amount,
+      asset: quote.asset,
+      ...(!quote.native && { tokenAddress: quote.address, decimals: quote.decimals }),
+      treasury,
+      tradeTxHash,
+      txHash: null
+    };
 
-      return {
-        txHash,
-        executedPrice,
-        nativeReceived,
-        gasUsed: 'N/A'
-      };
+    if (feeTransfer) {
+      console.log(`💰 Dev fee ${feeTransfer.amount} ${quote.symbol} on ${chain.toUpperCase()} collected in swap ${feeTransfer.txHash}`);
+      return walletService.recordDevFee({ ...entry, amount: feeTransfer.amount, txHash: feeTransfer.txHash, method: 'in_swap', status: 'confirmed' });
+    }
+
+    if (!treasury) {
+      console.error(`❌ No treasury wallet configured for ${chain} - dev fee left uncollected`);
+      return walletService.recordDevFee({ ...entry, method: 'transfer', status: 'uncollected', error: 'No treasury wallet configured' });
+    }
+
+    try {
+      const privateKey = await walletService.getWalletPrivateKeyForTrading(userId, chain, walletId);
+      const txHash = chain === 'solana'
+        ? await this.sendSolanaFeeTransfer(privateKey, treasury, amount, quote)
+        : await this.sendEVMFeeTransfer(privateKey, chain, treasury, amount, quote);
 
+      console.log(`💰 Dev fee ${amount} ${quote.symbol} on ${chain.toUpperCase()} transferred to treasury: ${txHash}`);
+      return walletService.recordDevFee({ ...entry, txHash, method: 'transfer', status: 'confirmed' });
     } catch (error) {
-      console.error('Solana sell execution error:', error);
-      throw new Error(`Solana sell failed: ${error.message}`);
+      // A transfer that is still pending keeps its hash so reconciliation can check it later
+      console.error(`❌ Dev fee transfer failed for user ${userId} on ${chain}:`, error.message);
+      return walletService.recordDevFee({
+        ...entry,
+        txHash: error.txHash || null,
+        method: 'transfer',
+        status: error.code === 'TX_PENDING' ? 'submitted' : 'failed',
+        error: error.message
+      });
+    }
+  }
+
+  async sendSolanaFeeTransfer(privateKeyHex, treasury, amount, quote = this.getQuoteToken('solana')) {
+    const connection = await this.rpcManager.getSolanaConnection();
+    const wallet = Keypair.fromSecretKey(new Uint8Array(Buffer.from(privateKeyHex, 'hex')));
+    const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+
+    const instruction = await this.buildSolanaFeeInstruction(
+      connection,
+      wallet.publicKey,
+      new PublicKey(treasury),
+      Math.floor(amount * Math.pow(10, quote.decimals)),
+      quote.native ? null : quote.address
+    );
+    const transaction = new Transaction({
+      feePayer: wallet.publicKey,
+      blockhash,
+      lastValidBlockHeight
+    }).add(instruction);
+    transaction.sign(wallet);
+
+    return this.sendAndConfirmSolanaTransaction(connection, transaction, lastValidBlockHeight, 'Dev fee');
+  }
+
+  async sendEVMFeeTransfer(privateKeyHex, chain, treasury, amount, quote = this.getQuoteToken(chain)) {
+    const provider = await this.getEVMProvider(chain);
+    const wallet = new ethers.Wallet(privateKeyHex, provider);
+    const value = parseUnits(amount.toFixed(quote.decimals), quote.decimals);
+
+    const txRequest = quote.native
+      ? { to: treasury, value }
+      : await new ethers.Contract(quote.address, ERC20_TOKEN_ABI, provider).transfer.populateTransaction(treasury, value);
+
+    const overrides = await getGasManager().getTransactionOverrides(
+      provider,
+      { ...txRequest, from: wallet.address },
+      { fallbackGasLimit: quote.native ? 21000 : 100000 }
+    );
+    const tx = await this.sendEVMTransaction(wallet, chain, { ...txRequest, ...overrides }, 'Dev fee');
+    const receipt = await this.waitForEVMTransaction(tx);
+    return receipt.hash;
+  }
+
+  // The swap was sent but didn't confirm in time. The tracker keeps polling and settles the
+  // position only once it confirms, so the trade is reported as pending rather than failed
+  async handOffPendingTrade(userId, tradeId, settlement, details = {}) {
+    const { txHash, chain } = settlement;
+    await getTransactionTracker().handOff(txHash, { userId, chain, settlement });
+
+    console.log(`⏳ ${settlement.side.toUpperCase()} order ${tradeId} pending - tracking ${txHash}`);
+
+    return {
+      success: false,
+      pending: true,
+      tradeId,
+      txHash,
+      ...details,
+      error: 'Transaction submitted but not confirmed yet - you will get a message when it settles',
+      timestamp: Date.now(),
+      chain,
+      explorerUrl: this.getExplorerUrl(txHash, chain)
+    };
+  }
+
+  // Settle a handed-off trade once its transaction (or a sped-up replacement) confirmed;
+  // returns the summary for the follow-up message
+  async settlePendingTrade(record) {
+    const trade = record.settlement;
+    let fill;
+
+    if (record.chain === 'solana') {
+      const connection = await this.rpcManager.getSolanaConnection();
+      fill = await this.readSolanaSwapFill(connection, record.hash, trade);
+    } else {
+      const provider = await this.getEVMProvider(record.chain);
+      const receipt = await provider.getTransactionReceipt(record.hash);
+      fill = await this.readEVMSwapFill(receipt, trade);
+    }
+    fill.txHash = record.hash;
+    const quoteSymbol = this.getQuoteToken(record.chain, trade.quote).symbol;
+
+    if (trade.side === 'buy') {
+      await this.runForUser(record.userId, () => this.applyBuyFill(record.userId, trade, fill));
+      return `🪙 **Tokens Received:** ${fill.tokensReceived.toFixed(4)}\n` +
+        `💵 **Price:** ${fill.executedPrice.toFixed(10)} ${quoteSymbol}`;
+    }
+
+    if (trade.side === 'swap') {
+      await this.runForUser(record.userId, () => this.applySwapFill(record.userId, trade, fill));
+      return `🪙 **Tokens Swapped:** ${fill.tokensSold.toFixed(4)}\n` +
+        `🎯 **Tokens Received:** ${fill.tokensReceived.toFixed(4)}`;
     }
+
+    const { pnl, pnlPercentage } = await this.runForUser(record.userId, () => this.applySellFill(record.userId, trade, fill));
+    return `🪙 **Tokens Sold:** ${fill.tokensSold.toFixed(4)}\n` +
+      `💰 **Received:** ${fill.nativeReceived.toFixed(6)} ${quoteSymbol}\n` +
+      `${pnl >= 0 ? '🟢' : '🔴'} **PnL:** ${pnl >= 0 ? '+' : ''}${pnlPercentage.toFixed(2)}%`;
+  }
+
+  // Solana buy via Jupiter: spend the quote asset (SOL unless options.quote says otherwise) on the token
+  async executeSolanaBuy(privateKeyHex, tokenAddress, amount, slippage, options = {}) {
+    const quote = this.getQuoteToken('solana', options.quote);
+    return this.executeSolanaSwap(privateKeyHex, {
+      side: 'buy',
+      tokenAddress,
+      inputMint: quote.address,
+      outputMint: tokenAddress,
+      quoteMint: quote.address,
+      amountIn: Math.floor(amount * Math.pow(10, quote.decimals))
+    }, slippage, { ...options, devFeeAtomic: Math.floor((options.devFee || 0) * Math.pow(10, quote.decimals)) });
+  }
+
+  // Solana sell via Jupiter into the quote asset
+  async executeSolanaSell(privateKeyHex, tokenAddress, amount, slippage, options = {}) {
+    const quote = this.getQuoteToken('solana', options.quote);
+    const decimals = await tokenDataService.getTokenDecimals(tokenAddress, 'solana');
+    return this.executeSolanaSwap(privateKeyHex, {
+      side: 'sell',
+      tokenAddress,
+      inputMint: tokenAddress,
+      outputMint: quote.address,
+      quoteMint: quote.address,
+      amountIn: Math.floor(amount * Math.pow(10, decimals))
+    }, slippage, options);
   }
 
-  // Enhanced EVM buy with multi-DEX support
-  async executeEVMBuy(privateKeyHex, tokenAddress, amount, slippage, chain) {
+  // Quote, sign and land a Jupiter swap of an exact input. Buys carry a dev fee amount in the
+  // quote asset (devFeeAtomic), sells a share of the quoted output (devFeePercent)
+  async executeSolanaSwap(privateKeyHex, swapParams, slippage, options = {}) {
+    const { side, inputMint, outputMint, quoteMint, amountIn } = swapParams;
+    const description = { buy: 'Buy swap', sell: 'Sell swap', swap: 'Token swap' }[side];
+
     try {
-      console.log(`🔷 Executing ${chain.toUpperCase()} buy order...`);
-      
-      const provider = await this.getEVMProvider(chain);
-      const wallet = new ethers.Wallet(privateKeyHex, provider);
-      
-      // Get the best router for this chain
-      const routerInfo = this.getBestRouter(chain);
-      const router = new ethers.Contract(routerInfo.address, routerInfo.abi, wallet);
-      
-      // Get wrapped native token address
-      const WNATIVE = this.getWrappedNative(chain);
-      const path = [WNATIVE, tokenAddress];
-      const amountIn = parseUnits(amount.toString(), 'ether');
-      
-      // Get expected output amount with retry
-      let amounts;
-      for (let attempt = 1; attempt <= 3; attempt++) {
-        try {
-          amounts = await router.getAmountsOut(amountIn, path);
-          break;
-        } catch (error) {
-          console.warn(`Get amounts out attempt ${attempt} failed:`, error.message);
-          if (attempt === 3) throw error;
-          await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
-        }
-      }
-      
-      const amountOutMin = amounts[1] * BigInt(100 - slippage) / BigInt(100);
-      
-      // Set deadline (10 minutes from now)
-      const deadline = Math.floor(Date.now() / 1000) + 600;
-      
-      // Get current gas price and add premium for faster execution
-      const gasPrice = await provider.getGasPrice();
-      const premiumGasPrice = gasPrice * BigInt(110) / BigInt(100); // 10% premium
-      
-      // Execute swap with enhanced gas settings
-      const tx = await router.swapExactETHForTokens(
-        amountOutMin,
-        path,
-        wallet.address,
-        deadline,
-        { 
-          value: amountIn,
-          gasLimit: 350000, // Increased gas limit
-          gasPrice: premiumGasPrice
-        }
-      );
-      
-      console.log(`📝 ${chain.toUpperCase()} transaction sent: ${tx.hash}`);
-      
-      // Wait for confirmation with timeout
-      const receipt = await Promise.race([
-        tx.wait(),
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('Transaction timeout')), 120000)
-        )
-      ]);
-      
-      console.log(`✅ ${chain.toUpperCase()} transaction confirmed: ${receipt.transactionHash}`);
-      
-      // Calculate actual amounts from receipt
-      const actualAmountOut = amounts[1];
-      const executedPrice = Number(amountIn) / Number(actualAmountOut);
-      const tokensReceived = Number(formatUnits(actualAmountOut, 18));
+      const connection = await this.rpcManager.getSolanaConnection();
       
+      // Convert hex private key to Keypair
+      const secretKey = new Uint8Array(Buffer.from(privateKeyHex, 'hex'));
+      const wallet = Keypair.fromSecretKey(secretKey);
+      const asLegacyTransaction = this.useLegacySolanaTransactions(options);
+
+      const quoteData = await this.getJupiterQuote(inputMint, outputMint, amountIn, slippage, asLegacyTransaction);
+
+      // Get, sign and land the swap transaction
+      const computeUnitPrice = await this.getSolanaPriorityFee(connection, quoteData, options.priorityFee);
+      const { transaction, lastValidBlockHeight } = await this.getJupiterSwapTransaction(quoteData, wallet, asLegacyTransaction, computeUnitPrice);
+
+      // The fee is paid in the quote asset, so token-to-token swaps send theirs separately
+      const devFeeAtomic = side === 'sell'
+        ? Math.floor(parseInt(quoteData.outAmount) * (options.devFeePercent || 0) / 100)
+        : options.devFeeAtomic || 0;
+      const feeMint = quoteMint === COMMON_TOKENS.solana.SOL ? null : quoteMint;
+      const appendedFee = side === 'swap'
+        ? 0
+        : await this.appendSolanaFeeTransfer(connection, transaction, wallet.publicKey, devFeeAtomic, feeMint);
+      this.signSolanaTransaction(transaction, wallet);
+
+      const swap = {
+        ...swapParams,
+        walletAddress: wallet.publicKey.toString(),
+        amountIn: String(amountIn),
+        expectedOut: quoteData.outAmount,
+        devFeeAtomic: appendedFee
+      };
+      const txHash = await this.landSolanaTransaction(connection, transaction, wallet, lastValidBlockHeight, { ...options, description })
+        .catch(error => this.markPendingSwap(error, swap));
+
       return {
-        txHash: receipt.transactionHash,
-        executedPrice,
-        tokensReceived,
-        gasUsed: receipt.gasUsed.toString()
+        txHash,
+        ...await this.readSolanaSwapFill(connection, txHash, swap),
+        gasUsed: 'N/A'
       };
 
     } catch (error) {
-      console.error(`${chain} buy execution error:`, error);
-      
-      // Provide more specific error messages
-      if (error.message.includes('insufficient funds')) {
-        throw new Error('Insufficient native token balance for trade');
-      } else if (error.message.includes('execution reverted')) {
-        throw new Error('Trade execution failed - likely due to slippage or liquidity issues');
-      } else if (error.message.includes('replacement transaction underpriced')) {
-        throw new Error('Network congestion - please try again with higher gas');
-      } else {
-        throw new Error(`${chain} buy failed: ${error.message}`);
-      }
+      if (error.pendingTrade) throw error;
+      console.error(`Solana ${side} execution error:`, error);
+      throw new Error(`Solana ${side} failed: ${error.message}`);
     }
   }
 
-  // Enhanced EVM sell with multi-DEX support
-  async executeEVMSell(privateKeyHex, tokenAddress, amount, slippage, chain) {
-    try {
-      console.log(`🔷 Executing ${chain.toUpperCase()} sell order...`);
-      
-      const provider = await this.getEVMProvider(chain);
-      const wallet = new ethers.Wallet(privateKeyHex, provider);
-      
-      // Get the best router for this chain
-      const routerInfo = this.getBestRouter(chain);
-      
-      // ERC20 Token ABI
-      const tokenABI = [
-        "function transfer(address to, uint amount) public returns (bool)",
-        "function balanceOf(address account) public view returns (uint256)",
-        "function approve(address spender, uint256 amount) public returns (bool)",
-        "function allowance(address owner, address spender) public view returns (uint256)",
-        "function decimals() public view returns (uint8)"
-      ];
-      
-      const tokenContract = new ethers.Contract(tokenAddress, tokenABI, wallet);
-      const router = new ethers.Contract(routerInfo.address, routerInfo.abi, wallet);
+  // A swap whose confirmation timed out may still land; carry what settling it later needs
+  markPendingSwap(error, swap) {
+    if (error.code === 'TX_PENDING') {
+      error.pendingTrade = { ...swap, txHash: error.txHash };
+    }
+    throw error;
+  }
+
+  // Confirmed amounts of a Jupiter swap from the balance changes, falling back to the quote.
+  // The quote side keeps the native field names (nativeSpent / nativeReceived) in any quote asset
+  async readSolanaSwapFill(connection, txHash, swap) {
+    // Records handed off before quote assets existed were SOL-quoted
+    const SOL = COMMON_TOKENS.solana.SOL;
+    const {
+      inputMint = swap.side === 'buy' ? SOL : swap.tokenAddress,
+      outputMint = swap.side === 'buy' ? swap.tokenAddress : SOL,
+      quoteMint = SOL
+    } = swap;
+
+    const changes = await this.getSolanaBalanceChanges(connection, txHash, swap.walletAddress, [inputMint, outputMint]);
+    const decimalsOf = async mint => this.findQuoteAsset('solana', mint)?.decimals ??
+      changes?.tokens[mint]?.decimals ?? tokenDataService.getTokenDecimals(mint, 'solana');
+    const deltaOf = mint => {
+      if (!changes) return null;
+      if (mint === SOL) return changes.native;
+      return changes.tokens[mint] ? changes.tokens[mint].delta : null;
+    };
+
+    // A dev fee appended to the swap landed with it and left the wallet in the same transaction
+    const quoteDecimals = await decimalsOf(quoteMint);
+    const devFee = (swap.devFeeAtomic ?? swap.devFeeLamports ?? 0) / Math.pow(10, quoteDecimals);
+    const feeTransfer = devFee > 0 ? { amount: devFee, txHash } : null;
+
+    // Exact-in swap: the input is spent in full
+    const [decimalsIn, decimalsOut] = await Promise.all([decimalsOf(inputMint), decimalsOf(outputMint)]);
+    const inputDelta = deltaOf(inputMint);
+    const outputDelta = deltaOf(outputMint);
+    const amountIn = swap.side === 'buy' || !(inputDelta < 0)
+      ? parseInt(swap.amountIn) / Math.pow(10, decimalsIn)
+      : -inputDelta;
+    const received = outputMint === quoteMint && outputDelta !== null ? outputDelta + devFee : outputDelta;
+    const amountOut = received > 0 ? received : parseInt(swap.expectedOut) / Math.pow(10, decimalsOut);
+
+    return { ...this.toSwapFill(swap.side, amountIn, amountOut), feeTransfer };
+  }
+
+  // Name the two sides of a fill by trade direction; executedPrice is always quote per token
+  toSwapFill(side, amountIn, amountOut) {
+    if (side === 'buy') {
+      return { executedPrice: amountIn / amountOut, tokensReceived: amountOut, nativeSpent: amountIn };
+    }
+    if (side === 'sell') {
+      return { executedPrice: amountOut / amountIn, tokensSold: amountIn, nativeReceived: amountOut };
+    }
+    return { executedPrice: amountOut / amountIn, tokensSold: amountIn, tokensReceived: amountOut };
+  }
+
+  // Token and SOL balance changes of the owner in a confirmed swap
+  async getSolanaSwapFill(connection, txHash, owner, mint) {
+    const changes = await this.getSolanaBalanceChanges(connection, txHash, owner, [mint]);
+    if (!changes?.tokens[mint]) return null;
+
+    return {
+      tokenDelta: changes.tokens[mint].delta,
+      nativeDelta: changes.native,
+      decimals: changes.tokens[mint].decimals
+    };
+  }
+
+  // SOL and per-mint token balance changes of the owner in a confirmed transaction
+  async getSolanaBalanceChanges(connection, txHash, owner, mints) {
+    try {
+      let tx = null;
+      for (let attempt = 1; attempt <= 5 && !tx; attempt++) {
+        tx = await connection.getTransaction(txHash, {
+          commitment: 'confirmed',
+          maxSupportedTransactionVersion: 0
+        });
+        if (!tx) await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+
+      if (!tx?.meta) return null;
+
+      const ownerKey = owner.toString();
+      const sum = balances => balances.reduce((total, b) => total + BigInt(b.uiTokenAmount.amount), 0n);
+
+      const tokens = {};
+      for (const mint of mints) {
+        const ownerBalances = (balances = []) => balances.filter(b => b.owner === ownerKey && b.mint === mint);
+        const pre = ownerBalances(tx.meta.preTokenBalances);
+        const post = ownerBalances(tx.meta.postTokenBalances);
+        const decimals = [...pre, ...post][0]?.uiTokenAmount.decimals;
+        if (decimals === undefined) continue;
+
+        tokens[mint] = { delta: Number(sum(post) - sum(pre)) / Math.pow(10, decimals), decimals };
+      }
+
+      // The wallet pays the fee as first signer, and rent for the token accounts it opened (e.g. the
+      // token's associated account on a first buy) net of rent refunded from ones it closed; add both
+      // back to isolate the swap itself
+      const rent = Number(getTokenAccountRent(tx, ownerKey));
+      const lamportDelta = tx.meta.postBalances[0] - tx.meta.preBalances[0] + tx.meta.fee + rent;
+
+      return { native: lamportDelta / LAMPORTS_PER_SOL, tokens };
+    } catch (error) {
+      console.warn(`Could not read fill for ${txHash}:`, error.message);
+      return null;
+    }
+  }
+
+  // Jupiter returns v0 transactions with lookup tables unless the legacy format is requested
+  useLegacySolanaTransactions(options = {}) {
+    if (typeof options.asLegacyTransaction === 'boolean') {
+      return options.asLegacyTransaction;
+    }
+    return process.env.JUPITER_AS_LEGACY_TRANSACTION === 'true';
+  }
+
+  // Priority fee level and MEV protection for a Solana trade; explicit params win over the user's settings
+  getSolanaSendOptions(params = {}, userData = {}) {
+    return {
+      asLegacyTransaction: params.asLegacyTransaction,
+      priorityFee: params.priorityFee || userData?.priorityFee || 'fast',
+      mevProtection: params.mevProtection ?? !!userData?.mevProtection
+    };
+  }
+
+  // Compute unit price for a swap from the fees recently paid to write the pools it touches
+  async getSolanaPriorityFee(connection, quoteData, level = 'fast') {
+    const feeLevel = SOLANA_FEE_LEVELS[level] || SOLANA_FEE_LEVELS.fast;
+    const poolKeys = [...new Set((quoteData?.routePlan || []).map(step => step.swapInfo?.ammKey).filter(Boolean))];
+
+    try {
+      const recentFees = await connection.getRecentPrioritizationFees({
+        lockedWritableAccounts: poolKeys.map(key => new PublicKey(key))
+      });
+
+      // Most slots carry no fee for a given account; price against the ones that did
+      const fees = recentFees
+        .map(entry => entry.prioritizationFee)
+        .filter(fee => fee > 0)
+        .sort((a, b) => a - b);
+
+      if (fees.length === 0) {
+        return feeLevel.minMicroLamports;
+      }
+
+      const fee = fees[Math.min(fees.length - 1, Math.floor(fees.length * feeLevel.percentile / 100))];
+      return Math.min(Math.max(fee, feeLevel.minMicroLamports), MAX_COMPUTE_UNIT_PRICE);
+    } catch (error) {
+      console.warn('Recent prioritization fees unavailable, using level minimum:', error.message);
+      return feeLevel.minMicroLamports;
+    }
+  }
+
+  // Jupiter quote with retry logic
+  async getJupiterQuote(inputMint, outputMint, amount, slippage, asLegacyTransaction = false) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const quoteResponse = await axios.get(
+          `${JUPITER_API}/quote?inputMint=${inputMint}&outputMint=${outputMint}&amount=${amount}&slippageBps=${slippage * 100}${asLegacyTransaction ? '&asLegacyTransaction=true' : ''}`,
+          { timeout: 10000 }
+        );
+
+        if (!quoteResponse.data) {
+          throw new Error('No quote data received');
+        }
+
+        return quoteResponse.data;
+      } catch (error) {
+        console.warn(`Jupiter quote attempt ${attempt} failed:`, error.message);
+        if (attempt === 3) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  // Build the swap transaction for a Jupiter quote
+  async getJupiterSwapTransaction(quoteData, wallet, asLegacyTransaction = false, computeUnitPrice = SOLANA_FEE_LEVELS.fast.minMicroLamports) {
+    const swapResponse = await axios.post(JUPITER_SWAP_API, {
+      quoteResponse: quoteData,
+      userPublicKey: wallet.publicKey.toString(),
+      wrapAndUnwrapSol: true,
+      dynamicComputeUnitLimit: true,
+      computeUnitPriceMicroLamports: computeUnitPrice,
+      asLegacyTransaction
+    }, { timeout: 10000 });
+
+    if (!swapResponse.data?.swapTransaction) {
+      throw new Error('No swap transaction received');
+    }
+
+    const { swapTransaction, lastValidBlockHeight } = swapResponse.data;
+    const transactionBuf = Buffer.from(swapTransaction, 'base64');
+
+    return {
+      transaction: asLegacyTransaction
+        ? Transaction.from(transactionBuf)
+        : VersionedTransaction.deserialize(transactionBuf),
+      lastValidBlockHeight
+    };
+  }
+
+  // Append the dev fee transfer to the treasury to an unsigned swap so it lands (or fails) with it.
+  // `amount` is atomic: lamports, or base units of `mint` for stablecoin-quoted trades. Returns the
+  // amount appended; 0 leaves the transaction as it was and the fee is sent on its own
+  async appendSolanaFeeTransfer(connection, transaction, payer, amount, mint = null) {
+    const treasury = walletService.getTreasuryAddress('solana');
+    if (!treasury || amount <= 0) return 0;
+
+    try {
+      const instruction = await this.buildSolanaFeeInstruction(connection, payer, new PublicKey(treasury), amount, mint);
+
+      if (transaction instanceof VersionedTransaction) {
+        // Jupiter routes through lookup tables; they are needed to rebuild the message
+        const lookupTables = await Promise.all(transaction.message.addressTableLookups.map(async lookup => {
+          const table = (await connection.getAddressLookupTable(lookup.accountKey)).value;
+          if (!table) throw new Error(`Lookup table ${lookup.accountKey.toString()} not found`);
+          return table;
+        }));
+
+        const message = TransactionMessage.decompile(transaction.message, { addressLookupTableAccounts: lookupTables });
+        message.instructions.push(instruction);
+        const appended = new VersionedTransaction(message.compileToV0Message(lookupTables));
+        // Serializing doesn't reject a transaction that is too big once signed, so the wire
+        // size (signatures included) is checked against the packet limit
+        if (appended.serialize().length > PACKET_DATA_SIZE) {
+          throw new Error('Swap transaction has no room left for the fee transfer');
+        }
+
+        transaction.message = appended.message;
+        transaction.signatures = appended.signatures;
+      } else {
+        transaction.add(instruction);
+        let size;
+        try {
+          size = transaction.serialize({ requireAllSignatures: false, verifySignatures: false }).length;
+        } catch (error) {
+          transaction.instructions.pop();
+          throw error;
+        }
+        if (size > PACKET_DATA_SIZE) {
+          transaction.instructions.pop();
+          throw new Error('Swap transaction has no room left for the fee transfer');
+        }
+      }
+      return amount;
+    } catch (error) {
+      console.warn('⚠️ Could not append dev fee to swap, sending it separately:', error.message);
+      return 0;
+    }
+  }
+
+  // SOL transfer, or an SPL transfer between the two wallets' associated token accounts. The
+  // treasury's token account has to exist already; creating it would be paid by the user
+  async buildSolanaFeeInstruction(connection, payer, treasury, amount, mint = null) {
+    if (!mint) {
+      return SystemProgram.transfer({ fromPubkey: payer, toPubkey: treasury, lamports: amount });
+    }
+
+    const mintKey = new PublicKey(mint);
+    const destination = this.getAssociatedTokenAccount(treasury, mintKey);
+    if (!await connection.getAccountInfo(destination)) {
+      throw new Error(`Treasury has no token account for ${mint}`);
+    }
+
+    const data = Buffer.alloc(9);
+    data.writeUInt8(SPL_TRANSFER_INSTRUCTION, 0);
+    data.writeBigUInt64LE(BigInt(amount), 1);
+
+    return new TransactionInstruction({
+      programId: TOKEN_PROGRAM_ID,
+      keys: [
+        { pubkey: this.getAssociatedTokenAccount(payer, mintKey), isSigner: false, isWritable: true },
+        { pubkey: destination, isSigner: false, isWritable: true },
+        { pubkey: payer, isSigner: true, isWritable: false }
+      ],
+      data
+    });
+  }
+
+  // Associated token account of an owner for a mint of the classic token program
+  getAssociatedTokenAccount(owner, mint) {
+    const [account] = PublicKey.findProgramAddressSync(
+      [owner.toBuffer(), TOKEN_PROGRAM_ID.toBuffer(), mint.toBuffer()],
+      ASSOCIATED_TOKEN_PROGRAM_ID
+    );
+    return account;
+  }
+
+  // Sign a legacy or versioned transaction with the user's keypair
+  signSolanaTransaction(transaction, wallet) {
+    if (transaction instanceof VersionedTransaction) {
+      transaction.sign([wallet]);
+    } else {
+      transaction.sign(wallet);
+    }
+    return transaction;
+  }
+
+  getSolanaBlockhash(transaction) {
+    return transaction instanceof VersionedTransaction
+      ? transaction.message.recentBlockhash
+      : transaction.recentBlockhash;
+  }
+
+  // Land a signed swap through a Jito bundle when MEV protection is on, otherwise through the RPC.
+  // A bundle the block engine refuses was never broadcast, so it is safe to resend publicly
+  async landSolanaTransaction(connection, transaction, wallet, lastValidBlockHeight, options = {}) {
+    if (options.mevProtection) {
+      const feeLevel = SOLANA_FEE_LEVELS[options.priorityFee] || SOLANA_FEE_LEVELS.fast;
+      let bundleId = null;
+
+      try {
+        bundleId = await this.sendJitoBundle(transaction, wallet, feeLevel.jitoTipLamports);
+      } catch (error) {
+        console.warn('⚠️ Jito bundle rejected, sending through RPC:', error.message);
+      }
+
+      if (bundleId) {
+        const txHash = await this.waitForJitoBundle(connection, bundleId, transaction, lastValidBlockHeight);
+        getTransactionTracker().record(txHash, { chain: 'solana', description: options.description, bundleId, status: 'confirmed' })
+          .catch(error => console.warn(`Could not record ${txHash}:`, error.message));
+        return txHash;
+      }
+    }
+
+    return this.sendAndConfirmSolanaTransaction(connection, transaction, lastValidBlockHeight, options.description);
+  }
+
+  // Submit the signed swap followed by a tip transfer as one Jito bundle; returns the bundle id
+  async sendJitoBundle(transaction, wallet, tipLamports) {
+    const tipAccount = await this.getJitoTipAccount();
+    const tipTransaction = new Transaction({
+      feePayer: wallet.publicKey,
+      recentBlockhash: this.getSolanaBlockhash(transaction)
+    }).add(SystemProgram.transfer({
+      fromPubkey: wallet.publicKey,
+      toPubkey: new PublicKey(tipAccount),
+      lamports: tipLamports
+    }));
+    tipTransaction.sign(wallet);
+
+    const bundle = [transaction, tipTransaction].map(tx => Buffer.from(tx.serialize()).toString('base64'));
+    const bundleId = await this.jitoRequest('sendBundle', [bundle, { encoding: 'base64' }]);
+
+    console.log(`🛡️ Jito bundle ${bundleId} submitted with ${tipLamports / LAMPORTS_PER_SOL} SOL tip`);
+    return bundleId;
+  }
+
+  // Poll the block engine until the bundle lands, fails or its blockhash expires; returns the swap signature
+  async waitForJitoBundle(connection, bundleId, transaction, lastValidBlockHeight) {
+    if (!lastValidBlockHeight) {
+      lastValidBlockHeight = (await connection.getBlockHeight('confirmed')) + 150;
+    }
+
+    while (true) {
+      await new Promise(resolve => setTimeout(resolve, 2000));
+
+      const landed = (await this.jitoRequest('getBundleStatuses', [[bundleId]]).catch(() => null))?.value?.[0];
+      if (landed && ['confirmed', 'finalized'].includes(landed.confirmation_status)) {
+        if (landed.err && !('Ok' in landed.err)) {
+          throw new Error(`Jito bundle ${bundleId} failed: ${JSON.stringify(landed.err)}`);
+        }
+        return landed.transactions[0];
+      }
+
+      const inflight = (await this.jitoRequest('getInflightBundleStatuses', [[bundleId]], 'getInflightBundleStatuses').catch(() => null))?.value?.[0];
+      if (inflight?.status === 'Failed') {
+        throw new Error(`Jito bundle ${bundleId} failed to land`);
+      }
+
+      if ((await connection.getBlockHeight('confirmed')) > lastValidBlockHeight) {
+        throw new Error(`Jito bundle ${bundleId} expired before landing - blockhash is no longer valid`);
+      }
+    }
+  }
+
+  // Tip accounts rotate rarely; fetch them once and fall back to the published list
+  async getJitoTipAccount() {
+    if (!this.jitoTipAccounts) {
+      try {
+        const accounts = await this.jitoRequest('getTipAccounts', [], 'getTipAccounts');
+        this.jitoTipAccounts = accounts?.length ? accounts : JITO_TIP_ACCOUNTS;
+      } catch (error) {
+        console.warn('Jito tip accounts unavailable, using defaults:', error.message);
+        this.jitoTipAccounts = JITO_TIP_ACCOUNTS;
+      }
+    }
+    return this.jitoTipAccounts[Math.floor(Math.random() * this.jitoTipAccounts.length)];
+  }
+
+  async jitoRequest(method, params, endpoint = 'bundles') {
+    const response = await axios.post(`${JITO_BLOCK_ENGINE_URL}/api/v1/${endpoint}`, {
+      jsonrpc: '2.0',
+      id: 1,
+      method,
+      params
+    }, { timeout: 10000 });
+
+    if (response.data?.error) {
+      throw new Error(response.data.error.message || JSON.stringify(response.data.error));
+    }
+    return response.data?.result;
+  }
+
+  // Send a signed transaction and keep rebroadcasting until it confirms or its blockhash expires
+  async sendAndConfirmSolanaTransaction(connection, transaction, lastValidBlockHeight, description = 'Transaction') {
+    const rawTransaction = transaction.serialize();
+    const blockhash = this.getSolanaBlockhash(transaction);
+
+    if (!lastValidBlockHeight) {
+      // Blockhashes stay valid for roughly 150 blocks
+      lastValidBlockHeight = (await connection.getBlockHeight('confirmed')) + 150;
+    }
+
+    // Execute transaction with retry
+    let txHash;
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      try {
+        txHash = await connection.sendRawTransaction(rawTransaction, {
+          skipPreflight: false,
+          preflightCommitment: 'confirmed',
+          maxRetries: 0
+        });
+        break;
+      } catch (error) {
+        console.warn(`Solana transaction attempt ${attempt} failed:`, error.message);
+        if (attempt === 3) throw error;
+        await new Promise(resolve => setTimeout(resolve, 2000 * attempt));
+      }
+    }
+
+    let settled = false;
+    const rebroadcast = async () => {
+      while (!settled) {
+        await new Promise(resolve => setTimeout(resolve, 2000));
+        if (settled) break;
+        await connection.sendRawTransaction(rawTransaction, { skipPreflight: true, maxRetries: 0 }).catch(() => {});
+      }
+    };
+    rebroadcast();
+
+    const tracker = getTransactionTracker();
+    await tracker.record(txHash, { chain: 'solana', description, lastValidBlockHeight });
+
+    let confirmation;
+    try {
+      confirmation = await connection.confirmTransaction({
+        signature: txHash,
+        blockhash,
+        lastValidBlockHeight
+      }, 'confirmed');
+    } catch (error) {
+      if (error.name === 'TransactionExpiredBlockheightExceededError') {
+        await tracker.resolve(txHash, 'dropped');
+        throw new Error(`Transaction ${txHash} expired before confirmation - blockhash is no longer valid`);
+      }
+
+      // Confirmation was lost, not the transaction; the tracker keeps polling until the blockhash expires
+      const pending = new Error(`Transaction ${txHash} not confirmed yet: ${error.message}`);
+      pending.code = 'TX_PENDING';
+      pending.txHash = txHash;
+      throw pending;
+    } finally {
+      settled = true;
+    }
+
+    if (confirmation.value.err) {
+      await tracker.resolve(txHash, 'failed', { error: JSON.stringify(confirmation.value.err) });
+      throw new Error(`Transaction ${txHash} failed: ${JSON.stringify(confirmation.value.err)}`);
+    }
+
+    await tracker.resolve(txHash, 'confirmed');
+    return txHash;
+  }
+
+  // EVM buy with multi-DEX support: spend the quote asset (native unless `quote` says otherwise) on the token
+  async executeEVMBuy(privateKeyHex, tokenAddress, amount, slippage, chain, gasOptions = {}, quote = 'native') {
+    const quoteToken = this.getQuoteToken(chain, quote);
+    return this.executeEVMSwap(privateKeyHex, chain, {
+      side: 'buy',
+      tokenAddress,
+      tokenIn: quoteToken.address,
+      tokenOut: tokenAddress,
+      nativeIn: quoteToken.native,
+      amount,
+      decimalsIn: quoteToken.decimals,
+      decimalsOut: await tokenDataService.getTokenDecimals(tokenAddress, chain)
+    }, slippage, gasOptions);
+  }
+
+  // EVM sell with multi-DEX support into the quote asset
+  async executeEVMSell(privateKeyHex, tokenAddress, amount, slippage, chain, gasOptions = {}, quote = 'native') {
+    const quoteToken = this.getQuoteToken(chain, quote);
+    return this.executeEVMSwap(privateKeyHex, chain, {
+      side: 'sell',
+      tokenAddress,
+      tokenIn: tokenAddress,
+      tokenOut: quoteToken.address,
+      nativeOut: quoteToken.native,
+      amount,
+      decimalsIn: await tokenDataService.getTokenDecimals(tokenAddress, chain),
+      decimalsOut: quoteToken.decimals
+    }, slippage, gasOptions);
+  }
+
+  // Route, approve, send and confirm an exact-input swap. `tokenAddress` is the traded token:
+  // the output of buys and the input of sells and token-to-token swaps
+  async executeEVMSwap(privateKeyHex, chain, swapParams, slippage, gasOptions = {}) {
+    const { side, tokenAddress, tokenIn, tokenOut, nativeIn = false, nativeOut = false, amount, decimalsIn, decimalsOut } = swapParams;
+
+    try {
+      console.log(`🔷 Executing ${chain.toUpperCase()} ${side} order...`);
       
-      // Get token decimals
-      const decimals = await tokenContract.decimals();
-      const amountIn = parseUnits(amount.toString(), decimals);
+      const provider = await this.getEVMProvider(chain);
+      const wallet = new ethers.Wallet(privateKeyHex, provider);
+      const amountIn = parseUnits(amount.toFixed(decimalsIn), decimalsIn);
       
       // Check token balance
-      const balance = await tokenContract.balanceOf(wallet.address);
-      if (balance < amountIn) {
+      const tokenContract = nativeIn ? null : new ethers.Contract(tokenIn, ERC20_TOKEN_ABI, wallet);
+      if (tokenContract && await tokenContract.balanceOf(wallet.address) < amountIn) {
         throw new Error('Insufficient token balance');
       }
       
-      // Check and approve token spending if needed
-      const allowance = await tokenContract.allowance(wallet.address, routerInfo.address);
-      if (allowance < amountIn) {
-        console.log('📝 Approving token spending...');
-        const approveTx = await tokenContract.approve(routerInfo.address, amountIn, {
-          gasLimit: 100000
-        });
-        await approveTx.wait();
-        console.log('✅ Token spending approved');
+      // Price gas from fee history, honoring the copy gas mode and the user's max gas price
+      const feeOverrides = await getGasManager().getFeeOverrides(provider, { speed: 'fast', ...gasOptions });
+      
+      // Measured transfer tax decides between standard and fee-on-transfer routing
+      let tax = await this.getTokenTax(tokenAddress, chain);
+      if (tax?.isHoneypot) {
+        if (side === 'buy') {
+          throw new Error(HONEYPOT_BUY_ERROR);
+        }
+        // The probe's tax says nothing about this wallet's sell, so it is quoted as unmeasured
+        console.warn(`⚠️ Sell check failed for ${tokenAddress} on ${chain} - attempting the sell anyway`);
+        tax = null;
+      }
+      if (side === 'swap' && (await this.getTokenTax(tokenOut, chain))?.isHoneypot) {
+        throw new Error(HONEYPOT_BUY_ERROR);
       }
       
-      // Get wrapped native token address
-      const WNATIVE = this.getWrappedNative(chain);
-      const path = [tokenAddress, WNATIVE];
+      // Quote every venue and take the best output net of gas
+      const quote = await this.getBestQuote(chain, tokenIn, tokenOut, amountIn, {
+        gasPrice: getGasManager().getQuotedGasPrice(feeOverrides),
+        nativeIn,
+        nativeOut,
+        tax,
+        taxedToken: tokenAddress
+      });
+      console.log(`🧭 Routing ${chain.toUpperCase()} ${side} via ${this.formatVenue(quote)}`);
       
-      // Get expected output amount
-      const amounts = await router.getAmountsOut(amountIn, path);
-      const amountOutMin = amounts[1] * BigInt(100 - slippage) / BigInt(100);
+      // Check and approve token spending for the chosen router if needed
+      if (tokenContract) {
+        await this.approveEVMRouter(wallet, chain, tokenContract, quote.venue.router, amountIn, { ...gasOptions, feeOverrides });
+      }
+      
+      const amountOutMin = quote.amountOut * BigInt(100 - slippage) / BigInt(100);
       
       // Set deadline (10 minutes from now)
       const deadline = Math.floor(Date.now() / 1000) + 600;
       
-      // Get premium gas price
-      const gasPrice = await provider.getGasPrice();
-      const premiumGasPrice = gasPrice * BigInt(110) / BigInt(100);
-      
-      // Execute swap
-      const tx = await router.swapExactTokensForETH(
+      // Execute swap with the priced fees and an estimated gas limit
+      const tx = await this.sendEVMSwap(wallet, quote, {
+        side,
+        tokenIn,
+        tokenOut,
         amountIn,
         amountOutMin,
-        path,
-        wallet.address,
         deadline,
-        { 
-          gasLimit: 350000,
-          gasPrice: premiumGasPrice
-        }
-      );
+        nativeIn,
+        nativeOut
+      }, { ...gasOptions, feeOverrides });
       
-      console.log(`📝 ${chain.toUpperCase()} sell transaction sent: ${tx.hash}`);
-      
-      // Wait for confirmation
-      const receipt = await Promise.race([
-        tx.wait(),
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('Transaction timeout')), 120000)
-        )
-      ]);
+      console.log(`📝 ${chain.toUpperCase()} ${side} transaction sent: ${tx.hash}`);
       
-      console.log(`✅ ${chain.toUpperCase()} sell transaction confirmed: ${receipt.transactionHash}`);
+      // Wait for confirmation with timeout
+      const swap = {
+        side,
+        chain,
+        tokenAddress,
+        tokenIn,
+        tokenOut,
+        nativeIn,
+        nativeOut,
+        decimalsIn,
+        decimalsOut,
+        walletAddress: wallet.address,
+        amountIn: amountIn.toString(),
+        expectedOut: quote.amountOut.toString()
+      };
+      const receipt = await this.waitForEVMTransaction(tx)
+        .catch(error => this.markPendingSwap(error, swap));
       
-      // Calculate actual amounts from receipt
-      const actualAmountOut = amounts[1];
-      const executedPrice = Number(actualAmountOut) / Number(amountIn);
-      const nativeReceived = Number(formatUnits(actualAmountOut, 'ether'));
+      console.log(`✅ ${chain.toUpperCase()} ${side} transaction confirmed: ${receipt.hash}`);
       
       return {
-        txHash: receipt.transactionHash,
-        executedPrice,
-        nativeReceived,
+        txHash: receipt.hash,
+        ...await this.readEVMSwapFill(receipt, swap),
+        route: this.formatVenue(quote),
+        buyTax: quote.buyTax,
+        sellTax: quote.sellTax,
         gasUsed: receipt.gasUsed.toString()
       };
 
     } catch (error) {
-      console.error(`${chain} sell execution error:`, error);
+      if (error.pendingTrade) throw error;
+      console.error(`${chain} ${side} execution error:`, error);
       
+      // Provide more specific error messages
       if (error.message.includes('insufficient funds')) {
-        throw new Error('Insufficient gas for transaction');
+        throw new Error(nativeIn ? 'Insufficient native token balance for trade' : 'Insufficient gas for transaction');
       } else if (error.message.includes('execution reverted')) {
-        throw new Error('Sell execution failed - likely due to slippage or liquidity issues');
+        throw new Error(`${side === 'buy' ? 'Trade' : side === 'sell' ? 'Sell' : 'Swap'} execution failed - likely due to slippage or liquidity issues`);
       } else if (error.message.includes('replacement transaction underpriced')) {
         throw new Error('Network congestion - please try again with higher gas');
       } else {
-        throw new Error(`${chain} sell failed: ${error.message}`);
+        throw new Error(`${chain} ${side} failed: ${error.message}`);
       }
     }
   }
 
+  // Approve the router for the swap input when the allowance is short. Tokens like USDT refuse
+  // to change a non-zero allowance, so an existing one is reset to zero first
+  async approveEVMRouter(wallet, chain, tokenContract, router, amountIn, gasOptions = {}) {
+    const allowance = await tokenContract.allowance(wallet.address, router);
+    if (allowance >= amountIn) return;
+
+    const approve = async (amount) => {
+      const approveRequest = await tokenContract.approve.populateTransaction(router, amount);
+      const approveOverrides = await getGasManager().getTransactionOverrides(
+        wallet.provider,
+        { ...approveRequest, from: wallet.address },
+        { ...gasOptions, fallbackGasLimit: 100000 }
+      );
+      const approveTx = await this.sendEVMTransaction(wallet, chain, { ...approveRequest, ...approveOverrides }, 'Token approval');
+      await this.waitForEVMTransaction(approveTx);
+    };
+
+    console.log('📝 Approving token spending...');
+    if (allowance > 0n) {
+      await approve(0n);
+    }
+    await approve(amountIn);
+    console.log('✅ Token spending approved');
+  }
+
+  // Confirmed amounts of an EVM swap from the receipt logs, falling back to the quote: the
+  // input is spent in full on native-input swaps and otherwise counted from the wallet's
+  // outgoing transfers; the output is the wallet's incoming transfers or, for native output,
+  // the wrapped native the router unwrapped
+  async readEVMSwapFill(receipt, swap) {
+    // Records handed off before quote assets existed were native-quoted
+    const WNATIVE = this.getWrappedNative(swap.chain);
+    const buy = swap.side === 'buy';
+    const {
+      tokenIn = buy ? WNATIVE : swap.tokenAddress,
+      tokenOut = buy ? swap.tokenAddress : WNATIVE,
+      nativeIn = buy && !swap.tokenIn,
+      nativeOut = !buy && !swap.tokenOut
+    } = swap;
+    const decimalsIn = swap.decimalsIn ?? (nativeIn ? 18 : await tokenDataService.getTokenDecimals(tokenIn, swap.chain));
+    const decimalsOut = swap.decimalsOut ?? (nativeOut ? 18 : await tokenDataService.getTokenDecimals(tokenOut, swap.chain));
+    const amountIn = BigInt(swap.amountIn);
+    const expectedOut = BigInt(swap.expectedOut);
+
+    const sent = nativeIn ? 0n : this.sumTokenTransfers(receipt, tokenIn, { from: swap.walletAddress });
+    const received = nativeOut
+      ? this.sumWrappedNativeWithdrawals(receipt, WNATIVE)
+      : this.sumTokenTransfers(receipt, tokenOut, { to: swap.walletAddress });
+
+    return this.toSwapFill(
+      swap.side,
+      Number(formatUnits(sent > 0n ? sent : amountIn, decimalsIn)),
+      Number(formatUnits(received > 0n ? received : expectedOut, decimalsOut))
+    );
+  }
+
+  // Sum ERC-20 Transfer amounts of a token in a receipt, optionally filtered by sender/recipient
+  sumTokenTransfers(receipt, tokenAddress, { from, to } = {}) {
+    const matches = (topic, address) => !address ||
+      ethers.dataSlice(topic, 12).toLowerCase() === address.toLowerCase();
+
+    return receipt.logs.reduce((total, log) => {
+      if (log.address.toLowerCase() !== tokenAddress.toLowerCase() ||
+          log.topics[0] !== TRANSFER_TOPIC || log.topics.length < 3) {
+        return total;
+      }
+      if (!matches(log.topics[1], from) || !matches(log.topics[2], to)) {
+        return total;
+      }
+      return total + BigInt(log.data);
+    }, 0n);
+  }
+
+  // Native amount the router unwrapped from the wrapped native token during a sell
+  sumWrappedNativeWithdrawals(receipt, wrappedNative) {
+    return receipt.logs.reduce((total, log) => {
+      if (log.address.toLowerCase() !== wrappedNative.toLowerCase() || log.topics[0] !== WITHDRAWAL_TOPIC) {
+        return total;
+      }
+      return total + BigInt(log.data);
+    }, 0n);
+  }
+
   // Get EVM provider for specific chain
   async getEVMProvider(chain) {
     switch (chain.toLowerCase()) {
@@ -738,26 +1921,635 @@ class RealTradingExecutor {
     }
   }
 
-  // Get best router for chain
-  getBestRouter(chain) {
-    const routers = DEX_ROUTERS[chain.toLowerCase()];
-    if (!routers) {
+  // Ask every V2 router and V3 fee tier on the chain for a quote and pick the best output net of gas.
+  // Gas is converted into output units: directly when the output is native, at the quoted rate when the input is.
+  // `tax` is the measured transfer tax (null when it could not be measured) of `taxedToken`, which
+  // defaults to the non-native side
+  async getBestQuote(chain, tokenIn, tokenOut, amountIn, { gasPrice = 0n, nativeIn = false, nativeOut = false, tax, taxedToken } = {}) {
+    const venues = DEX_VENUES[chain.toLowerCase()];
+    if (!venues) {
       throw new Error(`No routers configured for ${chain}`);
     }
 
-    // Return the primary router (can be enhanced with liquidity checking)
-    const routerAddress = Object.values(routers)[0];
-    
+    const provider = await this.getEVMProvider(chain);
+
+    // Taxed tokens break V3 pool accounting, so they only route through V2 fee-on-transfer variants.
+    // The pool only sees the post-tax input on sells, and the wallet only gets the post-tax output on buys
+    const feeOnTransfer = this.isFeeOnTransfer(tax);
+    const candidates = feeOnTransfer ? venues.filter(venue => venue.type === 'v2') : venues;
+    const taxed = (taxedToken || (nativeIn ? tokenOut : tokenIn)).toLowerCase();
+    const buyTax = taxed === tokenOut.toLowerCase() ? tax?.buyTax || 0 : 0;
+    const quotedAmountIn = taxed === tokenIn.toLowerCase() ? applyTax(amountIn, tax?.sellTax || 0) : amountIn;
+
+    // Token-to-token pairs rarely have a direct V2 pool; also try hopping through the wrapped native token
+    const WNATIVE = this.getWrappedNative(chain);
+    const paths = [[tokenIn, tokenOut]];
+    if (![tokenIn, tokenOut].some(token => token.toLowerCase() === WNATIVE.toLowerCase())) {
+      paths.push([tokenIn, WNATIVE, tokenOut]);
+    }
+
+    const requests = candidates.flatMap(venue => {
+      const routes = venue.type === 'v2'
+        ? paths.map(path => ({ path }))
+        : (venue.feeTiers || V3_FEE_TIERS).map(fee => ({ fee }));
+      return routes.map(route =>
+        this.quoteVenue(provider, { venue, ...route }, tokenIn, tokenOut, quotedAmountIn)
+          .then(({ amountOut, gasUnits }) => ({
+            venue,
+            ...route,
+            amountOut: applyTax(amountOut, buyTax),
+            gasUnits
+          }))
+      );
+    });
+
+    // Missing pools simply revert, so only keep venues that answered
+    const quotes = (await Promise.allSettled(requests))
+      .filter(result => result.status === 'fulfilled' && result.value.amountOut > 0n)
+      .map(result => result.value);
+
+    if (quotes.length === 0) {
+      throw new Error(`No liquidity found for this pair on any ${chain} DEX`);
+    }
+
+    for (const quote of quotes) {
+      const gasCost = quote.gasUnits * gasPrice;
+      if (nativeOut) {
+        quote.netAmountOut = quote.amountOut - gasCost;
+      } else if (nativeIn) {
+        quote.netAmountOut = quote.amountOut - quote.amountOut * gasCost / amountIn;
+      } else {
+        quote.netAmountOut = quote.amountOut;
+      }
+    }
+
+    const best = quotes.reduce((best, quote) => quote.netAmountOut > best.netAmountOut ? quote : best);
+
     return {
-      address: routerAddress,
-      abi: [
-        "function swapExactETHForTokens(uint amountOutMin, address[] calldata path, address to, uint deadline) external payable returns (uint[] memory amounts)",
-        "function swapExactTokensForETH(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)",
-        "function getAmountsOut(uint amountIn, address[] calldata path) external view returns (uint[] memory amounts)"
-      ]
+      ...best,
+      buyTax: tax ? tax.buyTax : null,
+      sellTax: tax ? tax.sellTax : null,
+      chain: chain.toLowerCase(),
+      feeOnTransfer,
+      // Unmeasured tokens also use the supporting variants, which work for untaxed tokens too
+      supportFeeOnTransfer: feeOnTransfer || tax === null
     };
   }
 
+  // Raw pool output of one venue (V2 path or V3 fee tier) for an exact input
+  async quoteVenue(provider, { venue, fee, path = [tokenIn, tokenOut] }, tokenIn, tokenOut, amountIn) {
+    if (venue.type === 'v2') {
+      const router = new ethers.Contract(venue.router, V2_ROUTER_ABI, provider);
+      const amounts = await router.getAmountsOut(amountIn, path);
+      return { amountOut: amounts[amounts.length - 1], gasUnits: V2_SWAP_GAS * BigInt(path.length - 1) };
+    }
+
+    const quoter = new ethers.Contract(venue.quoter, V3_QUOTER_ABI, provider);
+    const [amountOut, , , gasEstimate] = await quoter.quoteExactInputSingle.staticCall({
+      tokenIn, tokenOut, amountIn, fee, sqrtPriceLimitX96: 0
+    });
+    return { amountOut, gasUnits: gasEstimate + V3_SWAP_OVERHEAD_GAS };
+  }
+
+  // Whether a measured tax calls for fee-on-transfer routing
+  isFeeOnTransfer(tax) {
+    return !!tax && (tax.buyTax > 0 || tax.sellTax > 0);
+  }
+
+  // Cached transfer tax of an EVM token, null when it cannot be measured
+  async getTokenTax(tokenAddress, chain) {
+    const cacheKey = `${chain}:${tokenAddress.toLowerCase()}`;
+    const cached = this.taxCache.get(cacheKey);
+
+    if (cached && Date.now() - cached.timestamp < TAX_CACHE_DURATION) {
+      return cached.data;
+    }
+
+    let data = null;
+    try {
+      data = await this.simulateTokenTax(tokenAddress, chain);
+    } catch (error) {
+      console.warn(`Tax simulation unavailable for ${tokenAddress} on ${chain}:`, error.message);
+    }
+
+    this.taxCache.set(cacheKey, { data, timestamp: Date.now() });
+    return data;
+  }
+
+  // Simulate a small buy and sell through a V2 router with eth_simulateV1 and compare the
+  // amounts that actually arrived against the router's own quotes in the same state
+  async simulateTokenTax(tokenAddress, chain) {
+    const provider = await this.getEVMProvider(chain);
+    const WNATIVE = this.getWrappedNative(chain);
+    const probeIn = parseUnits(TAX_PROBE_AMOUNT, 'ether');
+    const path = [WNATIVE, tokenAddress];
+    const deadline = Math.floor(Date.now() / 1000) + 600;
+
+    // Find a V2 pool for the token
+    let venue = null;
+    let expectedOut = 0n;
+    for (const candidate of (DEX_VENUES[chain.toLowerCase()] || []).filter(v => v.type === 'v2')) {
+      try {
+        const router = new ethers.Contract(candidate.router, V2_ROUTER_ABI, provider);
+        const amounts = await router.getAmountsOut(probeIn, path);
+        if (amounts[1] > 0n) {
+          venue = candidate;
+          expectedOut = amounts[1];
+          break;
+        }
+      } catch (error) {
+        // No pool on this router
+      }
+    }
+
+    if (!venue) return null;
+
+    const routerInterface = new ethers.Interface(V2_ROUTER_ABI);
+    const tokenInterface = new ethers.Interface(['function approve(address spender, uint256 amount) returns (bool)']);
+
+    const simulate = calls => provider.send('eth_simulateV1', [{
+      blockStateCalls: [{
+        stateOverrides: { [TAX_PROBE_ADDRESS]: { balance: ethers.toQuantity(probeIn * 10n) } },
+        calls
+      }],
+      validation: false
+    }, 'latest']).then(blocks => blocks[0].calls);
+
+    const buyCall = {
+      from: TAX_PROBE_ADDRESS,
+      to: venue.router,
+      value: ethers.toQuantity(probeIn),
+      data: routerInterface.encodeFunctionData('swapExactETHForTokensSupportingFeeOnTransferTokens', [0, path, TAX_PROBE_ADDRESS, deadline])
+    };
+
+    // Buy tax: what reached the wallet versus what the pool paid out
+    const [buy] = await simulate([buyCall]);
+    if (buy.status !== '0x1') return null;
+
+    const received = this.sumTokenTransfers(buy, tokenAddress, { to: TAX_PROBE_ADDRESS });
+    if (received === 0n) return null;
+
+    // Sell tax: native out versus the router's quote for the same amount after the buy
+    const [, , sellQuote, sell] = await simulate([
+      buyCall,
+      {
+        from: TAX_PROBE_ADDRESS,
+        to: tokenAddress,
+        data: tokenInterface.encodeFunctionData('approve', [venue.router, ethers.MaxUint256])
+      },
+      {
+        from: TAX_PROBE_ADDRESS,
+        to: venue.router,
+        data: routerInterface.encodeFunctionData('getAmountsOut', [received, [tokenAddress, WNATIVE]])
+      },
+      {
+        from: TAX_PROBE_ADDRESS,
+        to: venue.router,
+        data: routerInterface.encodeFunctionData('swapExactTokensForETHSupportingFeeOnTransferTokens', [received, 0, [tokenAddress, WNATIVE], TAX_PROBE_ADDRESS, deadline])
+      }
+    ]);
+
+    const toPercent = ratio => Math.max(0, Math.round((1 - ratio) * 1000) / 10);
+    const buyTax = toPercent(Number(received * 10000n / expectedOut) / 10000);
+
+    if (sell.status !== '0x1') {
+      return { buyTax, sellTax: 100, isHoneypot: true, venue: venue.name };
+    }
+
+    const [sellAmounts] = routerInterface.decodeFunctionResult('getAmountsOut', sellQuote.returnData);
+    const expectedNative = sellAmounts[sellAmounts.length - 1];
+    const nativeOut = this.sumWrappedNativeWithdrawals(sell, WNATIVE);
+    const sellTax = expectedNative > 0n ? toPercent(Number(nativeOut * 10000n / expectedNative) / 10000) : 0;
+
+    return { buyTax, sellTax, isHoneypot: false, venue: venue.name };
+  }
+
+  // Build the swap transaction for the quoted venue using that router's ABI
+  buildEVMSwapTransaction(walletAddress, quote, { tokenIn, tokenOut, amountIn, amountOutMin, deadline, nativeIn = false, nativeOut = false }) {
+    const { venue } = quote;
+    const value = nativeIn ? amountIn : 0n;
+
+    if (venue.type === 'v2') {
+      const router = new ethers.Interface(V2_ROUTER_ABI);
+      const path = quote.path || [tokenIn, tokenOut];
+      const suffix = quote.supportFeeOnTransfer ? 'SupportingFeeOnTransferTokens' : '';
+
+      let data;
+      if (nativeIn) {
+        data = router.encodeFunctionData(`swapExactETHForTokens${suffix}`, [amountOutMin, path, walletAddress, deadline]);
+      } else {
+        const method = nativeOut ? 'swapExactTokensForETH' : 'swapExactTokensForTokens';
+        data = router.encodeFunctionData(`${method}${suffix}`, [amountIn, amountOutMin, path, walletAddress, deadline]);
+      }
+
+      return { to: venue.router, data, value };
+    }
+
+    const router = new ethers.Interface(V3_ROUTER_ABIS[venue.routerVersion]);
+
+    // Native output is swapped into the router first and then unwrapped to the wallet
+    const recipient = !nativeOut
+      ? walletAddress
+      : venue.routerVersion === 'swapRouter02' ? SWAP_ROUTER02_ADDRESS_THIS : venue.router;
+
+    const params = {
+      tokenIn,
+      tokenOut,
+      fee: quote.fee,
+      recipient,
+      amountIn,
+      amountOutMinimum: amountOutMin,
+      sqrtPriceLimitX96: 0
+    };
+    if (venue.routerVersion === 'swapRouter') {
+      params.deadline = deadline;
+    }
+
+    const calls = [router.encodeFunctionData('exactInputSingle', [params])];
+    if (nativeOut) {
+      calls.push(router.encodeFunctionData('unwrapWETH9', [amountOutMin, walletAddress]));
+    }
+
+    // The router wraps msg.value itself when the input is the wrapped native token
+    return { to: venue.router, data: router.encodeFunctionData('multicall', [calls]), value };
+  }
+
+  // Send a swap with fee-history pricing and an estimated gas limit
+  async sendEVMSwap(wallet, quote, swap, gasOptions = {}) {
+    const txRequest = this.buildEVMSwapTransaction(wallet.address, quote, swap);
+    const overrides = await getGasManager().getTransactionOverrides(
+      wallet.provider,
+      { ...txRequest, from: wallet.address },
+      { fallbackGasLimit: 350000, ...gasOptions }
+    );
+
+    const description = { buy: 'Buy swap', sell: 'Sell swap', swap: 'Token swap' }[swap.side] ||
+      (swap.nativeIn ? 'Buy swap' : 'Sell swap');
+    return this.sendEVMTransaction(wallet, quote.chain, { ...txRequest, ...overrides }, description, {
+      privateRelay: gasOptions.mevProtection
+    });
+  }
+
+  // Send through the per-wallet nonce manager. Sends from one wallet are serialized and
+  // nonces handed out locally, so parallel buys and approve-then-swap sells don't collide
+  async sendEVMTransaction(wallet, chain, txRequest, description = 'Transaction', options = {}) {
+    const key = `${chain}:${wallet.address.toLowerCase()}`;
+    const previous = this.nonceLocks.get(key) || Promise.resolve();
+
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const current = previous.then(() => gate);
+    this.nonceLocks.set(key, current);
+    await previous;
+
+    try {
+      // Local nonces cover sends the RPC hasn't seen yet; they expire so a dropped
+      // transaction can't leave a permanent gap
+      const networkNonce = await wallet.provider.getTransactionCount(wallet.address, 'pending');
+      const local = this.nextNonces.get(key);
+      const localNonce = local && Date.now() - local.updatedAt < NONCE_CACHE_DURATION ? local.nonce : 0;
+      const nonce = Math.max(networkNonce, localNonce);
+
+      const privateRelay = options.privateRelay && PRIVATE_RELAY_CHAINS.includes(chain);
+      const tx = privateRelay
+        ? await this.sendPrivateTransaction(wallet, { ...txRequest, nonce })
+        : await wallet.sendTransaction({ ...txRequest, nonce });
+      this.nextNonces.set(key, { nonce: nonce + 1, updatedAt: Date.now() });
+      this.trackPendingTransaction(tx, chain, description, { privateRelay });
+      return tx;
+    } catch (error) {
+      // Resync from the network on the next send
+      this.nextNonces.delete(key);
+      throw error;
+    } finally {
+      release();
+      if (this.nonceLocks.get(key) === current) {
+        this.nonceLocks.delete(key);
+      }
+    }
+  }
+
+  // Sign a transaction and submit it to the private relay instead of the public mempool.
+  // The returned response waits on the regular provider, wherever the transaction lands
+  async sendPrivateTransaction(wallet, txRequest) {
+    const provider = wallet.provider;
+    const signedTx = await wallet.signTransaction(await wallet.populateTransaction(txRequest));
+    const transaction = ethers.Transaction.from(signedTx);
+
+    const [relayHash, blockNumber] = await Promise.all([
+      this.privateRelayRequest('eth_sendRawTransaction', [signedTx]),
+      provider.getBlockNumber()
+    ]);
+
+    if (relayHash?.toLowerCase() !== transaction.hash.toLowerCase()) {
+      throw new Error(`Private relay returned unexpected hash ${relayHash}`);
+    }
+
+    console.log(`🛡️ ${transaction.hash} sent through private relay at block ${blockNumber}`);
+
+    this.watchPrivateTransaction(provider, transaction.hash, signedTx, blockNumber)
+      .catch(error => console.warn(`Private relay watch for ${transaction.hash} failed:`, error.message));
+
+    // The signed transaction carries every field a pending response needs
+    return new ethers.TransactionResponse(transaction, provider).replaceableTransaction(blockNumber);
+  }
+
+  // Check the relay's status for a private transaction each block; broadcast it publicly
+  // when the relay drops it or it is still out after PRIVATE_RELAY_FALLBACK_BLOCKS
+  async watchPrivateTransaction(provider, txHash, signedTx, sentBlock) {
+    while (true) {
+      await new Promise(resolve => setTimeout(resolve, 12000));
+
+      // Mined or replaced: nothing left to watch
+      if (!this.pendingTransactions.has(txHash)) {
+        return;
+      }
+
+      const status = await this.getPrivateRelayStatus(txHash);
+      if (status === 'INCLUDED') {
+        return;
+      }
+
+      const blocksWaited = (await provider.getBlockNumber()) - sentBlock;
+      if (['FAILED', 'CANCELLED'].includes(status) || blocksWaited >= PRIVATE_RELAY_FALLBACK_BLOCKS) {
+        console.warn(`⚠️ ${txHash} not included by private relay after ${blocksWaited} blocks (${status || 'no status'}) - broadcasting publicly`);
+        await provider.broadcastTransaction(signedTx)
+          .catch(error => console.warn(`Public broadcast of ${txHash} failed:`, error.shortMessage || error.message));
+        return;
+      }
+    }
+  }
+
+  // Relay status of a private transaction: PENDING, INCLUDED, FAILED, CANCELLED or UNKNOWN
+  async getPrivateRelayStatus(txHash) {
+    try {
+      const response = await axios.get(`${PRIVATE_RELAY_STATUS_URL}/${txHash}`, { timeout: 10000 });
+      return response.data?.status || null;
+    } catch (error) {
+      console.warn(`Private relay status for ${txHash} unavailable:`, error.message);
+      return null;
+    }
+  }
+
+  async privateRelayRequest(method, params) {
+    const response = await axios.post(PRIVATE_RELAY_URL, {
+      jsonrpc: '2.0',
+      id: 1,
+      method,
+      params
+    }, { timeout: 10000 });
+
+    if (response.data?.error) {
+      throw new Error(`Private relay: ${response.data.error.message || JSON.stringify(response.data.error)}`);
+    }
+    return response.data?.result;
+  }
+
+  // Remember a sent transaction until it is mined, replaced or dropped
+  trackPendingTransaction(tx, chain, description, options = {}) {
+    this.pendingTransactions.set(tx.hash, {
+      hash: tx.hash,
+      chain,
+      from: tx.from,
+      nonce: tx.nonce,
+      to: tx.to,
+      data: tx.data,
+      value: tx.value,
+      gasLimit: tx.gasLimit,
+      gasPrice: tx.type === 2 ? null : tx.gasPrice,
+      maxFeePerGas: tx.maxFeePerGas,
+      maxPriorityFeePerGas: tx.maxPriorityFeePerGas,
+      description,
+      privateRelay: !!options.privateRelay,
+      sentAt: Date.now()
+    });
+
+    // Persist the lifecycle; replacements hand the original's follow-up to the new transaction
+    const tracker = getTransactionTracker();
+    const fields = { chain, from: tx.from, nonce: tx.nonce, description, privateRelay: !!options.privateRelay };
+    (options.replaces
+      ? tracker.replace(options.replaces, tx.hash, { ...fields, cancel: !!options.cancel })
+      : tracker.record(tx.hash, fields)
+    ).catch(error => console.warn(`Could not record ${tx.hash}:`, error.message));
+
+    // Replacements by another transaction are left to the tracker's nonce check
+    tx.wait()
+      .then(receipt => tracker.resolve(tx.hash, 'confirmed', { blockNumber: receipt.blockNumber }))
+      .catch(error => error.code === 'CALL_EXCEPTION' && error.receipt
+        ? tracker.resolve(tx.hash, 'failed', { blockNumber: error.receipt.blockNumber })
+        : null)
+      .finally(() => this.pendingTransactions.delete(tx.hash));
+  }
+
+  // Wait for a receipt, following /speedup replacements of the same call
+  async waitForEVMTransaction(tx, timeoutMs = 120000) {
+    let timer;
+    try {
+      return await Promise.race([
+        tx.wait(),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => {
+            const error = new Error(
+              `Transaction ${tx.hash} still pending after ${timeoutMs / 1000}s - use /speedup ${tx.hash} or /canceltx ${tx.hash}`
+            );
+            error.code = 'TX_PENDING';
+            error.txHash = tx.hash;
+            reject(error);
+          }, timeoutMs);
+        })
+      ]);
+    } catch (error) {
+      if (error.code === 'TRANSACTION_REPLACED') {
+        // A sped-up copy carries the same call, so its receipt is this transaction's receipt
+        if (error.reason === 'repriced' && error.receipt?.status === 1) {
+          return error.receipt;
+        }
+        throw new Error(`Transaction ${tx.hash} was cancelled`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Pending transactions sent from any of the given addresses
+  getPendingTransactions(addresses) {
+    const owned = new Set(addresses.filter(Boolean).map(address => address.toLowerCase()));
+    return [...this.pendingTransactions.values()]
+      .filter(pending => owned.has(pending.from.toLowerCase()))
+      .sort((a, b) => a.sentAt - b.sentAt);
+  }
+
+  // Look up a pending transaction by full hash or hash prefix
+  findPendingTransaction(hashOrPrefix) {
+    const needle = hashOrPrefix.toLowerCase().replace(/^0x/, '');
+    return [...this.pendingTransactions.values()]
+      .find(pending => pending.hash.toLowerCase().replace(/^0x/, '').startsWith(needle)) || null;
+  }
+
+  // Replace a user's pending transaction at the same nonce with bumped fees:
+  // 'speedup' resends the same call, 'cancel' sends a zero-value self-transfer
+  async replaceTransaction(userId, txHash, mode = 'speedup') {
+    try {
+      const pending = this.findPendingTransaction(txHash);
+      if (!pending) {
+        return { success: false, error: 'Transaction not found among pending transactions' };
+      }
+
+      // Any of the user's wallets on the chain may have sent it
+      const sender = (await walletService.getUserWallets(userId, pending.chain))
+        .find(userWallet => userWallet.address.toLowerCase() === pending.from.toLowerCase());
+      if (!sender) {
+        return { success: false, error: 'This transaction was not sent from your wallet' };
+      }
+
+      const privateKey = await walletService.getWalletPrivateKeyForTrading(userId, pending.chain, sender.id);
+      const provider = await this.getEVMProvider(pending.chain);
+      const wallet = new ethers.Wallet(privateKey, provider);
+
+      const minedNonce = await provider.getTransactionCount(wallet.address, 'latest');
+      if (minedNonce > pending.nonce) {
+        this.pendingTransactions.delete(pending.hash);
+        return { success: false, error: 'Transaction is already confirmed' };
+      }
+
+      const fees = await this.getReplacementFees(provider, pending);
+      const txRequest = mode === 'cancel'
+        ? { to: wallet.address, value: 0n, data: '0x', gasLimit: 21000n }
+        : { to: pending.to, value: pending.value, data: pending.data, gasLimit: pending.gasLimit };
+
+      // Replacements of a private transaction stay private
+      const tx = pending.privateRelay
+        ? await this.sendPrivateTransaction(wallet, { ...txRequest, ...fees, nonce: pending.nonce })
+        : await wallet.sendTransaction({ ...txRequest, ...fees, nonce: pending.nonce });
+
+      this.pendingTransactions.delete(pending.hash);
+      this.trackPendingTransaction(tx, pending.chain, mode === 'cancel'
+        ? `Cancel of ${pending.description}`
+        : pending.description, {
+        privateRelay: pending.privateRelay,
+        replaces: pending.hash,
+        cancel: mode === 'cancel'
+      });
+
+      console.log(`🔁 ${mode === 'cancel' ? 'Cancelled' : 'Sped up'} ${pending.hash} with ${tx.hash}`);
+
+      return {
+        success: true,
+        txHash: tx.hash,
+        replacedHash: pending.hash,
+        chain: pending.chain,
+        explorerUrl: this.getExplorerUrl(tx.hash, pending.chain)
+      };
+    } catch (error) {
+      console.error(`Transaction ${mode} failed:`, error);
+      return { success: false, error: error.shortMessage || error.message };
+    }
+  }
+
+  // Nodes only accept a replacement that pays at least 10% more; bump by
+  // REPLACEMENT_FEE_BUMP_PERCENT or to the current network price, whichever is higher
+  async getReplacementFees(provider, pending) {
+    const current = await getGasManager().getFeeOverrides(provider, { speed: 'fast' });
+    const bump = value => value * BigInt(100 + REPLACEMENT_FEE_BUMP_PERCENT) / 100n;
+    const max = (a, b) => (a > b ? a : b);
+
+    if (pending.gasPrice) {
+      return { gasPrice: max(bump(pending.gasPrice), getGasManager().getQuotedGasPrice(current)) };
+    }
+
+    const maxFeePerGas = max(bump(pending.maxFeePerGas), getGasManager().getQuotedGasPrice(current));
+    const maxPriorityFeePerGas = max(bump(pending.maxPriorityFeePerGas), current.maxPriorityFeePerGas ?? 0n);
+
+    return {
+      maxFeePerGas,
+      maxPriorityFeePerGas: maxPriorityFeePerGas > maxFeePerGas ? maxFeePerGas : maxPriorityFeePerGas
+    };
+  }
+
+  // Gas options for an order: explicit gwei price, copy gas mode, the user's cap and
+  // whether swaps go through the private relay
+  getGasOptions(params, userData, chain) {
+    return {
+      gasPrice: params.gasPrice,
+      gasSettings: params.gasSettings,
+      sourceGasPrice: params.sourceGasPrice,
+      maxGasPrice: getGasManager().getMaxGasPrice(userData, chain),
+      mevProtection: PRIVATE_RELAY_CHAINS.includes(chain) && (params.mevProtection ?? !!userData?.mevProtection)
+    };
+  }
+
+  // Human-readable venue for logs and trade results
+  formatVenue(quote) {
+    return quote.fee ? `${quote.venue.name} (${quote.fee / 10000}% pool)` : quote.venue.name;
+  }
+
+  // The asset a trade on `chain` is quoted in: the native coin (its wrapped token on EVM
+  // routers) or one of the chain's stablecoins
+  getQuoteToken(chain, asset = 'native') {
+    const chainKey = chain.toLowerCase();
+    if (!asset || asset === 'native') {
+      return {
+        asset: 'native',
+        symbol: NATIVE_SYMBOLS[chainKey] || chainKey.toUpperCase(),
+        address: chainKey === 'solana' ? COMMON_TOKENS.solana.SOL : this.getWrappedNative(chainKey),
+        decimals: chainKey === 'solana' ? 9 : 18,
+        native: true
+      };
+    }
+
+    const symbol = asset.toUpperCase();
+    const stablecoin = QUOTE_ASSETS[chainKey]?.[symbol];
+    if (!stablecoin) {
+      throw new Error(`${symbol} is not a quote asset on ${chain}`);
+    }
+    return { asset: symbol, symbol, address: stablecoin.address, decimals: stablecoin.decimals, native: false };
+  }
+
+  // Quote asset for a trade: explicit params win over the user's per-chain setting
+  getUserQuoteAsset(params = {}, userData = {}, chain) {
+    return params.quoteAsset || userData?.quoteAssets?.[chain] || 'native';
+  }
+
+  // USD price of a quote asset; stablecoins are taken at par
+  async getQuoteUsdPrice(chain, asset = 'native') {
+    if (asset && asset !== 'native') return 1;
+    return walletService.getTokenPrice(chain);
+  }
+
+  // Convert an amount between two quote assets of a chain through their USD prices
+  async convertQuoteAmount(chain, amount, fromAsset = 'native', toAsset = 'native') {
+    if ((fromAsset || 'native') === (toAsset || 'native')) return amount;
+
+    const [fromUsd, toUsd] = await Promise.all([
+      this.getQuoteUsdPrice(chain, fromAsset),
+      this.getQuoteUsdPrice(chain, toAsset)
+    ]);
+    if (!fromUsd || !toUsd) {
+      throw new Error(`No price available to convert ${fromAsset} to ${toAsset} on ${chain}`);
+    }
+    return amount * fromUsd / toUsd;
+  }
+
+  // Token balance of a wallet in whole units
+  async getTokenBalance(chain, walletAddress, tokenAddress) {
+    if (chain === 'solana') {
+      const connection = await this.rpcManager.getSolanaConnection();
+      const { value } = await connection.getParsedTokenAccountsByOwner(new PublicKey(walletAddress), {
+        mint: new PublicKey(tokenAddress)
+      });
+      return value.reduce((total, account) => total + (account.account.data.parsed.info.tokenAmount.uiAmount || 0), 0);
+    }
+
+    const provider = await this.getEVMProvider(chain);
+    const token = new ethers.Contract(tokenAddress, ERC20_TOKEN_ABI, provider);
+    const [balance, decimals] = await Promise.all([
+      token.balanceOf(walletAddress),
+      tokenDataService.getTokenDecimals(tokenAddress, chain)
+    ]);
+    return Number(formatUnits(balance, decimals));
+  }
+
   // Get wrapped native token for chain
   getWrappedNative(chain) {
     const tokens = COMMON_TOKENS[chain.toLowerCase()];
@@ -766,7 +2558,7 @@ class RealTradingExecutor {
     }
 
     // Return wrapped native token
-    return Object.values(tokens).find(addr => addr.includes('W') || addr === tokens.ETH || addr === tokens.BNB || addr === tokens.MATIC);
+    return tokens.WETH || tokens.WBNB || tokens.WMATIC;
   }
 
   // Get explorer URL for transaction
@@ -815,45 +2607,46 @@ class RealTradingExecutor {
     }
   }
 
-  // Simulate trade for preview
+  // Pre-flight a trade against current chain state without sending it: the exact output,
+  // the revert reason when it would fail, gas or compute usage and the route's price impact.
+  // Buys simulate the amount left after the dev fee, sells the token amount
   async simulateTrade(params) {
     try {
-      const { tokenAddress, amount, chain, tradeType } = params;
-      
-      // Get token info for simulation
-      const tokenInfo = await tokenDataService.getTokenInfo(tokenAddress, chain);
-      
-      if (!tokenInfo) {
-        throw new Error('Token information not available for simulation');
+      const { userId, tokenAddress, amount, chain, tradeType } = params;
+
+      if (!userId || !tokenAddress || !amount || !chain) {
+        throw new Error('Missing required parameters: userId, tokenAddress, amount, chain');
       }
 
-      let simulation;
-      
-      if (tradeType === 'buy') {
-        simulation = {
-          estimatedTokens: amount / (tokenInfo.price || 0.001),
-          priceImpact: this.calculatePriceImpact(amount, tokenInfo.liquidity),
-          slippage: 5,
-          fees: amount * 0.03,
-          executionProbability: this.calculateExecutionProbability(tokenInfo),
-          route: this.getBestRoute(chain)
-        };
-      } else {
-        simulation = {
-          estimatedNative: amount * (tokenInfo.price || 0.001),
-          priceImpact: this.calculatePriceImpact(amount * tokenInfo.price, tokenInfo.liquidity),
-          slippage: 5,
-          fees: amount * (tokenInfo.price || 0.001) * 0.03,
-          executionProbability: this.calculateExecutionProbability(tokenInfo),
-          route: this.getBestRoute(chain)
-        };
+      const userData = await userService.getUserSettings(userId);
+      const wallet = walletService.getCustodialWallet(userData, chain, params.walletId || 'main');
+      if (!wallet) {
+        throw new Error(`No ${chain} wallet found for user`);
+      }
+
+      const devFeePercent = parseFloat(process.env.DEV_FEE_PERCENT || '3');
+      const swapAmount = tradeType === 'buy' ? amount - amount * (devFeePercent / 100) : amount;
+      const simulationParams = { ...params, amount: swapAmount, walletAddress: wallet.address };
+
+      const simulation = chain === 'solana'
+        ? await this.simulateSolanaSwap(simulationParams, userData)
+        : await this.simulateEVMSwap(simulationParams, userData);
+
+      const warnings = [];
+      if (simulation.revertReason) {
+        warnings.push(`Trade would fail: ${simulation.revertReason}`);
+      }
+      if (simulation.priceImpact > 10) {
+        warnings.push(`High price impact: ${simulation.priceImpact.toFixed(2)}%`);
+      }
+      if (simulation.note) {
+        warnings.push(simulation.note);
       }
 
       return {
         success: true,
         simulation,
-        tokenInfo,
-        warnings: simulation.priceImpact > 10 ? ['High price impact detected'] : [],
+        warnings,
         timestamp: Date.now()
       };
 
@@ -866,37 +2659,287 @@ class RealTradingExecutor {
     }
   }
 
-  // Calculate price impact
-  calculatePriceImpact(tradeAmount, liquidity) {
-    if (!liquidity || liquidity === 0) return 50; // High impact if no liquidity data
-    
-    const impact = (tradeAmount / liquidity) * 100;
-    return Math.min(impact, 50); // Cap at 50%
+  // Build the Jupiter swap for the user's wallet and run it through simulateTransaction,
+  // comparing the wallet's SOL and token account balances before and after
+  async simulateSolanaSwap(params, userData) {
+    const { tokenAddress, amount, tradeType, slippage = 5 } = params;
+    const buy = tradeType === 'buy';
+    const quote = this.getQuoteToken('solana', this.getUserQuoteAsset(params, userData, 'solana'));
+    const connection = await this.rpcManager.getSolanaConnection();
+    const owner = new PublicKey(params.walletAddress);
+    const mint = new PublicKey(tokenAddress);
+    const options = this.getSolanaSendOptions(params, userData);
+    const asLegacyTransaction = this.useLegacySolanaTransactions(options);
+
+    const mintAccount = await connection.getAccountInfo(mint);
+    if (!mintAccount) {
+      throw new Error('Token mint not found');
+    }
+    const decimals = mintAccount.data[MINT_DECIMALS_OFFSET];
+
+    const amountAtomic = buy
+      ? Math.floor(amount * Math.pow(10, quote.decimals))
+      : Math.floor(amount * Math.pow(10, decimals));
+    const [inputMint, outputMint] = buy
+      ? [quote.address, tokenAddress]
+      : [tokenAddress, quote.address];
+
+    const quoteData = await this.getJupiterQuote(inputMint, outputMint, amountAtomic, slippage, asLegacyTransaction);
+    const computeUnitPrice = await this.getSolanaPriorityFee(connection, quoteData, options.priorityFee);
+    const { transaction } = await this.getJupiterSwapTransaction(quoteData, { publicKey: owner }, asLegacyTransaction, computeUnitPrice);
+
+    // The wallet's associated token account under whichever token program owns the mint
+    const [tokenAccount] = PublicKey.findProgramAddressSync(
+      [owner.toBuffer(), mintAccount.owner.toBuffer(), mint.toBuffer()],
+      ASSOCIATED_TOKEN_PROGRAM_ID
+    );
+
+    // Sells into a stablecoin land in the wallet's token account for it rather than as lamports
+    const outputAccount = buy
+      ? tokenAccount
+      : quote.native ? null : this.getAssociatedTokenAccount(owner, new PublicKey(quote.address));
+    const accounts = [owner, outputAccount || tokenAccount];
+
+    const [before, { value: result }] = await Promise.all([
+      connection.getMultipleAccountsInfo(accounts, 'confirmed'),
+      this.simulateSolanaTransaction(connection, transaction, accounts)
+    ]);
+
+    const outDecimals = buy ? decimals : quote.decimals;
+    const toUnits = atomic => Number(atomic) / Math.pow(10, outDecimals);
+
+    const level = SOLANA_FEE_LEVELS[options.priorityFee] || SOLANA_FEE_LEVELS.fast;
+    const feeLamports = SOLANA_BASE_FEE_LAMPORTS * Math.max(transaction.signatures.length, 1) +
+      Math.ceil(computeUnitPrice * (result.unitsConsumed || 0) / 1000000) +
+      (options.mevProtection ? level.jitoTipLamports : 0);
+
+    const simulation = {
+      exactOutput: false,
+      revertReason: result.err ? this.getSolanaSimulationError(result) : null,
+      amountIn: amount,
+      expectedOutput: toUnits(BigInt(quoteData.outAmount)),
+      minOutput: toUnits(BigInt(quoteData.otherAmountThreshold)),
+      priceImpact: parseFloat(quoteData.priceImpactPct || 0) * 100,
+      route: `Jupiter (${quoteData.routePlan.map(step => step.swapInfo.label).join(' → ')})`,
+      computeUnits: result.unitsConsumed ?? null,
+      networkFee: feeLamports / LAMPORTS_PER_SOL
+    };
+
+    const [ownerAfter, outputAccountAfter] = result.accounts || [];
+    if (!result.err && ownerAfter) {
+      // Sells into SOL add the network fee back, as the executed fill does
+      const received = outputAccount
+        ? readTokenAmount(outputAccountAfter) - readTokenAmount(before[1])
+        : BigInt(ownerAfter.lamports) - BigInt(before[0]?.lamports || 0) + BigInt(feeLamports);
+      simulation.expectedOutput = toUnits(received);
+      simulation.exactOutput = true;
+    }
+
+    return simulation;
   }
 
-  // Calculate execution probability
-  calculateExecutionProbability(tokenInfo) {
-    let probability = 95; // Base probability
-    
-    if (tokenInfo.liquidity < 1000) probability -= 20;
-    if (tokenInfo.volume24h < 1000) probability -= 10;
-    if (tokenInfo.priceChange24h && Math.abs(tokenInfo.priceChange24h) > 50) probability -= 15;
-    
-    return Math.max(probability, 50);
-  }
-
-  // Get best route for chain
-  getBestRoute(chain) {
-    const routes = {
-      solana: 'Jupiter',
-      ethereum: 'Uniswap V3',
-      bsc: 'PancakeSwap',
-      polygon: 'QuickSwap',
-      arbitrum: 'Uniswap V3',
-      base: 'BaseSwap'
+  // Simulate an unsigned legacy or versioned transaction, returning the accounts' post-state
+  async simulateSolanaTransaction(connection, transaction, accounts) {
+    if (transaction instanceof VersionedTransaction) {
+      return connection.simulateTransaction(transaction, {
+        sigVerify: false,
+        replaceRecentBlockhash: true,
+        commitment: 'confirmed',
+        accounts: { encoding: 'base64', addresses: accounts.map(account => account.toBase58()) }
+      });
+    }
+
+    // The legacy overload fetches a fresh blockhash itself
+    return connection.simulateTransaction(transaction, undefined, accounts);
+  }
+
+  // Readable failure of a simulated Solana transaction: the Anchor error message, the
+  // failing program's log line, or the raw error
+  getSolanaSimulationError(result) {
+    const logs = result.logs || [];
+
+    const anchorError = logs.map(log => log.match(/Error Message: (.+?)\.?$/)).find(Boolean);
+    if (anchorError) return anchorError[1];
+
+    const failed = [...logs].reverse().find(log => log.includes(' failed: '));
+    if (failed) return failed.substring(failed.indexOf(' failed: ') + 9);
+
+    return typeof result.err === 'string' ? result.err : JSON.stringify(result.err);
+  }
+
+  // Run the swap the trade would send from the user's wallet. eth_simulateV1 gives the exact
+  // output from the transfer logs; RPCs without it fall back to eth_call and estimateGas
+  async simulateEVMSwap(params, userData) {
+    const { tokenAddress, amount, chain, tradeType, walletAddress, slippage = 5 } = params;
+    const buy = tradeType === 'buy';
+    const provider = await this.getEVMProvider(chain);
+    const WNATIVE = this.getWrappedNative(chain);
+    const quoteToken = this.getQuoteToken(chain, this.getUserQuoteAsset(params, userData, chain));
+    const decimals = await tokenDataService.getTokenDecimals(tokenAddress, chain);
+    const amountIn = parseUnits(amount.toFixed(buy ? quoteToken.decimals : decimals), buy ? quoteToken.decimals : decimals);
+    const nativeIn = buy && quoteToken.native;
+    const nativeOut = !buy && quoteToken.native;
+
+    const feeOverrides = await getGasManager().getFeeOverrides(provider, {
+      speed: 'fast',
+      ...this.getGasOptions(params, userData, chain)
+    });
+    const gasPrice = getGasManager().getQuotedGasPrice(feeOverrides);
+
+    let tax = await this.getTokenTax(tokenAddress, chain);
+    const sellCheckFailed = !!tax?.isHoneypot;
+    if (sellCheckFailed && !buy) {
+      tax = null; // Quoted as the trade is
+    }
+    const [tokenIn, tokenOut] = buy ? [quoteToken.address, tokenAddress] : [tokenAddress, quoteToken.address];
+    const quote = await this.getBestQuote(chain, tokenIn, tokenOut, amountIn, {
+      gasPrice,
+      nativeIn,
+      nativeOut,
+      tax,
+      taxedToken: tokenAddress
+    });
+
+    const swap = {
+      tokenIn,
+      tokenOut,
+      amountIn,
+      amountOutMin: quote.amountOut * BigInt(100 - slippage) / BigInt(100),
+      deadline: Math.floor(Date.now() / 1000) + 600,
+      nativeIn,
+      nativeOut
+    };
+    const swapCall = { from: walletAddress, ...this.buildEVMSwapTransaction(walletAddress, quote, swap) };
+
+    const outDecimals = buy ? decimals : quoteToken.decimals;
+    const simulation = {
+      exactOutput: false,
+      revertReason: null,
+      amountIn: amount,
+      expectedOutput: Number(formatUnits(quote.amountOut, outDecimals)),
+      minOutput: Number(formatUnits(swap.amountOutMin, outDecimals)),
+      priceImpact: await this.getEVMPriceImpact(provider, quote, tokenIn, tokenOut, amountIn),
+      route: this.formatVenue(quote),
+      gasUsed: null,
+      networkFee: null,
+      buyTax: quote.buyTax,
+      sellTax: quote.sellTax
+    };
+
+    // Buys of tokens that failed the sell check are refused, as the trade itself does
+    if (buy && sellCheckFailed) {
+      simulation.revertReason = HONEYPOT_BUY_ERROR;
+      return simulation;
+    }
+
+    // Token inputs approve the router first when the allowance is short, as the trade itself does
+    const calls = [];
+    if (!nativeIn) {
+      const token = new ethers.Contract(tokenIn, ERC20_TOKEN_ABI, provider);
+      const allowance = await token.allowance(walletAddress, quote.venue.router);
+      if (allowance < amountIn) {
+        calls.push({
+          from: walletAddress,
+          to: tokenIn,
+          data: token.interface.encodeFunctionData('approve', [quote.venue.router, amountIn])
+        });
+      }
+    }
+    calls.push(swapCall);
+
+    let outcome;
+    try {
+      outcome = await this.simulateEVMCalls(provider, calls);
+    } catch (error) {
+      console.warn(`eth_simulateV1 unavailable on ${chain}, falling back to eth_call:`, error.message);
+      outcome = await this.callEVMSwap(provider, swapCall, calls.length > 1);
+    }
+
+    simulation.revertReason = outcome.revertReason;
+    simulation.note = [outcome.note, sellCheckFailed && HONEYPOT_SELL_WARNING].filter(Boolean).join('; ') || null;
+    if (outcome.gasUsed !== null) {
+      simulation.gasUsed = Number(outcome.gasUsed);
+      simulation.networkFee = Number(formatUnits(outcome.gasUsed * gasPrice, 'ether'));
+    }
+
+    if (outcome.logs && !outcome.revertReason) {
+      const received = nativeOut
+        ? this.sumWrappedNativeWithdrawals(outcome, WNATIVE)
+        : this.sumTokenTransfers(outcome, tokenOut, { to: walletAddress });
+      if (received > 0n) {
+        simulation.expectedOutput = Number(formatUnits(received, outDecimals));
+        simulation.exactOutput = true;
+      }
+    }
+
+    return simulation;
+  }
+
+  // Run calls in sequence on top of the latest block with eth_simulateV1. Returns the
+  // first revert, the total gas and the swap's logs
+  async simulateEVMCalls(provider, calls) {
+    const [block] = await provider.send('eth_simulateV1', [{
+      blockStateCalls: [{
+        calls: calls.map(call => ({
+          ...call,
+          ...(call.value !== undefined && { value: ethers.toQuantity(call.value) })
+        }))
+      }],
+      validation: false
+    }, 'latest']);
+
+    const failed = block.calls.find(call => call.status !== '0x1');
+
+    return {
+      revertReason: failed ? this.decodeRevertReason(failed.returnData, failed.error?.message) : null,
+      gasUsed: block.calls.reduce((total, call) => total + BigInt(call.gasUsed), 0n),
+      logs: block.calls[block.calls.length - 1].logs || []
     };
+  }
+
+  // eth_call and estimateGas for RPCs without eth_simulateV1. A sell still waiting on its
+  // approval would only revert on the allowance, so it isn't run
+  async callEVMSwap(provider, swapCall, needsApproval) {
+    if (needsApproval) {
+      return { revertReason: null, gasUsed: null, note: 'Swap not simulated - the router needs a token approval first' };
+    }
+
+    try {
+      await provider.call(swapCall);
+      return { revertReason: null, gasUsed: await provider.estimateGas(swapCall) };
+    } catch (error) {
+      if (error.code !== 'CALL_EXCEPTION') throw error;
+      return { revertReason: error.reason || error.shortMessage, gasUsed: null };
+    }
+  }
+
+  // Error(string) and Panic reasons from revert data
+  decodeRevertReason(data, fallback = 'execution reverted') {
+    if (data && data !== '0x') {
+      const { reason } = ethers.AbiCoder.getBuiltinCallException('call', {}, data);
+      if (reason) return reason;
+    }
+    return fallback || 'execution reverted';
+  }
 
-    return routes[chain.toLowerCase()] || 'Unknown';
+  // Price impact on the quoted venue: its rate for the full amount against its rate for a
+  // thousandth of it. Null when the venue can't be re-quoted
+  async getEVMPriceImpact(provider, quote, tokenIn, tokenOut, amountIn) {
+    try {
+      const reference = amountIn / 1000n || 1n;
+      const [full, small] = await Promise.all([
+        this.quoteVenue(provider, quote, tokenIn, tokenOut, amountIn),
+        this.quoteVenue(provider, quote, tokenIn, tokenOut, reference)
+      ]);
+
+      if (small.amountOut === 0n) return null;
+
+      const ratio = Number(full.amountOut * reference * 1000000n / (small.amountOut * amountIn)) / 1000000;
+      return Math.max(0, (1 - ratio) * 100);
+    } catch (error) {
+      console.warn('Price impact unavailable:', error.message);
+      return null;
+    }
   }
 
   // Get execution statistics
@@ -936,5 +2979,10 @@ function getRealTradingExecutor() {
 
 module.exports = {
   getRealTradingExecutor,
-  RealTradingExecutor
+  RealTradingExecutor,
+  DEX_ROUTERS,
+  DEX_VENUES,
+  COMMON_TOKENS,
+  QUOTE_ASSETS,
+  SOLANA_FEE_LEVELS
 };
\ No newline at end of file
@@ -0,0 +1,244 @@
+// services/solanaSwapDecoder.js - DEX-aware swap decoding for Solana transactions
+
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+
+// Mints treated as the "money" side of a swap
+const QUOTE_MINTS = {
+  [WSOL_MINT]: 'SOL',
+  'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v': 'USDC',
+  'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB': 'USDT'
+};
+
+// Swap program IDs by venue
+const DEX_PROGRAMS = {
+  '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8': 'Raydium',
+  'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK': 'Raydium CLMM',
+  'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C': 'Raydium CPMM',
+  'LanMV9sAd7wArD4vJFi2qDdfnVhFxYSUg6eADduJ3uj': 'Raydium LaunchLab',
+  'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc': 'Orca',
+  '9W959DqEETiGZocYWCQPaJ6sBmUzgfxXfqGeTEdp3aQP': 'Orca',
+  'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo': 'Meteora DLMM',
+  'Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB': 'Meteora',
+  'cpamdpZCGKUy5JxQXB4dcpGPiikHawvSWAd6mEn1sGG': 'Meteora',
+  '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P': 'Pump.fun',
+  'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA': 'PumpSwap'
+};
+
+const AGGREGATOR_PROGRAMS = {
+  'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4': 'Jupiter',
+  'JUP4Fb2cqiRUcaTHdrPC8h2gNsA2ETXiPDD33WcGuJB': 'Jupiter'
+};
+
+// Ignore SOL movements below this (priority fees, tips)
+const SOL_DUST_LAMPORTS = 3000000n; // 0.003 SOL
+
+function keyToString(key) {
+  return typeof key === 'string' ? key : key.toBase58?.() || key.toString();
+}
+
+// Full account key list, including addresses loaded from lookup tables (v0 transactions)
+function getAccountKeys(tx) {
+  const message = tx.transaction?.message || {};
+  const staticKeys = message.staticAccountKeys || message.accountKeys || [];
+  const loaded = tx.meta?.loadedAddresses || {};
+
+  return [
+    ...staticKeys,
+    ...(loaded.writable || []),
+    ...(loaded.readonly || [])
+  ].map(keyToString);
+}
+
+// Programs invoked by the transaction, top-level and CPI
+function getInvokedPrograms(tx, accountKeys) {
+  const message = tx.transaction?.message || {};
+  const instructions = [
+    ...(message.compiledInstructions || message.instructions || []),
+    ...(tx.meta?.innerInstructions || []).flatMap(inner => inner.instructions || [])
+  ];
+
+  const programs = new Set();
+  for (const instruction of instructions) {
+    const programId = instruction.programId
+      ? keyToString(instruction.programId)
+      : accountKeys[instruction.programIdIndex];
+    if (programId) programs.add(programId);
+  }
+  return programs;
+}
+
+// Accounts used by swap program calls: each top-level instruction that is or invokes a DEX or
+// aggregator, with the instructions it invoked
+function getSwapAccounts(tx, accountKeys) {
+  const message = tx.transaction?.message || {};
+  const programOf = instruction => instruction.programId
+    ? keyToString(instruction.programId)
+    : accountKeys[instruction.programIdIndex];
+  const accountsOf = instruction => (instruction.accountKeyIndexes || instruction.accounts || [])
+    .map(account => typeof account === 'number' ? account : accountKeys.indexOf(keyToString(account)));
+
+  const accounts = new Set();
+  (message.compiledInstructions || message.instructions || []).forEach((instruction, index) => {
+    const inner = (tx.meta?.innerInstructions || []).find(set => set.index === index)?.instructions || [];
+    const calls = [instruction, ...inner];
+    if (!calls.some(call => DEX_PROGRAMS[programOf(call)] || AGGREGATOR_PROGRAMS[programOf(call)])) return;
+
+    for (const call of calls) {
+      for (const account of accountsOf(call)) accounts.add(account);
+    }
+  });
+  return accounts;
+}
+
+// Net raw token change per mint for accounts owned by the wallet, with the accounts holding it
+function getTokenDeltas(tx, walletAddress) {
+  const deltas = new Map(); // mint -> { raw: BigInt, decimals, accounts }
+
+  const apply = (balances, sign) => {
+    for (const balance of balances || []) {
+      if (balance.owner !== walletAddress || !balance.mint) continue;
+
+      const entry = deltas.get(balance.mint) || { raw: 0n, decimals: balance.uiTokenAmount?.decimals ?? 0, accounts: new Set() };
+      entry.raw += sign * BigInt(balance.uiTokenAmount?.amount || '0');
+      entry.accounts.add(balance.accountIndex);
+      deltas.set(balance.mint, entry);
+    }
+  };
+
+  apply(tx.meta?.preTokenBalances, -1n);
+  apply(tx.meta?.postTokenBalances, 1n);
+
+  return deltas;
+}
+
+// Rent paid for token accounts the wallet opened, minus rent refunded from ones it closed
+function getTokenAccountRent(tx, walletAddress) {
+  const pre = new Map((tx.meta?.preTokenBalances || [])
+    .filter(balance => balance.owner === walletAddress)
+    .map(balance => [balance.accountIndex, balance]));
+  const post = new Map((tx.meta?.postTokenBalances || [])
+    .filter(balance => balance.owner === walletAddress)
+    .map(balance => [balance.accountIndex, balance]));
+
+  // Account lamports are rent, plus the wrapped amount for WSOL accounts
+  const rentOf = (balance, lamports) => {
+    const wrapped = balance.mint === WSOL_MINT ? BigInt(balance.uiTokenAmount?.amount || '0') : 0n;
+    return BigInt(lamports ?? 0) - wrapped;
+  };
+
+  let rent = 0n;
+  for (const [index, balance] of post.entries()) {
+    if (!pre.has(index)) rent += rentOf(balance, tx.meta.postBalances?.[index]);
+  }
+  for (const [index, balance] of pre.entries()) {
+    if (!post.has(index)) rent -= rentOf(balance, tx.meta.preBalances?.[index]);
+  }
+  return rent;
+}
+
+function toUiAmount(raw, decimals) {
+  const negative = raw < 0n;
+  const abs = negative ? -raw : raw;
+  const base = 10n ** BigInt(decimals);
+  const value = Number(abs / base) + Number(abs % base) / Number(base);
+  return negative ? -value : value;
+}
+
+// Pick the input and output leg. Amounts of different mints aren't comparable, so the quote side
+// takes its quote mint and the other side its largest token; raw size only decides within a kind
+function pickLegs(legs) {
+  const largest = side => [...side].sort((a, b) => Math.abs(b.amount) - Math.abs(a.amount))[0] || null;
+  const quotes = side => side.filter(leg => isQuoteMint(leg.mint));
+  const tokens = side => side.filter(leg => !isQuoteMint(leg.mint));
+  const sent = legs.filter(leg => leg.amount < 0);
+  const received = legs.filter(leg => leg.amount > 0);
+
+  // Quote in, token out
+  if (quotes(sent).length > 0 && tokens(received).length > 0) {
+    return { input: largest(quotes(sent)), output: largest(tokens(received)) };
+  }
+  // Token in, quote out
+  if (tokens(sent).length > 0 && quotes(received).length > 0) {
+    return { input: largest(tokens(sent)), output: largest(quotes(received)) };
+  }
+  // Token to token: nothing to weigh the legs by
+  return { input: largest(sent), output: largest(received) };
+}
+
+// Decode the swap a wallet made in a confirmed transaction (null if it didn't swap)
+function decodeSolanaSwap(tx, walletAddress) {
+  if (!tx || !tx.meta || tx.meta.err) return null;
+
+  const accountKeys = getAccountKeys(tx);
+  const deltas = getTokenDeltas(tx, walletAddress);
+
+  // Native SOL and WSOL are the same asset for swap purposes; fees aren't part of the trade
+  const walletIndex = accountKeys.indexOf(walletAddress);
+  if (walletIndex !== -1) {
+    const pre = BigInt(tx.meta.preBalances?.[walletIndex] ?? 0);
+    const post = BigInt(tx.meta.postBalances?.[walletIndex] ?? 0);
+    let lamports = post - pre;
+    if (walletIndex === 0) lamports += BigInt(tx.meta.fee || 0);
+    lamports += getTokenAccountRent(tx, walletAddress);
+
+    const wsol = deltas.get(WSOL_MINT) || { raw: 0n, decimals: 9, accounts: new Set() };
+    wsol.raw += lamports;
+    wsol.accounts.add(walletIndex);
+    deltas.set(WSOL_MINT, wsol);
+  }
+
+  const wsol = deltas.get(WSOL_MINT);
+  if (wsol && wsol.raw > -SOL_DUST_LAMPORTS && wsol.raw < SOL_DUST_LAMPORTS) {
+    deltas.delete(WSOL_MINT);
+  }
+
+  // Without a swap program it's a transfer paired with something else (e.g. an airdrop), not a trade
+  const programs = getInvokedPrograms(tx, accountKeys);
+  const route = [...new Set([...programs].map(program => DEX_PROGRAMS[program]).filter(Boolean))];
+  const aggregator = [...programs].map(program => AGGREGATOR_PROGRAMS[program]).find(Boolean);
+  if (route.length === 0 && !aggregator) return null;
+
+  const legs = [...deltas.entries()]
+    .filter(([, delta]) => delta.raw !== 0n)
+    .map(([mint, delta]) => ({
+      mint,
+      decimals: delta.decimals,
+      accounts: delta.accounts,
+      amount: toUiAmount(delta.raw, delta.decimals)
+    }));
+
+  // Legs the swap itself moved; transfers riding along in other instructions don't count
+  const swapAccounts = getSwapAccounts(tx, accountKeys);
+  const swapLegs = legs.filter(leg => [...leg.accounts].some(account => swapAccounts.has(account)));
+  const { input, output } = pickLegs(swapLegs.length > 0 ? swapLegs : legs);
+
+  // Transfers, fee-only and account-management transactions have at most one side
+  if (!input || !output) return null;
+
+  return {
+    inputMint: input.mint,
+    outputMint: output.mint,
+    inputAmount: Math.abs(input.amount),
+    outputAmount: output.amount,
+    inputDecimals: input.decimals,
+    outputDecimals: output.decimals,
+    venue: aggregator || route[0],
+    route,
+    signature: tx.transaction?.signatures?.[0] || 'unknown'
+  };
+}
+
+function isQuoteMint(mint) {
+  return Boolean(QUOTE_MINTS[mint]);
+}
+
+module.exports = {
+  decodeSolanaSwap,
+  getAccountKeys,
+  getTokenAccountRent,
+  isQuoteMint,
+  QUOTE_MINTS,
+  WSOL_MINT,
+  DEX_PROGRAMS,
+  AGGREGATOR_PROGRAMS
+};
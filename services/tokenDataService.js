@@ -1,12 +1,16 @@
 // services/tokenDataService.js - Enhanced token data fetching with multi-chain support
 const axios = require('axios');
 const { Connection, PublicKey } = require('@solana/web3.js');
+const { Contract } = require('ethers');
 const { getRPCManager } = require('./rpcManager');
 
 // Cache token data to reduce API calls
 const tokenCache = new Map();
 const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
 
+// Decimals never change, so they're cached for the life of the process
+const decimalsCache = new Map();
+
 // DexScreener API endpoints
 const DEXSCREENER_API = 'https://api.dexscreener.com/latest/dex';
 
@@ -147,6 +151,17 @@ async function getTokenData(tokenAddress, chain) {
       tokenData.explorerLinks = getExplorerLinks(tokenAddress, chain);
     }
     
+    // Measured transfer taxes feed the auto-buy tax limits on EVM chains
+    if (tokenData && chain !== 'solana') {
+      const { getRealTradingExecutor } = require('./realTradingExecutor');
+      const tax = await getRealTradingExecutor().getTokenTax(tokenAddress, chain);
+      if (tax) {
+        tokenData.buyTax = tax.buyTax;
+        tokenData.sellTax = tax.sellTax;
+        tokenData.isHoneypot = tax.isHoneypot;
+      }
+    }
+    
     // Cache the result
     if (tokenData) {
       tokenCache.set(cacheKey, {
@@ -308,6 +323,28 @@ ${tokenData.holders ? `• **Holders:** ${formatNumber(tokenData.holders)}` : ''
 ${tokenData.explorerLinks.axiom ? `[Axiom](${tokenData.explorerLinks.axiom}) | ` : ''}[DexScreener](${tokenData.explorerLinks.dexscreener})${tokenData.explorerLinks.birdeye ? ` | [Birdeye](${tokenData.explorerLinks.birdeye})` : ''} | [Explorer](${tokenData.explorerLinks.explorer})`;
 }
 
+// Get token decimals (mint account on Solana, decimals() on EVM)
+async function getTokenDecimals(tokenAddress, chain) {
+  const cacheKey = `${chain}:${tokenAddress.toLowerCase()}`;
+  if (decimalsCache.has(cacheKey)) {
+    return decimalsCache.get(cacheKey);
+  }
+  
+  let decimals;
+  if (chain === 'solana') {
+    const metadata = await getSolanaTokenMetadata(tokenAddress);
+    if (!metadata) throw new Error(`Could not load decimals for ${tokenAddress}`);
+    decimals = metadata.decimals;
+  } else {
+    decimals = Number(await getRPCManager().executeWithRetry(chain, provider =>
+      new Contract(tokenAddress, ['function decimals() view returns (uint8)'], provider).decimals()
+    ));
+  }
+  
+  decimalsCache.set(cacheKey, decimals);
+  return decimals;
+}
+
 // Clear token cache
 function clearCache() {
   tokenCache.clear();
@@ -317,6 +354,7 @@ function clearCache() {
 module.exports = {
   getTokenData,
   getTokenInfo,
+  getTokenDecimals,
   formatTokenMessage,
   formatNumber,
   clearCache
@@ -0,0 +1,89 @@
+// services/tradeEventBus.js - Internal event bus for trades detected on tracked wallets
+const { EventEmitter } = require('events');
+
+const TRADE_DETECTED = 'trade:detected';
+
+class TradeEventBus extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(20);
+    this.stats = {
+      published: 0,
+      handlerErrors: 0,
+      lastEventAt: null
+    };
+  }
+
+  // Normalize a monitor trade ({action, amount, tokenAddress, txHash, ...}) into a detected-trade event
+  publishDetectedTrade(trade, walletAddress, chain) {
+    if (!trade || !['buy', 'sell'].includes(trade.action)) {
+      return null;
+    }
+
+    const event = {
+      id: `${chain}:${trade.txHash}`,
+      type: trade.action,
+      chain,
+      walletAddress,
+      tokenAddress: trade.tokenAddress,
+      tokenSymbol: trade.tokenSymbol || null,
+      amount: trade.amount || 0,
+      percentage: trade.percentage || null,
+      gasPrice: trade.gasPrice || null,
+      txHash: trade.txHash,
+      venue: trade.venue || null,
+      quoteMint: trade.quoteMint || null,
+      quoteAmount: trade.quoteAmount || 0,
+      inputMint: trade.inputMint || null,
+      outputMint: trade.outputMint || null,
+      inputAmount: trade.inputAmount || 0,
+      outputAmount: trade.outputAmount || 0,
+      timestamp: trade.timestamp || new Date(),
+      detectedAt: new Date()
+    };
+
+    this.stats.published++;
+    this.stats.lastEventAt = event.detectedAt;
+    this.emit(TRADE_DETECTED, event);
+
+    return event;
+  }
+
+  // Subscribe to detected trades; async handler errors are logged instead of crashing the monitor
+  onDetectedTrade(handler) {
+    const wrapped = (event) => {
+      Promise.resolve()
+        .then(() => handler(event))
+        .catch(error => {
+          this.stats.handlerErrors++;
+          console.error(`❌ Trade event handler failed for ${event.id}:`, error.message);
+        });
+    };
+
+    this.on(TRADE_DETECTED, wrapped);
+    return () => this.off(TRADE_DETECTED, wrapped);
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      subscribers: this.listenerCount(TRADE_DETECTED)
+    };
+  }
+}
+
+// Singleton instance
+let tradeEventBus = null;
+
+function getTradeEventBus() {
+  if (!tradeEventBus) {
+    tradeEventBus = new TradeEventBus();
+  }
+  return tradeEventBus;
+}
+
+module.exports = {
+  getTradeEventBus,
+  TradeEventBus,
+  TRADE_DETECTED
+};
@@ -0,0 +1,317 @@
+// services/transactionTracker.js - Persistent lifecycle tracking for submitted transactions
+const userService = require('../users/userService');
+const { getRPCManager } = require('./rpcManager');
+
+// submitted -> confirmed | failed | dropped | replaced
+const FINAL_STATUSES = ['confirmed', 'failed', 'dropped', 'replaced'];
+
+const POLL_INTERVAL = 15000;
+
+// An EVM transaction the node no longer knows about is treated as dropped after this long
+const EVM_DROP_TIMEOUT = 30 * 60 * 1000;
+
+const STATUS_TITLES = {
+  confirmed: '✅ **Transaction Confirmed**',
+  failed: '❌ **Transaction Failed**',
+  dropped: '⚠️ **Transaction Dropped**',
+  replaced: '🔁 **Transaction Replaced**'
+};
+
+// The executor requires this module, so it is loaded on use
+function getExecutor() {
+  return require('./realTradingExecutor').getRealTradingExecutor();
+}
+
+class TransactionTracker {
+  constructor() {
+    this.botInstance = null;
+    this.open = new Map(); // hash -> record still being polled
+    this.locks = new Map(); // hash -> tail of the updates queued on that record
+    this.pollTimer = null;
+    this.polling = false;
+  }
+
+  setBotInstance(bot) {
+    this.botInstance = bot;
+  }
+
+  // Resume polling transactions a previous run left open
+  async start() {
+    const records = await userService.getTrackedTransactions();
+    for (const record of records) {
+      if (!FINAL_STATUSES.includes(record.status)) {
+        this.open.set(record.hash, record);
+      }
+    }
+
+    if (!this.pollTimer) {
+      this.pollTimer = setInterval(() => this.poll(), POLL_INTERVAL);
+    }
+
+    console.log(`🧾 Transaction tracker started with ${this.open.size} open transactions`);
+  }
+
+  stop() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  async get(hash) {
+    return this.open.get(hash) || await userService.getTrackedTransaction(hash);
+  }
+
+  // The poller and the request that sent a transaction both update its record; updates to one
+  // hash run one at a time so neither works from a copy the other has already replaced
+  async withLock(hash, task) {
+    const previous = this.locks.get(hash) || Promise.resolve();
+
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const current = previous.then(() => gate);
+    this.locks.set(hash, current);
+    await previous;
+
+    try {
+      return await task();
+    } finally {
+      release();
+      if (this.locks.get(hash) === current) {
+        this.locks.delete(hash);
+      }
+    }
+  }
+
+  // Record a submitted transaction
+  async record(hash, fields = {}) {
+    const now = Date.now();
+    const record = { hash, status: 'submitted', submittedAt: now, ...fields, updatedAt: now };
+
+    if (!FINAL_STATUSES.includes(record.status)) {
+      this.open.set(hash, record);
+    }
+
+    await userService.saveTrackedTransaction(record);
+    return record;
+  }
+
+  // Move a transaction to a final status. Transactions whose request already returned
+  // get their trade settled and a follow-up message
+  async resolve(hash, status, details = {}, options = {}) {
+    return this.withLock(hash, () => this.applyResolution(hash, status, details, options));
+  }
+
+  async applyResolution(hash, status, details = {}, { notify = true } = {}) {
+    const record = await this.get(hash);
+    if (!record || FINAL_STATUSES.includes(record.status)) {
+      return record;
+    }
+
+    this.open.delete(hash);
+    Object.assign(record, details, { status, updatedAt: Date.now() });
+    await userService.saveTrackedTransaction(record);
+
+    console.log(`🧾 ${record.chain.toUpperCase()} ${hash} ${status}`);
+
+    if (notify && record.followUp) {
+      await this.finish(record);
+    }
+    return record;
+  }
+
+  // The request stopped waiting on this transaction: keep tracking it, settle the trade
+  // on confirmation and message the user with the outcome
+  async handOff(hash, { userId, chain, settlement = null }) {
+    const result = await this.withLock(hash, async () => {
+      let record = await this.get(hash);
+
+      // Follow /speedup replacements to the transaction that is still live
+      if (record?.status === 'replaced' && record.replacedBy) {
+        return { replacedBy: record.replacedBy };
+      }
+
+      if (!record) {
+        record = await this.record(hash, { chain });
+      }
+
+      record.userId = String(userId);
+      record.followUp = true;
+      if (!record.cancel) {
+        record.settlement = settlement;
+      }
+      record.updatedAt = Date.now();
+      await userService.saveTrackedTransaction(record);
+
+      if (FINAL_STATUSES.includes(record.status)) {
+        await this.finish(record);
+      }
+      return { record };
+    });
+
+    return result.replacedBy
+      ? this.handOff(result.replacedBy, { userId, chain, settlement })
+      : result.record;
+  }
+
+  // A /speedup or /canceltx replacement takes over the original's follow-up; a cancel
+  // drops the original trade's settlement
+  async replace(oldHash, newHash, fields = {}) {
+    return this.withLock(oldHash, async () => {
+      const previous = await this.get(oldHash);
+
+      await this.record(newHash, {
+        ...fields,
+        replaces: oldHash,
+        userId: previous?.userId,
+        followUp: previous?.followUp || false,
+        settlement: fields.cancel ? null : previous?.settlement || null
+      });
+
+      await this.applyResolution(oldHash, 'replaced', { replacedBy: newHash }, { notify: false });
+    });
+  }
+
+  // Settle and notify once. The record is marked before anything is awaited, so a second
+  // caller finds it finished
+  async finish(record) {
+    if (record.finished) return;
+
+    const settle = record.settlement && !record.settled && record.status === 'confirmed';
+    record.finished = true;
+    record.settled = record.settled || !!record.settlement;
+    await userService.saveTrackedTransaction(record);
+
+    let summary = null;
+
+    if (settle) {
+      try {
+        summary = await getExecutor().settlePendingTrade(record);
+      } catch (error) {
+        console.error(`Settlement of ${record.hash} failed:`, error);
+        summary = `⚠️ Could not update your position: ${error.message}`;
+      }
+    }
+
+    await this.notify(record, summary);
+  }
+
+  async notify(record, summary) {
+    if (!this.botInstance || !record.userId) return;
+
+    try {
+      let message = `${STATUS_TITLES[record.status]}\n\n`;
+      message += `📋 ${record.description || 'Transaction'}\n`;
+      message += `⛓️ Chain: ${record.chain.toUpperCase()}\n`;
+      message += `🔗 \`${record.hash}\`\n\n`;
+
+      if (summary) {
+        message += `${summary}\n\n`;
+      } else if (record.status === 'confirmed' && record.cancel) {
+        message += `The original transaction will not execute.\n\n`;
+      } else if (record.status === 'failed') {
+        message += `The transaction reverted on-chain${record.settlement ? ' - your position was not changed' : ''}.\n\n`;
+      } else if (record.status === 'dropped') {
+        message += `The transaction was never included${record.settlement ? ' - your position was not changed' : ''}.\n\n`;
+      } else if (record.status === 'replaced') {
+        message += `Another transaction from your wallet used the same nonce.\n\n`;
+      }
+
+      message += `🔍 [View on Explorer](${getExecutor().getExplorerUrl(record.hash, record.chain)})`;
+
+      await this.botInstance.telegram.sendMessage(record.userId, message, {
+        parse_mode: 'Markdown',
+        disable_web_page_preview: true
+      });
+    } catch (error) {
+      console.warn(`Failed to send follow-up for ${record.hash}:`, error.message);
+    }
+  }
+
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      for (const record of [...this.open.values()]) {
+        try {
+          const outcome = record.chain === 'solana'
+            ? await this.checkSolanaTransaction(record)
+            : await this.checkEVMTransaction(record);
+
+          if (outcome) {
+            await this.resolve(record.hash, outcome.status, outcome.details);
+          }
+        } catch (error) {
+          console.warn(`Status check for ${record.hash} failed:`, error.message);
+        }
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  async checkEVMTransaction(record) {
+    const provider = await getExecutor().getEVMProvider(record.chain);
+
+    // Read the mined nonce before the receipt, so a transaction mined in between
+    // isn't mistaken for a replaced one
+    const minedNonce = record.from ? await provider.getTransactionCount(record.from, 'latest') : null;
+    const receipt = await provider.getTransactionReceipt(record.hash);
+
+    if (receipt) {
+      return {
+        status: receipt.status === 1 ? 'confirmed' : 'failed',
+        details: { blockNumber: receipt.blockNumber }
+      };
+    }
+
+    // Another transaction took the nonce
+    if (minedNonce !== null && minedNonce > record.nonce) {
+      return { status: 'replaced' };
+    }
+
+    if (Date.now() - record.submittedAt > EVM_DROP_TIMEOUT && !(await provider.getTransaction(record.hash))) {
+      return { status: 'dropped' };
+    }
+
+    return null;
+  }
+
+  async checkSolanaTransaction(record) {
+    const connection = await getRPCManager().getSolanaConnection();
+
+    // Block height first, for the same reason as the EVM nonce
+    const blockHeight = await connection.getBlockHeight('confirmed');
+    const { value: [status] } = await connection.getSignatureStatuses([record.hash], {
+      searchTransactionHistory: true
+    });
+
+    if (status && ['confirmed', 'finalized'].includes(status.confirmationStatus)) {
+      return {
+        status: status.err ? 'failed' : 'confirmed',
+        details: status.err ? { slot: status.slot, error: JSON.stringify(status.err) } : { slot: status.slot }
+      };
+    }
+
+    if (record.lastValidBlockHeight && blockHeight > record.lastValidBlockHeight) {
+      return { status: 'dropped' };
+    }
+
+    return null;
+  }
+}
+
+// Singleton instance
+let transactionTracker = null;
+
+function getTransactionTracker() {
+  if (!transactionTracker) {
+    transactionTracker = new TransactionTracker();
+  }
+  return transactionTracker;
+}
+
+module.exports = {
+  getTransactionTracker,
+  TransactionTracker,
+  FINAL_STATUSES
+};
@@ -0,0 +1,354 @@
+// services/walletAnalyticsService.js - Wallet performance analytics from on-chain swap history
+const { PublicKey } = require('@solana/web3.js');
+const { zeroPadValue, formatUnits } = require('ethers');
+const { getRPCManager } = require('./rpcManager');
+const tokenDataService = require('./tokenDataService');
+const walletService = require('./walletService');
+const { parseSolanaTransaction, parseEVMTransaction, TRANSFER_TOPIC } = require('./walletMonitor');
+
+// Cache computed stats - a full history scan is expensive
+const statsCache = new Map();
+const inFlight = new Map();
+const STATS_CACHE_DURATION = 30 * 60 * 1000; // 30 minutes
+
+// History scan bounds
+const MAX_HISTORY_TRANSACTIONS = 100;
+const EVM_HISTORY_CHUNK = 5000; // Blocks per getLogs call
+const EVM_HISTORY_MAX_CHUNKS = 20;
+const MAX_MCAP_LOOKUPS = 20;
+const FULL_EXIT_PORTION = 0.999; // Selling this much of a position closes the round trip
+
+const NATIVE_SYMBOLS = {
+  solana: 'SOL',
+  ethereum: 'ETH',
+  bsc: 'BNB',
+  polygon: 'MATIC',
+  arbitrum: 'ETH',
+  base: 'ETH'
+};
+
+function getCacheKey(address, chain) {
+  return `${chain}:${chain === 'solana' ? address : address.toLowerCase()}`;
+}
+
+// Recent buys/sells of a Solana wallet, oldest first
+async function getSolanaSwapHistory(address, options = {}) {
+  const rpcManager = getRPCManager();
+  const publicKey = new PublicKey(address);
+  const limit = options.limit || MAX_HISTORY_TRANSACTIONS;
+
+  const signatures = await rpcManager.executeWithRetry('solana', connection =>
+    connection.getSignaturesForAddress(publicKey, { limit, before: options.before }, 'confirmed')
+  );
+
+  const trades = [];
+  for (const sig of signatures) {
+    if (sig.err) continue;
+
+    try {
+      const tx = await rpcManager.executeWithRetry('solana', connection =>
+        connection.getTransaction(sig.signature, {
+          commitment: 'confirmed',
+          maxSupportedTransactionVersion: 0
+        })
+      );
+
+      const trade = tx ? await parseSolanaTransaction(tx, address) : null;
+      if (trade && ['buy', 'sell'].includes(trade.action)) {
+        trades.push(trade);
+      }
+    } catch (err) {
+      console.warn(`⚠️ Skipping ${sig.signature} in wallet history:`, err.message);
+    }
+  }
+
+  return trades.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Recent buys/sells of an EVM wallet, found through its Transfer logs, oldest first
+async function getEVMSwapHistory(address, chain, options = {}) {
+  const rpcManager = getRPCManager();
+  const limit = options.limit || MAX_HISTORY_TRANSACTIONS;
+  const walletTopic = zeroPadValue(address.toLowerCase(), 32);
+
+  // Walk back from the head until we have enough transactions
+  const transactions = new Map(); // txHash -> blockNumber
+  let toBlock = await rpcManager.executeWithRetry(chain, provider => provider.getBlockNumber());
+
+  for (let chunk = 0; chunk < EVM_HISTORY_MAX_CHUNKS && transactions.size < limit && toBlock > 0; chunk++) {
+    const fromBlock = Math.max(0, toBlock - EVM_HISTORY_CHUNK + 1);
+
+    for (const topics of [[TRANSFER_TOPIC, walletTopic], [TRANSFER_TOPIC, null, walletTopic]]) {
+      const logs = await rpcManager.executeWithRetry(chain, provider =>
+        provider.getLogs({ fromBlock, toBlock, topics })
+      );
+      for (const log of logs) {
+        if (log.topics.length === 3) transactions.set(log.transactionHash, log.blockNumber);
+      }
+    }
+
+    toBlock = fromBlock - 1;
+  }
+
+  const newest = [...transactions.entries()]
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, limit);
+
+  const blockTimes = new Map();
+  const trades = [];
+
+  for (const [txHash, blockNumber] of newest) {
+    try {
+      const tx = await rpcManager.executeWithRetry(chain, provider => provider.getTransaction(txHash));
+      const receipt = await rpcManager.executeWithRetry(chain, provider => provider.getTransactionReceipt(txHash));
+
+      const trade = parseEVMTransaction(tx, receipt, address, chain);
+      if (!trade) continue;
+
+      if (!blockTimes.has(blockNumber)) {
+        const block = await rpcManager.executeWithRetry(chain, provider => provider.getBlock(blockNumber));
+        blockTimes.set(blockNumber, block ? new Date(block.timestamp * 1000) : trade.timestamp);
+      }
+      trade.timestamp = blockTimes.get(blockNumber);
+
+      const decimals = await tokenDataService.getTokenDecimals(trade.tokenAddress, chain);
+      trade.tokenAmount = parseFloat(formatUnits(trade.tokenAmountRaw, decimals));
+
+      trades.push(trade);
+    } catch (err) {
+      console.warn(`⚠️ Skipping ${txHash} in wallet history:`, err.message);
+    }
+  }
+
+  return trades.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Recent buys/sells decoded with the same parsers the wallet monitor uses
+async function getSwapHistory(address, chain, options = {}) {
+  if (chain === 'solana') {
+    return getSolanaSwapHistory(address, options);
+  }
+  return getEVMSwapHistory(address, chain, options);
+}
+
+// Trade size in the chain's native token (stablecoin-quoted trades are converted)
+function getTradeValue(trade, nativeUsd) {
+  if (trade.amount > 0) return trade.amount;
+  if (trade.quoteAmount > 0 && nativeUsd > 0) return trade.quoteAmount / nativeUsd;
+  return 0;
+}
+
+// Rebuild per-token round trips with average-cost accounting
+function buildRoundTrips(trades, nativeUsd) {
+  const positions = new Map(); // token -> { quantity, cost, realized, openedAt, entryPrice }
+  const roundTrips = [];
+  let realizedPnL = 0;
+
+  for (const trade of trades) {
+    const value = getTradeValue(trade, nativeUsd);
+    const quantity = trade.tokenAmount || 0;
+    if (value <= 0 || quantity <= 0) continue;
+
+    let position = positions.get(trade.tokenAddress);
+
+    if (trade.action === 'buy') {
+      if (!position) {
+        position = {
+          quantity: 0,
+          cost: 0,
+          realized: 0,
+          openedAt: trade.timestamp,
+          entryPrice: value / quantity
+        };
+        positions.set(trade.tokenAddress, position);
+      }
+      position.quantity += quantity;
+      position.cost += value;
+      continue;
+    }
+
+    // Sells of tokens bought before the scanned window can't be matched
+    if (!position || position.quantity <= 0) continue;
+
+    // Only the part of the sale covered by buys we saw counts towards PnL
+    const matched = Math.min(quantity, position.quantity);
+    const portion = matched / position.quantity;
+    const costBasis = position.cost * portion;
+    const pnl = value * (matched / quantity) - costBasis;
+
+    position.realized += pnl;
+    position.quantity -= position.quantity * portion;
+    position.cost -= costBasis;
+    realizedPnL += pnl;
+
+    if (portion >= FULL_EXIT_PORTION) {
+      roundTrips.push({
+        tokenAddress: trade.tokenAddress,
+        pnl: position.realized,
+        holdTime: trade.timestamp - position.openedAt,
+        entryPrice: position.entryPrice,
+        openedAt: position.openedAt,
+        closedAt: trade.timestamp
+      });
+      positions.delete(trade.tokenAddress);
+    }
+  }
+
+  return { roundTrips, openPositions: positions, realizedPnL };
+}
+
+// Average USD market cap at entry, scaled from today's market cap by the entry/current price ratio
+async function getAverageEntryMarketCap(entries, chain, nativeUsd) {
+  const marketCaps = [];
+
+  for (const entry of entries.slice(-MAX_MCAP_LOOKUPS)) {
+    try {
+      const tokenData = await tokenDataService.getTokenData(entry.tokenAddress, chain);
+      if (tokenData?.priceUsd > 0 && tokenData?.marketCap > 0) {
+        marketCaps.push(tokenData.marketCap * (entry.entryPrice * nativeUsd) / tokenData.priceUsd);
+      }
+    } catch (err) {
+      console.warn(`⚠️ No market data for ${entry.tokenAddress}:`, err.message);
+    }
+  }
+
+  if (marketCaps.length === 0) return null;
+  return marketCaps.reduce((sum, cap) => sum + cap, 0) / marketCaps.length;
+}
+
+// Compute performance stats for a list of trades (skipMarketCap avoids a lookup per token)
+async function computeWalletStats(address, chain, trades, options = {}) {
+  const nativeUsd = await walletService.getTokenPrice(chain);
+  const { roundTrips, openPositions, realizedPnL } = buildRoundTrips(trades, nativeUsd);
+
+  const wins = roundTrips.filter(trip => trip.pnl > 0).length;
+  const totalHoldTime = roundTrips.reduce((sum, trip) => sum + trip.holdTime, 0);
+
+  // Frequency over the scanned window, at least a day so a burst doesn't look like a rate
+  const firstTradeAt = trades[0]?.timestamp || null;
+  const lastTradeAt = trades[trades.length - 1]?.timestamp || null;
+  const spanDays = firstTradeAt ? Math.max(1, (lastTradeAt - firstTradeAt) / (24 * 60 * 60 * 1000)) : 1;
+
+  const entries = [
+    ...roundTrips,
+    ...[...openPositions.entries()].map(([tokenAddress, position]) => ({ tokenAddress, ...position }))
+  ];
+
+  return {
+    address,
+    chain,
+    nativeSymbol: NATIVE_SYMBOLS[chain] || chain.toUpperCase(),
+    tradesAnalyzed: trades.length,
+    buys: trades.filter(trade => trade.action === 'buy').length,
+    sells: trades.filter(trade => trade.action === 'sell').length,
+    roundTrips: roundTrips.length,
+    wins,
+    losses: roundTrips.length - wins,
+    winRate: roundTrips.length > 0 ? (wins / roundTrips.length) * 100 : null,
+    realizedPnL,
+    realizedPnLUsd: realizedPnL * nativeUsd,
+    avgHoldTimeMs: roundTrips.length > 0 ? totalHoldTime / roundTrips.length : null,
+    avgEntryMarketCap: options.skipMarketCap ? null : await getAverageEntryMarketCap(entries, chain, nativeUsd),
+    tradesPerDay: trades.length / spanDays,
+    openPositions: openPositions.size,
+    firstTradeAt,
+    lastTradeAt,
+    computedAt: new Date()
+  };
+}
+
+// Get (cached) performance stats for a wallet
+async function getWalletStats(address, chain, options = {}) {
+  const cacheKey = getCacheKey(address, chain);
+  const cached = statsCache.get(cacheKey);
+
+  if (!options.refresh && cached && Date.now() - cached.timestamp < STATS_CACHE_DURATION) {
+    return cached.data;
+  }
+
+  // Concurrent requests for the same wallet share one scan
+  if (inFlight.has(cacheKey)) {
+    return inFlight.get(cacheKey);
+  }
+
+  const scan = (async () => {
+    try {
+      const trades = await getSwapHistory(address, chain, options);
+      const stats = await computeWalletStats(address, chain, trades);
+      statsCache.set(cacheKey, { data: stats, timestamp: Date.now() });
+      return stats;
+    } finally {
+      inFlight.delete(cacheKey);
+    }
+  })();
+
+  inFlight.set(cacheKey, scan);
+  return scan;
+}
+
+// Last computed stats, without triggering a scan
+function getCachedWalletStats(address, chain) {
+  return statsCache.get(getCacheKey(address, chain))?.data || null;
+}
+
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m`;
+
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+function formatSigned(value, decimals = 4) {
+  return `${value >= 0 ? '+' : ''}${value.toFixed(decimals)}`;
+}
+
+// Full stats message for /walletstats
+function formatWalletStatsMessage(stats) {
+  const pnlEmoji = stats.realizedPnL >= 0 ? '🟢' : '🔴';
+
+  let message = `📊 **WALLET PERFORMANCE**\n\n`;
+  message += `👛 \`${stats.address}\`\n`;
+  message += `🔗 Chain: ${stats.chain.toUpperCase()}\n\n`;
+
+  if (stats.tradesAnalyzed === 0) {
+    message += `ℹ️ No buys or sells found in recent history.`;
+    return message;
+  }
+
+  message += `🎯 **Win Rate:** ${stats.winRate !== null ? `${stats.winRate.toFixed(1)}%` : 'N/A'} (${stats.wins}W / ${stats.losses}L)\n`;
+  message += `${pnlEmoji} **Realized PnL:** ${formatSigned(stats.realizedPnL)} ${stats.nativeSymbol} (${stats.realizedPnLUsd >= 0 ? '+' : '-'}$${Math.abs(stats.realizedPnLUsd).toFixed(2)})\n`;
+  message += `⏱️ **Avg Hold Time:** ${stats.avgHoldTimeMs !== null ? formatDuration(stats.avgHoldTimeMs) : 'N/A'}\n`;
+  message += `💎 **Avg Entry MCap:** ${stats.avgEntryMarketCap ? `$${tokenDataService.formatNumber(stats.avgEntryMarketCap)}` : 'N/A'}\n`;
+  message += `📈 **Frequency:** ${stats.tradesPerDay.toFixed(1)} trades/day\n\n`;
+
+  message += `📋 **Sample:**\n`;
+  message += `• Trades analyzed: ${stats.tradesAnalyzed} (${stats.buys} buys, ${stats.sells} sells)\n`;
+  message += `• Round trips closed: ${stats.roundTrips}\n`;
+  message += `• Open positions: ${stats.openPositions}\n`;
+  message += `• Period: ${stats.firstTradeAt.toLocaleDateString()} - ${stats.lastTradeAt.toLocaleDateString()}\n\n`;
+
+  message += `🕐 Updated: ${stats.computedAt.toLocaleString()}`;
+  return message;
+}
+
+// One-line summary for wallet lists
+function formatWalletStatsSummary(stats) {
+  if (stats.tradesAnalyzed === 0) return 'no recent trades';
+
+  const winRate = stats.winRate !== null ? `${stats.winRate.toFixed(0)}% win` : 'no closed trades';
+  return `${winRate} | ${formatSigned(stats.realizedPnL, 2)} ${stats.nativeSymbol} | ${stats.tradesPerDay.toFixed(1)}/day`;
+}
+
+module.exports = {
+  getWalletStats,
+  getCachedWalletStats,
+  getSwapHistory,
+  computeWalletStats,
+  buildRoundTrips,
+  formatWalletStatsMessage,
+  formatWalletStatsSummary,
+  formatDuration
+};
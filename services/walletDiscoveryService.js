@@ -0,0 +1,332 @@
+// services/walletDiscoveryService.js - Find wallets worth copying from a token's early buyers and holders
+const { PublicKey } = require('@solana/web3.js');
+const { Contract, zeroPadValue, getAddress } = require('ethers');
+const { getRPCManager } = require('./rpcManager');
+const tokenDataService = require('./tokenDataService');
+const walletService = require('./walletService');
+const walletAnalyticsService = require('./walletAnalyticsService');
+const { parseSolanaTransaction, TRANSFER_TOPIC } = require('./walletMonitor');
+
+// Search bounds - every candidate costs a history scan
+const EARLY_BUYERS = 8;
+const TOP_HOLDERS = 6;
+const MAX_CANDIDATES = 12;
+const CANDIDATE_HISTORY_LIMIT = 40;
+const SOLANA_SIGNATURE_PAGES = 10; // 1000 signatures per page back from the newest
+const SOLANA_EARLY_TRANSACTIONS = 60; // Launch transactions decoded looking for buyers
+const EVM_SCAN_CHUNK = 2000; // Blocks per getLogs call
+const EVM_SCAN_MAX_CHUNKS = 10;
+const ENTRY_TIMING_WINDOW = 24 * 60 * 60 * 1000; // Buying later than a day after launch scores nothing
+const RESULTS_SHOWN = 5;
+
+function isSameToken(a, b, chain) {
+  return chain === 'solana' ? a === b : a?.toLowerCase() === b?.toLowerCase();
+}
+
+// Fee payer of a Solana transaction - the wallet that made the trade
+function getSigner(tx) {
+  const message = tx.transaction?.message || {};
+  const key = (message.staticAccountKeys || message.accountKeys || [])[0];
+  return key ? (typeof key === 'string' ? key : key.toBase58()) : null;
+}
+
+// Earliest buyers reachable from the pair's signature history
+async function getSolanaEarlyBuyers(tokenAddress, pairAddress, launchTime) {
+  const rpcManager = getRPCManager();
+  const pair = new PublicKey(pairAddress);
+  const signatures = [];
+  let before;
+  let reachedLaunch = false;
+
+  // Page back towards the launch; busy pairs may have more history than we're willing to read
+  for (let page = 0; page < SOLANA_SIGNATURE_PAGES; page++) {
+    const batch = await rpcManager.executeWithRetry('solana', connection =>
+      connection.getSignaturesForAddress(pair, { before, limit: 1000 }, 'confirmed')
+    );
+    signatures.push(...batch);
+
+    const oldest = batch[batch.length - 1];
+    if (batch.length < 1000 || (launchTime && oldest?.blockTime && oldest.blockTime * 1000 <= launchTime)) {
+      reachedLaunch = true;
+      break;
+    }
+    before = oldest.signature;
+  }
+
+  const earliest = signatures
+    .filter(sig => !sig.err)
+    .reverse()
+    .slice(0, SOLANA_EARLY_TRANSACTIONS);
+
+  const buyers = new Map();
+  for (const sig of earliest) {
+    if (buyers.size >= EARLY_BUYERS) break;
+
+    try {
+      const tx = await rpcManager.executeWithRetry('solana', connection =>
+        connection.getTransaction(sig.signature, { commitment: 'confirmed', maxSupportedTransactionVersion: 0 })
+      );
+      const signer = tx && getSigner(tx);
+      if (!signer || buyers.has(signer)) continue;
+
+      const trade = await parseSolanaTransaction(tx, signer);
+      if (trade?.action === 'buy' && isSameToken(trade.tokenAddress, tokenAddress, 'solana')) {
+        buyers.set(signer, { address: signer, source: 'early', firstBuyAt: trade.timestamp });
+      }
+    } catch (err) {
+      console.warn(`⚠️ Skipping ${sig.signature} in early buyer scan:`, err.message);
+    }
+  }
+
+  return { buyers: [...buyers.values()], reachedLaunch };
+}
+
+// Largest holders that are user wallets (pool and program accounts are off-curve PDAs)
+async function getSolanaTopHolders(tokenAddress) {
+  const rpcManager = getRPCManager();
+  const mint = new PublicKey(tokenAddress);
+
+  const largest = await rpcManager.executeWithRetry('solana', connection => connection.getTokenLargestAccounts(mint));
+  const accounts = await rpcManager.executeWithRetry('solana', connection =>
+    connection.getMultipleParsedAccounts(largest.value.map(account => account.address))
+  );
+
+  const holders = [];
+  for (const account of accounts.value) {
+    const owner = account?.data?.parsed?.info?.owner;
+    if (!owner || !PublicKey.isOnCurve(new PublicKey(owner).toBytes())) continue;
+    if (holders.some(holder => holder.address === owner)) continue;
+
+    holders.push({ address: owner, source: 'holder', firstBuyAt: null });
+    if (holders.length >= TOP_HOLDERS) break;
+  }
+  return holders;
+}
+
+// First block at or after a timestamp (binary search on block times)
+async function findBlockByTimestamp(chain, timestampSeconds) {
+  const rpcManager = getRPCManager();
+  let low = 0;
+  let high = await rpcManager.executeWithRetry(chain, provider => provider.getBlockNumber());
+
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    const block = await rpcManager.executeWithRetry(chain, provider => provider.getBlock(middle));
+    if (block.timestamp < timestampSeconds) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+// Recipients of token transfers out of the pair (buys), in block order
+async function getEVMPairBuys(chain, tokenAddress, pairAddress, fromBlock, toBlock) {
+  const logs = await getRPCManager().executeWithRetry(chain, provider =>
+    provider.getLogs({
+      address: tokenAddress,
+      fromBlock,
+      toBlock,
+      topics: [TRANSFER_TOPIC, zeroPadValue(pairAddress.toLowerCase(), 32)]
+    })
+  );
+
+  return logs
+    .filter(log => log.topics.length === 3)
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)
+    .map(log => ({ address: getAddress(`0x${log.topics[2].slice(26)}`), blockNumber: log.blockNumber }));
+}
+
+// Contracts (routers, pairs, aggregators) can't be copy traded
+async function isExternallyOwned(chain, address) {
+  const code = await getRPCManager().executeWithRetry(chain, provider => provider.getCode(address));
+  return code === '0x';
+}
+
+async function getEVMEarlyBuyers(chain, tokenAddress, pairAddress, launchTime) {
+  const rpcManager = getRPCManager();
+  const latestBlock = await rpcManager.executeWithRetry(chain, provider => provider.getBlockNumber());
+  let fromBlock = await findBlockByTimestamp(chain, Math.floor(launchTime / 1000));
+
+  const buyers = new Map();
+  for (let chunk = 0; chunk < EVM_SCAN_MAX_CHUNKS && buyers.size < EARLY_BUYERS && fromBlock <= latestBlock; chunk++) {
+    const toBlock = Math.min(latestBlock, fromBlock + EVM_SCAN_CHUNK - 1);
+
+    for (const buy of await getEVMPairBuys(chain, tokenAddress, pairAddress, fromBlock, toBlock)) {
+      if (buyers.size >= EARLY_BUYERS) break;
+      if (buyers.has(buy.address) || !await isExternallyOwned(chain, buy.address)) continue;
+
+      const block = await rpcManager.executeWithRetry(chain, provider => provider.getBlock(buy.blockNumber));
+      buyers.set(buy.address, {
+        address: buy.address,
+        source: 'early',
+        firstBuyAt: new Date(block.timestamp * 1000)
+      });
+    }
+
+    fromBlock = toBlock + 1;
+  }
+
+  return { buyers: [...buyers.values()], reachedLaunch: true };
+}
+
+// Most recent buyers that still hold the token
+async function getEVMRecentHolders(chain, tokenAddress, pairAddress) {
+  const rpcManager = getRPCManager();
+  const token = new Contract(tokenAddress, ['function balanceOf(address) view returns (uint256)']);
+  let toBlock = await rpcManager.executeWithRetry(chain, provider => provider.getBlockNumber());
+
+  const holders = new Map();
+  for (let chunk = 0; chunk < EVM_SCAN_MAX_CHUNKS && holders.size < TOP_HOLDERS && toBlock > 0; chunk++) {
+    const fromBlock = Math.max(0, toBlock - EVM_SCAN_CHUNK + 1);
+    const buys = (await getEVMPairBuys(chain, tokenAddress, pairAddress, fromBlock, toBlock)).reverse();
+
+    for (const buy of buys) {
+      if (holders.size >= TOP_HOLDERS) break;
+      if (holders.has(buy.address) || !await isExternallyOwned(chain, buy.address)) continue;
+
+      const balance = await rpcManager.executeWithRetry(chain, provider =>
+        token.connect(provider).balanceOf(buy.address)
+      );
+      if (balance > 0n) {
+        holders.set(buy.address, { address: buy.address, source: 'holder', firstBuyAt: null });
+      }
+    }
+
+    toBlock = fromBlock - 1;
+  }
+
+  return [...holders.values()];
+}
+
+// Score a candidate from their own history: realized PnL, win rate and how early they bought this token
+async function analyzeCandidate(candidate, tokenAddress, chain, launchTime, nativeUsd) {
+  const trades = await walletAnalyticsService.getSwapHistory(candidate.address, chain, { limit: CANDIDATE_HISTORY_LIMIT });
+  const stats = await walletAnalyticsService.computeWalletStats(candidate.address, chain, trades, { skipMarketCap: true });
+
+  const tokenTrades = trades.filter(trade => isSameToken(trade.tokenAddress, tokenAddress, chain));
+  const { realizedPnL: tokenPnL } = walletAnalyticsService.buildRoundTrips(tokenTrades, nativeUsd);
+
+  const firstBuyAt = candidate.firstBuyAt ||
+    tokenTrades.find(trade => trade.action === 'buy')?.timestamp || null;
+
+  return {
+    ...candidate,
+    firstBuyAt,
+    entryDelayMs: firstBuyAt && launchTime ? Math.max(0, firstBuyAt - launchTime) : null,
+    tokenPnL,
+    stats
+  };
+}
+
+// Rank: 40% PnL percentile among candidates, 30% win rate, 30% entry timing
+function rankCandidates(candidates) {
+  const byPnL = [...candidates].sort((a, b) => a.stats.realizedPnL - b.stats.realizedPnL);
+
+  for (const candidate of candidates) {
+    const pnlScore = candidates.length > 1 ? byPnL.indexOf(candidate) / (candidates.length - 1) : 1;
+    const winScore = (candidate.stats.winRate || 0) / 100;
+    const timingScore = candidate.entryDelayMs !== null
+      ? Math.max(0, 1 - candidate.entryDelayMs / ENTRY_TIMING_WINDOW)
+      : 0;
+
+    candidate.score = 0.4 * pnlScore + 0.3 * winScore + 0.3 * timingScore;
+  }
+
+  return candidates.sort((a, b) => b.score - a.score);
+}
+
+// Find and rank wallets from a token's early buyers and current holders
+async function findWallets(tokenAddress, chain) {
+  const tokenData = await tokenDataService.getTokenData(tokenAddress, chain);
+  if (!tokenData?.pairAddress) {
+    return { success: false, error: 'No trading pair found for this token' };
+  }
+
+  const launchTime = tokenData.createdAt ? Number(tokenData.createdAt) : null;
+  if (chain !== 'solana' && !launchTime) {
+    return { success: false, error: 'Pair creation time unknown - cannot locate early buyers' };
+  }
+
+  let early;
+  let holders;
+  if (chain === 'solana') {
+    early = await getSolanaEarlyBuyers(tokenAddress, tokenData.pairAddress, launchTime);
+    holders = await getSolanaTopHolders(tokenAddress);
+  } else {
+    early = await getEVMEarlyBuyers(chain, tokenAddress, tokenData.pairAddress, launchTime);
+    holders = await getEVMRecentHolders(chain, tokenAddress, tokenData.pairAddress);
+  }
+
+  // Early buyers first; a holder who also bought early keeps the early entry time
+  const candidates = new Map();
+  for (const candidate of [...early.buyers, ...holders]) {
+    const key = chain === 'solana' ? candidate.address : candidate.address.toLowerCase();
+    if (!candidates.has(key) && candidates.size < MAX_CANDIDATES) {
+      candidates.set(key, candidate);
+    }
+  }
+
+  const nativeUsd = await walletService.getTokenPrice(chain);
+  const analyzed = [];
+  for (const candidate of candidates.values()) {
+    try {
+      analyzed.push(await analyzeCandidate(candidate, tokenAddress, chain, launchTime, nativeUsd));
+    } catch (err) {
+      console.warn(`⚠️ Could not analyze candidate ${candidate.address}:`, err.message);
+    }
+  }
+
+  return {
+    success: true,
+    tokenAddress,
+    chain,
+    symbol: tokenData.symbol,
+    launchTime,
+    reachedLaunch: early.reachedLaunch,
+    candidatesScanned: analyzed.length,
+    wallets: rankCandidates(analyzed).slice(0, RESULTS_SHOWN)
+  };
+}
+
+function formatDiscoveryMessage(result) {
+  const { nativeSymbol } = result.wallets[0]?.stats || { nativeSymbol: result.chain.toUpperCase() };
+
+  let message = `🔎 **SMART WALLETS: ${result.symbol || 'TOKEN'}**\n\n`;
+  message += `🔗 Chain: ${result.chain.toUpperCase()}\n`;
+  if (result.launchTime) {
+    message += `🚀 Pair created: ${new Date(result.launchTime).toLocaleString()}\n`;
+  }
+  message += `👥 Candidates analyzed: ${result.candidatesScanned}\n`;
+  if (!result.reachedLaunch) {
+    message += `⚠️ History too long to reach launch - "early" means earliest reachable\n`;
+  }
+  message += `\n`;
+
+  if (result.wallets.length === 0) {
+    message += `ℹ️ No candidate wallets found.`;
+    return message;
+  }
+
+  result.wallets.forEach((wallet, index) => {
+    const { stats } = wallet;
+    const source = wallet.source === 'early' ? '🌱 Early buyer' : '💎 Holder';
+
+    message += `**${index + 1}. ${source}** (score ${(wallet.score * 100).toFixed(0)})\n`;
+    message += `\`${wallet.address}\`\n`;
+    message += `   PnL: ${stats.realizedPnL >= 0 ? '+' : ''}${stats.realizedPnL.toFixed(3)} ${nativeSymbol}`;
+    message += ` | Win: ${stats.winRate !== null ? `${stats.winRate.toFixed(0)}%` : 'N/A'}`;
+    message += ` | ${stats.tradesPerDay.toFixed(1)} trades/day\n`;
+    message += `   Entry: ${wallet.entryDelayMs !== null ? `${walletAnalyticsService.formatDuration(wallet.entryDelayMs)} after launch` : 'unknown'}`;
+    message += ` | This token: ${wallet.tokenPnL >= 0 ? '+' : ''}${wallet.tokenPnL.toFixed(3)} ${nativeSymbol}\n\n`;
+  });
+
+  message += `💡 Tap a button below to start tracking a wallet.`;
+  return message;
+}
+
+module.exports = {
+  findWallets,
+  formatDiscoveryMessage
+};
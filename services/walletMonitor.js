@@ -1,8 +1,11 @@
 const { Connection, PublicKey } = require('@solana/web3.js');
-const { JsonRpcProvider } = require("ethers");
+const { Interface, Contract, id, zeroPadValue, formatEther, formatUnits, getAddress } = require("ethers");
 const userService = require('../users/userService');
 const tokenDataService = require('./tokenDataService');
-const { getEngine } = require('./copyTradingEngine');
+const { getTradeEventBus } = require('./tradeEventBus');
+const { getRPCManager } = require('./rpcManager');
+const { getRealTradingExecutor, DEX_ROUTERS, COMMON_TOKENS, QUOTE_ASSETS } = require('./realTradingExecutor');
+const { decodeSolanaSwap, isQuoteMint, WSOL_MINT } = require('./solanaSwapDecoder');
 require('dotenv').config();
 
 // Improved rate limiter with conservative settings
@@ -52,12 +55,19 @@ class RateLimiter {
 
 // Create rate limiters with conservative limits
 const solanaRateLimiter = new RateLimiter(2, 15000); // 2 requests per 15 seconds
-const evmRateLimiter = new RateLimiter(1, 20000); // 1 request per 20 seconds
+
+// EVM chains get their own limiter so one busy chain can't starve the others
+const evmRateLimiters = {};
+
+function getEVMRateLimiter(chain) {
+  if (!evmRateLimiters[chain]) {
+    evmRateLimiters[chain] = new RateLimiter(10, 10000); // 10 requests per 10 seconds
+  }
+  return evmRateLimiters[chain];
+}
 
 // RPC connections with better error handling
 let solanaConnection;
-let ethProvider;
-let bscProvider;
 
 function initializeConnections() {
   try {
@@ -74,14 +84,6 @@ function initializeConnections() {
         }
       }
     );
-
-    if (process.env.ETH_RPC) {
-      ethProvider = new JsonRpcProvider(process.env.ETH_RPC);
-    }
-
-    if (process.env.BSC_RPC) {
-      bscProvider = new JsonRpcProvider(process.env.BSC_RPC);
-    }
     
     console.log('🔗 RPC connections initialized');
   } catch (err) {
@@ -89,34 +91,119 @@ function initializeConnections() {
   }
 }
 
-// Track known transactions to avoid duplicates with TTL
-const knownTxs = new Map();
-const TX_CACHE_TTL = 30 * 60 * 1000; // 30 minutes (reduced from 1 hour)
+// Solana signature backfill settings
+const SOLANA_SIGNATURE_PAGE_SIZE = 100;
+const SOLANA_MAX_BACKFILL = 500; // Signatures we are willing to page back through per wallet
+const SOLANA_MAX_TRADES_PER_CYCLE = 10; // Remaining backlog carries over to the next cycle
+const SOLANA_UNINDEXED_RETRY_DELAY = 5000; // Realtime retry for a signature the RPC cannot return yet
+const BEHIND_ALERT_COOLDOWN = 60 * 60 * 1000; // 1 hour between alerts per wallet
+const behindAlerts = new Map();
+let solanaCycleRunning = false;
 
-// Clean up old transactions periodically
-setInterval(() => {
-  const now = Date.now();
-  let cleaned = 0;
-  for (const [key, timestamp] of knownTxs.entries()) {
-    if (now - timestamp > TX_CACHE_TTL) {
-      knownTxs.delete(key);
-      cleaned++;
-    }
-  }
-  if (cleaned > 0) {
-    console.log(`🧹 Cleaned ${cleaned} old transaction records`);
+// Realtime (websocket) monitoring settings
+const REALTIME_HEARTBEAT_INTERVAL = 15000; // 15 seconds
+const REALTIME_HEARTBEAT_TIMEOUT = 30000; // No slot updates for 30s means the socket is gone
+const realtimeRateLimiter = new RateLimiter(10, 10000); // Polling load is gone in realtime mode
+const realtimeSubscriptions = new Map(); // wallet -> onLogs subscription id
+const realtimeWalletState = new Map();
+let realtimeConnection = null;
+let realtimeHealthy = false;
+let lastRealtimeEvent = 0;
+let slotSubscriptionId = null;
+
+// EVM block watcher settings
+const EVM_POLL_INTERVAL = 20000; // 20 seconds
+const EVM_MAX_BLOCK_LAG = 2000; // Skip ahead instead of replaying more than this
+const EVM_BLOCKS_PER_CYCLE = {
+  ethereum: 10,
+  bsc: 40,
+  polygon: 40,
+  arbitrum: 400,
+  base: 60
+};
+
+const TRANSFER_TOPIC = id('Transfer(address,address,uint256)');
+const WITHDRAWAL_TOPIC = id('Withdrawal(address,uint256)');
+const ERC20_BALANCE_ABI = ['function balanceOf(address owner) view returns (uint256)'];
+
+// Uniswap V2 style router swaps (shared by Pancake, Sushi, Quick, Biswap, BaseSwap)
+const routerInterface = new Interface([
+  'function swapExactETHForTokens(uint amountOutMin, address[] path, address to, uint deadline)',
+  'function swapETHForExactTokens(uint amountOut, address[] path, address to, uint deadline)',
+  'function swapExactETHForTokensSupportingFeeOnTransferTokens(uint amountOutMin, address[] path, address to, uint deadline)',
+  'function swapExactTokensForETH(uint amountIn, uint amountOutMin, address[] path, address to, uint deadline)',
+  'function swapTokensForExactETH(uint amountOut, uint amountInMax, address[] path, address to, uint deadline)',
+  'function swapExactTokensForETHSupportingFeeOnTransferTokens(uint amountIn, uint amountOutMin, address[] path, address to, uint deadline)',
+  'function swapExactTokensForTokens(uint amountIn, uint amountOutMin, address[] path, address to, uint deadline)',
+  'function swapTokensForExactTokens(uint amountOut, uint amountInMax, address[] path, address to, uint deadline)',
+  'function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint amountIn, uint amountOutMin, address[] path, address to, uint deadline)'
+]);
+
+// Last processed block per EVM chain
+const evmLastBlock = {};
+const evmCycleRunning = {};
+
+function isEVMAddress(address) {
+  return /^0x[a-fA-F0-9]{40}$/.test(address || '');
+}
+
+function getWrappedNative(chain) {
+  const tokens = COMMON_TOKENS[chain] || {};
+  const symbol = Object.keys(tokens).find(key => key.startsWith('W'));
+  return symbol ? tokens[symbol].toLowerCase() : null;
+}
+
+function isKnownRouter(chain, address) {
+  if (!address) return false;
+  return Object.values(DEX_ROUTERS[chain] || {})
+    .some(router => router.toLowerCase() === address.toLowerCase());
+}
+
+function topicToAddress(topic) {
+  return ('0x' + topic.slice(26)).toLowerCase();
+}
+
+// Percent of the amount before and after a sell that was sold; 100 only when nothing is left
+function soldPercentage(before, after) {
+  if (before <= 0n || after >= before) return null;
+  if (after <= 0n) return 100;
+  return Number((before - after) * 10000n / before) / 100;
+}
+
+// Share of its holding a Solana wallet sold, from its token balances around the transaction
+function getSolanaSoldPercentage(tx, walletAddress, mint) {
+  const sum = (balances = []) => balances
+    .filter(b => b.owner === walletAddress && b.mint === mint)
+    .reduce((total, b) => total + BigInt(b.uiTokenAmount.amount), 0n);
+  
+  return soldPercentage(sum(tx.meta?.preTokenBalances), sum(tx.meta?.postTokenBalances));
+}
+
+// Share of its holding an EVM wallet sold: the balance left at the sell's block plus the amount the
+// swap took out is what it held before the Transfer. null when the balance cannot be read
+async function getEVMSoldPercentage(chain, walletAddress, trade, blockNumber, rateLimiter) {
+  const sold = BigInt(trade.tokenAmountRaw);
+  
+  try {
+    await rateLimiter.throttle();
+    const remaining = await getRPCManager().executeWithRetry(chain, provider =>
+      new Contract(trade.tokenAddress, ERC20_BALANCE_ABI, provider).balanceOf(walletAddress, { blockTag: blockNumber })
+    );
+    return soldPercentage(remaining + sold, remaining);
+  } catch (err) {
+    console.warn(`Could not read ${trade.tokenAddress} balance of ${walletAddress}:`, err.message);
+    return null;
   }
-}, 15 * 60 * 1000); // Clean every 15 minutes
+}
 
 // Bot instance for sending notifications
 let botInstance = null;
-let copyTradingEngine = null;
 let isMonitoring = false;
 let monitoringEnabled = true;
+let monitoringMode = process.env.SOLANA_MONITOR_MODE === 'realtime' ? 'realtime' : 'polling';
 
 function setBotInstance(bot) {
   botInstance = bot;
-  copyTradingEngine = getEngine();
 }
 
 // Enhanced error handling
@@ -150,113 +237,524 @@ function handleMonitoringError(error, context) {
   return 15000; // 15 second delay for other errors
 }
 
-// Parse Solana transaction for token swaps (simplified)
+// Tell the admin when a tracked wallet is further behind than we can backfill
+async function alertWalletBehind(wallet, chain, details) {
+  const alertKey = `${chain}:${wallet}`;
+  const lastAlert = behindAlerts.get(alertKey) || 0;
+  
+  console.warn(`⚠️ ${chain} wallet ${wallet} fell behind: ${details}`);
+  
+  if (Date.now() - lastAlert < BEHIND_ALERT_COOLDOWN) return;
+  behindAlerts.set(alertKey, Date.now());
+  
+  if (!botInstance || !process.env.ADMIN_TELEGRAM_ID) return;
+  
+  try {
+    await botInstance.telegram.sendMessage(
+      process.env.ADMIN_TELEGRAM_ID,
+      `⚠️ **Wallet Monitor Behind**\n\n` +
+      `🔗 **Chain:** ${chain.toUpperCase()}\n` +
+      `👛 **Wallet:** \`${wallet}\`\n` +
+      `📋 **Details:** ${details}`,
+      { parse_mode: 'Markdown' }
+    );
+  } catch (err) {
+    console.error('Failed to send monitor alert:', err.message);
+  }
+}
+
+// Tell each user whose tracked wallets fall in a block range the EVM monitor skipped that
+// trades in it were not copied
+async function notifySkippedBlocks(chain, subscribers, fromBlock, toBlock) {
+  if (!botInstance) return;
+  
+  for (const [userId, wallets] of subscribers.entries()) {
+    try {
+      await botInstance.telegram.sendMessage(
+        userId,
+        `⚠️ **Copy Trading Gap**\n\n` +
+        `🔗 **Chain:** ${chain.toUpperCase()}\n` +
+        `📦 **Blocks:** ${fromBlock} - ${toBlock}\n` +
+        `👛 **Wallets:** ${wallets.map(wallet => `\`${wallet}\``).join(', ')}\n\n` +
+        `The monitor fell too far behind and skipped these blocks. Trades your tracked wallets made in them were not copied.`,
+        { parse_mode: 'Markdown' }
+      );
+    } catch (err) {
+      console.error(`Failed to send gap notice to ${userId}:`, err.message);
+    }
+  }
+}
+
+// Page through every signature newer than the wallet's cursor (newest first)
+async function fetchSignaturesSince(publicKey, cursor, rateLimiter) {
+  const signatures = [];
+  let before;
+  
+  while (signatures.length < SOLANA_MAX_BACKFILL) {
+    await rateLimiter.throttle();
+    
+    const page = await solanaConnection.getSignaturesForAddress(publicKey, {
+      until: cursor,
+      before,
+      limit: SOLANA_SIGNATURE_PAGE_SIZE
+    }, 'confirmed');
+    
+    signatures.push(...page);
+    
+    if (page.length < SOLANA_SIGNATURE_PAGE_SIZE) {
+      return { signatures, complete: true };
+    }
+    before = page[page.length - 1].signature;
+  }
+  
+  return { signatures, complete: false };
+}
+
+// Parse Solana transaction into a trade using the DEX-aware swap decoder
 async function parseSolanaTransaction(tx, walletAddress) {
   try {
-    if (!tx || !tx.meta || tx.meta.err) return null;
+    const swap = decodeSolanaSwap(tx, walletAddress);
+    if (!swap) return null;
     
-    const preBalances = tx.meta.preBalances || [];
-    const postBalances = tx.meta.postBalances || [];
-    const accountKeys = tx.transaction?.message?.accountKeys || 
-                       tx.transaction?.message?.staticAccountKeys || 
-                       [];
+    const inputIsQuote = isQuoteMint(swap.inputMint);
+    const outputIsQuote = isQuoteMint(swap.outputMint);
     
-    if (!accountKeys || accountKeys.length === 0) return null;
+    // Quote -> token is a buy, token -> quote a sell, anything else is a token-to-token swap
+    let action = 'swap';
+    let tokenAddress = swap.outputMint;
+    let quoteMint = null;
+    let quoteAmount = 0;
     
-    let tokenAddress = null;
-    let action = 'unknown';
-    let amount = 0;
+    if (inputIsQuote && !outputIsQuote) {
+      action = 'buy';
+      quoteMint = swap.inputMint;
+      quoteAmount = swap.inputAmount;
+    } else if (!inputIsQuote && outputIsQuote) {
+      action = 'sell';
+      tokenAddress = swap.inputMint;
+      quoteMint = swap.outputMint;
+      quoteAmount = swap.outputAmount;
+    }
+    
+    return {
+      action,
+      amount: quoteMint === WSOL_MINT ? quoteAmount : 0, // SOL size of the trade, stablecoin quotes are priced on publish
+      tokenAddress,
+      timestamp: tx.blockTime ? new Date(tx.blockTime * 1000) : new Date(),
+      txHash: swap.signature,
+      inputMint: swap.inputMint,
+      outputMint: swap.outputMint,
+      inputAmount: swap.inputAmount,
+      outputAmount: swap.outputAmount,
+      quoteMint,
+      quoteAmount,
+      tokenAmount: action === 'sell' ? swap.inputAmount : swap.outputAmount,
+      percentage: action === 'sell' ? getSolanaSoldPercentage(tx, walletAddress, tokenAddress) : null,
+      venue: swap.venue
+    };
+  } catch (err) {
+    console.warn('Transaction parsing error:', err.message);
+    return null;
+  }
+}
+
+// Parse EVM transaction for token swaps using router calldata and Transfer logs
+function parseEVMTransaction(tx, receipt, walletAddress, chain) {
+  try {
+    if (!tx || !receipt || receipt.status !== 1) return null;
     
-    // Find wallet index
-    const walletIndex = accountKeys.findIndex(key => {
-      const keyStr = typeof key === 'string' ? key : key.toBase58?.() || key.toString();
-      return keyStr === walletAddress;
-    });
+    const wallet = walletAddress.toLowerCase();
+    const wrapped = getWrappedNative(chain);
+    const sentByWallet = tx.from?.toLowerCase() === wallet;
     
-    if (walletIndex !== -1 && walletIndex < preBalances.length && walletIndex < postBalances.length) {
-      const solChange = (postBalances[walletIndex] - preBalances[walletIndex]) / 1e9;
-      if (solChange < -0.01) { // Spent SOL (likely a buy) - increased threshold
-        action = 'buy';
-        amount = Math.abs(solChange);
-      } else if (solChange > 0.01) { // Received SOL (likely a sell)
-        action = 'sell';
-        amount = solChange;
+    // Net token movements for the wallet, plus WETH unwrapped for native payouts
+    const tokenDeltas = new Map();
+    let unwrapped = 0n;
+    
+    for (const log of receipt.logs || []) {
+      const token = log.address.toLowerCase();
+      
+      if (log.topics[0] === TRANSFER_TOPIC && log.topics.length === 3 && log.data && log.data !== '0x') {
+        const from = topicToAddress(log.topics[1]);
+        const to = topicToAddress(log.topics[2]);
+        const value = BigInt(log.data);
+        let delta = tokenDeltas.get(token) || 0n;
+        
+        if (from === wallet) delta -= value;
+        if (to === wallet) delta += value;
+        tokenDeltas.set(token, delta);
+      } else if (log.topics[0] === WITHDRAWAL_TOPIC && token === wrapped && log.data && log.data !== '0x') {
+        unwrapped += BigInt(log.data);
       }
     }
     
-    // Extract token address from balances
-    if (tx.meta.postTokenBalances && tx.meta.postTokenBalances.length > 0) {
-      for (const balance of tx.meta.postTokenBalances) {
-        if (balance.owner === walletAddress && balance.mint) {
-          tokenAddress = balance.mint;
-          break;
-        }
+    const wrappedDelta = tokenDeltas.get(wrapped) || 0n;
+    tokenDeltas.delete(wrapped);
+    
+    // Stablecoins quote a swap the way the native asset does
+    const stables = new Map(Object.values(QUOTE_ASSETS[chain] || {})
+      .map(asset => [asset.address.toLowerCase(), asset]));
+    const stableDeltas = new Map();
+    for (const token of stables.keys()) {
+      if (tokenDeltas.has(token)) {
+        stableDeltas.set(token, tokenDeltas.get(token));
+        tokenDeltas.delete(token);
       }
     }
+    const stableMoved = sign => [...stableDeltas.entries()].find(([, delta]) => sign * delta > 0n)?.[0] || null;
     
-    if (!tokenAddress && tx.meta.preTokenBalances && tx.meta.preTokenBalances.length > 0) {
-      for (const balance of tx.meta.preTokenBalances) {
-        if (balance.owner === walletAddress && balance.mint) {
-          tokenAddress = balance.mint;
-          break;
-        }
+    const nativeSpent = (sentByWallet ? tx.value : 0n) + (wrappedDelta < 0n ? -wrappedDelta : 0n);
+    const nativeReceived = (wrappedDelta > 0n ? wrappedDelta : 0n) + (sentByWallet ? unwrapped : 0n);
+    
+    let action = 'unknown';
+    let tokenAddress = null;
+    let quoteToken = null; // Stablecoin the swap was quoted in, null for the native asset
+    
+    // Known V2 routers tell us the direction and token directly
+    let decoded = null;
+    if (sentByWallet && isKnownRouter(chain, tx.to)) {
+      try {
+        decoded = routerInterface.parseTransaction({ data: tx.data, value: tx.value });
+      } catch (err) {
+        decoded = null; // V3 or unsupported method, fall back to log deltas
       }
     }
     
-    const signatures = tx.transaction?.signatures || [];
-    const txHash = signatures[0] || 'unknown';
+    if (decoded) {
+      const path = decoded.args.path.map(address => address.toLowerCase());
+      const firstToken = path[0];
+      const lastToken = path[path.length - 1];
+      
+      if (decoded.name.includes('ETHFor') || firstToken === wrapped) {
+        action = 'buy';
+        tokenAddress = lastToken;
+      } else if (decoded.name.includes('ForETH') || lastToken === wrapped) {
+        action = 'sell';
+        tokenAddress = firstToken;
+      } else if (stables.has(firstToken) && !stables.has(lastToken)) {
+        action = 'buy';
+        tokenAddress = lastToken;
+        quoteToken = firstToken;
+      } else if (stables.has(lastToken) && !stables.has(firstToken)) {
+        action = 'sell';
+        tokenAddress = firstToken;
+        quoteToken = lastToken;
+      }
+    } else {
+      const received = [...tokenDeltas.entries()].filter(([, delta]) => delta > 0n);
+      const sent = [...tokenDeltas.entries()].filter(([, delta]) => delta < 0n);
+      
+      if (received.length > 0 && (nativeSpent > 0n || stableMoved(-1n))) {
+        action = 'buy';
+        tokenAddress = received[0][0];
+        quoteToken = nativeSpent > 0n ? null : stableMoved(-1n);
+      } else if (sent.length > 0 && (nativeReceived > 0n || stableMoved(1n))) {
+        action = 'sell';
+        tokenAddress = sent[0][0];
+        quoteToken = nativeReceived > 0n ? null : stableMoved(1n);
+      }
+    }
+    
+    if (action === 'unknown' || !tokenAddress) return null;
+    
+    // Size of the quote side: native amounts directly, stablecoin ones are priced in native
+    // when the trade is published
+    let amount = 0;
+    let quoteAmount;
+    if (quoteToken) {
+      const stableDelta = stableDeltas.get(quoteToken) || 0n;
+      quoteAmount = parseFloat(formatUnits(stableDelta < 0n ? -stableDelta : stableDelta, stables.get(quoteToken).decimals));
+      if (quoteAmount === 0) return null;
+    } else {
+      const nativeAmount = action === 'buy' ? nativeSpent : nativeReceived;
+      if (nativeAmount === 0n) return null;
+      amount = parseFloat(formatEther(nativeAmount));
+      quoteAmount = amount;
+    }
+    
+    // Raw token units moved by the swap (decimals aren't known here)
+    const tokenDelta = tokenDeltas.get(tokenAddress.toLowerCase()) || 0n;
     
     return {
       action,
       amount,
-      tokenAddress: tokenAddress || 'Unknown',
+      tokenAddress: getAddress(tokenAddress),
+      tokenAmountRaw: (tokenDelta < 0n ? -tokenDelta : tokenDelta).toString(),
+      quoteMint: getAddress(quoteToken || wrapped),
+      quoteAmount,
       timestamp: new Date(),
-      txHash
+      txHash: tx.hash,
+      gasPrice: tx.gasPrice ? parseFloat(formatUnits(tx.gasPrice, 'gwei')) : null
     };
   } catch (err) {
-    console.warn('Transaction parsing error:', err.message);
+    console.warn('EVM transaction parsing error:', err.message);
     return null;
   }
 }
 
-// Process trade through copy trading engine
-async function processTradeForUsers(trade, walletAddress, chain) {
-  if (!copyTradingEngine || !trade || trade.action === 'unknown') {
+// Native size of a trade quoted in a stablecoin, so copy buys sized off the source trade work
+// whatever asset it paid with. 0 when there is no price to convert with
+async function getNativeAmount(trade, chain) {
+  if (trade.amount > 0 || !(trade.quoteAmount > 0)) return trade.amount || 0;
+  
+  const executor = getRealTradingExecutor();
+  const quote = trade.quoteMint ? executor.findQuoteAsset(chain, trade.quoteMint) : null;
+  if (!quote) return 0;
+  
+  try {
+    return await executor.convertQuoteAmount(chain, trade.quoteAmount, quote.asset, 'native');
+  } catch (error) {
+    console.warn(`Could not price ${trade.txHash} in ${chain} native:`, error.message);
+    return 0;
+  }
+}
+
+// Publish a detected trade; copy engines subscribed to the bus fan it out to users
+async function publishTrade(trade, walletAddress, chain) {
+  // Copy engines only act on buys and sells; token-to-token swaps are reported but not copied
+  if (!trade || !['buy', 'sell'].includes(trade.action)) {
     return;
   }
   
   try {
-    const users = await userService.getAllUsersWithWallets();
+    trade.amount = await getNativeAmount(trade, chain);
+    getTradeEventBus().publishDetectedTrade(trade, walletAddress, chain);
+  } catch (error) {
+    console.warn('Error publishing detected trade:', error.message);
+  }
+}
+
+// Process every new signature for one Solana wallet, oldest first
+// Returns true when a backlog remains for the next pass
+async function processSolanaWallet(wallet, rateLimiter) {
+  const publicKey = new PublicKey(wallet);
+  const cursorKey = `solana:${wallet}`;
+  const cursor = await userService.getMonitorCursor(cursorKey);
+  
+  // First sighting: start from the latest signature instead of replaying history
+  if (!cursor) {
+    await rateLimiter.throttle();
+    const latest = await solanaConnection.getSignaturesForAddress(publicKey, { limit: 1 }, 'confirmed');
+    if (latest.length > 0) {
+      await userService.setMonitorCursor(cursorKey, latest[0].signature);
+    }
+    return false;
+  }
+  
+  const { signatures, complete } = await fetchSignaturesSince(publicKey, cursor, rateLimiter);
+  if (signatures.length === 0) return false;
+  
+  if (!complete) {
+    // Cursor is out of reach - jump to the newest signature rather than stall forever
+    await alertWalletBehind(wallet, 'solana',
+      `more than ${SOLANA_MAX_BACKFILL} new transactions since last check, older trades were skipped`);
+    await userService.setMonitorCursor(cursorKey, signatures[0].signature);
+    return false;
+  }
+  
+  // Oldest first so copy trades follow the source wallet's order
+  const pending = signatures.reverse();
+  if (pending.length > SOLANA_MAX_TRADES_PER_CYCLE) {
+    console.warn(`⏳ Solana wallet ${wallet} has ${pending.length} pending transactions - catching up`);
+  }
+  
+  for (const sig of pending.slice(0, SOLANA_MAX_TRADES_PER_CYCLE)) {
+    // Claimed per wallet: one transaction can be a trade for several tracked wallets
+    const txKey = `solana:${wallet}:${sig.signature}`;
     
-    for (const [userId, userData] of Object.entries(users)) {
-      if (userData.chain?.toLowerCase() !== chain.toLowerCase()) continue;
-      if (!userData.wallets?.includes(walletAddress)) continue;
+    // Shared claim so restarts and other instances never process the same signature twice
+    if (!sig.err && await userService.claimProcessedTrade(txKey)) {
+      try {
+        await rateLimiter.throttle();
+        
+        const tx = await solanaConnection.getTransaction(sig.signature, { 
+          commitment: 'confirmed',
+          maxSupportedTransactionVersion: 0
+        });
+        
+        if (!tx) {
+          // Not indexed at this commitment yet - stop here so the next pass retries this signature
+          await userService.releaseProcessedTrade(txKey);
+          if (realtimeSubscriptions.has(wallet)) {
+            setTimeout(() => runRealtimeWallet(wallet), SOLANA_UNINDEXED_RETRY_DELAY);
+          }
+          return false;
+        }
+        
+        const trade = await parseSolanaTransaction(tx, wallet);
+        if (trade && trade.action !== 'unknown') {
+          await publishTrade(trade, wallet, 'solana');
+        }
+      } catch (err) {
+        await userService.releaseProcessedTrade(txKey); // Retry from this signature next cycle
+        throw err;
+      }
+    }
+    
+    // Advance only past signatures we've handled so a failure resumes here
+    await userService.setMonitorCursor(cursorKey, sig.signature);
+  }
+  
+  return pending.length > SOLANA_MAX_TRADES_PER_CYCLE;
+}
+
+// Solana wallets tracked by any user
+async function getTrackedSolanaWallets() {
+  const users = await userService.getAllUsersWithWallets();
+  const wallets = new Set();
+  
+  for (const [userId, userData] of Object.entries(users)) {
+    for (const wallet of userService.getTrackedWalletsByChain(userData, 'solana')) {
+      wallets.add(wallet);
+    }
+  }
+  
+  return wallets;
+}
+
+// Realtime mode: a log subscription per wallet triggers the same cursor-based processing
+function handleRealtimeLogs(wallet, logs) {
+  lastRealtimeEvent = Date.now();
+  if (logs.err) return;
+  
+  runRealtimeWallet(wallet);
+}
+
+async function runRealtimeWallet(wallet) {
+  const state = realtimeWalletState.get(wallet) || { running: false, dirty: false };
+  realtimeWalletState.set(wallet, state);
+  
+  // Coalesce bursts: one pass at a time, re-run if new logs arrived meanwhile
+  if (state.running) {
+    state.dirty = true;
+    return;
+  }
+  
+  state.running = true;
+  try {
+    let backlog = true;
+    while (monitoringEnabled && (state.dirty || backlog)) {
+      state.dirty = false;
+      backlog = await processSolanaWallet(wallet, realtimeRateLimiter);
+    }
+  } catch (err) {
+    handleMonitoringError(err, `Realtime Solana wallet ${wallet}`);
+  } finally {
+    state.running = false;
+  }
+}
+
+// Subscribe newly tracked wallets and drop untracked ones
+async function syncRealtimeSubscriptions() {
+  if (!realtimeConnection) return;
+  
+  const wallets = await getTrackedSolanaWallets();
+  
+  for (const wallet of wallets) {
+    if (realtimeSubscriptions.has(wallet)) continue;
+    
+    try {
+      const subscriptionId = realtimeConnection.onLogs(
+        new PublicKey(wallet),
+        (logs) => handleRealtimeLogs(wallet, logs),
+        'confirmed'
+      );
+      realtimeSubscriptions.set(wallet, subscriptionId);
       
-      await copyTradingEngine.processTrackedWalletTrade(userId, walletAddress, trade, chain);
+      // Catch up on anything that happened before the subscription existed
+      runRealtimeWallet(wallet);
+    } catch (err) {
+      handleMonitoringError(err, `Realtime subscribe ${wallet}`);
     }
-  } catch (error) {
-    console.warn('Error processing trade for users:', error.message);
+  }
+  
+  for (const [wallet, subscriptionId] of realtimeSubscriptions.entries()) {
+    if (wallets.has(wallet)) continue;
+    
+    realtimeSubscriptions.delete(wallet);
+    realtimeConnection.removeOnLogsListener(subscriptionId).catch(() => {});
+  }
+}
+
+// Open a fresh websocket connection and resubscribe every wallet
+async function startRealtime() {
+  stopRealtime();
+  
+  const rpcUrl = process.env.SOLANA_RPC || process.env.HELIUS_RPC_URL || 'https://api.mainnet-beta.solana.com';
+  
+  realtimeConnection = new Connection(rpcUrl, {
+    commitment: 'confirmed',
+    wsEndpoint: process.env.SOLANA_WS_URL || undefined,
+    disableRetryOnRateLimit: true
+  });
+  
+  // Slot notifications double as the socket heartbeat
+  lastRealtimeEvent = Date.now();
+  slotSubscriptionId = realtimeConnection.onSlotChange(() => {
+    lastRealtimeEvent = Date.now();
+    if (!realtimeHealthy) {
+      realtimeHealthy = true;
+      console.log('⚡ Realtime Solana monitoring connected');
+    }
+  });
+  
+  await syncRealtimeSubscriptions();
+}
+
+function stopRealtime() {
+  if (!realtimeConnection) return;
+  
+  const connection = realtimeConnection;
+  realtimeConnection = null;
+  realtimeHealthy = false;
+  
+  for (const subscriptionId of realtimeSubscriptions.values()) {
+    connection.removeOnLogsListener(subscriptionId).catch(() => {});
+  }
+  realtimeSubscriptions.clear();
+  
+  if (slotSubscriptionId !== null) {
+    connection.removeSlotChangeListener(slotSubscriptionId).catch(() => {});
+    slotSubscriptionId = null;
+  }
+}
+
+// Heartbeat: fall back to polling when the socket goes quiet, then reconnect
+async function checkRealtimeHeartbeat() {
+  if (!monitoringEnabled || monitoringMode !== 'realtime') return;
+  
+  if (realtimeConnection && Date.now() - lastRealtimeEvent < REALTIME_HEARTBEAT_TIMEOUT) {
+    return;
+  }
+  
+  if (realtimeHealthy) {
+    console.warn('⚠️ Realtime Solana socket went quiet - falling back to polling and resubscribing');
+  }
+  
+  try {
+    await startRealtime();
+  } catch (err) {
+    realtimeHealthy = false;
+    handleMonitoringError(err, 'Realtime Solana reconnect');
   }
 }
 
 // Monitor Solana wallets with improved error handling
 async function monitorSolanaWallets() {
-  if (!monitoringEnabled || !solanaConnection) {
+  if (!monitoringEnabled || !solanaConnection || solanaCycleRunning) {
     return;
   }
   
+  solanaCycleRunning = true;
+  
   try {
-    const users = await userService.getAllUsersWithWallets();
-    const walletsToMonitor = new Set();
-    
-    for (const [userId, userData] of Object.entries(users)) {
-      if (userData.chain?.toLowerCase() !== 'solana') continue;
-      
-      for (const wallet of userData.wallets || []) {
-        walletsToMonitor.add(wallet);
-      }
+    // Realtime mode owns Solana while its socket is healthy; the tick just syncs subscriptions
+    if (monitoringMode === 'realtime' && realtimeHealthy) {
+      await syncRealtimeSubscriptions();
+      return;
     }
     
+    const walletsToMonitor = await getTrackedSolanaWallets();
     if (walletsToMonitor.size === 0) return;
     
     // Monitor wallets in small batches
@@ -268,36 +766,7 @@ async function monitorSolanaWallets() {
       
       for (const wallet of batch) {
         try {
-          await solanaRateLimiter.throttle();
-          
-          const publicKey = new PublicKey(wallet);
-          const signatures = await solanaConnection.getSignaturesForAddress(publicKey, { 
-            limit: 1, // Only check 1 most recent transaction
-            commitment: 'confirmed'
-          });
-          
-          if (signatures && signatures.length > 0) {
-            const sig = signatures[0];
-            const txKey = `solana:${sig.signature}`;
-            
-            if (!knownTxs.has(txKey)) {
-              knownTxs.set(txKey, Date.now());
-              
-              await solanaRateLimiter.throttle();
-              
-              const tx = await solanaConnection.getTransaction(sig.signature, { 
-                commitment: 'confirmed',
-                maxSupportedTransactionVersion: 0
-              });
-              
-              if (tx) {
-                const trade = await parseSolanaTransaction(tx, wallet);
-                if (trade && trade.action !== 'unknown') {
-                  await processTradeForUsers(trade, wallet, 'solana');
-                }
-              }
-            }
-          }
+          await processSolanaWallet(wallet, solanaRateLimiter);
         } catch (err) {
           const delay = handleMonitoringError(err, `Solana wallet ${wallet}`);
           if (delay > 15000) {
@@ -313,6 +782,125 @@ async function monitorSolanaWallets() {
     }
   } catch (err) {
     handleMonitoringError(err, 'Solana monitoring');
+  } finally {
+    solanaCycleRunning = false;
+  }
+}
+
+// Monitor EVM wallets block by block for one chain
+async function monitorEVMWallets(chain) {
+  if (!monitoringEnabled || evmCycleRunning[chain]) {
+    return;
+  }
+  
+  evmCycleRunning[chain] = true;
+  
+  try {
+    const users = await userService.getAllUsersWithWallets();
+    const walletsToMonitor = new Map(); // lowercase -> address as the user entered it
+    const subscribers = new Map(); // userId -> tracked wallets on this chain
+    
+    for (const [userId, userData] of Object.entries(users)) {
+      for (const wallet of userService.getTrackedWalletsByChain(userData, chain)) {
+        if (isEVMAddress(wallet)) {
+          walletsToMonitor.set(wallet.toLowerCase(), wallet);
+          if (!subscribers.has(userId)) subscribers.set(userId, []);
+          subscribers.get(userId).push(wallet);
+        }
+      }
+    }
+    
+    if (walletsToMonitor.size === 0) {
+      delete evmLastBlock[chain]; // Start from the chain head once someone tracks a wallet again
+      return;
+    }
+    
+    const rpcManager = getRPCManager();
+    const rateLimiter = getEVMRateLimiter(chain);
+    
+    await rateLimiter.throttle();
+    const latestBlock = await rpcManager.executeWithRetry(chain, provider => provider.getBlockNumber());
+    
+    const blocksPerCycle = EVM_BLOCKS_PER_CYCLE[chain] || 50;
+    let fromBlock = evmLastBlock[chain] !== undefined ? evmLastBlock[chain] + 1 : latestBlock;
+    
+    // Copying trades this old would fill at stale prices, so skip to head and tell the affected users
+    if (latestBlock - fromBlock > EVM_MAX_BLOCK_LAG) {
+      const skippedTo = latestBlock - blocksPerCycle;
+      console.warn(`⚠️ ${chain} monitor is ${latestBlock - fromBlock} blocks behind - skipping to head`);
+      notifySkippedBlocks(chain, subscribers, fromBlock, skippedTo);
+      fromBlock = skippedTo + 1;
+    }
+    
+    if (fromBlock > latestBlock) return;
+    
+    const toBlock = Math.min(latestBlock, fromBlock + blocksPerCycle - 1);
+    const walletTopics = [...walletsToMonitor.keys()].map(wallet => zeroPadValue(wallet, 32));
+    
+    // Token transfers out of and into tracked wallets
+    await rateLimiter.throttle();
+    const sentLogs = await rpcManager.executeWithRetry(chain, provider =>
+      provider.getLogs({ fromBlock, toBlock, topics: [TRANSFER_TOPIC, walletTopics] })
+    );
+    
+    await rateLimiter.throttle();
+    const receivedLogs = await rpcManager.executeWithRetry(chain, provider =>
+      provider.getLogs({ fromBlock, toBlock, topics: [TRANSFER_TOPIC, null, walletTopics] })
+    );
+    
+    // Group by transaction so each swap is parsed once
+    const transactions = new Map();
+    for (const log of [...sentLogs, ...receivedLogs]) {
+      if (log.topics.length !== 3) continue; // ERC-721 transfers index the token id
+      
+      if (!transactions.has(log.transactionHash)) {
+        transactions.set(log.transactionHash, {
+          blockNumber: log.blockNumber,
+          index: log.transactionIndex,
+          wallets: new Set()
+        });
+      }
+      
+      const entry = transactions.get(log.transactionHash);
+      for (const address of [topicToAddress(log.topics[1]), topicToAddress(log.topics[2])]) {
+        if (walletsToMonitor.has(address)) entry.wallets.add(address);
+      }
+    }
+    
+    const ordered = [...transactions.entries()]
+      .sort(([, a], [, b]) => a.blockNumber - b.blockNumber || a.index - b.index);
+    
+    for (const [txHash, entry] of ordered) {
+      const txKey = `${chain}:${txHash}`;
+      if (!await userService.claimProcessedTrade(txKey)) continue;
+      
+      try {
+        await rateLimiter.throttle();
+        const tx = await rpcManager.executeWithRetry(chain, provider => provider.getTransaction(txHash));
+        
+        await rateLimiter.throttle();
+        const receipt = await rpcManager.executeWithRetry(chain, provider => provider.getTransactionReceipt(txHash));
+        
+        for (const wallet of entry.wallets) {
+          const trade = parseEVMTransaction(tx, receipt, wallet, chain);
+          if (trade) {
+            if (trade.action === 'sell') {
+              trade.percentage = await getEVMSoldPercentage(chain, wallet, trade, receipt.blockNumber, rateLimiter);
+            }
+            await publishTrade(trade, walletsToMonitor.get(wallet), chain);
+          }
+        }
+      } catch (err) {
+        await userService.releaseProcessedTrade(txKey); // Retry on the next pass over this range
+        throw err;
+      }
+    }
+    
+    evmLastBlock[chain] = toBlock;
+  } catch (err) {
+    handleMonitoringError(err, `${chain} monitoring`);
+  } finally {
+    evmCycleRunning[chain] = false;
   }
 }
 
@@ -334,10 +922,23 @@ function startMonitoring() {
   // Start with initial delay
   setTimeout(monitorSolanaWallets, 5000);
   
-  console.log('✅ Wallet monitoring started with conservative rate limiting');
+  // Realtime heartbeat also opens the socket when the mode is enabled
+  const heartbeatInterval = setInterval(checkRealtimeHeartbeat, REALTIME_HEARTBEAT_INTERVAL);
+  if (monitoringMode === 'realtime') {
+    setTimeout(checkRealtimeHeartbeat, 5000);
+  }
+  
+  // One block watcher per configured EVM chain, staggered to spread RPC load
+  const evmChains = Object.keys(getRPCManager().rpcConfigs).filter(chain => chain !== 'solana');
+  const evmIntervals = evmChains.map((chain, index) => {
+    setTimeout(() => monitorEVMWallets(chain), 10000 + index * 2000);
+    return setInterval(() => monitorEVMWallets(chain), EVM_POLL_INTERVAL);
+  });
+  
+  console.log(`✅ Wallet monitoring started with conservative rate limiting (solana, ${evmChains.join(', ')})`);
   
   // Store intervals for cleanup
-  startMonitoring.intervals = [solanaInterval];
+  startMonitoring.intervals = [solanaInterval, heartbeatInterval, ...evmIntervals];
 }
 
 // Stop monitoring function
@@ -350,13 +951,41 @@ function stopMonitoring() {
     startMonitoring.intervals = [];
   }
   
+  stopRealtime();
+  
   console.log('🛑 Wallet monitoring stopped');
 }
 
-// Toggle monitoring
-function toggleMonitoring(enabled) {
+// Toggle monitoring, optionally switching the Solana mode ('polling' or 'realtime')
+function toggleMonitoring(enabled, mode) {
   monitoringEnabled = enabled;
-  console.log(`📡 Monitoring ${enabled ? 'enabled' : 'disabled'}`);
+  
+  if (mode) {
+    if (!['polling', 'realtime'].includes(mode)) {
+      return { success: false, error: `Unknown monitoring mode: ${mode}` };
+    }
+    monitoringMode = mode;
+  }
+  
+  if (!enabled || monitoringMode === 'polling') {
+    stopRealtime();
+  } else if (isMonitoring && !realtimeConnection) {
+    checkRealtimeHeartbeat();
+  }
+  
+  console.log(`📡 Monitoring ${enabled ? 'enabled' : 'disabled'} (${monitoringMode} mode)`);
+  return { success: true, ...getMonitoringStatus() };
+}
+
+// Current monitoring state for admin views
+function getMonitoringStatus() {
+  return {
+    enabled: monitoringEnabled,
+    mode: monitoringMode,
+    realtimeConnected: realtimeHealthy,
+    realtimeSubscriptions: realtimeSubscriptions.size,
+    pollingFallback: monitoringMode === 'realtime' && !realtimeHealthy
+  };
 }
 
 module.exports = {
@@ -364,5 +993,11 @@ module.exports = {
   startMonitoring,
   stopMonitoring,
   toggleMonitoring,
-  monitorSolanaWallets
+  getMonitoringStatus,
+  monitorSolanaWallets,
+  monitorEVMWallets,
+  // Shared swap decoding for wallet analytics
+  parseSolanaTransaction,
+  parseEVMTransaction,
+  TRANSFER_TOPIC
 }; 
\ No newline at end of file
@@ -27,6 +27,23 @@ class WalletRecoveryService {
         });
       }
 
+      // Additional named custodial wallets
+      if (userData.extraWallets) {
+        Object.entries(userData.extraWallets).forEach(([chain, chainWallets]) => {
+          chainWallets.forEach(wallet => {
+            wallets.push({
+              address: wallet.address,
+              name: wallet.name,
+              chain,
+              type: 'current',
+              status: 'active',
+              createdAt: wallet.createdAt,
+              regenerated: false
+            });
+          });
+        });
+      }
+
       // Named wallets (likely old wallets)
       if (userData.walletNames) {
         Object.keys(userData.walletNames).forEach(address => {
@@ -4,6 +4,7 @@ const { ethers, JsonRpcProvider } = require('ethers');
 const crypto = require('crypto');
 const userService = require('../users/userService');
 const { getRPCManager } = require('./rpcManager');
+const { getGasManager } = require('./gasManager');
 const axios = require('axios');
 
 // Enhanced encryption using AES-256-GCM for better security
@@ -14,6 +15,10 @@ const TAG_LENGTH = 16;
 
 console.log('🔐 Wallet encryption key length:', ENCRYPTION_KEY.length);
 
+// Named custodial wallets a user can hold per chain, the main wallet included
+const MAX_WALLETS_PER_CHAIN = parseInt(process.env.MAX_WALLETS_PER_CHAIN || '5');
+const WALLET_NAME_PATTERN = /^[A-Za-z0-9_-]{1,20}$/;
+
 class WalletService {
   constructor() {
     this.rpcManager = getRPCManager();
@@ -263,6 +268,183 @@ class WalletService {
     }
   }
 
+  // A custodial wallet record by id. The main wallet stays at custodialWallets[chain], so everything
+  // that predates named wallets keeps using it; the others live in extraWallets[chain]
+  getCustodialWallet(userData, chain, walletId = 'main') {
+    if (walletId === 'main') {
+      return userData?.custodialWallets?.[chain] || null;
+    }
+    return (userData?.extraWallets?.[chain] || []).find(wallet => wallet.id === walletId) || null;
+  }
+
+  // Wallet ids trades fan out to. Without a stored choice only the main wallet is selected
+  getSelectedWalletIds(userData, chain) {
+    const ids = this.listCustodialWallets(userData, chain).map(wallet => wallet.id);
+    return (userData?.selectedWallets?.[chain] || ['main']).filter(id => ids.includes(id));
+  }
+
+  listCustodialWallets(userData, chain) {
+    const main = userData?.custodialWallets?.[chain];
+    return [
+      ...(main ? [{ ...main, id: 'main', name: main.name || 'Main' }] : []),
+      ...(userData?.extraWallets?.[chain] || [])
+    ];
+  }
+
+  // A user's wallets on a chain without their keys, in creation order
+  async getUserWallets(userId, chain) {
+    const userData = await userService.getUserSettings(userId);
+    const selected = this.getSelectedWalletIds(userData, chain);
+
+    return this.listCustodialWallets(userData, chain).map(wallet => ({
+      id: wallet.id,
+      name: wallet.name,
+      address: wallet.address,
+      createdAt: wallet.createdAt,
+      main: wallet.id === 'main',
+      selected: selected.includes(wallet.id)
+    }));
+  }
+
+  async getSelectedWallets(userId, chain) {
+    return (await this.getUserWallets(userId, chain)).filter(wallet => wallet.selected);
+  }
+
+  // Look a wallet up by its name (case-insensitive) or id
+  async findUserWallet(userId, chain, nameOrId) {
+    const key = String(nameOrId).toLowerCase();
+    return (await this.getUserWallets(userId, chain))
+      .find(wallet => wallet.id === nameOrId || wallet.name.toLowerCase() === key) || null;
+  }
+
+  validateWalletName(userData, chain, name, walletId = null) {
+    if (!WALLET_NAME_PATTERN.test(name)) {
+      throw new Error('Wallet names are 1-20 letters, digits, - or _');
+    }
+    const taken = this.listCustodialWallets(userData, chain)
+      .some(wallet => wallet.id !== walletId && wallet.name.toLowerCase() === name.toLowerCase());
+    if (taken) {
+      throw new Error(`You already have a ${chain} wallet named ${name}`);
+    }
+  }
+
+  // Create an additional named wallet next to the main one
+  async createNamedWallet(userId, chain, name) {
+    try {
+      const userData = await userService.getUserSettings(userId);
+
+      if (!userData.custodialWallets || !userData.custodialWallets[chain]) {
+        throw new Error(`Create your main ${chain} wallet first with /wallet`);
+      }
+      if (this.listCustodialWallets(userData, chain).length >= MAX_WALLETS_PER_CHAIN) {
+        throw new Error(`You can hold at most ${MAX_WALLETS_PER_CHAIN} wallets per chain`);
+      }
+      this.validateWalletName(userData, chain, name);
+
+      let wallet;
+      if (chain === 'solana') {
+        wallet = this.generateSolanaWallet();
+      } else if (['ethereum', 'bsc', 'polygon', 'arbitrum', 'base'].includes(chain)) {
+        wallet = this.generateEVMWallet();
+      } else {
+        throw new Error(`Unsupported chain: ${chain}`);
+      }
+
+      const record = {
+        id: crypto.randomBytes(4).toString('hex'),
+        name,
+        address: wallet.address,
+        privateKey: this.encrypt(wallet.privateKey),
+        mnemonic: wallet.mnemonic ? this.encrypt(wallet.mnemonic) : null,
+        createdAt: new Date().toISOString(),
+        balance: 0,
+        totalReceived: 0,
+        totalSent: 0,
+        txCount: 0,
+        lastUpdated: new Date().toISOString()
+      };
+
+      if (!userData.extraWallets) userData.extraWallets = {};
+      if (!userData.extraWallets[chain]) userData.extraWallets[chain] = [];
+      userData.extraWallets[chain].push(record);
+
+      await userService.saveUserData(userId, userData);
+
+      console.log(`✅ Created ${chain} wallet "${name}" for user ${userId}:`, wallet.address);
+
+      return { success: true, id: record.id, name, address: wallet.address };
+    } catch (error) {
+      console.error('Create named wallet error:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async renameWallet(userId, chain, walletId, name) {
+    try {
+      const userData = await userService.getUserSettings(userId);
+      const wallet = this.getCustodialWallet(userData, chain, walletId);
+
+      if (!wallet) {
+        throw new Error(`No ${chain} wallet found`);
+      }
+      this.validateWalletName(userData, chain, name, walletId);
+
+      wallet.name = name;
+      await userService.saveUserData(userId, userData);
+
+      return { success: true, name };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Add a wallet to, or drop it from, the wallets multi-buys fan out to. One always stays selected
+  async setWalletSelected(userId, chain, walletId, selected) {
+    try {
+      const userData = await userService.getUserSettings(userId);
+
+      if (!this.getCustodialWallet(userData, chain, walletId)) {
+        throw new Error(`No ${chain} wallet found`);
+      }
+
+      const current = this.getSelectedWalletIds(userData, chain);
+      const next = selected
+        ? [...new Set([...current, walletId])]
+        : current.filter(id => id !== walletId);
+
+      if (next.length === 0) {
+        throw new Error('At least one wallet has to stay selected');
+      }
+
+      if (!userData.selectedWallets) userData.selectedWallets = {};
+      userData.selectedWallets[chain] = next;
+      await userService.saveUserData(userId, userData);
+
+      return { success: true, selected: next };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Move native funds from one of the user's wallets (the main one by default) into another
+  async fundWallet(userId, chain, walletId, amount, fromWalletId = 'main') {
+    const userData = await userService.getUserSettings(userId);
+    const target = this.getCustodialWallet(userData, chain, walletId);
+
+    if (!target) {
+      return { success: false, error: `No ${chain} wallet found` };
+    }
+    if (walletId === fromWalletId) {
+      return { success: false, error: 'Cannot fund a wallet from itself' };
+    }
+
+    const result = await this.sendNativeTokens(userId, chain, target.address, amount, fromWalletId);
+    if (result.success) {
+      this.clearCache('balance', `balance_${chain}_${target.address}`);
+    }
+    return result;
+  }
+
   // Get real wallet balance from blockchain with caching
   async getWalletBalance(address, chain, retries = 3) {
     const cacheKey = `balance_${chain}_${address}`;
@@ -341,16 +523,15 @@ class WalletService {
   }
 
   // Get wallet private key for internal trading operations (no admin check)
-  async getWalletPrivateKeyForTrading(userId, chain) {
+  async getWalletPrivateKeyForTrading(userId, chain, walletId = 'main') {
     try {
       const userData = await userService.getUserSettings(userId);
+      const wallet = this.getCustodialWallet(userData, chain, walletId);
       
-      if (!userData.custodialWallets || !userData.custodialWallets[chain]) {
+      if (!wallet) {
         throw new Error(`No ${chain} wallet found for user ${userId}`);
       }
       
-      const wallet = userData.custodialWallets[chain];
-      
       if (!wallet.privateKey) {
         throw new Error('Private key not found in wallet data');
       }
@@ -383,19 +564,19 @@ class WalletService {
   }
 
   // Export wallet info (for user backup) with enhanced security
-  async exportWalletInfo(userId, chain) {
+  async exportWalletInfo(userId, chain, walletId = 'main') {
     try {
       const userData = await userService.getUserSettings(userId);
+      const wallet = this.getCustodialWallet(userData, chain, walletId);
       
-      if (!userData.custodialWallets || !userData.custodialWallets[chain]) {
+      if (!wallet) {
         throw new Error(`No ${chain} wallet found for this user`);
       }
       
-      const wallet = userData.custodialWallets[chain];
-      
       // Always return basic wallet info
       const exportData = {
         address: wallet.address,
+        name: wallet.name || 'Main',
         chain: chain,
         createdAt: wallet.createdAt,
         warning: '🔥 DELETE THIS MESSAGE AFTER SAVING! Anyone with your private key can access your funds.'
@@ -436,7 +617,7 @@ class WalletService {
   }
 
   // Process transaction with dev fee (enhanced fee display)
-  async processTransactionWithFee(userId, chain, amount, type) {
+  async processTransactionWithFee(userId, chain, amount, type, walletId = 'main') {
     try {
       const devFeePercent = parseFloat(process.env.DEV_FEE_PERCENT || '3');
       const devFee = amount * (devFeePercent / 100);
@@ -444,29 +625,21 @@ class WalletService {
       
       // Update user wallet stats
       const userData = await userService.getUserSettings(userId);
-      if (userData.custodialWallets && userData.custodialWallets[chain]) {
-        userData.custodialWallets[chain].txCount++;
-        userData.custodialWallets[chain].lastUpdated = new Date().toISOString();
+      const wallet = this.getCustodialWallet(userData, chain, walletId);
+      if (wallet) {
+        wallet.txCount = (wallet.txCount || 0) + 1;
+        wallet.lastUpdated = new Date().toISOString();
         
         if (type === 'send' || type === 'buy') {
-          userData.custodialWallets[chain].totalSent += amount;
+          wallet.totalSent = (wallet.totalSent || 0) + amount;
         } else if (type === 'receive' || type === 'sell') {
-          userData.custodialWallets[chain].totalReceived += amount;
+          wallet.totalReceived = (wallet.totalReceived || 0) + amount;
         }
         
         await userService.saveUserData(userId, userData);
       }
       
-      // Track REAL dev fee collection (not simulation)
-      await userService.updateAdminStats({
-        feeCollected: devFee,
-        chain,
-        action: type,
-        timestamp: new Date(),
-        type: 'actual_collection',
-        userId
-      });
-      
+      // Admin fee stats follow the on-chain collection (recordDevFee), not this split
       return {
         userAmount,
         devFee,
@@ -482,6 +655,41 @@ class WalletService {
     }
   }
 
+  // Treasury that receives dev fees on a chain; the shared admin wallet covers chains of its family
+  getTreasuryAddress(chain) {
+    const chainWallet = process.env[`ADMIN_WALLET_${chain.toUpperCase()}`];
+    if (chainWallet) return chainWallet;
+    
+    const sharedWallet = process.env.ADMIN_WALLET_ADDRESS;
+    const family = chain === 'solana' ? 'solana' : 'evm';
+    return sharedWallet && userService.detectWalletChain(sharedWallet) === family ? sharedWallet : null;
+  }
+  
+  // Record a dev fee in the admin ledger. Only fees that reached the chain count towards the admin stats
+  async recordDevFee(entry) {
+    const record = {
+      id: `fee_${entry.chain}_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+      createdAt: Date.now(),
+      ...entry
+    };
+    
+    await userService.saveFeeLedgerEntry(record);
+    
+    if (['confirmed', 'submitted'].includes(record.status)) {
+      await userService.updateAdminStats({
+        feeCollected: record.amount,
+        chain: record.chain,
+        action: record.action,
+        timestamp: new Date(record.createdAt),
+        type: 'actual_collection',
+        userId: record.userId,
+        txHash: record.txHash
+      });
+    }
+    
+    return record;
+  }
+
   // Clear cache for specific items
   clearCache(type, key) {
     if (type === 'balance') {
@@ -508,18 +716,18 @@ class WalletService {
   }
 
   // Send native tokens (SOL, ETH, BNB) to another address
-  async sendNativeTokens(userId, chain, destinationAddress, amount) {
+  async sendNativeTokens(userId, chain, destinationAddress, amount, walletId = 'main') {
     try {
       console.log(`📤 Sending ${amount} ${chain.toUpperCase()} from user ${userId} to ${destinationAddress}`);
       
       // Get user wallet
       const userData = await userService.getUserSettings(userId);
+      const wallet = this.getCustodialWallet(userData, chain, walletId);
       
-      if (!userData.custodialWallets || !userData.custodialWallets[chain]) {
+      if (!wallet) {
         throw new Error(`No ${chain} wallet found for user`);
       }
       
-      const wallet = userData.custodialWallets[chain];
       const fromAddress = wallet.address;
       
       // Check balance
@@ -597,20 +805,16 @@ class WalletService {
       );
       
       // Get recent blockhash
-      const { blockhash } = await connection.getLatestBlockhash('confirmed');
+      const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
       transaction.recentBlockhash = blockhash;
       transaction.feePayer = fromKeypair.publicKey;
       
       // Sign and send transaction
       transaction.sign(fromKeypair);
       
-      const txHash = await connection.sendRawTransaction(transaction.serialize(), {
-        skipPreflight: false,
-        preflightCommitment: 'confirmed'
-      });
-      
-      // Wait for confirmation
-      await connection.confirmTransaction(txHash, 'confirmed');
+      // Send and confirm through the executor so the transfer is tracked
+      const txHash = await require('./realTradingExecutor').getRealTradingExecutor()
+        .sendAndConfirmSolanaTransaction(connection, transaction, lastValidBlockHeight, 'Transfer');
       
       return {
         txHash,
@@ -633,31 +837,27 @@ class WalletService {
       // Convert amount to wei
       const amountWei = ethers.parseEther(amount.toString());
       
-      // Estimate gas
-      const gasEstimate = await provider.estimateGas({
+      // Fee-history gas pricing and an estimated gas limit
+      const txRequest = {
         to: destinationAddress,
         value: amountWei
+      };
+      const overrides = await getGasManager().getTransactionOverrides(provider, { ...txRequest, from: wallet.address }, {
+        fallbackGasLimit: 21000
       });
       
-      // Get current gas price
-      const gasPrice = await provider.getGasPrice();
-      
-      // Create transaction
-      const tx = await wallet.sendTransaction({
-        to: destinationAddress,
-        value: amountWei,
-        gasLimit: gasEstimate,
-        gasPrice: gasPrice
-      });
+      // Create transaction through the executor's nonce manager so it can't collide with trades
+      const { getRealTradingExecutor } = require('./realTradingExecutor');
+      const tx = await getRealTradingExecutor().sendEVMTransaction(wallet, chain, { ...txRequest, ...overrides }, 'Transfer');
       
       console.log(`📝 ${chain.toUpperCase()} transaction sent: ${tx.hash}`);
       
       // Wait for confirmation
       const receipt = await tx.wait();
-      console.log(`✅ ${chain.toUpperCase()} transaction confirmed: ${receipt.transactionHash}`);
+      console.log(`✅ ${chain.toUpperCase()} transaction confirmed: ${receipt.hash}`);
       
       return {
-        txHash: receipt.transactionHash,
+        txHash: receipt.hash,
         gasUsed: receipt.gasUsed.toString()
       };
       
@@ -868,9 +1068,22 @@ const walletService = new WalletService();
 
 module.exports = {
   getOrCreateWallet: walletService.getOrCreateWallet.bind(walletService),
+  // Named wallets per chain
+  MAX_WALLETS_PER_CHAIN,
+  getCustodialWallet: walletService.getCustodialWallet.bind(walletService),
+  getUserWallets: walletService.getUserWallets.bind(walletService),
+  getSelectedWallets: walletService.getSelectedWallets.bind(walletService),
+  findUserWallet: walletService.findUserWallet.bind(walletService),
+  createNamedWallet: walletService.createNamedWallet.bind(walletService),
+  renameWallet: walletService.renameWallet.bind(walletService),
+  setWalletSelected: walletService.setWalletSelected.bind(walletService),
+  fundWallet: walletService.fundWallet.bind(walletService),
   getWalletBalance: walletService.getWalletBalance.bind(walletService),
+  getTokenPrice: walletService.getTokenPrice.bind(walletService),
   getWalletPrivateKeyForTrading: walletService.getWalletPrivateKeyForTrading.bind(walletService),
   processTransactionWithFee: walletService.processTransactionWithFee.bind(walletService),
+  getTreasuryAddress: walletService.getTreasuryAddress.bind(walletService),
+  recordDevFee: walletService.recordDevFee.bind(walletService),
   exportWalletInfo: walletService.exportWalletInfo.bind(walletService),
   sendNativeTokens: walletService.sendNativeTokens.bind(walletService),
   getStatus: walletService.getStatus.bind(walletService),
@@ -8,6 +8,7 @@ const { initializeEngine } = require('../services/copyTradingEngine');
 const { initializeManualTrading } = require('../services/manualTrading');
 const { getRPCManager } = require('../services/rpcManager');
 const { getRealTradingExecutor } = require('../services/realTradingExecutor');
+const { getAdvancedCopyTradingEngine } = require('../services/advancedCopyTradingEngine');
 
 // Load environment variables
 dotenv.config();
@@ -82,6 +83,7 @@ bot.use(session({
     userWallets: null,
     walletToName: null,
     justAddedWallet: null,
+    pendingTrackedWallet: null,
     sellAllPositions: false
   })
 }));
@@ -192,10 +194,14 @@ async function startBot() {
       await tradingExecutor.forceInitialize();
     }
     
-    // Initialize copy trading engine
+    // Initialize copy trading engine (wallet names and status)
     const copyTradingEngine = initializeEngine(bot);
     console.log('✅ Copy trading engine initialized');
     
+    // Advanced engine consumes detected trades from the wallet monitor
+    getAdvancedCopyTradingEngine().setBotInstance(bot);
+    console.log('✅ Advanced copy trading engine subscribed to trade events');
+    
     // Initialize manual trading service
     const manualTradingService = initializeManualTrading(bot);
     console.log('✅ Manual trading service initialized');
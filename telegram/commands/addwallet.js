@@ -1,5 +1,6 @@
 // File: telegram/commands/addwallet.js
 const userService = require('../../users/userService');
+const { getAdvancedCopyTradingEngine } = require('../../services/advancedCopyTradingEngine');
 
 // Basic wallet validation
 function isValidWallet(address) {
@@ -19,4 +20,46 @@ module.exports = function (bot) {
     ctx.session.awaitingWallet = true;
     return ctx.reply('📝 Please send the wallet address you want to track:');
   });
+  
+  // Chain picker for EVM addresses sent after /addwallet
+  bot.action(/^track_chain_(.+)$/, async (ctx) => {
+    try {
+      const selection = ctx.match[1];
+      const userId = String(ctx.from.id);
+      const pendingWallet = ctx.session?.pendingTrackedWallet;
+      
+      if (!pendingWallet) {
+        await ctx.answerCbQuery('❌ Session expired');
+        return ctx.editMessageText('❌ Wallet selection expired. Please start again with /addwallet');
+      }
+      
+      const chains = selection === 'all' ? userService.EVM_CHAINS : [selection];
+      if (!chains.every(chain => userService.EVM_CHAINS.includes(chain))) {
+        await ctx.answerCbQuery('❌ Invalid chain');
+        return ctx.editMessageText('❌ Invalid chain selection.');
+      }
+      
+      await ctx.answerCbQuery(`Tracking on ${selection === 'all' ? 'all EVM chains' : selection.toUpperCase()}...`);
+      
+      const { wallet, chains: trackedChains } = await userService.addWallet(userId, pendingWallet, chains);
+      await getAdvancedCopyTradingEngine().addMonitoredWallet(userId, wallet);
+      
+      // Continue with the usual naming prompt
+      ctx.session.pendingTrackedWallet = null;
+      ctx.session.justAddedWallet = wallet;
+      ctx.session.awaitingWalletNameOption = true;
+      
+      return ctx.editMessageText(
+        `✅ Wallet has been added successfully!\n\n` +
+        `\`${wallet}\`\n` +
+        `🔗 Tracked on: ${trackedChains.map(chain => chain.toUpperCase()).join(', ')}\n\n` +
+        `📝 Would you like to give this wallet a custom name?\n\nReply "yes" to name it or "no" to skip.`,
+        { parse_mode: 'Markdown' }
+      );
+    } catch (error) {
+      console.error('Track chain callback error:', error);
+      await ctx.answerCbQuery('❌ Error adding wallet');
+      return ctx.editMessageText('❌ Error adding wallet. Please try again with /addwallet');
+    }
+  });
 };
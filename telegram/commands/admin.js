@@ -3,6 +3,7 @@ const { getAdminService } = require('../../services/adminService');
 const { getAdvancedEngine } = require('../../services/advancedTradingEngine');
 const { getReferralService } = require('../../services/referralService');
 const userService = require('../../users/userService');
+const walletMonitor = require('../../services/walletMonitor');
 
 const admin = new Composer();
 
@@ -23,6 +24,7 @@ admin.command('admin', async (ctx) => {
 • /setdevfee <percent> - Set dev fee percentage
 • /setadminwallet <address> - Set admin wallet address
 • /viewfees - View collected fees
+• /feereport [days] - Reconcile fees with treasury inflows
 • /withdraw - Withdraw collected fees
 
 👥 **User Management:**
@@ -45,6 +47,7 @@ admin.command('admin', async (ctx) => {
 • /setmaxwallets <number> - Set max wallets per user
 • /maintenance <on/off> - Toggle maintenance mode
 • /clearknowntxs - Clear known transactions cache
+• /monitor <on/off/polling/realtime> - Wallet monitoring mode
 
 ⚙️ **Configuration:**
 • /viewconfig - View current configuration
@@ -177,6 +180,34 @@ admin.command('viewfees', async (ctx) => {
   }
 });
 
+// Reconcile the dev fee ledger with treasury inflows
+admin.command('feereport', async (ctx) => {
+  try {
+    const userId = ctx.from.id;
+    const adminService = getAdminService();
+    
+    if (!adminService.isAdmin(userId)) {
+      return ctx.reply('❌ Unauthorized: Admin access required');
+    }
+    
+    const args = ctx.message.text.split(' ').slice(1);
+    const days = args.length > 0 ? parseInt(args[0]) : 7;
+    
+    if (isNaN(days) || days < 1 || days > 90) {
+      return ctx.reply('❌ Usage: /feereport [days]\nDays must be between 1 and 90');
+    }
+    
+    await ctx.reply('🔍 Checking recorded fees against treasury inflows...');
+    
+    const report = await adminService.reconcileDevFees(days);
+    await ctx.reply(adminService.formatFeeReconciliation(report), { parse_mode: 'Markdown' });
+    
+  } catch (err) {
+    console.error('Fee report error:', err);
+    await ctx.reply('❌ Failed to reconcile dev fees');
+  }
+});
+
 // Global stats
 admin.command('globalstats', async (ctx) => {
   try {
@@ -604,6 +635,63 @@ admin.command('health', async (ctx) => {
   }
 });
 
+// Wallet monitoring mode
+admin.command('monitor', async (ctx) => {
+  try {
+    const userId = ctx.from.id;
+    const adminService = getAdminService();
+    
+    if (!adminService.isAdmin(userId)) {
+      return ctx.reply('❌ Unauthorized: Admin access required');
+    }
+    
+    const args = ctx.message.text.split(' ').slice(1);
+    const option = args[0]?.toLowerCase();
+    let status = walletMonitor.getMonitoringStatus();
+    
+    if (option) {
+      let result;
+      
+      if (option === 'on' || option === 'off') {
+        result = walletMonitor.toggleMonitoring(option === 'on');
+      } else if (option === 'polling' || option === 'realtime') {
+        result = walletMonitor.toggleMonitoring(status.enabled, option);
+      } else {
+        return ctx.reply(`📝 **Usage:** /monitor <on|off|polling|realtime>
+
+**Modes:**
+• polling - Check tracked Solana wallets on an interval
+• realtime - Websocket log subscriptions, polling fallback if the socket drops
+
+**Example:** \`/monitor realtime\``, { parse_mode: 'Markdown' });
+      }
+      
+      if (!result.success) {
+        return ctx.reply(`❌ ${result.error}`);
+      }
+      status = result;
+    }
+    
+    let message = `📡 **Wallet Monitoring**\n\n`;
+    message += `• Status: ${status.enabled ? '🟢 Enabled' : '🔴 Disabled'}\n`;
+    message += `• Solana Mode: ${status.mode}\n`;
+    
+    if (status.mode === 'realtime') {
+      message += `• Socket: ${status.realtimeConnected ? '🟢 Connected' : '🟡 Connecting'}\n`;
+      message += `• Subscriptions: ${status.realtimeSubscriptions}\n`;
+      if (status.pollingFallback) {
+        message += `• Polling fallback active until the socket recovers\n`;
+      }
+    }
+    
+    await ctx.reply(message, { parse_mode: 'Markdown' });
+    
+  } catch (err) {
+    console.error('Monitor mode error:', err);
+    await ctx.reply('❌ Failed to update monitoring mode');
+  }
+});
+
 // View configuration
 admin.command('viewconfig', async (ctx) => {
   try {
@@ -695,6 +783,7 @@ admin.command('adminhelp', async (ctx) => {
 **Finance:**
 • /setdevfee - Set dev fee percentage
 • /viewfees - View collected fees
+• /feereport - Reconcile fees with treasury
 • /setadminwallet - Set admin wallet
 
 **User Management:**
@@ -706,6 +795,7 @@ admin.command('adminhelp', async (ctx) => {
 • /botstatus - System status
 • /health - Health check
 • /viewconfig - View configuration
+• /monitor - Wallet monitoring mode
 
 **Trading:**
 • /setfee - Set TX fees
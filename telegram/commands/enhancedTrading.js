@@ -86,7 +86,7 @@ trading.command('buy', async (ctx) => {
                        tradingSettings.slippage);
       
       // Simulate trade
-      const simulation = await engine.simulateTrade(tokenAddress, amount, 'buy', userData.chain, slippage);
+      const simulation = await engine.simulateTrade(userId, tokenAddress, amount, 'buy', userData.chain, slippage);
       
       // Check auto-buy eligibility
       const autoBuyCheck = await engine.checkAutoBuyEligibility(tokenAddress, userData.chain, tradingSettings);
@@ -563,7 +563,7 @@ async function analyzeSellPosition(ctx, userId, tokenAddress, sellPercent) {
     // Simulate sell
     const engine = getAdvancedEngine();
     const sellAmount = position.totalAmount * (sellPercent / 100);
-    const simulation = await engine.simulateTrade(tokenAddress, sellAmount, 'sell', userData.chain);
+    const simulation = await engine.simulateTrade(userId, tokenAddress, sellAmount, 'sell', userData.chain);
     
     let message = `📊 **Sell Position Analysis**\n\n`;
     message += `🎯 **${tokenData.name}** (${tokenData.symbol})\n`;
@@ -577,13 +577,15 @@ async function analyzeSellPosition(ctx, userId, tokenAddress, sellPercent) {
     
     if (simulation.success) {
       message += `✅ **Sell Simulation:** SUCCESS\n`;
-      message += `💸 **Estimated Proceeds:** $${simulation.expectedOutput.toFixed(2)}\n`;
+      const nativeSymbol = userData.chain === 'solana' ? 'SOL' : userData.chain === 'ethereum' ? 'ETH' : 'BNB';
+      message += `💸 **Estimated Proceeds:** ${simulation.expectedOutput.toFixed(6)} ${nativeSymbol}\n`;
       message += `📈 **Price Impact:** ${simulation.priceImpact.toFixed(2)}%\n`;
+      message += `🛣️ **Route:** ${simulation.route}\n`;
       
-      // Calculate PnL for this sell
+      // Calculate PnL for this sell; positions record their buy price in the native token
       const sellCostBasis = sellAmount * position.avgPrice;
       const sellPnL = simulation.expectedOutput - sellCostBasis;
-      message += `📊 **Sell PnL:** ${sellPnL >= 0 ? '+' : ''}$${sellPnL.toFixed(2)}\n`;
+      message += `📊 **Sell PnL:** ${sellPnL >= 0 ? '+' : ''}${sellPnL.toFixed(6)} ${nativeSymbol}\n`;
     } else {
       message += `❌ **Sell Simulation:** FAILED\n`;
       simulation.errors.forEach(error => {
@@ -0,0 +1,97 @@
+// telegram/commands/findWallets.js - Discover wallets to copy from a token's early buyers and holders
+const userService = require('../../users/userService');
+const walletDiscoveryService = require('../../services/walletDiscoveryService');
+const { getAdvancedCopyTradingEngine } = require('../../services/advancedCopyTradingEngine');
+
+module.exports = function(bot) {
+  bot.command('findwallets', async (ctx) => {
+    const userId = String(ctx.from.id);
+    const [, tokenAddress, chainArg] = ctx.message.text.trim().split(/\s+/);
+
+    if (!tokenAddress) {
+      return ctx.reply(
+        `🔎 **Find Smart Wallets**\n\n` +
+        `Usage: \`/findwallets <token> [chain]\`\n\n` +
+        `Looks at the token's earliest buyers and current holders, then ranks them by ` +
+        `realized PnL, win rate and how early they bought.\n\n` +
+        `💡 For EVM tokens add the chain (ethereum, bsc, polygon, arbitrum, base).`,
+        { parse_mode: 'Markdown' }
+      );
+    }
+
+    const family = userService.detectWalletChain(tokenAddress);
+    if (!family) {
+      return ctx.reply('❌ Invalid token address format. Please enter a valid Solana or EVM token address.');
+    }
+
+    let chain = 'solana';
+    if (family === 'evm') {
+      const userData = await userService.getUserSettings(userId);
+      chain = chainArg?.toLowerCase() ||
+        (userService.EVM_CHAINS.includes(userData?.chain) ? userData.chain : 'ethereum');
+
+      if (!userService.EVM_CHAINS.includes(chain)) {
+        return ctx.reply(`❌ Invalid chain. Please use one of: ${userService.EVM_CHAINS.join(', ')}`);
+      }
+    }
+
+    const loadingMsg = await ctx.reply(`🔎 Scanning ${chain.toUpperCase()} history for early buyers and holders...\n\nThis can take a few minutes.`);
+
+    try {
+      const result = await walletDiscoveryService.findWallets(tokenAddress, chain);
+
+      if (!result.success) {
+        return ctx.telegram.editMessageText(ctx.chat.id, loadingMsg.message_id, undefined, `❌ ${result.error}`);
+      }
+
+      // One-tap tracking for each ranked wallet
+      const keyboard = result.wallets.map((wallet, index) => [{
+        text: `➕ Track #${index + 1} ${wallet.address.substring(0, 6)}...${wallet.address.substring(wallet.address.length - 4)}`,
+        callback_data: `fw_add_${chain}_${wallet.address}`
+      }]);
+
+      await ctx.telegram.editMessageText(
+        ctx.chat.id,
+        loadingMsg.message_id,
+        undefined,
+        walletDiscoveryService.formatDiscoveryMessage(result),
+        { parse_mode: 'Markdown', reply_markup: { inline_keyboard: keyboard } }
+      );
+    } catch (error) {
+      console.error('Find wallets command error:', error);
+      await ctx.telegram.editMessageText(
+        ctx.chat.id,
+        loadingMsg.message_id,
+        undefined,
+        `❌ Error finding wallets: ${error.message}`
+      );
+    }
+  });
+
+  // Track a discovered wallet on the chain it was found on
+  bot.action(/^fw_add_([a-z]+)_(.+)$/, async (ctx) => {
+    try {
+      const chain = ctx.match[1];
+      const address = ctx.match[2];
+      const userId = String(ctx.from.id);
+
+      if (![...userService.EVM_CHAINS, 'solana'].includes(chain) || !userService.detectWalletChain(address)) {
+        return ctx.answerCbQuery('❌ Invalid wallet');
+      }
+
+      const { wallet, chains } = await userService.addWallet(userId, address, [chain]);
+      await getAdvancedCopyTradingEngine().addMonitoredWallet(userId, wallet);
+
+      await ctx.answerCbQuery('✅ Wallet added');
+      return ctx.reply(
+        `✅ Now tracking \`${wallet}\`\n` +
+        `🔗 Chains: ${chains.map(c => c.toUpperCase()).join(', ')}\n\n` +
+        `💡 Use /namewallet to name it or /walletstats ${wallet} for its full stats.`,
+        { parse_mode: 'Markdown' }
+      );
+    } catch (error) {
+      console.error('Find wallets add callback error:', error);
+      return ctx.answerCbQuery('❌ Error adding wallet');
+    }
+  });
+};
@@ -8,6 +8,9 @@ module.exports = function (bot) {
 • /wallet - View/create your trading wallet
 • /balance - Check wallet balance
 • /exportwallet - Export private key
+• /mywallets - Multiple wallets and multi-buy selection
+• /newwallet - Create another named wallet
+• /fundwallet - Fund a wallet from your main one
 • /switchwallet - Switch between chains
 
 **🔍 Copy Trading Setup:**
@@ -22,12 +25,21 @@ module.exports = function (bot) {
 • /pause - Pause trading for a wallet
 • /stop - Stop trading for a wallet
 • /walletstatus - View all wallet status
+• /walletstats - Analyze a wallet's performance
+• /findwallets - Find smart wallets from a token's buyers
 
 **💰 Manual Trading:**
 • /buy - Buy tokens directly
 • /sell - Sell your positions
+• /swap - Swap between any two tokens
+• /quote - Trade in native, USDC or USDT
 • /quickbuy - Quick buy with presets
+• /limit - Buy or sell when a price or market cap is hit
+• /orders - View and cancel limit orders
 • /market - View market overview
+• /pending - Pending EVM transactions
+• /speedup - Speed up a stuck transaction
+• /canceltx - Cancel a stuck transaction
 
 **📈 Trading Features:**
 • /settings - View your configuration
@@ -35,6 +47,8 @@ module.exports = function (bot) {
 • /setlimit - Set daily spending limit
 • /stoploss - Enable/disable stop-loss
 • /trailingstop - Set trailing stop percentage
+• /priorityfee - Solana fee level and MEV protection
+• /mevprotect - Private relay / Jito bundle sends
 • /copysells - Copy sell behavior
 • /customtpsl - Custom take profit levels
 • /positions - View open positions
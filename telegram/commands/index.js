@@ -24,8 +24,14 @@ const referral = require('./referral');
 // Wallet control commands
 const walletControl = require('./walletControl');
 
+// Wallet performance analytics and discovery
+const walletStats = require('./walletStats');
+const findWallets = require('./findWallets');
+
 // Manual trading commands
 const trading = require('./trading');
+const pendingTx = require('./pendingTx');
+const limitOrders = require('./limitOrders');
 
 // Recovery commands for lost/old wallets
 const recovery = require('./recovery');
@@ -82,9 +88,13 @@ function registerBotCommands(bot) {
 
   // 6. Register wallet control commands
   walletControl(bot);
+  walletStats(bot);
+  findWallets(bot);
 
   // 7. Register manual trading commands
   trading(bot);
+  pendingTx(bot);
+  limitOrders(bot);
 
   // 8. Register recovery commands for wallet recovery
   recovery(bot);
@@ -144,6 +154,7 @@ function registerBotCommands(bot) {
     session.userWallets = null;
     session.walletToName = null;
     session.justAddedWallet = null;
+    session.pendingTrackedWallet = null;
     
     // Update session
     ctx.session = session;
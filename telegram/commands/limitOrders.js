@@ -0,0 +1,176 @@
+// telegram/commands/limitOrders.js - Place, list and cancel price-triggered limit orders
+const userService = require('../../users/userService');
+const { getLimitOrderEngine, OPEN_STATUSES } = require('../../services/limitOrderEngine');
+
+// Closed orders shown under the open ones in /orders
+const HISTORY_SHOWN = 5;
+
+const USAGE = `📒 **Limit Orders**
+
+• \`/limit buy <token> <price|mcap> <amount> [expiry]\`
+• \`/limit sell <token> <price|mcap> <amount|percent> [expiry]\`
+
+**Target:** a USD price (\`0.0012\`) or a market cap (\`mc250k\`, \`mc1.5m\`)
+**Amount:** buys spend your quote asset; sells take a token amount or a share of your position (\`50%\`)
+**Expiry:** \`30m\`, \`12h\` or \`7d\` - 7 days by default, 30 days at most
+
+Buys execute at or below the target, sells at or above it. When your wallet can only cover part of an order it fills that part and keeps the rest open.
+
+**Examples:**
+• \`/limit buy 0xabc... 0.0012 0.1\`
+• \`/limit sell 0xabc... mc1m 50% 3d\`
+
+Use /orders to see and cancel your orders.`;
+
+// The orders list with a cancel button per open order
+async function ordersMenu(userId) {
+  const engine = getLimitOrderEngine();
+  const orders = await engine.getOrders(userId);
+  const open = orders.filter(order => OPEN_STATUSES.includes(order.status));
+  const closed = orders.filter(order => !OPEN_STATUSES.includes(order.status)).slice(0, HISTORY_SHOWN);
+
+  if (orders.length === 0) {
+    return { text: '📒 You have no limit orders.\n\nPlace one with /limit.', keyboard: null };
+  }
+
+  let text = `📒 **Open Limit Orders** (${open.length})\n\n`;
+  text += open.length > 0
+    ? open.map((order, index) => `${index + 1}. ${engine.formatOrder(order)}`).join('\n')
+    : 'None\n';
+
+  if (closed.length > 0) {
+    text += `\n📜 **Recent**\n\n`;
+    text += closed.map(order => engine.formatOrder(order)).join('\n');
+  }
+
+  const keyboard = {
+    inline_keyboard: open.map((order, index) => [{
+      text: `❌ Cancel #${index + 1} ${order.side.toUpperCase()} ${order.tokenSymbol}`,
+      callback_data: `cancel_order_${order.id}`
+    }])
+  };
+
+  return { text, keyboard };
+}
+
+module.exports = function(bot) {
+  bot.command('limit', async (ctx) => {
+    try {
+      const userId = String(ctx.from.id);
+      const args = ctx.message.text.trim().split(/\s+/).slice(1);
+
+      if (args.length < 4) {
+        return ctx.reply(USAGE, { parse_mode: 'Markdown' });
+      }
+
+      const [sideInput, tokenAddress, targetInput, amountInput, expiryInput] = args;
+      const side = sideInput.toLowerCase();
+      const engine = getLimitOrderEngine();
+
+      if (!['buy', 'sell'].includes(side)) {
+        return ctx.reply('❌ Order side must be `buy` or `sell`.', { parse_mode: 'Markdown' });
+      }
+
+      const target = engine.parseTarget(targetInput);
+      if (!target) {
+        return ctx.reply('❌ Invalid target. Use a USD price like `0.0012` or a market cap like `mc250k`.', { parse_mode: 'Markdown' });
+      }
+
+      let amount = null;
+      let percentage = null;
+
+      if (side === 'sell' && amountInput.endsWith('%')) {
+        percentage = parseFloat(amountInput);
+        if (!(percentage > 0 && percentage <= 100)) {
+          return ctx.reply('❌ Percentage must be between 0 and 100.');
+        }
+      } else {
+        amount = parseFloat(amountInput);
+        if (!(amount > 0)) {
+          return ctx.reply('❌ Invalid amount.');
+        }
+      }
+
+      let expiresIn;
+      if (expiryInput) {
+        expiresIn = engine.parseExpiry(expiryInput);
+        if (!expiresIn) {
+          return ctx.reply('❌ Invalid expiry. Use `30m`, `12h` or `7d` (30 days at most).', { parse_mode: 'Markdown' });
+        }
+      }
+
+      await userService.updateLastActive(userId);
+
+      const result = await engine.createOrder(userId, {
+        side,
+        tokenAddress,
+        ...target,
+        amount,
+        percentage,
+        expiresIn
+      });
+
+      if (!result.success) {
+        return ctx.reply(`❌ Could not place limit order: ${result.error}`);
+      }
+
+      const { order } = result;
+      const current = engine.formatTarget({ ...order, target: result.currentValue });
+
+      let message = `✅ **Limit Order Placed**\n\n`;
+      message += engine.formatOrder(order);
+      message += `\n📈 **Now:** ${current}\n`;
+
+      if (result.triggered) {
+        message += `\n⚡ The target is already met - the order executes on the next price check.`;
+      } else {
+        message += `\n👀 Prices are checked every 20 seconds; you will get a message when it fills.`;
+      }
+
+      await ctx.reply(message, {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [[{ text: '❌ Cancel Order', callback_data: `cancel_order_${order.id}` }]]
+        }
+      });
+    } catch (error) {
+      console.error('Limit command error:', error);
+      await ctx.reply('❌ Error placing limit order.');
+    }
+  });
+
+  bot.command('orders', async (ctx) => {
+    try {
+      const { text, keyboard } = await ordersMenu(String(ctx.from.id));
+      await ctx.reply(text, {
+        parse_mode: 'Markdown',
+        ...(keyboard && { reply_markup: keyboard })
+      });
+    } catch (error) {
+      console.error('Orders command error:', error);
+      await ctx.reply('❌ Error loading limit orders.');
+    }
+  });
+
+  bot.action(/^cancel_order_([a-f0-9]+)$/, async (ctx) => {
+    try {
+      const userId = String(ctx.from.id);
+      const result = await getLimitOrderEngine().cancelOrder(userId, ctx.match[1]);
+
+      if (!result.success) {
+        return ctx.answerCbQuery(`❌ ${result.error}`);
+      }
+
+      await ctx.answerCbQuery('✅ Order cancelled');
+
+      const { text, keyboard } = await ordersMenu(userId);
+      await ctx.editMessageText(text, {
+        parse_mode: 'Markdown',
+        ...(keyboard && { reply_markup: keyboard })
+      });
+    } catch (error) {
+      console.error('Cancel order callback error:', error);
+      return ctx.answerCbQuery('❌ Error cancelling order');
+    }
+  });
+};
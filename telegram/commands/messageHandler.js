@@ -3,6 +3,7 @@ const userService = require('../../users/userService');
 const { advancedTradingService } = require('../../services/advancedTrading');
 const { saveSupportInfo } = require('./support');
 const { getEngine } = require('../../services/copyTradingEngine');
+const { getAdvancedCopyTradingEngine } = require('../../services/advancedCopyTradingEngine');
 const { getManualTradingService } = require('../../services/manualTrading');
 const walletService = require('../../services/walletService');
 const tokenDataService = require('../../services/tokenDataService');
@@ -20,6 +21,36 @@ function isValidWallet(address) {
   return false;
 }
 
+// Chain picker for a newly tracked EVM wallet
+function getTrackChainKeyboard() {
+  return {
+    inline_keyboard: [
+      [
+        { text: '🔷 Ethereum', callback_data: 'track_chain_ethereum' },
+        { text: '🟡 BSC', callback_data: 'track_chain_bsc' }
+      ],
+      [
+        { text: '🟪 Polygon', callback_data: 'track_chain_polygon' },
+        { text: '🔵 Arbitrum', callback_data: 'track_chain_arbitrum' }
+      ],
+      [
+        { text: '🔶 Base', callback_data: 'track_chain_base' },
+        { text: '🌐 All EVM chains', callback_data: 'track_chain_all' }
+      ]
+    ]
+  };
+}
+
+// Update a tracked wallet's status, keeping the legacy engine's cache in sync when it's running
+async function setTrackedWalletStatus(userId, wallet, status) {
+  const engine = getEngine();
+  if (engine) {
+    await engine.setWalletTradingStatus(userId, wallet, status);
+  } else {
+    await userService.setWalletStatus(userId, wallet, status);
+  }
+}
+
 // Centralized message handler to prevent conflicts
 async function handleTextMessage(ctx, next) {
   const session = ctx.session || {};
@@ -187,12 +218,14 @@ async function handleTextMessage(ctx, next) {
       const engine = getEngine();
       if (engine) {
         await engine.setWalletName(userId, session.walletToName, input);
-        ctx.session.awaitingWalletName = false;
-        ctx.session.walletToName = null;
-        
-        return ctx.reply(`✅ Wallet named successfully!\n\n**Name:** ${input}\n**Wallet:** \`${session.walletToName.substring(0, 6)}...${session.walletToName.substring(session.walletToName.length - 4)}\``, 
-          { parse_mode: 'Markdown' });
+      } else {
+        await userService.setWalletName(userId, session.walletToName, input);
       }
+      ctx.session.awaitingWalletName = false;
+      ctx.session.walletToName = null;
+      
+      return ctx.reply(`✅ Wallet named successfully!\n\n**Name:** ${input}\n**Wallet:** \`${session.walletToName.substring(0, 6)}...${session.walletToName.substring(session.walletToName.length - 4)}\``, 
+        { parse_mode: 'Markdown' });
     }
     
     // Handle begin wallet
@@ -205,17 +238,14 @@ async function handleTextMessage(ctx, next) {
       }
       
       const wallet = session.userWallets[walletIndex];
-      const engine = getEngine();
+      await setTrackedWalletStatus(userId, wallet, 'active');
+      ctx.session.awaitingBeginWallet = false;
+      ctx.session.userWallets = null;
       
-      if (engine) {
-        await engine.setWalletTradingStatus(userId, wallet, 'active');
-        ctx.session.awaitingBeginWallet = false;
-        ctx.session.userWallets = null;
-        
-        const displayName = engine.getWalletDisplayName(userId, wallet);
-        return ctx.reply(`✅ Trading started for wallet **${displayName}**\n\nThe bot will now copy all trades from this wallet.`, 
-          { parse_mode: 'Markdown' });
-      }
+      const userData = await userService.getUserSettings(userId);
+      const displayName = userService.getWalletDisplayName(userData, wallet);
+      return ctx.reply(`✅ Trading started for wallet **${displayName}**\n\nThe bot will now copy all trades from this wallet.`, 
+        { parse_mode: 'Markdown' });
     }
     
     // Handle pause wallet
@@ -228,17 +258,14 @@ async function handleTextMessage(ctx, next) {
       }
       
       const wallet = session.userWallets[walletIndex];
-      const engine = getEngine();
+      await setTrackedWalletStatus(userId, wallet, 'pause');
+      ctx.session.awaitingPauseWallet = false;
+      ctx.session.userWallets = null;
       
-      if (engine) {
-        await engine.setWalletTradingStatus(userId, wallet, 'pause');
-        ctx.session.awaitingPauseWallet = false;
-        ctx.session.userWallets = null;
-        
-        const displayName = engine.getWalletDisplayName(userId, wallet);
-        return ctx.reply(`⏸️ Trading paused for wallet **${displayName}**\n\nNo trades will be copied until you resume with /begin.`, 
-          { parse_mode: 'Markdown' });
-      }
+      const userData = await userService.getUserSettings(userId);
+      const displayName = userService.getWalletDisplayName(userData, wallet);
+      return ctx.reply(`⏸️ Trading paused for wallet **${displayName}**\n\nNo trades will be copied until you resume with /begin.`, 
+        { parse_mode: 'Markdown' });
     }
     
     // Handle stop wallet
@@ -251,17 +278,14 @@ async function handleTextMessage(ctx, next) {
       }
       
       const wallet = session.userWallets[walletIndex];
-      const engine = getEngine();
+      await setTrackedWalletStatus(userId, wallet, 'stopped');
+      ctx.session.awaitingStopWallet = false;
+      ctx.session.userWallets = null;
       
-      if (engine) {
-        await engine.setWalletTradingStatus(userId, wallet, 'stopped');
-        ctx.session.awaitingStopWallet = false;
-        ctx.session.userWallets = null;
-        
-        const displayName = engine.getWalletDisplayName(userId, wallet);
-        return ctx.reply(`🛑 Trading stopped for wallet **${displayName}**\n\nThis wallet will not copy any trades. Use /begin to restart.`, 
-          { parse_mode: 'Markdown' });
-      }
+      const userData = await userService.getUserSettings(userId);
+      const displayName = userService.getWalletDisplayName(userData, wallet);
+      return ctx.reply(`🛑 Trading stopped for wallet **${displayName}**\n\nThis wallet will not copy any trades. Use /begin to restart.`, 
+        { parse_mode: 'Markdown' });
     }
 
     // Handle wallet addition
@@ -270,14 +294,25 @@ async function handleTextMessage(ctx, next) {
         return ctx.reply('❌ Invalid wallet address format. Please enter a valid Solana or Ethereum/BSC wallet address or type /cancel to exit.');
       }
       
-      await userService.addWallet(userId, input);
       ctx.session.awaitingWallet = false;
       
+      // EVM addresses are valid on every EVM chain, so ask which ones to follow
+      if (userService.detectWalletChain(input) === 'evm') {
+        ctx.session.pendingTrackedWallet = input;
+        return ctx.reply(`🔗 **Select chain to track**\n\n\`${input}\`\n\nWhich chain should this wallet be followed on?`, {
+          parse_mode: 'Markdown',
+          reply_markup: getTrackChainKeyboard()
+        });
+      }
+      
+      const { wallet } = await userService.addWallet(userId, input, ['solana']);
+      await getAdvancedCopyTradingEngine().addMonitoredWallet(userId, wallet);
+      
       // Ask if they want to name this wallet
-      ctx.session.justAddedWallet = input;
+      ctx.session.justAddedWallet = wallet;
       ctx.session.awaitingWalletNameOption = true;
       
-      return ctx.reply(`✅ Wallet has been added successfully!\n\n📝 Would you like to give this wallet a custom name?\n\nReply "yes" to name it or "no" to skip.`);
+      return ctx.reply(`✅ Wallet has been added successfully on SOLANA!\n\n📝 Would you like to give this wallet a custom name?\n\nReply "yes" to name it or "no" to skip.`);
     }
     
     // Handle wallet name option
@@ -380,12 +415,16 @@ async function handleTextMessage(ctx, next) {
         return ctx.reply('❌ Invalid selection. Please enter a valid number or type /cancel to exit.');
       }
       
-      const walletToRemove = session.userWallets[walletIndex];
-      await userService.removeWallet(userId, walletToRemove);
+      const { wallet: walletToRemove, chain } = session.userWallets[walletIndex];
+      const remainingChains = await userService.removeWallet(userId, walletToRemove, chain);
+      if (remainingChains.length === 0) {
+        getAdvancedCopyTradingEngine().removeMonitoredWallet(walletToRemove, userId);
+      }
       ctx.session.awaitingRemoveWallet = false;
       ctx.session.userWallets = null;
       
-      return ctx.reply(`✅ Wallet has been removed successfully.\n🗑️ Removed: ${walletToRemove.substring(0, 8)}...${walletToRemove.substring(walletToRemove.length - 8)}`);
+      return ctx.reply(`✅ Wallet has been removed successfully.\n🗑️ Removed: ${walletToRemove.substring(0, 8)}...${walletToRemove.substring(walletToRemove.length - 8)} (${chain.toUpperCase()})` +
+        (remainingChains.length > 0 ? `\n🔗 Still tracked on: ${remainingChains.map(c => c.toUpperCase()).join(', ')}` : ''));
     }
 
     // Handle trailing stop loss
@@ -0,0 +1,107 @@
+// telegram/commands/pendingTx.js - View, speed up and cancel pending EVM transactions
+const { formatUnits } = require('ethers');
+const userService = require('../../users/userService');
+const { getRealTradingExecutor } = require('../../services/realTradingExecutor');
+const { formatDuration } = require('../../services/walletAnalyticsService');
+
+// The user's custodial EVM addresses, named wallets included
+function getUserEVMAddresses(userData) {
+  return userService.EVM_CHAINS
+    .flatMap(chain => [
+      userData?.custodialWallets?.[chain]?.address,
+      ...(userData?.extraWallets?.[chain] || []).map(wallet => wallet.address)
+    ])
+    .filter(Boolean);
+}
+
+function shortHash(hash) {
+  return `${hash.substring(0, 10)}...${hash.substring(hash.length - 6)}`;
+}
+
+// Callback data is limited to 64 bytes, so buttons carry a hash prefix
+function hashKey(hash) {
+  return hash.substring(2, 42);
+}
+
+async function replyWithReplacement(ctx, txHash, mode) {
+  const userId = String(ctx.from.id);
+  const result = await getRealTradingExecutor().replaceTransaction(userId, txHash, mode);
+
+  if (!result.success) {
+    return ctx.reply(`❌ Could not ${mode === 'cancel' ? 'cancel' : 'speed up'} transaction: ${result.error}`);
+  }
+
+  return ctx.reply(
+    `${mode === 'cancel' ? '🛑 **Cancel Sent**' : '⚡ **Speed-Up Sent**'}\n\n` +
+    `⛓️ Chain: ${result.chain.toUpperCase()}\n` +
+    `🔁 Replaced: \`${shortHash(result.replacedHash)}\`\n` +
+    `🆕 New: \`${result.txHash}\`\n\n` +
+    `🔗 [View Transaction](${result.explorerUrl})`,
+    { parse_mode: 'Markdown', disable_web_page_preview: true }
+  );
+}
+
+module.exports = function(bot) {
+  bot.command('pending', async (ctx) => {
+    try {
+      const userId = String(ctx.from.id);
+      const userData = await userService.getUserSettings(userId);
+      const pending = getRealTradingExecutor().getPendingTransactions(getUserEVMAddresses(userData));
+
+      if (pending.length === 0) {
+        return ctx.reply('✅ No pending transactions.');
+      }
+
+      let message = `⏳ **Pending Transactions**\n\n`;
+      const keyboard = [];
+
+      pending.forEach((tx, index) => {
+        const fee = tx.maxFeePerGas ?? tx.gasPrice;
+        message += `${index + 1}. **${tx.chain.toUpperCase()}** • ${tx.description}${tx.privateRelay ? ' • 🛡️ Private' : ''}\n`;
+        message += `   🔗 \`${tx.hash}\`\n`;
+        message += `   🔢 Nonce ${tx.nonce} • ⛽ ${fee ? parseFloat(formatUnits(fee, 'gwei')).toFixed(2) : '?'} gwei • ⏱️ ${formatDuration(Date.now() - tx.sentAt)} ago\n\n`;
+
+        keyboard.push([
+          { text: `⚡ Speed up #${index + 1}`, callback_data: `txr_speedup_${hashKey(tx.hash)}` },
+          { text: `🛑 Cancel #${index + 1}`, callback_data: `txr_cancel_${hashKey(tx.hash)}` }
+        ]);
+      });
+
+      message += `💡 Speed up resends with higher fees; cancel replaces it with an empty self-transfer.`;
+
+      await ctx.reply(message, {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: keyboard }
+      });
+    } catch (error) {
+      console.error('Pending command error:', error);
+      await ctx.reply('❌ Error loading pending transactions.');
+    }
+  });
+
+  bot.command('speedup', async (ctx) => {
+    const [, txHash] = ctx.message.text.trim().split(/\s+/);
+    if (!txHash) {
+      return ctx.reply('Usage: `/speedup <tx hash>`\n\nSee /pending for your pending transactions.', { parse_mode: 'Markdown' });
+    }
+    return replyWithReplacement(ctx, txHash, 'speedup');
+  });
+
+  bot.command('canceltx', async (ctx) => {
+    const [, txHash] = ctx.message.text.trim().split(/\s+/);
+    if (!txHash) {
+      return ctx.reply('Usage: `/canceltx <tx hash>`\n\nSee /pending for your pending transactions.', { parse_mode: 'Markdown' });
+    }
+    return replyWithReplacement(ctx, txHash, 'cancel');
+  });
+
+  bot.action(/^txr_(speedup|cancel)_([a-fA-F0-9]+)$/, async (ctx) => {
+    try {
+      await ctx.answerCbQuery(ctx.match[1] === 'cancel' ? '🛑 Cancelling...' : '⚡ Speeding up...');
+      return replyWithReplacement(ctx, ctx.match[2], ctx.match[1]);
+    } catch (error) {
+      console.error('Pending transaction callback error:', error);
+      return ctx.answerCbQuery('❌ Error replacing transaction');
+    }
+  });
+};
@@ -1,5 +1,7 @@
 // Recovery commands for lost/old wallets
 const walletRecoveryService = require('../../services/walletRecoveryService');
+const userService = require('../../users/userService');
+const walletAnalyticsService = require('../../services/walletAnalyticsService');
 
 module.exports = function(bot) {
   // Main recovery command
@@ -72,6 +74,27 @@ module.exports = function(bot) {
         message += `\n`;
       }
       
+      // Tracked (copy) wallets, grouped by the chain they're followed on
+      const userData = await userService.getUserSettings(userId);
+      const trackedChains = ['solana', ...userService.EVM_CHAINS]
+        .map(chain => [chain, userService.getTrackedWalletsByChain(userData, chain)])
+        .filter(([, wallets]) => wallets.length > 0);
+      
+      if (trackedChains.length > 0) {
+        message += `👀 **TRACKED WALLETS:**\n`;
+        for (const [chain, wallets] of trackedChains) {
+          message += `   ${chain.toUpperCase()}:\n`;
+          wallets.forEach(wallet => {
+            const stats = walletAnalyticsService.getCachedWalletStats(wallet, chain);
+            message += `   • ${userService.getWalletDisplayName(userData, wallet)}: \`${wallet}\`\n`;
+            message += stats
+              ? `     📈 ${walletAnalyticsService.formatWalletStatsSummary(stats)}\n`
+              : `     📈 No stats yet - use /walletstats\n`;
+          });
+        }
+        message += `\n`;
+      }
+      
       message += `📊 **Summary:** ${quickCheck.totalWallets} total wallet(s)\n\n`;
       
       if (quickCheck.hasMultipleWallets) {
@@ -12,13 +12,15 @@ module.exports = function(bot) {
         return ctx.reply('❌ No wallets found to remove. Add a wallet first with /addwallet');
       }
       
-      const walletsList = settings.wallets
-        .map((w, i) => `${i + 1}. ${w.substring(0, 8)}...${w.substring(w.length - 8)}`)
+      // One entry per chain so an EVM wallet can be dropped from a single chain
+      const entries = userService.getTrackedWalletEntries(settings);
+      const walletsList = entries
+        .map(({ wallet: w, chain }, i) => `${i + 1}. ${w.substring(0, 8)}...${w.substring(w.length - 8)} (${chain.toUpperCase()})`)
         .join('\n');
       
       ctx.session = ctx.session || {};
       ctx.session.awaitingRemoveWallet = true;
-      ctx.session.userWallets = settings.wallets;
+      ctx.session.userWallets = entries;
       
       return ctx.reply(`🗑️ Select a wallet to remove by sending its number:\n\n${walletsList}\n\nOr type /cancel to exit.`);
       
@@ -12,7 +12,7 @@ module.exports = function (bot) {
       }
       
       const walletsList = settings.wallets && settings.wallets.length > 0 
-        ? settings.wallets.map(w => `• ${w.substring(0, 8)}...${w.substring(w.length - 8)}`).join('\n')
+        ? settings.wallets.map(w => `• ${w.substring(0, 8)}...${w.substring(w.length - 8)} (${userService.getWalletChains(settings, w).map(c => c.toUpperCase()).join(', ')})`).join('\n')
         : 'None';
       
       const sellTargetsList = settings.sellTargets && settings.sellTargets.length > 0
@@ -2,6 +2,105 @@
 const { getManualTradingService } = require('../../services/manualTrading');
 const userService = require('../../users/userService');
 const tokenDataService = require('../../services/tokenDataService');
+const { SOLANA_FEE_LEVELS, QUOTE_ASSETS, getRealTradingExecutor } = require('../../services/realTradingExecutor');
+
+// Solana priority fee level and MEV protection settings with their buttons
+function priorityFeeMenu(userSettings) {
+  const level = userSettings.priorityFee || 'fast';
+  const labels = { normal: '🐢 Normal', fast: '🚀 Fast', turbo: '⚡ Turbo' };
+
+  const text = `⛽ **Solana Priority Fees**\n\n` +
+    `**Current Level:** ${labels[level]}\n` +
+    `**MEV Protection:** ${userSettings.mevProtection ? '🛡️ On' : 'Off'}\n\n` +
+    `Fees are priced from what recent transactions paid on the pools your swap uses:\n` +
+    `• Normal - median fee\n` +
+    `• Fast - 75th percentile\n` +
+    `• Turbo - 95th percentile\n\n` +
+    `With MEV protection on (/mevprotect), Solana swaps are sent as Jito bundles with a ` +
+    `${SOLANA_FEE_LEVELS[level].jitoTipLamports / 1e9} SOL tip and never enter the public mempool.`;
+
+  const keyboard = {
+    inline_keyboard: [
+      Object.keys(labels).map(key => ({
+        text: key === level ? `✅ ${labels[key]}` : labels[key],
+        callback_data: `set_priofee_${key}`
+      })),
+      [{ text: userSettings.mevProtection ? '🛡️ Disable MEV Protection' : '🛡️ Enable MEV Protection', callback_data: 'toggle_mev_protection' }]
+    ]
+  };
+
+  return { text, keyboard };
+}
+
+// Quote asset for /buy and /sell on the user's chain, with a button per available asset
+function quoteAssetMenu(userSettings) {
+  const chain = userSettings.chain || 'solana';
+  const executor = getRealTradingExecutor();
+  const current = executor.getQuoteToken(chain, userSettings.quoteAssets?.[chain]);
+  const assets = ['native', ...Object.keys(QUOTE_ASSETS[chain] || {})];
+
+  const text = `💱 **Quote Asset - ${chain.toUpperCase()}**\n\n` +
+    `**Current:** ${current.symbol}\n\n` +
+    `/buy spends the quote asset and /sell receives it. Each position keeps the asset it was ` +
+    `opened in for its PnL; values are shown in USD.\n\n` +
+    `Use /swap to trade directly between any two tokens you hold.`;
+
+  const keyboard = {
+    inline_keyboard: [
+      assets.map(asset => {
+        const { symbol } = executor.getQuoteToken(chain, asset);
+        return {
+          text: asset === current.asset ? `✅ ${symbol}` : symbol,
+          callback_data: `set_quote_${asset}`
+        };
+      })
+    ]
+  };
+
+  return { text, keyboard };
+}
+
+// Resolve a /swap side: the chain's native symbol or a stablecoin symbol name a quote asset,
+// anything else must be a token address
+function resolveSwapToken(chain, input) {
+  const quote = getRealTradingExecutor().findQuoteAsset(chain, input);
+  if (quote) {
+    return { token: quote.asset, symbol: quote.symbol };
+  }
+  return input.length >= 32 ? { token: input, symbol: null } : null;
+}
+
+// "Main 120.0000, Sniper 40.0000" for a position held in several wallets
+function formatWalletHoldings(position) {
+  return position.walletHoldings.map(holding => `${holding.name} ${holding.amount.toFixed(4)}`).join(', ');
+}
+
+// On-chain simulation lines for a trade confirmation
+function formatSimulation(simulation, nativeSymbol, outputSymbol) {
+  const amount = value => value.toLocaleString('en-US', { maximumSignificantDigits: 6 });
+
+  let text = `🔮 **Simulation:**\n`;
+  text += `• **Expected Output:** ${simulation.exactOutput ? '' : '~'}${amount(simulation.expectedOutput)} ${outputSymbol}\n`;
+  text += `• **Minimum Output:** ${amount(simulation.minOutput)} ${outputSymbol}\n`;
+
+  if (simulation.priceImpact !== null) {
+    text += `• **Price Impact:** ${simulation.priceImpact.toFixed(2)}%\n`;
+  }
+
+  text += `• **Route:** ${simulation.route}\n`;
+
+  if (simulation.computeUnits != null) {
+    text += `• **Compute Units:** ${simulation.computeUnits.toLocaleString()}\n`;
+  }
+  if (simulation.gasUsed != null) {
+    text += `• **Gas:** ${simulation.gasUsed.toLocaleString()}\n`;
+  }
+  if (simulation.networkFee != null) {
+    text += `• **Network Fee:** ~${amount(simulation.networkFee)} ${nativeSymbol}\n`;
+  }
+
+  return text;
+}
 
 module.exports = function(bot) {
   // Enhanced buy command with real execution
@@ -88,16 +187,29 @@ module.exports = function(bot) {
             return ctx.reply('❌ No wallet found. Please create one with /wallet');
           }
           
-          const walletService = require('../../services/walletService');
-          const balanceInfo = await walletService.getWalletBalance(userSettings.custodialWallets[chain].address, chain);
-          const availableBalance = parseFloat(balanceInfo.balance);
+          const walletAddress = userSettings.custodialWallets[chain].address;
+          const executor = getRealTradingExecutor();
+          const quoteToken = executor.getQuoteToken(chain, userSettings.quoteAssets?.[chain]);
           
-          // Reserve some for gas fees
-          const gasReserve = chain === 'solana' ? 0.01 : chain === 'ethereum' ? 0.01 : 0.001;
-          amount = Math.max(0, availableBalance - gasReserve);
-          
-          if (amount <= 0) {
-            return ctx.reply(`❌ Insufficient balance for max buy. Current balance: ${balanceInfo.balance} ${balanceInfo.symbol}`);
+          if (quoteToken.native) {
+            const walletService = require('../../services/walletService');
+            const balanceInfo = await walletService.getWalletBalance(walletAddress, chain);
+            const availableBalance = parseFloat(balanceInfo.balance);
+            
+            // Reserve some for gas fees
+            const gasReserve = chain === 'solana' ? 0.01 : chain === 'ethereum' ? 0.01 : 0.001;
+            amount = Math.max(0, availableBalance - gasReserve);
+            
+            if (amount <= 0) {
+              return ctx.reply(`❌ Insufficient balance for max buy. Current balance: ${balanceInfo.balance} ${balanceInfo.symbol}`);
+            }
+          } else {
+            // Gas is paid in the native coin, so the whole stablecoin balance can be spent
+            amount = await executor.getTokenBalance(chain, walletAddress, quoteToken.address);
+            
+            if (amount <= 0) {
+              return ctx.reply(`❌ No ${quoteToken.symbol} to spend. Switch the quote asset with /quote.`);
+            }
           }
         } else {
           // Amount and token
@@ -154,6 +266,23 @@ module.exports = function(bot) {
           tradeType: 'buy'
         };
         
+        const executor = getRealTradingExecutor();
+        const nativeSymbol = executor.getQuoteToken(chain).symbol;
+        const quoteSymbol = executor.getQuoteToken(chain, userSettings.quoteAssets?.[chain]).symbol;
+        
+        // Pre-flight the swap; a buy that would revert is not offered for confirmation
+        const quote = await service.getTokenQuote(userId, tokenInfo.address, chain, amount, 'buy', tradeParams.slippage);
+        if (quote.success && quote.quote.revertReason) {
+          await ctx.editMessageText(
+            `❌ **Buy would fail**\n\n` +
+            `🎯 **${tokenInfo.name}** (${tokenInfo.symbol})\n` +
+            `🔮 Simulation reverted: \`${quote.quote.revertReason}\`\n\n` +
+            `💡 Check your balance, or retry with a smaller amount or higher slippage.`,
+            { parse_mode: 'Markdown' }
+          );
+          return;
+        }
+        
         const confirmation = await service.createTradeConfirmation(userId, tradeParams);
         
         if (!confirmation.success) {
@@ -169,11 +298,10 @@ module.exports = function(bot) {
         
         // Format confirmation message
         const chainEmoji = chain ===  'solana' ? '🟣' : chain === 'ethereum' ? '🔷' : '🟡';
-        const chainSymbol = chain === 'solana' ? 'SOL' : chain === 'ethereum' ? 'ETH' : 'BNB';
         
         let message = `🟢 **Confirm BUY Order** ${chainEmoji}\n\n`;
         message += `🎯 **${tokenInfo.name}** (${tokenInfo.symbol})\n`;
-        message += `**Amount:** ${amount} ${chainSymbol}\n\n`;
+        message += `**Amount:** ${amount} ${quoteSymbol}\n\n`;
         
         message += `📊 **Token Analysis:**\n`;
         message += `• **Price:** $${tokenInfo.price?.toFixed(8) || 'Unknown'}\n`;
@@ -194,14 +322,21 @@ module.exports = function(bot) {
         message += `\n📍 **Contract:** \`${tokenInfo.address}\`\n\n`;
         
         message += `💰 **Order Summary:**\n`;
-        message += `• **Total Cost:** ${amount} ${chainSymbol}\n`;
+        message += `• **Total Cost:** ${amount} ${quoteSymbol}\n`;
         message += `• **TX fee - ${feeCode}:** ${devFee.toFixed(6)}\n`;
         message += `• **Net Amount:** ${netAmount.toFixed(6)}\n`;
         message += `• **Slippage:** ${tradeParams.slippage}%\n\n`;
         
-        if (tokenInfo.warnings && tokenInfo.warnings.length > 0) {
+        if (quote.success) {
+          message += `${formatSimulation(quote.quote, nativeSymbol, tokenInfo.symbol)}\n`;
+        } else {
+          message += `🔮 **Simulation unavailable:** ${quote.message}\n\n`;
+        }
+        
+        const warnings = [...(tokenInfo.warnings || []), ...(quote.warnings || [])];
+        if (warnings.length > 0) {
           message += `⚠️ **Warnings:**\n`;
-          tokenInfo.warnings.forEach(warning => {
+          warnings.forEach(warning => {
             message += `• ${warning}\n`;
           });
           message += `\n`;
@@ -280,7 +415,10 @@ module.exports = function(bot) {
             
             message += `${i + 1}. ${pnlEmoji} **${position.tokenSymbol || 'Unknown'}**\n`;
             message += `   • **Amount:** ${position.amount?.toFixed(4) || 0}\n`;
-            message += `   • **Avg Price:** $${position.avgBuyPrice?.toFixed(8) || 0}\n`;
+            if (position.walletHoldings?.length > 1) {
+              message += `   • **Wallets:** ${formatWalletHoldings(position)}\n`;
+            }
+            message += `   • **Avg Price:** ${position.avgBuyPrice?.toFixed(8) || 0} ${position.quoteSymbol || ''}\n`;
             message += `   • **Current:** $${position.currentPrice?.toFixed(8) || 0}\n`;
             message += `   • **PnL:** ${position.pnl >= 0 ? '+' : ''}${position.pnlPercentage?.toFixed(2) || 0}%\n`;
             message += `   • **Value:** $${position.currentValue?.toFixed(2) || 0}\n`;
@@ -414,20 +552,24 @@ module.exports = function(bot) {
         
         message += `📊 **Position Details:**\n`;
         message += `• **Total Tokens:** ${position.amount?.toFixed(4) || 0}\n`;
-        message += `• **Avg Buy Price:** $${position.avgBuyPrice?.toFixed(8) || 0}\n`;
+        if (position.walletHoldings?.length > 1) {
+          message += `• **Held In:** ${formatWalletHoldings(position)} (each sells ${percentage}%)\n`;
+        }
+        message += `• **Avg Buy Price:** ${position.avgBuyPrice?.toFixed(8) || 0} ${position.quoteSymbol || ''}\n`;
         message += `• **Current Price:** $${position.currentPrice?.toFixed(8) || 0}\n`;
         message += `• **Selling:** ${sellAmount.toFixed(4)} tokens\n`;
         message += `• **Est. Receive:** $${sellValue.toFixed(2)}\n\n`;
         
         message += `💰 **PnL Analysis:**\n`;
         message += `• **Position PnL:** ${pnlEmoji} ${position.pnl >= 0 ? '+' : ''}${position.pnlPercentage?.toFixed(2) || 0}%\n`;
-        message += `• **Cost Basis:** $${((position.amount || 0) * (position.avgBuyPrice || 0)).toFixed(2)}\n`;
+        message += `• **Cost Basis:** $${((position.currentValue || 0) - (position.pnlUsd || 0)).toFixed(2)}\n`;
         message += `• **Current Value:** $${position.currentValue?.toFixed(2) || 0}\n\n`;
         
         message += `💸 **Transaction Summary:**\n`;
         message += `• **Gross Proceeds:** $${sellValue.toFixed(2)}\n`;
         message += `• **TX fee - ${feeCode}:** $${devFee.toFixed(4)}\n`;
-        message += `• **Net Proceeds:** $${(sellValue - devFee).toFixed(2)}\n\n`;
+        message += `• **Net Proceeds:** $${(sellValue - devFee).toFixed(2)}\n`;
+        message += `• **Received In:** ${getRealTradingExecutor().getQuoteToken(position.chain, userSettings.quoteAssets?.[position.chain]).symbol}\n\n`;
         
         message += `✅ **Ready for execution on ${position.chain.toUpperCase()} blockchain**\n`;
         message += `⚠️ **Reply YES to confirm or NO to cancel**\n`;
@@ -812,6 +954,269 @@ Provides comprehensive token analysis with risk assessment, technical indicators
     }
   });
   
+  // Priority fee command
+  bot.command('priorityfee', async (ctx) => {
+    try {
+      const userId = String(ctx.from.id);
+      await userService.updateLastActive(userId);
+      
+      const args = ctx.message.text.split(' ').slice(1);
+      const userSettings = await userService.getUserSettings(userId);
+      
+      if (args.length > 0) {
+        const level = args[0].toLowerCase();
+        if (!SOLANA_FEE_LEVELS[level]) {
+          return ctx.reply('❌ Invalid level. Use normal, fast or turbo.');
+        }
+        userSettings.priorityFee = level;
+        await userService.saveUserData(userId, userSettings);
+      }
+      
+      const { text, keyboard } = priorityFeeMenu(userSettings);
+      await ctx.reply(text, { parse_mode: 'Markdown', reply_markup: keyboard });
+      
+    } catch (err) {
+      console.error('Priority fee command error:', err);
+      await ctx.reply('❌ Error updating priority fee settings.');
+    }
+  });
+  
+  // Handle priority fee level and MEV protection callbacks
+  bot.action(/^(set_priofee_(normal|fast|turbo)|toggle_mev_protection)$/, async (ctx) => {
+    try {
+      const userId = String(ctx.from.id);
+      const userSettings = await userService.getUserSettings(userId);
+      
+      if (ctx.match[2]) {
+        userSettings.priorityFee = ctx.match[2];
+      } else {
+        userSettings.mevProtection = !userSettings.mevProtection;
+      }
+      await userService.saveUserData(userId, userSettings);
+      await ctx.answerCbQuery('✅ Updated');
+      
+      const { text, keyboard } = priorityFeeMenu(userSettings);
+      await ctx.editMessageText(text, { parse_mode: 'Markdown', reply_markup: keyboard });
+      
+    } catch (error) {
+      console.error('Priority fee callback error:', error);
+      await ctx.answerCbQuery('❌ Error updating priority fee');
+    }
+  });
+  
+  // MEV protection toggle
+  bot.command('mevprotect', async (ctx) => {
+    try {
+      const userId = String(ctx.from.id);
+      await userService.updateLastActive(userId);
+      
+      const arg = ctx.message.text.split(' ')[1]?.toLowerCase();
+      const userSettings = await userService.getUserSettings(userId);
+      
+      if (arg && !['on', 'off'].includes(arg)) {
+        return ctx.reply('Usage: `/mevprotect [on|off]`', { parse_mode: 'Markdown' });
+      }
+      
+      userSettings.mevProtection = arg ? arg === 'on' : !userSettings.mevProtection;
+      await userService.saveUserData(userId, userSettings);
+      
+      let message = `🛡️ **MEV Protection ${userSettings.mevProtection ? 'Enabled' : 'Disabled'}**\n\n`;
+      if (userSettings.mevProtection) {
+        message += `• Ethereum: swaps go to a private relay instead of the public mempool, `;
+        message += `and are broadcast publicly only if the relay hasn't included them after a few blocks\n`;
+        message += `• Solana: swaps are sent as Jito bundles (tip set by /priorityfee)\n\n`;
+        message += `Other EVM chains still use the public mempool.`;
+      } else {
+        message += `Swaps are sent through the public mempool, where sandwich bots can see them.`;
+      }
+      
+      await ctx.reply(message, { parse_mode: 'Markdown' });
+      
+    } catch (err) {
+      console.error('MEV protection command error:', err);
+      await ctx.reply('❌ Error updating MEV protection.');
+    }
+  });
+  
+  // Quote asset for /buy and /sell on the current chain
+  bot.command('quote', async (ctx) => {
+    try {
+      const userId = String(ctx.from.id);
+      await userService.updateLastActive(userId);
+      
+      const arg = ctx.message.text.split(' ')[1];
+      const userSettings = await userService.getUserSettings(userId);
+      const chain = userSettings.chain || 'solana';
+      
+      if (arg) {
+        const quote = getRealTradingExecutor().findQuoteAsset(chain, arg);
+        if (!quote) {
+          const options = [getRealTradingExecutor().getQuoteToken(chain).symbol, ...Object.keys(QUOTE_ASSETS[chain] || {})];
+          return ctx.reply(`❌ Invalid quote asset for ${chain.toUpperCase()}. Use ${options.join(', ')}.`);
+        }
+        userSettings.quoteAssets = { ...userSettings.quoteAssets, [chain]: quote.asset };
+        await userService.saveUserData(userId, userSettings);
+      }
+      
+      const { text, keyboard } = quoteAssetMenu(userSettings);
+      await ctx.reply(text, { parse_mode: 'Markdown', reply_markup: keyboard });
+      
+    } catch (err) {
+      console.error('Quote asset command error:', err);
+      await ctx.reply('❌ Error updating quote asset.');
+    }
+  });
+  
+  // Handle quote asset buttons
+  bot.action(/^set_quote_(\w+)$/, async (ctx) => {
+    try {
+      const userId = String(ctx.from.id);
+      const userSettings = await userService.getUserSettings(userId);
+      const chain = userSettings.chain || 'solana';
+      
+      const quote = getRealTradingExecutor().findQuoteAsset(chain, ctx.match[1]);
+      if (!quote) {
+        return ctx.answerCbQuery('❌ Not available on this chain');
+      }
+      
+      userSettings.quoteAssets = { ...userSettings.quoteAssets, [chain]: quote.asset };
+      await userService.saveUserData(userId, userSettings);
+      await ctx.answerCbQuery(`✅ Trading in ${quote.symbol}`);
+      
+      const { text, keyboard } = quoteAssetMenu(userSettings);
+      await ctx.editMessageText(text, { parse_mode: 'Markdown', reply_markup: keyboard });
+      
+    } catch (error) {
+      console.error('Quote asset callback error:', error);
+      await ctx.answerCbQuery('❌ Error updating quote asset');
+    }
+  });
+  
+  // Swap between any two assets held on the current chain
+  bot.command('swap', async (ctx) => {
+    try {
+      const userId = String(ctx.from.id);
+      await userService.updateLastActive(userId);
+      
+      const args = ctx.message.text.split(' ').slice(1).filter(Boolean);
+      const userSettings = await userService.getUserSettings(userId);
+      const chain = userSettings.chain;
+      
+      if (!chain) {
+        return ctx.reply('⚠️ Please set your chain first. Use /setchain command.');
+      }
+      
+      if (args.length < 3 || args.length > 4) {
+        const nativeSymbol = getRealTradingExecutor().getQuoteToken(chain).symbol;
+        return ctx.reply(`📝 **Swap Command Usage:**
+
+• \`/swap <amount|max> <from> <to> [slippage]\`
+
+\`from\` and \`to\` are token addresses, ${nativeSymbol}, USDC or USDT.
+
+**Examples:**
+• \`/swap 50 USDC <token_address>\` - Buy with USDC
+• \`/swap max <token_address> USDC\` - Sell a position into USDC
+• \`/swap 1000 <token_a> <token_b>\` - Token to token
+• \`/swap 0.5 ${nativeSymbol} USDT\`
+
+Token-to-token swaps move the position's cost basis to the new token.`, { parse_mode: 'Markdown' });
+      }
+      
+      if (!userSettings.custodialWallets || !userSettings.custodialWallets[chain]) {
+        return ctx.reply('⚠️ Please create a wallet first with /wallet');
+      }
+      
+      const from = resolveSwapToken(chain, args[1]);
+      const to = resolveSwapToken(chain, args[2]);
+      if (!from || !to) {
+        return ctx.reply('❌ Unknown token. Use a token address or the native, USDC or USDT symbol.');
+      }
+      if (from.token.toLowerCase() === to.token.toLowerCase()) {
+        return ctx.reply('❌ Cannot swap a token into itself.');
+      }
+      
+      const slippage = args[3] ? parseFloat(args[3]) : userSettings.slippage || 5;
+      if (isNaN(slippage) || slippage < 0 || slippage > 50) {
+        return ctx.reply('❌ Invalid slippage. Please enter a value between 0 and 50.');
+      }
+      
+      const service = getManualTradingService();
+      const positions = from.symbol ? [] : await service.getUserPositions(userId);
+      const position = positions.find(p => p.tokenAddress.toLowerCase() === from.token.toLowerCase() && p.chain === chain);
+      if (!from.symbol && !position) {
+        return ctx.reply('❌ You don\'t have a position in this token.');
+      }
+      
+      let amount;
+      if (args[0].toLowerCase() === 'max') {
+        if (position) {
+          amount = position.amount;
+        } else {
+          const executor = getRealTradingExecutor();
+          const quoteToken = executor.getQuoteToken(chain, from.token);
+          const walletAddress = userSettings.custodialWallets[chain].address;
+          amount = quoteToken.native
+            ? null
+            : await executor.getTokenBalance(chain, walletAddress, quoteToken.address);
+          if (amount === null) {
+            return ctx.reply(`❌ Specify an amount when swapping from ${from.symbol} - some is needed for gas.`);
+          }
+        }
+      } else {
+        amount = parseFloat(args[0]);
+      }
+      
+      if (isNaN(amount) || amount <= 0) {
+        return ctx.reply('❌ Invalid amount. Please enter a positive number.');
+      }
+      if (position && amount > position.amount) {
+        return ctx.reply(`❌ Insufficient tokens. You have ${position.amount.toFixed(4)} ${position.tokenSymbol}.`);
+      }
+      
+      const fromSymbol = from.symbol || position.tokenSymbol;
+      const toSymbol = to.symbol || (await tokenDataService.getTokenInfo(to.token, chain))?.symbol || 'Token';
+      
+      const confirmation = await service.createTradeConfirmation(userId, {
+        fromToken: position ? position.tokenAddress : from.token,
+        toToken: to.token,
+        fromSymbol,
+        toSymbol,
+        amount,
+        chain,
+        slippage,
+        tradeType: 'swap'
+      });
+      
+      if (!confirmation.success) {
+        return ctx.reply(`❌ Failed to prepare swap: ${confirmation.message}`);
+      }
+      
+      const devFeePercent = parseFloat(process.env.DEV_FEE_PERCENT || '3');
+      
+      let message = `🔄 **Confirm SWAP**\n\n`;
+      message += `• **From:** ${amount} ${fromSymbol}\n`;
+      message += `• **To:** ${toSymbol}\n`;
+      if (!to.symbol) {
+        message += `• **Contract:** \`${to.token}\`\n`;
+      }
+      message += `• **Slippage:** ${slippage}%\n`;
+      message += `• **TX fee - ${String(devFeePercent).padStart(4, '0')}:** ${devFeePercent}% of the amount swapped\n\n`;
+      message += `⚠️ **Reply YES to confirm or NO to cancel**\n`;
+      message += `⏰ Expires in 60 seconds`;
+      
+      ctx.session = ctx.session || {};
+      ctx.session.pendingTradeId = confirmation.tradeId;
+      ctx.session.awaitingTradeConfirmation = true;
+      
+      await ctx.reply(message, { parse_mode: 'Markdown' });
+      
+    } catch (err) {
+      console.error('Swap command error:', err);
+      await ctx.reply('❌ Error processing swap command. Please try again.');
+    }
+  });
+  
   // Start trading callback
   bot.action('start_trading', async (ctx) => {
     try {
@@ -1,9 +1,46 @@
 const { Composer } = require('telegraf');
 const walletService = require('../../services/walletService');
 const userService = require('../../users/userService');
+const { getAdvancedCopyTradingEngine } = require('../../services/advancedCopyTradingEngine');
 
 const walletHandler = new Composer();
 
+// The user's custodial wallets on a chain with balances, a select button per wallet and the multi-buy switch
+async function walletsMenu(userId, chain) {
+  const wallets = await walletService.getUserWallets(userId, chain);
+  const multiBuy = getAdvancedCopyTradingEngine().getCopyTradeSettings(String(userId)).multiBuy?.enabled;
+
+  let text = `👛 **Your ${chain.toUpperCase()} Wallets** (${wallets.length}/${walletService.MAX_WALLETS_PER_CHAIN})\n\n`;
+
+  for (const wallet of wallets) {
+    const balanceInfo = await walletService.getWalletBalance(wallet.address, chain);
+    text += `${wallet.selected ? '✅' : '⬜'} **${wallet.name}**${wallet.main ? ' (main)' : ''}\n`;
+    text += `   \`${wallet.address}\`\n`;
+    text += `   💰 ${balanceInfo.balance} ${balanceInfo.symbol} ($${balanceInfo.usdValue})\n\n`;
+  }
+
+  text += `🔥 **Multi-Buy:** ${multiBuy ? 'ON - copy buys run once per selected wallet' : 'OFF - copy buys use the main wallet'}\n\n`;
+  text += `💡 **Manage:**\n`;
+  text += `• \`/newwallet <name>\` - Create another wallet\n`;
+  text += `• \`/renamewallet <name> <new name>\` - Rename a wallet\n`;
+  text += `• \`/fundwallet <name> <amount>\` - Fund a wallet from the main one\n`;
+  text += `• \`/exportwallet <name>\` - Export a wallet's private key\n\n`;
+  text += `Tap a wallet to select it for multi-buys. Positions are tracked per wallet and sells ` +
+    `run from every wallet holding the token.`;
+
+  const keyboard = {
+    inline_keyboard: [
+      ...wallets.map(wallet => [{
+        text: `${wallet.selected ? '✅' : '⬜'} ${wallet.name}`,
+        callback_data: `wsel_${chain}_${wallet.id}`
+      }]),
+      [{ text: multiBuy ? '🔥 Disable Multi-Buy' : '🔥 Enable Multi-Buy', callback_data: 'multibuy_toggle' }]
+    ]
+  };
+
+  return { text, keyboard };
+}
+
 // Enhanced wallet creation command with auto-initialization
 walletHandler.command('wallet', async (ctx) => {
   try {
@@ -50,6 +87,7 @@ walletHandler.command('wallet', async (ctx) => {
       
       message += `\n💡 **Quick Actions:**\n`;
       message += `• \`/exportwallet\` - Export private key (SECURE!)\n`;
+      message += `• \`/mywallets\` - Manage multiple wallets\n`;
       message += `• \`/balance\` - Check current balance\n`;
       message += `• \`/buy <amount> <token>\` - Buy tokens\n`;
       message += `• \`/sell <token>\` - Sell tokens\n`;
@@ -111,18 +149,32 @@ walletHandler.command('exportwallet', async (ctx) => {
     
     const chain = userSettings.chain;
     
+    // `/exportwallet <name>` exports one of the named wallets instead of the main one
+    const walletName = ctx.message.text.split(' ').slice(1).join(' ').trim();
+    const namedWallet = walletName ? await walletService.findUserWallet(userId, chain, walletName) : null;
+    if (walletName && !namedWallet) {
+      return ctx.reply(`❌ No ${chain.toUpperCase()} wallet named "${walletName}". See /mywallets`);
+    }
+    const walletId = namedWallet?.id || 'main';
+    
     // Show loading message
     const loadingMsg = await ctx.reply('🔐 Exporting wallet information...');
     
     try {
       // Attempt to export wallet information
-      const exportResult = await walletService.exportWalletInfo(userId, chain);
+      const exportResult = await walletService.exportWalletInfo(userId, chain, walletId);
       
       if (!exportResult) {
         await ctx.editMessageText('❌ No wallet found for export. Please create a wallet first with /wallet');
         return;
       }
       
+      // Regeneration only replaces the main wallet
+      if (walletId !== 'main' && (exportResult.privateKey === 'undefined' || exportResult.error?.includes('decrypt'))) {
+        await ctx.editMessageText(`❌ Cannot decrypt wallet "${exportResult.name}": ${exportResult.error}\n\nContact /support for help.`);
+        return;
+      }
+      
       // Check if decryption failed
       if (exportResult.privateKey === 'undefined' || exportResult.error?.includes('decrypt')) {
         // Handle decryption failure
@@ -156,7 +208,7 @@ walletHandler.command('exportwallet', async (ctx) => {
       }
       
       // Normal export flow (decryption successful)
-      let message = `🔐 **${chain.toUpperCase()} WALLET EXPORT**\n\n`;
+      let message = `🔐 **${chain.toUpperCase()} WALLET EXPORT - ${exportResult.name}**\n\n`;
       message += `📍 **Address:**\n\`${exportResult.address}\`\n\n`;
       message += `🔑 **Private Key:**\n\`${exportResult.privateKey}\`\n\n`;
       
@@ -244,6 +296,184 @@ walletHandler.command('exportwallet', async (ctx) => {
   }
 });
 
+// List the user's wallets on the current chain and pick the ones multi-buys use
+walletHandler.command('mywallets', async (ctx) => {
+  try {
+    const userId = ctx.from.id;
+    const userSettings = await userService.getUserSettings(userId);
+    
+    if (!userSettings.chain) {
+      return ctx.reply('⚠️ Please set your chain first using /setchain command.');
+    }
+    if (!userSettings.custodialWallets || !userSettings.custodialWallets[userSettings.chain]) {
+      return ctx.reply('❌ No wallet found. Please create one first with /wallet');
+    }
+    
+    const { text, keyboard } = await walletsMenu(userId, userSettings.chain);
+    await ctx.reply(text, { parse_mode: 'Markdown', reply_markup: keyboard });
+    
+  } catch (error) {
+    console.error('My wallets command error:', error);
+    await ctx.reply('❌ Error loading your wallets. Please try again.');
+  }
+});
+
+// Create an additional named wallet on the current chain
+walletHandler.command('newwallet', async (ctx) => {
+  try {
+    const userId = ctx.from.id;
+    const name = ctx.message.text.split(' ').slice(1).join(' ').trim();
+    const userSettings = await userService.getUserSettings(userId);
+    
+    if (!userSettings.chain) {
+      return ctx.reply('⚠️ Please set your chain first using /setchain command.');
+    }
+    if (!name) {
+      return ctx.reply('❌ Usage: `/newwallet <name>`\n\nExample: `/newwallet sniper`', { parse_mode: 'Markdown' });
+    }
+    
+    const chain = userSettings.chain;
+    const result = await walletService.createNamedWallet(userId, chain, name);
+    
+    if (!result.success) {
+      return ctx.reply(`❌ ${result.error}`);
+    }
+    
+    await ctx.reply(
+      `✅ **Wallet "${result.name}" created**\n\n` +
+      `📍 **Address:**\n\`${result.address}\`\n\n` +
+      `💰 Fund it by sending ${chain.toUpperCase()} funds to the address, or from your main wallet with ` +
+      `\`/fundwallet ${result.name} <amount>\`\n\n` +
+      `Select it in /mywallets to include it in multi-buys.`,
+      { parse_mode: 'Markdown' }
+    );
+    
+  } catch (error) {
+    console.error('New wallet command error:', error);
+    await ctx.reply('❌ Error creating wallet. Please try again.');
+  }
+});
+
+walletHandler.command('renamewallet', async (ctx) => {
+  try {
+    const userId = ctx.from.id;
+    const [name, newName] = ctx.message.text.split(' ').slice(1).filter(Boolean);
+    const userSettings = await userService.getUserSettings(userId);
+    
+    if (!userSettings.chain) {
+      return ctx.reply('⚠️ Please set your chain first using /setchain command.');
+    }
+    if (!name || !newName) {
+      return ctx.reply('❌ Usage: `/renamewallet <name> <new name>`', { parse_mode: 'Markdown' });
+    }
+    
+    const chain = userSettings.chain;
+    const wallet = await walletService.findUserWallet(userId, chain, name);
+    if (!wallet) {
+      return ctx.reply(`❌ No ${chain.toUpperCase()} wallet named "${name}". See /mywallets`);
+    }
+    
+    const result = await walletService.renameWallet(userId, chain, wallet.id, newName);
+    return ctx.reply(result.success ? `✅ Wallet "${wallet.name}" renamed to "${result.name}"` : `❌ ${result.error}`);
+    
+  } catch (error) {
+    console.error('Rename wallet command error:', error);
+    await ctx.reply('❌ Error renaming wallet. Please try again.');
+  }
+});
+
+// Move native funds from the main wallet into a named wallet
+walletHandler.command('fundwallet', async (ctx) => {
+  try {
+    const userId = ctx.from.id;
+    const [name, amountText] = ctx.message.text.split(' ').slice(1).filter(Boolean);
+    const userSettings = await userService.getUserSettings(userId);
+    
+    if (!userSettings.chain) {
+      return ctx.reply('⚠️ Please set your chain first using /setchain command.');
+    }
+    
+    const amount = parseFloat(amountText);
+    if (!name || isNaN(amount) || amount <= 0) {
+      return ctx.reply('❌ Usage: `/fundwallet <name> <amount>`\n\nExample: `/fundwallet sniper 0.5`', { parse_mode: 'Markdown' });
+    }
+    
+    const chain = userSettings.chain;
+    const wallet = await walletService.findUserWallet(userId, chain, name);
+    if (!wallet) {
+      return ctx.reply(`❌ No ${chain.toUpperCase()} wallet named "${name}". See /mywallets`);
+    }
+    
+    await ctx.reply(`📤 Sending ${amount} from your main wallet to "${wallet.name}"...`);
+    const result = await walletService.fundWallet(userId, chain, wallet.id, amount);
+    
+    if (!result.success) {
+      return ctx.reply(`❌ Funding failed: ${result.error}`);
+    }
+    
+    await ctx.reply(
+      `✅ **Wallet "${wallet.name}" funded**\n\n` +
+      `💰 **Amount:** ${amount}\n` +
+      `📝 **TX:** \`${result.txHash}\``,
+      { parse_mode: 'Markdown' }
+    );
+    
+  } catch (error) {
+    console.error('Fund wallet command error:', error);
+    await ctx.reply('❌ Error funding wallet. Please try again.');
+  }
+});
+
+walletHandler.action(/^wsel_([a-z]+)_(\w+)$/, async (ctx) => {
+  try {
+    const userId = ctx.from.id;
+    const [, chain, walletId] = ctx.match;
+    
+    const wallet = (await walletService.getUserWallets(userId, chain)).find(w => w.id === walletId);
+    if (!wallet) {
+      return ctx.answerCbQuery('❌ Wallet not found');
+    }
+    
+    const result = await walletService.setWalletSelected(userId, chain, walletId, !wallet.selected);
+    if (!result.success) {
+      return ctx.answerCbQuery(`❌ ${result.error}`);
+    }
+    
+    await ctx.answerCbQuery(`${wallet.selected ? '⬜ Deselected' : '✅ Selected'} ${wallet.name}`);
+    const { text, keyboard } = await walletsMenu(userId, chain);
+    await ctx.editMessageText(text, { parse_mode: 'Markdown', reply_markup: keyboard });
+    
+  } catch (error) {
+    console.error('Wallet select error:', error);
+    await ctx.answerCbQuery('❌ Error updating selection');
+  }
+});
+
+walletHandler.action('multibuy_toggle', async (ctx) => {
+  try {
+    const userId = ctx.from.id;
+    const engine = getAdvancedCopyTradingEngine();
+    const settings = engine.getCopyTradeSettings(String(userId));
+    const enabled = !settings.multiBuy?.enabled;
+    
+    const result = await engine.updateCopyTradeSettings(String(userId), {
+      multiBuy: { ...settings.multiBuy, enabled }
+    });
+    if (!result.success) {
+      return ctx.answerCbQuery('❌ Failed to update multi-buy');
+    }
+    
+    await ctx.answerCbQuery(enabled ? '🔥 Multi-buy enabled' : 'Multi-buy disabled');
+    const userSettings = await userService.getUserSettings(userId);
+    const { text, keyboard } = await walletsMenu(userId, userSettings.chain);
+    await ctx.editMessageText(text, { parse_mode: 'Markdown', reply_markup: keyboard });
+    
+  } catch (error) {
+    console.error('Multi-buy toggle error:', error);
+    await ctx.answerCbQuery('❌ Error updating multi-buy');
+  }
+});
+
 // Enhanced balance check command
 walletHandler.command('balance', async (ctx) => {
   try {
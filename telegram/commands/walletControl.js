@@ -1,6 +1,25 @@
 // telegram/commands/walletControl.js - Wallet Control Commands
 const userService = require('../../users/userService');
-const { getEngine } = require('../../services/copyTradingEngine');
+
+// Status emoji for a tracked wallet ('pause' is what /pause stores)
+function getStatusEmoji(status) {
+  if (status === 'active' || status === 'begin') return '🟢';
+  if (status === 'pause' || status === 'paused') return '⏸️';
+  return '🔴';
+}
+
+// One numbered wallet entry with name, chains and status
+function formatWalletEntry(userData, wallet, index) {
+  const name = userService.getWalletDisplayName(userData, wallet);
+  const status = userData.walletStatus?.[wallet] || 'active';
+  const chains = userService.getWalletChains(userData, wallet).map(c => c.toUpperCase()).join(', ');
+  
+  let entry = `${index + 1}. ${getStatusEmoji(status)} **${name}**\n`;
+  entry += `   \`${wallet}\`\n`;
+  entry += `   Chains: ${chains}\n`;
+  entry += `   Status: ${status.toUpperCase()}\n\n`;
+  return entry;
+}
 
 module.exports = function(bot) {
   // Name a wallet
@@ -21,7 +40,8 @@ module.exports = function(bot) {
     userData.wallets.forEach((wallet, index) => {
       const currentName = userData.walletNames?.[wallet] || '';
       const displayName = currentName ? `"${currentName}"` : 'No name';
-      walletList += `${index + 1}. \`${wallet.substring(0, 8)}...${wallet.substring(wallet.length - 8)}\`\n   Current: ${displayName}\n\n`;
+      const chains = userService.getWalletChains(userData, wallet).map(c => c.toUpperCase()).join(', ');
+      walletList += `${index + 1}. \`${wallet.substring(0, 8)}...${wallet.substring(wallet.length - 8)}\` (${chains})\n   Current: ${displayName}\n\n`;
     });
     
     walletList += 'Send the number of the wallet you want to name, or /cancel to exit.';
@@ -38,24 +58,12 @@ module.exports = function(bot) {
       return ctx.reply('❌ You have no tracked wallets. Add one with /addwallet first.');
     }
     
-    const engine = getEngine();
-    if (!engine) {
-      return ctx.reply('❌ Trading engine not initialized. Please try again.');
-    }
-    
     // Build wallet list with status
     let walletList = '▶️ **Select wallet to BEGIN trading:**\n\n';
     
-    for (let i = 0; i < userData.wallets.length; i++) {
-      const wallet = userData.wallets[i];
-      const name = engine.getWalletDisplayName(userId, wallet);
-      const status = userData.walletStatus?.[wallet] || 'active';
-      const statusEmoji = status === 'active' || status === 'begin' ? '🟢' : status === 'paused' ? '⏸️' : '🔴';
-      
-      walletList += `${i + 1}. ${statusEmoji} **${name}**\n`;
-      walletList += `   \`${wallet}\`\n`;
-      walletList += `   Status: ${status.toUpperCase()}\n\n`;
-    }
+    userData.wallets.forEach((wallet, index) => {
+      walletList += formatWalletEntry(userData, wallet, index);
+    });
     
     walletList += 'Send the number of the wallet to begin trading, or /cancel to exit.';
     
@@ -75,24 +83,12 @@ module.exports = function(bot) {
       return ctx.reply('❌ You have no tracked wallets. Add one with /addwallet first.');
     }
     
-    const engine = getEngine();
-    if (!engine) {
-      return ctx.reply('❌ Trading engine not initialized. Please try again.');
-    }
-    
     // Build wallet list with status
     let walletList = '⏸️ **Select wallet to PAUSE trading:**\n\n';
     
-    for (let i = 0; i < userData.wallets.length; i++) {
-      const wallet = userData.wallets[i];
-      const name = engine.getWalletDisplayName(userId, wallet);
-      const status = userData.walletStatus?.[wallet] || 'active';
-      const statusEmoji = status === 'active' || status === 'begin' ? '🟢' : status === 'paused' ? '⏸️' : '🔴';
-      
-      walletList += `${i + 1}. ${statusEmoji} **${name}**\n`;
-      walletList += `   \`${wallet}\`\n`;
-      walletList += `   Status: ${status.toUpperCase()}\n\n`;
-    }
+    userData.wallets.forEach((wallet, index) => {
+      walletList += formatWalletEntry(userData, wallet, index);
+    });
     
     walletList += 'Send the number of the wallet to pause, or /cancel to exit.\n\n';
     walletList += '💡 Tip: Paused wallets will not copy trades until resumed.';
@@ -113,24 +109,12 @@ module.exports = function(bot) {
       return ctx.reply('❌ You have no tracked wallets. Add one with /addwallet first.');
     }
     
-    const engine = getEngine();
-    if (!engine) {
-      return ctx.reply('❌ Trading engine not initialized. Please try again.');
-    }
-    
     // Build wallet list with status
     let walletList = '🛑 **Select wallet to STOP trading:**\n\n';
     
-    for (let i = 0; i < userData.wallets.length; i++) {
-      const wallet = userData.wallets[i];
-      const name = engine.getWalletDisplayName(userId, wallet);
-      const status = userData.walletStatus?.[wallet] || 'active';
-      const statusEmoji = status === 'active' || status === 'begin' ? '🟢' : status === 'paused' ? '⏸️' : '🔴';
-      
-      walletList += `${i + 1}. ${statusEmoji} **${name}**\n`;
-      walletList += `   \`${wallet}\`\n`;
-      walletList += `   Status: ${status.toUpperCase()}\n\n`;
-    }
+    userData.wallets.forEach((wallet, index) => {
+      walletList += formatWalletEntry(userData, wallet, index);
+    });
     
     walletList += 'Send the number of the wallet to stop trading, or /cancel to exit.\n\n';
     walletList += '⚠️ Warning: Stopped wallets will not copy any trades.';
@@ -151,20 +135,16 @@ module.exports = function(bot) {
       return ctx.reply('❌ You have no tracked wallets. Add one with /addwallet first.');
     }
     
-    const engine = getEngine();
-    if (!engine) {
-      return ctx.reply('❌ Trading engine not initialized. Please try again.');
-    }
-    
     let message = '📊 **Your Tracked Wallets Status**\n\n';
     
     for (const wallet of userData.wallets) {
-      const name = engine.getWalletDisplayName(userId, wallet);
+      const name = userService.getWalletDisplayName(userData, wallet);
       const status = userData.walletStatus?.[wallet] || 'active';
-      const statusEmoji = status === 'active' || status === 'begin' ? '🟢' : status === 'paused' ? '⏸️' : '🔴';
+      const chains = userService.getWalletChains(userData, wallet).map(c => c.toUpperCase()).join(', ');
       
-      message += `${statusEmoji} **${name}**\n`;
+      message += `${getStatusEmoji(status)} **${name}**\n`;
       message += `\`${wallet}\`\n`;
+      message += `Chains: ${chains}\n`;
       message += `Status: ${status.toUpperCase()}\n`;
       
       // Add position info if available
@@ -0,0 +1,63 @@
+// telegram/commands/walletStats.js - Performance analytics for any wallet
+const userService = require('../../users/userService');
+const walletAnalyticsService = require('../../services/walletAnalyticsService');
+
+module.exports = function(bot) {
+  bot.command('walletstats', async (ctx) => {
+    const userId = String(ctx.from.id);
+    const [, address, chainArg] = ctx.message.text.trim().split(/\s+/);
+
+    if (!address) {
+      return ctx.reply(
+        `📊 **Wallet Stats**\n\n` +
+        `Usage: \`/walletstats <address> [chain]\`\n\n` +
+        `Analyzes the wallet's recent swaps: win rate, realized PnL, average hold time, ` +
+        `average entry market cap and trade frequency.\n\n` +
+        `💡 For EVM addresses add the chain (ethereum, bsc, polygon, arbitrum, base).`,
+        { parse_mode: 'Markdown' }
+      );
+    }
+
+    const family = userService.detectWalletChain(address);
+    if (!family) {
+      return ctx.reply('❌ Invalid wallet address format. Please enter a valid Solana or EVM wallet address.');
+    }
+
+    let chain = 'solana';
+    if (family === 'evm') {
+      const userData = await userService.getUserSettings(userId);
+      const tracked = (userData?.wallets || []).find(w => w.toLowerCase() === address.toLowerCase());
+
+      // Explicit chain, then the chain the wallet is tracked on, then the user's chain
+      chain = chainArg?.toLowerCase() ||
+        (tracked && userService.getWalletChains(userData, tracked)[0]) ||
+        (userService.EVM_CHAINS.includes(userData?.chain) ? userData.chain : 'ethereum');
+
+      if (!userService.EVM_CHAINS.includes(chain)) {
+        return ctx.reply(`❌ Invalid chain. Please use one of: ${userService.EVM_CHAINS.join(', ')}`);
+      }
+    }
+
+    const loadingMsg = await ctx.reply(`🔍 Analyzing recent ${chain.toUpperCase()} swaps for this wallet...\n\nThis can take a minute.`);
+
+    try {
+      const stats = await walletAnalyticsService.getWalletStats(address, chain);
+
+      await ctx.telegram.editMessageText(
+        ctx.chat.id,
+        loadingMsg.message_id,
+        undefined,
+        walletAnalyticsService.formatWalletStatsMessage(stats),
+        { parse_mode: 'Markdown' }
+      );
+    } catch (error) {
+      console.error('Wallet stats command error:', error);
+      await ctx.telegram.editMessageText(
+        ctx.chat.id,
+        loadingMsg.message_id,
+        undefined,
+        `❌ Error analyzing wallet: ${error.message}`
+      );
+    }
+  });
+};
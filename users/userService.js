@@ -4,9 +4,17 @@ const path = require('path');
 const redis = require('redis');
 
 const DATA_FILE = path.join(__dirname, 'userData.json');
+const CURSOR_FILE = path.join(__dirname, 'monitorCursors.json');
+const PROCESSED_FILE = path.join(__dirname, 'processedTrades.json');
+const PROCESSED_TRADE_TTL = 3 * 24 * 60 * 60; // 3 days, in seconds
+const TRANSACTIONS_FILE = path.join(__dirname, 'trackedTransactions.json');
+const TRACKED_TRANSACTION_TTL = 7 * 24 * 60 * 60; // 7 days, in seconds
+const FEE_LEDGER_FILE = path.join(__dirname, 'feeLedger.json');
+const LIMIT_ORDERS_FILE = path.join(__dirname, 'limitOrders.json');
 
 // Redis client setup
 let redisClient = null;
+let redisConnected = false; // Redis has been reached at least once by this process
 
 async function initRedis() {
   if (!redisClient) {
@@ -21,6 +29,7 @@ async function initRedis() {
       });
       
       await redisClient.connect();
+      redisConnected = true;
       console.log('✅ Connected to Redis');
     } catch (err) {
       console.log('❌ Redis connection failed, using file storage:', err.message);
@@ -30,6 +39,15 @@ async function initRedis() {
   return redisClient;
 }
 
+// Keys matching a pattern, walked with SCAN so a large keyspace doesn't block Redis the way KEYS does
+async function scanKeys(client, pattern) {
+  const keys = [];
+  for await (const key of client.scanIterator({ MATCH: pattern, COUNT: 100 })) {
+    keys.push(key);
+  }
+  return keys;
+}
+
 // Load all users from file (fallback)
 function loadUserData() {
   try {
@@ -118,6 +136,7 @@ function createDefaultUser() {
       lastActive: new Date().toISOString()
     },
     walletNames: {},
+    walletChains: {},         // Tracked wallet -> chains it is followed on
     smartSlippage: false
   };
 }
@@ -162,6 +181,17 @@ async function ensureUser(userId) {
     userData.walletNames = {};
   }
   
+  if (!userData.walletChains) {
+    userData.walletChains = {};
+  }
+  
+  // Pin wallets added before chain scoping so a later /setchain doesn't move them
+  for (const wallet of userData.wallets || []) {
+    if (!userData.walletChains[wallet]) {
+      userData.walletChains[wallet] = getWalletChains(userData, wallet);
+    }
+  }
+  
   if (userData.slippage === undefined) {
     userData.slippage = 5;
   }
@@ -173,20 +203,102 @@ async function ensureUser(userId) {
   return userData;
 }
 
-// Add a wallet
-async function addWallet(userId, wallet) {
+const EVM_CHAINS = ['ethereum', 'bsc', 'polygon', 'arbitrum', 'base'];
+
+// Chain family from the address format: 'solana', 'evm' or null if unrecognised
+function detectWalletChain(address) {
+  if (/^0x[a-fA-F0-9]{40}$/.test(address || '')) return 'evm';
+  if (/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(address || '')) return 'solana';
+  return null;
+}
+
+// Chains a tracked wallet is followed on (wallets added before chain scoping follow the user's chain)
+function getWalletChains(userData, wallet) {
+  const chains = userData?.walletChains?.[wallet];
+  if (chains && chains.length > 0) return chains;
+  
+  const family = detectWalletChain(wallet);
+  if (family === 'solana') return ['solana'];
+  if (family === 'evm') {
+    return [EVM_CHAINS.includes(userData?.chain) ? userData.chain : 'ethereum'];
+  }
+  return [];
+}
+
+// Tracked wallets followed on a specific chain
+function getTrackedWalletsByChain(userData, chain) {
+  return (userData?.wallets || []).filter(wallet => getWalletChains(userData, wallet).includes(chain));
+}
+
+// Flat (wallet, chain) list for menus that act on one tracked wallet per chain
+function getTrackedWalletEntries(userData) {
+  return (userData?.wallets || []).flatMap(wallet =>
+    getWalletChains(userData, wallet).map(chain => ({ wallet, chain }))
+  );
+}
+
+// Add a wallet on one or more chains (defaults from the address format)
+async function addWallet(userId, wallet, chains = null) {
   const userData = await ensureUser(userId);
-  if (!userData.wallets.includes(wallet)) {
-    userData.wallets.push(wallet);
-    await saveUserData(userId, userData);
+  
+  // EVM addresses are case-insensitive; reuse the stored spelling so chains merge
+  const existing = userData.wallets.find(w =>
+    w === wallet || (detectWalletChain(wallet) === 'evm' && w.toLowerCase() === wallet.toLowerCase())
+  );
+  const address = existing || wallet;
+  const requested = chains ? [].concat(chains) : getWalletChains(userData, address);
+  const merged = existing ? [...getWalletChains(userData, address)] : [];
+  
+  for (const chain of requested) {
+    if (!merged.includes(chain)) merged.push(chain);
+  }
+  
+  if (!existing) {
+    userData.wallets.push(address);
   }
+  userData.walletChains[address] = merged;
+  await saveUserData(userId, userData);
+  
+  return { wallet: address, chains: merged };
 }
 
-// Remove a wallet
-async function removeWallet(userId, wallet) {
+// Remove a wallet from one chain, or entirely when no chain is given; returns the chains left
+async function removeWallet(userId, wallet, chain = null) {
   const userData = await ensureUser(userId);
-  userData.wallets = userData.wallets.filter(w => w !== wallet);
+  const remaining = chain
+    ? getWalletChains(userData, wallet).filter(c => c !== chain)
+    : [];
+  
+  if (remaining.length > 0) {
+    userData.walletChains[wallet] = remaining;
+  } else {
+    userData.wallets = userData.wallets.filter(w => w !== wallet);
+    delete userData.walletChains[wallet];
+  }
   await saveUserData(userId, userData);
+  
+  return remaining;
+}
+
+// Set a tracked wallet's copy status ('active', 'pause' or 'stopped')
+async function setWalletStatus(userId, wallet, status) {
+  const userData = await ensureUser(userId);
+  if (!userData.walletStatus) userData.walletStatus = {};
+  userData.walletStatus[wallet] = status;
+  await saveUserData(userId, userData);
+}
+
+// Set a custom name for a tracked wallet
+async function setWalletName(userId, wallet, name) {
+  const userData = await ensureUser(userId);
+  userData.walletNames[wallet] = name;
+  await saveUserData(userId, userData);
+}
+
+// Custom name, or a shortened address
+function getWalletDisplayName(userData, wallet) {
+  return userData?.walletNames?.[wallet] ||
+    `${wallet.substring(0, 6)}...${wallet.substring(wallet.length - 4)}`;
 }
 
 // Set chain
@@ -383,9 +495,12 @@ async function setSellMode(userId, mode) {
   await saveUserData(userId, userData);
 }
 
-// Position tracking for copy trades
-async function addPosition(userId, tokenAddress, amount, price, sourceWallet) {
+// Position tracking for copy trades. details.quote is the asset prices are kept in
+// ('native' or a stablecoin symbol); it is fixed when the position opens. Holdings are also kept
+// per custodial wallet (details.walletId, the main wallet by default) next to the totals
+async function addPosition(userId, tokenAddress, amount, price, sourceWallet, details = {}) {
   const userData = await ensureUser(userId);
+  const walletId = details.walletId || 'main';
   
   if (!userData.positions) {
     userData.positions = {};
@@ -397,18 +512,22 @@ async function addPosition(userId, tokenAddress, amount, price, sourceWallet) {
       avgPrice: 0,
       tokenSymbol: 'Unknown',
       tokenName: 'Unknown Token',
-      chain: userData.chain || 'solana',
-      copyTrades: []
+      chain: details.chain || userData.chain || 'solana',
+      quote: details.quote || 'native',
+      copyTrades: [],
+      wallets: {}
     };
   }
   
   const position = userData.positions[tokenAddress];
+  const holdings = getPositionWallets(position);
   
   // Add new copy trade
   position.copyTrades.push({
     amount,
     price,
     sourceWallet,
+    walletId,
     timestamp: new Date().toISOString()
   });
   
@@ -417,12 +536,33 @@ async function addPosition(userId, tokenAddress, amount, price, sourceWallet) {
   position.totalAmount += amount;
   position.avgPrice = totalValue / position.totalAmount;
   
+  // And the wallet's own share of it
+  const holding = holdings[walletId] || { amount: 0, avgPrice: 0 };
+  const walletValue = holding.amount * holding.avgPrice + amount * price;
+  holding.amount += amount;
+  holding.avgPrice = walletValue / holding.amount;
+  holdings[walletId] = holding;
+  position.wallets = holdings;
+  
   await saveUserData(userId, userData);
   
   return position;
 }
 
-async function sellPosition(userId, tokenAddress, sellPercentage, currentPrice) {
+// Per-wallet holdings of a position. Positions opened before wallets were tracked sit in the main wallet
+function getPositionWallets(position) {
+  if (position.wallets && Object.keys(position.wallets).length > 0) {
+    return position.wallets;
+  }
+  return position.totalAmount > 0
+    ? { main: { amount: position.totalAmount, avgPrice: position.avgPrice } }
+    : {};
+}
+
+// soldAmount, when known from the confirmed transaction, overrides the percentage. A sell from one
+// wallet (walletId) is measured against that wallet's holding; without one every wallet's holding
+// shrinks by the same share
+async function sellPosition(userId, tokenAddress, sellPercentage, currentPrice, soldAmount = null, walletId = null) {
   const userData = await ensureUser(userId);
   
   if (!userData.positions || !userData.positions[tokenAddress]) {
@@ -430,18 +570,41 @@ async function sellPosition(userId, tokenAddress, sellPercentage, currentPrice)
   }
   
   const position = userData.positions[tokenAddress];
-  const sellAmount = position.totalAmount * (sellPercentage / 100);
+  const holdings = getPositionWallets(position);
+  const holding = walletId ? holdings[walletId] : null;
+  
+  if (walletId && !holding) {
+    return { success: false, message: 'No position found in this wallet' };
+  }
+  
+  const available = holding ? holding.amount : position.totalAmount;
+  const sellAmount = soldAmount !== null
+    ? Math.min(soldAmount, available)
+    : available * (sellPercentage / 100);
   
   if (sellAmount <= 0) {
     return { success: false, message: 'Invalid sell amount' };
   }
   
   // Calculate PnL
-  const pnl = sellAmount * (currentPrice - position.avgPrice);
+  const pnl = sellAmount * (currentPrice - (holding ? holding.avgPrice : position.avgPrice));
   
   // Update position
+  if (holding) {
+    holding.amount -= sellAmount;
+  } else {
+    const share = sellAmount / position.totalAmount;
+    for (const entry of Object.values(holdings)) {
+      entry.amount -= entry.amount * share;
+    }
+  }
   position.totalAmount -= sellAmount;
   
+  for (const [id, entry] of Object.entries(holdings)) {
+    if (entry.amount <= 0.001) delete holdings[id];
+  }
+  position.wallets = holdings;
+  
   // Add sell trade record
   if (!position.copyTrades) position.copyTrades = [];
   position.copyTrades.push({
@@ -449,6 +612,7 @@ async function sellPosition(userId, tokenAddress, sellPercentage, currentPrice)
     amount: sellAmount,
     price: currentPrice,
     pnl,
+    ...(walletId && { walletId }),
     timestamp: new Date().toISOString()
   });
   
@@ -484,6 +648,8 @@ async function getUserPositions(userId) {
       amount: position.totalAmount,
       avgBuyPrice: position.avgPrice,
       chain: position.chain || userData.chain || 'solana',
+      quote: position.quote || 'native',
+      wallets: getPositionWallets(position),
       trades: position.copyTrades || []
     });
   }
@@ -811,6 +977,363 @@ async function updateAdminStats(statsUpdate) {
   }
 }
 
+// Get wallet monitoring cursor (last processed signature/block)
+async function getMonitorCursor(key) {
+  const client = await initRedis();
+  
+  if (client) {
+    try {
+      return await client.get(`monitor:cursor:${key}`);
+    } catch (err) {
+      console.error('Redis cursor get error:', err);
+    }
+  }
+  
+  // Fallback to file storage
+  try {
+    if (fs.existsSync(CURSOR_FILE)) {
+      const cursors = JSON.parse(fs.readFileSync(CURSOR_FILE, 'utf8'));
+      return cursors[key] || null;
+    }
+  } catch (err) {
+    console.error('Error loading monitor cursors from file:', err);
+  }
+  return null;
+}
+
+// Save wallet monitoring cursor
+async function setMonitorCursor(key, value) {
+  const client = await initRedis();
+  
+  if (client) {
+    try {
+      await client.set(`monitor:cursor:${key}`, value);
+      return;
+    } catch (err) {
+      console.error('Redis cursor set error:', err);
+    }
+  }
+  
+  // Fallback to file storage
+  try {
+    const cursors = fs.existsSync(CURSOR_FILE)
+      ? JSON.parse(fs.readFileSync(CURSOR_FILE, 'utf8'))
+      : {};
+    cursors[key] = value;
+    fs.writeFileSync(CURSOR_FILE, JSON.stringify(cursors, null, 2));
+  } catch (err) {
+    console.error('Error saving monitor cursors to file:', err);
+  }
+}
+
+// Claims are only shared through Redis; once it is configured or has been reached, the local file
+// would let another instance claim the same trade
+function isSharedClaimStore() {
+  return Boolean(process.env.REDIS_URL) || redisConnected;
+}
+
+// Atomically mark a trade key (e.g. "solana:<wallet>:<signature>") as processed.
+// Returns true only for the first caller across restarts and instances. Throws when the store
+// can't be used, so the caller retries later instead of risking a second execution
+async function claimProcessedTrade(key, ttlSeconds = PROCESSED_TRADE_TTL) {
+  const client = await initRedis();
+  
+  if (client) {
+    const result = await client.set(`processed:${key}`, Date.now().toString(), { NX: true, EX: ttlSeconds });
+    return result === 'OK';
+  }
+  
+  if (isSharedClaimStore()) {
+    throw new Error(`Redis unavailable, cannot claim trade ${key}`);
+  }
+  
+  // Single instance without Redis - synchronous read/write keeps the check-and-set atomic in-process
+  try {
+    const now = Date.now();
+    const processed = fs.existsSync(PROCESSED_FILE)
+      ? JSON.parse(fs.readFileSync(PROCESSED_FILE, 'utf8'))
+      : {};
+    
+    if (processed[key] && processed[key] > now) {
+      return false;
+    }
+    
+    // Drop expired entries while we're here
+    for (const [existingKey, expiresAt] of Object.entries(processed)) {
+      if (expiresAt <= now) delete processed[existingKey];
+    }
+    
+    processed[key] = now + ttlSeconds * 1000;
+    fs.writeFileSync(PROCESSED_FILE, JSON.stringify(processed));
+    return true;
+  } catch (err) {
+    console.error('Error updating processed trades file:', err);
+    throw err;
+  }
+}
+
+// Release a claim so the trade can be retried (e.g. the transaction fetch failed)
+async function releaseProcessedTrade(key) {
+  const client = await initRedis();
+  
+  if (client) {
+    try {
+      await client.del(`processed:${key}`);
+    } catch (err) {
+      console.error('Redis release error:', err);
+    }
+    return;
+  }
+  
+  if (isSharedClaimStore()) {
+    console.error(`Redis unavailable, claim on ${key} held until it expires`);
+    return;
+  }
+  
+  try {
+    if (fs.existsSync(PROCESSED_FILE)) {
+      const processed = JSON.parse(fs.readFileSync(PROCESSED_FILE, 'utf8'));
+      delete processed[key];
+      fs.writeFileSync(PROCESSED_FILE, JSON.stringify(processed));
+    }
+  } catch (err) {
+    console.error('Error updating processed trades file:', err);
+  }
+}
+
+// Save a tracked transaction record, keyed by hash
+async function saveTrackedTransaction(record) {
+  const client = await initRedis();
+  
+  if (client) {
+    try {
+      await client.set(`tx:${record.hash}`, JSON.stringify(record), { EX: TRACKED_TRANSACTION_TTL });
+      return;
+    } catch (err) {
+      console.error('Redis transaction save error:', err);
+    }
+  }
+  
+  // Fallback to file storage - records expire like their Redis keys
+  try {
+    const now = Date.now();
+    const records = fs.existsSync(TRANSACTIONS_FILE)
+      ? JSON.parse(fs.readFileSync(TRANSACTIONS_FILE, 'utf8'))
+      : {};
+    
+    for (const [hash, existing] of Object.entries(records)) {
+      if (existing.updatedAt + TRACKED_TRANSACTION_TTL * 1000 <= now) delete records[hash];
+    }
+    
+    records[record.hash] = record;
+    fs.writeFileSync(TRANSACTIONS_FILE, JSON.stringify(records, null, 2));
+  } catch (err) {
+    console.error('Error saving tracked transactions to file:', err);
+  }
+}
+
+// One tracked transaction record by hash
+async function getTrackedTransaction(hash) {
+  const client = await initRedis();
+  
+  if (client) {
+    try {
+      const record = await client.get(`tx:${hash}`);
+      return record ? JSON.parse(record) : null;
+    } catch (err) {
+      console.error('Redis transaction get error:', err);
+    }
+  }
+  
+  try {
+    if (fs.existsSync(TRANSACTIONS_FILE)) {
+      return JSON.parse(fs.readFileSync(TRANSACTIONS_FILE, 'utf8'))[hash] || null;
+    }
+  } catch (err) {
+    console.error('Error loading tracked transactions from file:', err);
+  }
+  return null;
+}
+
+// All tracked transaction records
+async function getTrackedTransactions() {
+  const client = await initRedis();
+  
+  if (client) {
+    try {
+      const keys = await scanKeys(client, 'tx:*');
+      const records = await Promise.all(keys.map(key => client.get(key)));
+      return records.filter(Boolean).map(record => JSON.parse(record));
+    } catch (err) {
+      console.error('Redis transaction load error:', err);
+    }
+  }
+  
+  try {
+    if (fs.existsSync(TRANSACTIONS_FILE)) {
+      return Object.values(JSON.parse(fs.readFileSync(TRANSACTIONS_FILE, 'utf8')));
+    }
+  } catch (err) {
+    console.error('Error loading tracked transactions from file:', err);
+  }
+  return [];
+}
+
+// Save a dev fee ledger entry. Entries are kept for good so reconciliation covers every fee
+async function saveFeeLedgerEntry(entry) {
+  const client = await initRedis();
+  
+  if (client) {
+    try {
+      await client.hSet('admin:feeLedger', entry.id, JSON.stringify(entry));
+      return entry;
+    } catch (err) {
+      console.error('Redis fee ledger save error:', err);
+    }
+  }
+  
+  try {
+    const ledger = fs.existsSync(FEE_LEDGER_FILE)
+      ? JSON.parse(fs.readFileSync(FEE_LEDGER_FILE, 'utf8'))
+      : {};
+    
+    ledger[entry.id] = entry;
+    fs.writeFileSync(FEE_LEDGER_FILE, JSON.stringify(ledger, null, 2));
+  } catch (err) {
+    console.error('Error saving fee ledger to file:', err);
+  }
+  return entry;
+}
+
+// Dev fee ledger entries recorded since a time (ms), oldest first
+async function getFeeLedger(since = 0) {
+  const client = await initRedis();
+  let entries = null;
+  
+  if (client) {
+    try {
+      entries = Object.values(await client.hGetAll('admin:feeLedger')).map(entry => JSON.parse(entry));
+    } catch (err) {
+      console.error('Redis fee ledger load error:', err);
+    }
+  }
+  
+  if (!entries) {
+    try {
+      entries = fs.existsSync(FEE_LEDGER_FILE)
+        ? Object.values(JSON.parse(fs.readFileSync(FEE_LEDGER_FILE, 'utf8')))
+        : [];
+    } catch (err) {
+      console.error('Error loading fee ledger from file:', err);
+      entries = [];
+    }
+  }
+  
+  return entries
+    .filter(entry => entry.createdAt >= since)
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+// Limit orders file: userId -> orderId -> order
+function loadLimitOrdersFile() {
+  return fs.existsSync(LIMIT_ORDERS_FILE)
+    ? JSON.parse(fs.readFileSync(LIMIT_ORDERS_FILE, 'utf8'))
+    : {};
+}
+
+// Save a limit order to its user's order book
+async function saveLimitOrder(order) {
+  const client = await initRedis();
+  
+  if (client) {
+    try {
+      await client.hSet(`limitOrders:${order.userId}`, order.id, JSON.stringify(order));
+      return order;
+    } catch (err) {
+      console.error('Redis limit order save error:', err);
+    }
+  }
+  
+  try {
+    const books = loadLimitOrdersFile();
+    books[order.userId] = { ...books[order.userId], [order.id]: order };
+    fs.writeFileSync(LIMIT_ORDERS_FILE, JSON.stringify(books, null, 2));
+  } catch (err) {
+    console.error('Error saving limit order to file:', err);
+  }
+  return order;
+}
+
+async function deleteLimitOrder(userId, orderId) {
+  const client = await initRedis();
+  
+  if (client) {
+    try {
+      await client.hDel(`limitOrders:${userId}`, orderId);
+      return;
+    } catch (err) {
+      console.error('Redis limit order delete error:', err);
+    }
+  }
+  
+  try {
+    const books = loadLimitOrdersFile();
+    if (books[userId]) {
+      delete books[userId][orderId];
+      fs.writeFileSync(LIMIT_ORDERS_FILE, JSON.stringify(books, null, 2));
+    }
+  } catch (err) {
+    console.error('Error deleting limit order from file:', err);
+  }
+}
+
+// A user's limit orders, newest first
+async function getLimitOrders(userId) {
+  const client = await initRedis();
+  let orders = null;
+  
+  if (client) {
+    try {
+      orders = Object.values(await client.hGetAll(`limitOrders:${userId}`)).map(order => JSON.parse(order));
+    } catch (err) {
+      console.error('Redis limit order load error:', err);
+    }
+  }
+  
+  if (!orders) {
+    try {
+      orders = Object.values(loadLimitOrdersFile()[userId] || {});
+    } catch (err) {
+      console.error('Error loading limit orders from file:', err);
+      orders = [];
+    }
+  }
+  
+  return orders.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// Every user's limit orders
+async function getAllLimitOrders() {
+  const client = await initRedis();
+  
+  if (client) {
+    try {
+      const keys = await scanKeys(client, 'limitOrders:*');
+      const books = await Promise.all(keys.map(key => client.hGetAll(key)));
+      return books.flatMap(book => Object.values(book).map(order => JSON.parse(order)));
+    } catch (err) {
+      console.error('Redis limit order load error:', err);
+    }
+  }
+  
+  try {
+    return Object.values(loadLimitOrdersFile()).flatMap(book => Object.values(book));
+  } catch (err) {
+    console.error('Error loading limit orders from file:', err);
+  }
+  return [];
+}
+
 // Update user's last active timestamp
 async function updateLastActive(userId) {
   try {
@@ -840,6 +1363,15 @@ async function updateLastActive(userId) {
 module.exports = {
   addWallet,
   removeWallet,
+  setWalletStatus,
+  setWalletName,
+  getWalletDisplayName,
+  // Chain-scoped tracked wallets
+  EVM_CHAINS,
+  detectWalletChain,
+  getWalletChains,
+  getTrackedWalletsByChain,
+  getTrackedWalletEntries,
   setChain,
   setAmount,
   setSlippage,
@@ -859,6 +1391,7 @@ module.exports = {
   // Position tracking
   addPosition,
   sellPosition,
+  getPositionWallets,
   getUserPositions,
   // Admin functions
   updateAdminStats,
@@ -869,6 +1402,24 @@ module.exports = {
   getAdminData,
   saveAdminData,
   updateLastActive,
+  // Wallet monitoring cursors
+  getMonitorCursor,
+  setMonitorCursor,
+  // Trade de-duplication
+  claimProcessedTrade,
+  releaseProcessedTrade,
+  // Transaction lifecycle tracking
+  saveTrackedTransaction,
+  getTrackedTransaction,
+  getTrackedTransactions,
+  // Dev fee ledger
+  saveFeeLedgerEntry,
+  getFeeLedger,
+  // Limit order book
+  saveLimitOrder,
+  deleteLimitOrder,
+  getLimitOrders,
+  getAllLimitOrders,
   // Add the missing saveUserData function
   saveUserData
 };
\ No newline at end of file